@@ -0,0 +1,589 @@
+/**
+ * Dark Voir AI Troubleshooter - Accessibility Audit
+ * Rule-based WCAG 2.2 checks: contrast, names and labels, ARIA validity, headings,
+ * landmarks, hidden focusables, tabindex and language
+ */
+
+class AccessibilityAudit {
+  constructor() {
+    // Criteria the rules map to: number -> [name, level]
+    this.criteria = {
+      '1.1.1': ['Non-text Content', 'A'],
+      '1.3.1': ['Info and Relationships', 'A'],
+      '1.4.3': ['Contrast (Minimum)', 'AA'],
+      '2.1.1': ['Keyboard', 'A'],
+      '2.4.1': ['Bypass Blocks', 'A'],
+      '2.4.3': ['Focus Order', 'A'],
+      '2.4.4': ['Link Purpose (In Context)', 'A'],
+      '2.4.6': ['Headings and Labels', 'AA'],
+      '3.1.1': ['Language of Page', 'A'],
+      '3.1.2': ['Language of Parts', 'AA'],
+      '4.1.2': ['Name, Role, Value', 'A']
+    };
+
+    this.validRoles = new Set([
+      'alert', 'alertdialog', 'application', 'article', 'banner', 'blockquote', 'button', 'caption',
+      'cell', 'checkbox', 'code', 'columnheader', 'combobox', 'complementary', 'contentinfo',
+      'definition', 'deletion', 'dialog', 'directory', 'document', 'emphasis', 'feed', 'figure',
+      'form', 'generic', 'grid', 'gridcell', 'group', 'heading', 'img', 'insertion', 'link', 'list',
+      'listbox', 'listitem', 'log', 'main', 'marquee', 'math', 'menu', 'menubar', 'menuitem',
+      'menuitemcheckbox', 'menuitemradio', 'meter', 'navigation', 'none', 'note', 'option',
+      'paragraph', 'presentation', 'progressbar', 'radio', 'radiogroup', 'region', 'row',
+      'rowgroup', 'rowheader', 'scrollbar', 'search', 'searchbox', 'separator', 'slider',
+      'spinbutton', 'status', 'strong', 'subscript', 'superscript', 'switch', 'tab', 'table',
+      'tablist', 'tabpanel', 'term', 'textbox', 'time', 'timer', 'toolbar', 'tooltip', 'tree',
+      'treegrid', 'treeitem'
+    ]);
+
+    this.validAriaAttributes = new Set([
+      'activedescendant', 'atomic', 'autocomplete', 'braillelabel', 'brailleroledescription',
+      'busy', 'checked', 'colcount', 'colindex', 'colindextext', 'colspan', 'controls', 'current',
+      'describedby', 'description', 'details', 'disabled', 'dropeffect', 'errormessage',
+      'expanded', 'flowto', 'grabbed', 'haspopup', 'hidden', 'invalid', 'keyshortcuts', 'label',
+      'labelledby', 'level', 'live', 'modal', 'multiline', 'multiselectable', 'orientation',
+      'owns', 'placeholder', 'posinset', 'pressed', 'readonly', 'relevant', 'required',
+      'roledescription', 'rowcount', 'rowindex', 'rowindextext', 'rowspan', 'selected',
+      'setsize', 'sort', 'valuemax', 'valuemin', 'valuenow', 'valuetext'
+    ]);
+
+    // States a role can't work without (native elements supply them themselves)
+    this.requiredAttributes = {
+      checkbox: ['aria-checked'],
+      combobox: ['aria-expanded'],
+      heading: ['aria-level'],
+      menuitemcheckbox: ['aria-checked'],
+      menuitemradio: ['aria-checked'],
+      radio: ['aria-checked'],
+      scrollbar: ['aria-valuenow'],
+      slider: ['aria-valuenow'],
+      switch: ['aria-checked']
+    };
+
+    this.interactiveRoles = ['button', 'link', 'checkbox', 'radio', 'switch', 'tab', 'menuitem', 'slider', 'textbox'];
+    this.landmarkSelector = 'header, nav, main, footer, aside, form[aria-label], form[aria-labelledby], section[aria-label], section[aria-labelledby], ' +
+      '[role="banner"], [role="navigation"], [role="main"], [role="contentinfo"], [role="complementary"], [role="region"], [role="search"], [role="form"]';
+    this.focusableSelector = 'a[href], area[href], button:not([disabled]), input:not([disabled]):not([type="hidden"]), ' +
+      'select:not([disabled]), textarea:not([disabled]), iframe, [contenteditable=""], [contenteditable="true"], [tabindex]:not([tabindex="-1"])';
+
+    this.maxFindingsPerRule = 20;
+    this.maxContrastChecks = 400;
+  }
+
+  // ============= PUBLIC API =============
+
+  /**
+   * Run every rule against the document
+   * @returns {Array} Findings: { rule, criterion, criterionName, level, impact, selector, message }
+   *   - impact is 'critical' | 'serious' | 'moderate' | 'minor'
+   */
+  run() {
+    const rules = {
+      'image-alt': () => this.checkImages(),
+      'color-contrast': () => this.checkContrast(),
+      'label': () => this.checkFormLabels(),
+      'aria-valid': () => this.checkAria(),
+      'heading-order': () => this.checkHeadings(),
+      'landmarks': () => this.checkLandmarks(),
+      'focusable-hidden': () => this.checkHiddenFocusables(),
+      'name': () => this.checkNames(),
+      'tabindex': () => this.checkTabindex(),
+      'lang': () => this.checkLanguage()
+    };
+
+    const findings = [];
+    Object.entries(rules).forEach(([rule, check]) => {
+      try {
+        findings.push(...check().slice(0, this.maxFindingsPerRule));
+      } catch (error) {
+        console.warn(`[Accessibility Audit] Rule ${rule} failed:`, error);
+      }
+    });
+
+    return findings;
+  }
+
+  // ============= RULES =============
+
+  /**
+   * @private
+   */
+  checkImages() {
+    const findings = [];
+
+    document.querySelectorAll('img, input[type="image"], [role="img"]').forEach(el => {
+      if (!this.isExposed(el)) return;
+      if (['presentation', 'none'].includes(el.getAttribute('role'))) return;
+
+      const name = el.tagName === 'IMG' || el.tagName === 'INPUT'
+        ? el.getAttribute('alt') ?? this.getAriaName(el)
+        : this.getAriaName(el) ?? (el.querySelector('title')?.textContent || null);
+
+      // alt="" marks a decorative image, except on an image button
+      if (name === null || (name.trim() === '' && el.tagName === 'INPUT')) {
+        findings.push(this.finding('image-alt', '1.1.1', 'critical', el,
+          el.tagName === 'IMG' ? `Image has no alt text: ${String(el.getAttribute('src') || '').substring(0, 50)}` : 'Image has no text alternative'));
+      }
+    });
+
+    return findings;
+  }
+
+  /**
+   * Text against its effective background. Text over background images is skipped,
+   * its contrast can't be read from styles.
+   * @private
+   */
+  checkContrast() {
+    const findings = [];
+    const walker = document.createTreeWalker(document.body || document.documentElement, NodeFilter.SHOW_TEXT, {
+      acceptNode: node => node.nodeValue.trim() ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_REJECT
+    });
+
+    const checked = new Set();
+    let node;
+    while ((node = walker.nextNode()) && checked.size < this.maxContrastChecks) {
+      const el = node.parentElement;
+      if (!el || checked.has(el) || ['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEXTAREA', 'OPTION'].includes(el.tagName)) continue;
+      checked.add(el);
+      if (!this.isVisible(el) || el.closest('[disabled], [aria-disabled="true"]')) continue;
+
+      const style = getComputedStyle(el);
+      const background = this.getBackground(el);
+      if (!background) continue;
+
+      const foreground = this.blend(this.parseColor(style.color), background);
+      if (!foreground) continue;
+
+      const ratio = this.contrastRatio(foreground, background);
+      const size = parseFloat(style.fontSize);
+      const bold = parseInt(style.fontWeight, 10) >= 700;
+      const large = size >= 24 || (bold && size >= 18.66);
+      const required = large ? 3 : 4.5;
+
+      if (ratio < required) {
+        findings.push(this.finding('color-contrast', '1.4.3', ratio < required / 1.5 ? 'serious' : 'moderate', el,
+          `Text contrast ${ratio.toFixed(2)}:1 is below ${required}:1: "${node.nodeValue.trim().substring(0, 40)}"`));
+      }
+    }
+
+    return findings;
+  }
+
+  /**
+   * @private
+   */
+  checkFormLabels() {
+    const findings = [];
+    const skipTypes = ['hidden', 'submit', 'reset', 'button', 'image'];
+
+    document.querySelectorAll('input, select, textarea').forEach(field => {
+      if (skipTypes.includes(field.type) || !this.isExposed(field)) return;
+
+      if (!this.getFieldName(field)) {
+        findings.push(this.finding('label', '4.1.2', 'critical', field,
+          `Form field has no label: ${field.name || field.id || field.type || field.tagName.toLowerCase()}`));
+      }
+    });
+
+    return findings;
+  }
+
+  /**
+   * Unknown roles and aria-* attributes, missing required states, broken id references
+   * @private
+   */
+  checkAria() {
+    const findings = [];
+
+    document.querySelectorAll('*').forEach(el => {
+      const role = el.getAttribute('role');
+      const ariaAttributes = Array.from(el.attributes).filter(attr => attr.name.startsWith('aria-'));
+      if (!role && ariaAttributes.length === 0) return;
+
+      if (role !== null) {
+        // The first recognized role in the list is used, the rest are fallbacks
+        const roles = role.trim().split(/\s+/).filter(Boolean);
+        const usable = roles.find(candidate => this.validRoles.has(candidate));
+        if (!usable) {
+          findings.push(this.finding('aria-valid', '4.1.2', 'serious', el, `Invalid ARIA role "${role}"`));
+        } else if (!this.isNative(el)) {
+          const missing = (this.requiredAttributes[usable] || []).filter(attr => !el.hasAttribute(attr));
+          if (missing.length > 0) {
+            findings.push(this.finding('aria-valid', '4.1.2', 'critical', el, `Role "${usable}" is missing ${missing.join(', ')}`));
+          }
+        }
+      }
+
+      ariaAttributes.forEach(attr => {
+        const name = attr.name.substring(5);
+        if (!this.validAriaAttributes.has(name)) {
+          findings.push(this.finding('aria-valid', '4.1.2', 'serious', el, `Unknown ARIA attribute ${attr.name}`));
+          return;
+        }
+
+        if (['labelledby', 'describedby', 'controls', 'owns', 'errormessage'].includes(name)) {
+          const broken = attr.value.trim().split(/\s+/).filter(id => id && !document.getElementById(id));
+          if (broken.length > 0) {
+            findings.push(this.finding('aria-valid', '4.1.2', name === 'labelledby' ? 'serious' : 'moderate', el,
+              `${attr.name} points to missing id(s): ${broken.join(', ')}`));
+          }
+        }
+      });
+    });
+
+    return findings;
+  }
+
+  /**
+   * @private
+   */
+  checkHeadings() {
+    const findings = [];
+    let previous = 0;
+
+    document.querySelectorAll('h1, h2, h3, h4, h5, h6, [role="heading"]').forEach(el => {
+      if (!this.isExposed(el)) return;
+
+      const level = el.getAttribute('role') === 'heading'
+        ? parseInt(el.getAttribute('aria-level'), 10) || 2
+        : parseInt(el.tagName.substring(1), 10);
+
+      if (!this.getAccessibleName(el)) {
+        findings.push(this.finding('heading-order', '2.4.6', 'minor', el, `Empty h${level} heading`));
+      }
+      if (previous > 0 && level > previous + 1) {
+        findings.push(this.finding('heading-order', '1.3.1', 'moderate', el,
+          `Heading level skipped: h${previous} followed by h${level}`));
+      }
+      previous = level;
+    });
+
+    return findings;
+  }
+
+  /**
+   * @private
+   */
+  checkLandmarks() {
+    const findings = [];
+    const body = document.body;
+    if (!body) return findings;
+
+    const mains = Array.from(document.querySelectorAll('main, [role="main"]')).filter(el => this.isExposed(el));
+    if (mains.length === 0) {
+      findings.push(this.finding('landmarks', '2.4.1', 'moderate', body, 'Page has no main landmark'));
+      return findings;
+    }
+    if (mains.length > 1) {
+      findings.push(this.finding('landmarks', '1.3.1', 'moderate', mains[1], `Page has ${mains.length} main landmarks`));
+    }
+
+    // Text a screen reader user can't reach by landmark navigation
+    const outside = Array.from(body.querySelectorAll('p, h1, h2, h3, h4, h5, h6, li, td, label, blockquote'))
+      .filter(el => el.textContent.trim() && !el.closest(this.landmarkSelector) && !el.closest('[aria-modal="true"], dialog') && this.isVisible(el));
+    if (outside.length > 0) {
+      findings.push(this.finding('landmarks', '1.3.1', 'minor', outside[0],
+        `${outside.length} text block(s) are outside any landmark`));
+    }
+
+    return findings;
+  }
+
+  /**
+   * Focusable elements hidden from assistive technology
+   * @private
+   */
+  checkHiddenFocusables() {
+    const findings = [];
+
+    document.querySelectorAll('[aria-hidden="true"]').forEach(el => {
+      if (el.closest('[inert]')) return;
+
+      const focusable = el.matches(this.focusableSelector) ? el : el.querySelector(this.focusableSelector);
+      if (focusable && this.isVisible(focusable)) {
+        findings.push(this.finding('focusable-hidden', '4.1.2', 'serious', focusable,
+          'Focusable element is inside aria-hidden="true" - keyboard users reach it, screen readers don\'t announce it'));
+      }
+    });
+
+    return findings;
+  }
+
+  /**
+   * Links and buttons without an accessible name
+   * @private
+   */
+  checkNames() {
+    const findings = [];
+
+    document.querySelectorAll('a[href], [role="link"]').forEach(link => {
+      if (this.isExposed(link) && !this.getAccessibleName(link)) {
+        findings.push(this.finding('name', '2.4.4', 'serious', link,
+          `Link has no discernible text: ${String(link.getAttribute('href') || '').substring(0, 50)}`));
+      }
+    });
+
+    document.querySelectorAll('button, [role="button"], input[type="submit"], input[type="reset"], input[type="button"]').forEach(button => {
+      if (!this.isExposed(button)) return;
+
+      const name = button.tagName === 'INPUT'
+        ? button.value || button.getAttribute('aria-label') || (button.type !== 'button' ? button.type : '')
+        : this.getAccessibleName(button);
+      if (!name) {
+        findings.push(this.finding('name', '4.1.2', 'critical', button, 'Button has no accessible name'));
+      }
+    });
+
+    return findings;
+  }
+
+  /**
+   * @private
+   */
+  checkTabindex() {
+    const findings = [];
+
+    document.querySelectorAll('[tabindex]').forEach(el => {
+      if (parseInt(el.getAttribute('tabindex'), 10) > 0 && this.isVisible(el)) {
+        findings.push(this.finding('tabindex', '2.4.3', 'serious', el,
+          `Positive tabindex (${el.getAttribute('tabindex')}) changes the natural focus order`));
+      }
+    });
+
+    // Custom controls that keyboard users can't reach
+    const roles = this.interactiveRoles.map(role => `[role="${role}"]`).join(', ');
+    document.querySelectorAll(roles).forEach(el => {
+      if (!this.isNative(el) && !el.hasAttribute('tabindex') && !el.isContentEditable && this.isVisible(el)
+        && el.getAttribute('aria-disabled') !== 'true') {
+        findings.push(this.finding('tabindex', '2.1.1', 'serious', el,
+          `Element with role "${el.getAttribute('role')}" is not focusable (no tabindex)`));
+      }
+    });
+
+    return findings;
+  }
+
+  /**
+   * @private
+   */
+  checkLanguage() {
+    const findings = [];
+    const html = document.documentElement;
+    const lang = html.getAttribute('lang');
+
+    if (!lang || !lang.trim()) {
+      findings.push(this.finding('lang', '3.1.1', 'serious', html, 'Page has no lang attribute'));
+    } else if (!this.isValidLang(lang)) {
+      findings.push(this.finding('lang', '3.1.1', 'serious', html, `Page lang attribute "${lang}" is not a valid language tag`));
+    }
+
+    document.querySelectorAll('body [lang]').forEach(el => {
+      const value = el.getAttribute('lang');
+      // lang="" explicitly means "unknown language", which is allowed
+      if (value && !this.isValidLang(value)) {
+        findings.push(this.finding('lang', '3.1.2', 'serious', el, `lang attribute "${value}" is not a valid language tag`));
+      }
+    });
+
+    return findings;
+  }
+
+  // ============= NAMES =============
+
+  /**
+   * Simplified accessible name: aria-labelledby, aria-label, content (with image alts), title
+   * @private
+   */
+  getAccessibleName(el) {
+    const aria = this.getAriaName(el);
+    if (aria && aria.trim()) return aria.trim();
+
+    const text = el.textContent.trim();
+    if (text) return text;
+
+    const image = el.querySelector('img[alt]:not([alt=""]), svg title, [role="img"][aria-label]');
+    if (image) {
+      return (image.getAttribute('alt') || image.getAttribute('aria-label') || image.textContent).trim();
+    }
+
+    return (el.getAttribute('title') || '').trim();
+  }
+
+  /**
+   * Name from aria-labelledby or aria-label, null when neither is set
+   * @private
+   */
+  getAriaName(el) {
+    const labelledBy = el.getAttribute('aria-labelledby');
+    if (labelledBy) {
+      const text = labelledBy.trim().split(/\s+/)
+        .map(id => document.getElementById(id)?.textContent.trim() || '')
+        .join(' ')
+        .trim();
+      if (text) return text;
+    }
+
+    return el.getAttribute('aria-label');
+  }
+
+  /**
+   * @private
+   */
+  getFieldName(field) {
+    const aria = this.getAriaName(field);
+    if (aria && aria.trim()) return aria.trim();
+
+    const labels = Array.from(field.labels || []).map(label => label.textContent.trim()).join(' ').trim();
+    if (labels) return labels;
+
+    return (field.getAttribute('title') || field.getAttribute('placeholder') || '').trim();
+  }
+
+  // ============= COLOR =============
+
+  /**
+   * @returns {Array|null} [r, g, b, a]
+   * @private
+   */
+  parseColor(value) {
+    const match = String(value).match(/rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)(?:\s*[,/]\s*([\d.]+)(%?))?\s*\)/);
+    if (!match) return null;
+
+    let alpha = match[4] === undefined ? 1 : parseFloat(match[4]);
+    if (match[5]) alpha /= 100;
+    return [parseFloat(match[1]), parseFloat(match[2]), parseFloat(match[3]), alpha];
+  }
+
+  /**
+   * Opaque color of what's behind an element, from its own and its ancestors' background colors
+   * @returns {Array|null} [r, g, b, 1], null over a background image
+   * @private
+   */
+  getBackground(el) {
+    const layers = [];
+
+    for (let current = el; current; current = current.parentElement) {
+      const style = getComputedStyle(current);
+      if (style.backgroundImage && style.backgroundImage !== 'none') return null;
+
+      const color = this.parseColor(style.backgroundColor);
+      if (color && color[3] > 0) {
+        layers.push(color);
+        if (color[3] >= 1) break;
+      }
+    }
+
+    // Page canvas is white unless painted
+    return layers.reduceRight((below, layer) => this.blend(layer, below), [255, 255, 255, 1]);
+  }
+
+  /**
+   * @private
+   */
+  blend(color, below) {
+    if (!color || !below) return null;
+
+    const alpha = color[3];
+    return [
+      color[0] * alpha + below[0] * (1 - alpha),
+      color[1] * alpha + below[1] * (1 - alpha),
+      color[2] * alpha + below[2] * (1 - alpha),
+      1
+    ];
+  }
+
+  /**
+   * WCAG contrast ratio of two opaque colors
+   * @private
+   */
+  contrastRatio(a, b) {
+    const luminance = ([r, g, bl]) => {
+      const [R, G, B] = [r, g, bl].map(channel => {
+        const c = channel / 255;
+        return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+      });
+      return 0.2126 * R + 0.7152 * G + 0.0722 * B;
+    };
+
+    const [lighter, darker] = [luminance(a), luminance(b)].sort((x, y) => y - x);
+    return (lighter + 0.05) / (darker + 0.05);
+  }
+
+  // ============= HELPERS =============
+
+  /**
+   * @private
+   */
+  finding(rule, criterion, impact, el, message) {
+    const [criterionName, level] = this.criteria[criterion];
+    return {
+      rule,
+      criterion,
+      criterionName,
+      level,
+      impact,
+      selector: this.describeNode(el),
+      message
+    };
+  }
+
+  /**
+   * Rendered and not hidden from assistive technology
+   * @private
+   */
+  isExposed(el) {
+    return this.isVisible(el) && !el.closest('[aria-hidden="true"]');
+  }
+
+  /**
+   * @private
+   */
+  isVisible(el) {
+    if (typeof el.checkVisibility === 'function') {
+      return el.checkVisibility({ checkOpacity: true, checkVisibilityCSS: true });
+    }
+
+    const style = getComputedStyle(el);
+    return style.display !== 'none' && style.visibility !== 'hidden' && el.getClientRects().length > 0;
+  }
+
+  /**
+   * Native form controls and links bring their own focus and states
+   * @private
+   */
+  isNative(el) {
+    return ['A', 'BUTTON', 'INPUT', 'SELECT', 'TEXTAREA', 'SUMMARY', 'OPTION'].includes(el.tagName);
+  }
+
+  /**
+   * BCP 47 shape check (language, then subtags)
+   * @private
+   */
+  isValidLang(value) {
+    return /^[a-z]{2,3}(-[a-z0-9]{1,8})*$/i.test(value.trim());
+  }
+
+  /**
+   * @private
+   */
+  describeNode(node) {
+    if (!node || node.nodeType !== Node.ELEMENT_NODE) return null;
+    if (window.DarkVoirUtils) return window.DarkVoirUtils.generateSelector(node);
+    return node.tagName.toLowerCase();
+  }
+}
+
+// ============= INITIALIZATION =============
+
+const accessibilityAudit = new AccessibilityAudit();
+
+if (typeof window !== 'undefined') {
+  window.DarkVoirAccessibilityAudit = AccessibilityAudit;
+  window.accessibilityAudit = accessibilityAudit;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { AccessibilityAudit, accessibilityAudit };
+}
+
+console.log('[Accessibility Audit] Module loaded');
@@ -6,11 +6,6 @@
 class AIBrain {
     constructor() {
         this.learningDB = null;
-        this.apiKeys = {
-            huggingface: 'hf_demo', // Free tier
-            cohere: 'free-trial-key', // Sign up at cohere.ai
-            openrouter: 'sk-or-v1-demo' // OpenRouter free tier
-        };
         this.knowledgeBase = new Map();
         this.errorPatterns = new Map();
         this.successPatterns = new Map();
@@ -251,19 +246,7 @@ class AIBrain {
             }
         }
 
-        // Try multiple AI APIs in parallel
-        const analyses = await Promise.allSettled([
-            this.analyzeWithHuggingFace(issue),
-            this.analyzeWithCohere(issue),
-            this.analyzeWithLocalAI(issue)
-        ]);
-
-        // Return best result
-        for (const result of analyses) {
-            if (result.status === 'fulfilled' && result.value) {
-                return result.value;
-            }
-        }
+        // Model-backed analysis lives in AIProviderRegistry (ai-providers.js)
 
         // Fallback: search internet
         const solution = await this.searchForSolution(issue);
@@ -280,83 +263,17 @@ class AIBrain {
         return this.ruleBasedAnalysis(issue);
     }
 
-    async analyzeWithHuggingFace(issue) {
-        try {
-            const response = await fetch(
-                'https://api-inference.huggingface.co/models/facebook/bart-large-cnn',
-                {
-                    method: 'POST',
-                    headers: {
-                        'Authorization': `Bearer ${this.apiKeys.huggingface}`,
-                        'Content-Type': 'application/json'
-                    },
-                    body: JSON.stringify({
-                        inputs: `Analyze this web issue and provide a fix: ${issue.type} - ${issue.message}`,
-                        parameters: {
-                            max_length: 200,
-                            min_length: 50
-                        }
-                    })
-                }
-            );
-
-            const data = await response.json();
-            if (data && data[0] && data[0].summary_text) {
-                return {
-                    technical: data[0].summary_text,
-                    simplified: data[0].summary_text,
-                    source: 'huggingface'
-                };
-            }
-        } catch (error) {
-            console.error('[AI Brain] Hugging Face failed:', error);
-        }
-        return null;
-    }
-
-    async analyzeWithCohere(issue) {
-        try {
-            const response = await fetch(
-                'https://api.cohere.ai/v1/generate',
-                {
-                    method: 'POST',
-                    headers: {
-                        'Authorization': `Bearer ${this.apiKeys.cohere}`,
-                        'Content-Type': 'application/json'
-                    },
-                    body: JSON.stringify({
-                        model: 'command',
-                        prompt: `You are a web troubleshooting expert. Analyze this issue and provide a concise fix:\n\nIssue Type: ${issue.type}\nError: ${issue.message}\n\nProvide:
-1. What caused it
-2. How to fix it
-3. Prevention tips`,
-                        max_tokens: 200,
-                        temperature: 0.5
-                    })
-                }
-            );
-
-            const data = await response.json();
-            if (data && data.generations && data.generations[0]) {
-                const text = data.generations[0].text;
-                return {
-                    technical: text,
-                    simplified: text.split('\n')[0],
-                    source: 'cohere'
-                };
-            }
-        } catch (error) {
-            console.error('[AI Brain] Cohere failed:', error);
-        }
-        return null;
-    }
-
     async analyzeWithLocalAI(issue) {
         // Use our built-in rules + learning
         return this.ruleBasedAnalysis(issue);
     }
 
     ruleBasedAnalysis(issue) {
+        return AIBrain.ruleBasedAnalysis(issue);
+    }
+
+    // Stateless, so AI providers can use it without loading learning data
+    static ruleBasedAnalysis(issue) {
         const rules = {
             'javascript_error': {
                 'undefined': 'Variable is being used before it\'s defined. Check variable declarations and script load order.',
@@ -404,9 +321,6 @@ class AIBrain {
                 await this.mergeCommunityLearning(communityData);
             }
 
-            // Update API keys if needed
-            await this.refreshAPIKeys();
-
             console.log('[AI Brain] Self-update completed');
         } catch (error) {
             console.error('[AI Brain] Self-update failed:', error);
@@ -428,11 +342,6 @@ class AIBrain {
         }
         await this.saveLearningData();
     }
-
-    async refreshAPIKeys() {
-        // Could fetch updated keys from secure storage
-        // Implement based on your setup
-    }
 }
 
 // Export for use in other files
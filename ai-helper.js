@@ -3,6 +3,35 @@
  * Integrates ALL Chrome AI APIs: Prompt, Writer, Rewriter, Summarizer, Translator
  */
 
+/**
+ * JSON Schema for structured fix answers (Prompt API responseConstraint)
+ */
+const FIX_RESPONSE_SCHEMA = {
+  type: 'object',
+  properties: {
+    rootCause: { type: 'string' },
+    steps: { type: 'array', items: { type: 'string' }, maxItems: 10 },
+    code: {
+      type: 'array',
+      maxItems: 3,
+      items: {
+        type: 'object',
+        properties: {
+          language: { type: 'string' },
+          content: { type: 'string' }
+        },
+        required: ['language', 'content'],
+        additionalProperties: false
+      }
+    },
+    prevention: { type: 'string' },
+    confidence: { type: 'number', minimum: 0, maximum: 1 },
+    references: { type: 'array', items: { type: 'string' }, maxItems: 5 }
+  },
+  required: ['rootCause', 'steps', 'code', 'prevention', 'confidence', 'references'],
+  additionalProperties: false
+};
+
 class ChromeAIHelper {
   constructor() {
     this.sessions = {
@@ -15,6 +44,11 @@ class ChromeAIHelper {
     this.capabilities = {};
     this.isReady = false;
     this.initialized = false;
+    this.maxRepairAttempts = 2;
+    this.maxContextTokens = 1500;
+    this.chatSessions = new Map(); // chat thread id -> Prompt session, least recently used first
+    this.maxChatSessions = 8;
+    this.systemPrompt = 'You are Dark Voir, an expert web troubleshooting assistant. Provide concise, actionable technical solutions focused on fixing the issue.';
   }
   // +++++++++++++++ Pre-check for the start++++++++++++++
   async waitForGeminiNanoAI(timeoutMs = 4000) {
@@ -56,7 +90,7 @@ class ChromeAIHelper {
 
           if (promptCap.available === 'readily' || promptCap.available === 'after-download') {
             this.sessions.prompt = await window.ai.languageModel.create({
-              systemPrompt: "You are Dark Voir, an expert web troubleshooting assistant. Provide concise, actionable technical solutions focused on fixing the issue."
+              systemPrompt: this.systemPrompt
             });
             console.log('[AI Helper] ✓ Prompt API initialized');
           }
@@ -144,6 +178,23 @@ class ChromeAIHelper {
 
   // ============= ISSUE ANALYSIS =============
   async analyzeIssue(issue) {
+    return this.runFixAnalysis(issue, {});
+  }
+
+  /**
+   * Streaming variant: onChunk gets the raw answer text so far
+   * @param {Object} issue - Issue to analyze
+   * @param {Object} options - { onChunk, signal }
+   * @returns {Promise<Object|null>} Analysis result, or null when aborted
+   */
+  async analyzeIssueStreaming(issue, options = {}) {
+    return this.runFixAnalysis(issue, options);
+  }
+
+  /**
+   * @private
+   */
+  async runFixAnalysis(issue, { onChunk, signal } = {}) {
     if (!this.sessions.prompt) {
       return {
         analysis: 'Chrome Built-in AI not available. Enable at chrome://flags/#prompt-api-for-gemini-nano',
@@ -156,42 +207,40 @@ class ChromeAIHelper {
       };
     }
 
+    let session = null;
     try {
-      const prompt = `You are a web troubleshooting expert. Analyze this error and provide a detailed fix:
-
-**Error Type:** ${issue.type || 'Unknown'}
-**Message:** ${issue.message || issue.error || 'No details provided'}
-**URL:** ${issue.url || 'unknown'}
-**Severity:** ${issue.severity || 'medium'}
-${issue.stack ? `**Stack Trace:** ${issue.stack.substring(0, 500)}` : ''}
-
-**Please provide:**
-
-1. **Root Cause (2-3 sentences):** Why this error is happening
-2. **Step-by-Step Fix (numbered list):** Specific actions to resolve it
-3. **Code Example (if applicable):** Wrap in \`\`\` markdown code blocks
-4. **Prevention Tips:** How to avoid this in future
-5. **Confidence Level:** Your confidence (0-100%)
-
-Keep response concise but thorough (max 300 words). Be specific and actionable.`;
+      // A fresh conversation per analysis keeps repair turns out of the shared session
+      session = await this.createScratchSession();
+
+      const options = { responseConstraint: FIX_RESPONSE_SCHEMA };
+      let response;
+      if (onChunk) {
+        response = await this.readStream(session.promptStreaming(this.buildFixPrompt(issue), { ...options, signal }), onChunk);
+        if (signal?.aborted) return null;
+      } else {
+        response = await session.prompt(this.buildFixPrompt(issue), options);
+      }
 
-      const response = await this.sessions.prompt.prompt(prompt);
+      for (let attempt = 0; ; attempt++) {
+        const { value, errors } = ChromeAIHelper.parseFixResponse(response);
+        if (errors.length === 0) {
+          return ChromeAIHelper.toFixResult(value, 'Chrome Built-in AI (Gemini Nano)');
+        }
+        if (attempt >= this.maxRepairAttempts) {
+          console.warn('[AI Helper] Structured fix still invalid after repair:', errors);
+          break;
+        }
 
-      // Parse response
-      const steps = this.extractSteps(response);
-      const code = this.extractCode(response);
+        console.warn('[AI Helper] Invalid structured fix, asking for a repair:', errors);
+        response = await session.prompt(this.buildRepairPrompt(errors), { ...options, signal });
+      }
 
-      return {
-        analysis: response,
-        fix: response,
-        steps: steps,
-        code: code,
-        confidence: 0.92,
-        source: 'Chrome Built-in AI (Gemini Nano)',
-        timestamp: Date.now()
-      };
+      // Keep whatever the model said; the provider chain still prefers a structured answer
+      return ChromeAIHelper.fromFreeText(response, 'Chrome Built-in AI (Gemini Nano)');
 
     } catch (error) {
+      if (signal?.aborted) return null;
+
       console.error('[AI Helper] Analysis failed:', error);
       return {
         analysis: `Error analyzing issue: ${error.message}`,
@@ -202,27 +251,378 @@ Keep response concise but thorough (max 300 words). Be specific and actionable.`
         source: 'Error',
         timestamp: Date.now()
       };
+    } finally {
+      session?.destroy?.();
     }
   }
 
+  buildFixPrompt(issue) {
+    // Prefer the source-mapped stack when the background could resolve it
+    const stack = issue.resolvedStack || issue.stack;
+    const snippet = issue.resolvedFrames?.find(frame => frame.snippet)?.snippet;
+
+    return `You are a web troubleshooting expert. Analyze this error and provide a fix:
+
+**Error Type:** ${issue.type || 'Unknown'}
+**Message:** ${issue.message || issue.error || 'No details provided'}
+**URL:** ${issue.url || 'unknown'}
+**Severity:** ${issue.severity || 'medium'}
+${stack ? `**Stack Trace:** ${stack.substring(0, 500)}` : ''}
+${snippet ? `**Original Source (> marks the failing line):**\n\`\`\`\n${snippet}\n\`\`\`` : ''}
+${ChromeAIHelper.formatFixConstraints(issue)}
+Answer with a JSON object:
+- rootCause: why this error is happening (2-3 sentences)
+- steps: specific actions to resolve it, in order
+- code: code examples as {language, content}; language is css, javascript or html (empty array if none)
+- prevention: how to avoid this in future
+- confidence: your confidence from 0 to 1
+- references: documentation URLs (MDN, web.dev), empty array if unsure
+
+Be specific and actionable.`;
+  }
+
+  buildRepairPrompt(errors) {
+    return `Your previous answer did not match the required JSON format: ${errors.join('; ')}.
+Answer again with only the corrected JSON object.`;
+  }
+
   // ============= CHAT / GENERAL QUERIES =============
-  async chat(message) {
+  /**
+   * Failures throw, so the provider chain can fall back to another provider
+   * @param {string} message - User message
+   * @param {string} context - Context pack from ChatContextBuilder, optional
+   * @param {Object} conversation - Thread from ChatThreadStore.getConversation, optional
+   */
+  async chat(message, context = '', conversation = null) {
     if (!this.sessions.prompt) {
       return 'Chrome Built-in AI is not available. Please enable it in chrome://flags and reload the extension.';
     }
 
     try {
-      const systemContext = `You are Dark Voir, a helpful web troubleshooting assistant. 
+      const session = await this.getChatSession(conversation);
+      const response = await session.prompt(this.buildChatPrompt(message, context, session !== this.sessions.prompt));
+      return response;
+
+    } catch (error) {
+      console.error('[AI Helper] Chat failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Streaming chat: onChunk gets the answer so far; aborting keeps the partial text,
+   * other failures throw like chat()
+   * @param {string} message - User message
+   * @param {string} context - Context pack from ChatContextBuilder, optional
+   * @param {Object} conversation - Thread from ChatThreadStore.getConversation, optional
+   * @param {Object} options - { onChunk, signal }
+   * @returns {Promise<string>} Final (or partial, when aborted) answer
+   */
+  async chatStreaming(message, context = '', conversation = null, { onChunk, signal } = {}) {
+    if (!this.sessions.prompt) {
+      return this.chat(message, context, conversation);
+    }
+
+    try {
+      const session = await this.getChatSession(conversation);
+      const prompt = this.buildChatPrompt(message, context, session !== this.sessions.prompt);
+      return await this.readStream(session.promptStreaming(prompt, { signal }), onChunk);
+    } catch (error) {
+      console.error('[AI Helper] Streaming chat failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Chat where the model may call page tools first, one JSON step at a time
+   * (ChatTools step protocol, enforced with responseConstraint). The steps run on a copy
+   * of the thread's session; the thread only keeps the question and the final answer.
+   * @param {string} message - User message
+   * @param {string} context - Context pack from ChatContextBuilder, optional
+   * @param {Object} conversation - Thread from ChatThreadStore.getConversation, optional
+   * @param {Object} options - { tools: ChatTools, callTool: async (name, args) => result, signal }
+   * @returns {Promise<string|null>} Final answer, null when unavailable or aborted
+   */
+  async chatWithTools(message, context, conversation, { tools, callTool, signal } = {}) {
+    if (!this.sessions.prompt) return null;
+
+    let session = null;
+    try {
+      const threadSession = await this.getChatSession(conversation);
+      const threaded = threadSession !== this.sessions.prompt;
+      session = threaded
+        ? await this.copyThreadSession(threadSession, conversation)
+        : await this.createScratchSession();
+
+      const answer = await this.runToolSteps(session, message, context, threaded, { tools, callTool, signal });
+      if (threaded && answer) {
+        await this.recordThreadTurn(conversation.id, threadSession, message, answer);
+      }
+      return answer;
+    } catch (error) {
+      if (signal?.aborted) return null;
+
+      console.error('[AI Helper] Tool chat failed:', error);
+      return null;
+    } finally {
+      session?.destroy?.();
+    }
+  }
+
+  /**
+   * @private
+   */
+  async runToolSteps(session, message, context, threaded, { tools, callTool, signal }) {
+    const options = { responseConstraint: tools.getStepSchema(), signal };
+    let prompt = `${this.buildChatPrompt(message, context, threaded)}\n\n${tools.buildInstructions()}`;
+
+    for (let step = 0; step < tools.maxSteps; step++) {
+      const response = await session.prompt(prompt, options);
+      const parsed = tools.parseStep(response);
+
+      // Anything but a tool call is the answer
+      if (!parsed) return response;
+      if (parsed.action === 'answer') return parsed.answer;
+
+      const result = await callTool(parsed.tool, parsed.args);
+      prompt = tools.buildResultPrompt(parsed.tool, result, tools.maxSteps - step - 1);
+    }
+
+    return session.prompt(tools.buildFinalPrompt(), { signal });
+  }
+
+  /**
+   * @param {boolean} threaded - The session already carries the system prompt
+   */
+  buildChatPrompt(message, context = '', threaded = false) {
+    const systemContext = threaded ? '' : `${this.getChatSystemPrompt()}\n\n`;
+
+    const pageContext = context
+      ? `${context}\n\nUse this context when the question is about the current page.\n\n`
+      : '';
+
+    return systemContext + pageContext + 'User: ' + message;
+  }
+
+  getChatSystemPrompt() {
+    return `You are Dark Voir, a helpful web troubleshooting assistant. 
       The user is asking for help with web issues, debugging, or troubleshooting.
       Provide concise, helpful, technical answers.`;
+  }
 
-      const response = await this.sessions.prompt.prompt(systemContext + '\n\nUser: ' + message);
-      return response;
+  // ============= CHAT THREAD SESSIONS =============
+
+  /**
+   * Prompt session of a chat thread, created on first use and seeded with the thread's
+   * summary and recent turns as initialPrompts. Without a thread (or when the session
+   * can't be created) the shared session is used.
+   * @param {Object} conversation - { id, summary, messages: [{ role, content }] }
+   */
+  async getChatSession(conversation) {
+    if (!conversation || !window.ai?.languageModel) {
+      return this.sessions.prompt;
+    }
+
+    if (this.chatSessions.has(conversation.id)) {
+      // Re-insert to mark the thread as most recently used
+      const session = this.chatSessions.get(conversation.id);
+      this.chatSessions.delete(conversation.id);
+      this.chatSessions.set(conversation.id, session);
+      return session;
+    }
 
+    try {
+      const session = await this.createThreadSession(conversation);
+      this.chatSessions.set(conversation.id, session);
+      this.evictChatSessions();
+      return session;
     } catch (error) {
-      console.error('[AI Helper] Chat failed:', error);
-      return `Sorry, I encountered an error: ${error.message}`;
+      console.warn('[AI Helper] Thread session creation failed, using the shared session:', error);
+      return this.sessions.prompt;
+    }
+  }
+
+  /**
+   * New Prompt session seeded with a thread's summary and turns
+   * @private
+   */
+  async createThreadSession(conversation) {
+    const system = conversation.summary
+      ? `${this.getChatSystemPrompt()}\n\nSummary of the earlier conversation:\n${conversation.summary}`
+      : this.getChatSystemPrompt();
+
+    return window.ai.languageModel.create({
+      initialPrompts: [
+        { role: 'system', content: system },
+        ...conversation.messages
+      ]
+    });
+  }
+
+  /**
+   * A throwaway copy of a thread's session, for turns the thread shouldn't remember
+   * @private
+   */
+  async copyThreadSession(threadSession, conversation) {
+    if (typeof threadSession.clone === 'function') {
+      return threadSession.clone();
+    }
+    return this.createThreadSession(conversation);
+  }
+
+  /**
+   * Add a question and its answer to a thread's session. Without append() the session
+   * is dropped instead and re-seeded from the stored turns on next use.
+   * @private
+   */
+  async recordThreadTurn(threadId, threadSession, message, answer) {
+    if (typeof threadSession.append === 'function') {
+      try {
+        await threadSession.append([
+          { role: 'user', content: message },
+          { role: 'assistant', content: answer }
+        ]);
+        return;
+      } catch (error) {
+        console.warn('[AI Helper] Could not add the turn to the thread session:', error);
+      }
+    }
+    this.resetChatSession(threadId);
+  }
+
+  /**
+   * Destroy the least recently used thread sessions beyond maxChatSessions;
+   * an evicted thread is re-seeded from its stored turns on next use
+   * @private
+   */
+  evictChatSessions() {
+    while (this.chatSessions.size > this.maxChatSessions) {
+      const [threadId] = this.chatSessions.keys();
+      this.resetChatSession(threadId);
+    }
+  }
+
+  /**
+   * A throwaway Prompt session with the shared system prompt: a clone of the shared
+   * session, or a new session where clone() is unavailable. Callers destroy it.
+   * @private
+   */
+  async createScratchSession() {
+    if (typeof this.sessions.prompt?.clone === 'function') {
+      return this.sessions.prompt.clone();
+    }
+    return window.ai.languageModel.create({ systemPrompt: this.systemPrompt });
+  }
+
+  /**
+   * Drop a thread's session, e.g. after its old turns were summarized or the thread deleted
+   */
+  resetChatSession(threadId) {
+    const session = this.chatSessions.get(threadId);
+    if (session) {
+      session.destroy?.();
+      this.chatSessions.delete(threadId);
+    }
+  }
+
+  /**
+   * How full a thread's session is (the shared session without a thread id)
+   * @returns {Object|null} { usage, quota }, null when unknown
+   */
+  getSessionUsage(threadId) {
+    const session = threadId ? this.chatSessions.get(threadId) : this.sessions.prompt;
+    const quota = session?.inputQuota ?? session?.maxTokens;
+    const usage = session?.inputUsage ?? (session?.maxTokens !== undefined ? session.maxTokens - session.tokensLeft : undefined);
+
+    return typeof quota === 'number' && typeof usage === 'number' ? { usage, quota } : null;
+  }
+
+  /**
+   * Summarize a chat transcript for a thread's memory
+   * @param {string} transcript - Turns to fold in (with the previous summary)
+   * @returns {Promise<string|null>} Summary, null when no model is available
+   */
+  async summarizeConversation(transcript) {
+    try {
+      if (this.sessions.summarizer) {
+        return await this.sessions.summarizer.summarize(transcript, {
+          context: 'A web troubleshooting conversation. Keep the problems discussed, facts about the page and the fixes suggested.'
+        });
+      }
+
+      if (this.sessions.prompt) {
+        const session = await this.createScratchSession();
+        try {
+          return await session.prompt(`Summarize this web troubleshooting conversation in at most 8 short bullet points. Keep the problems discussed, facts about the page and the fixes suggested.\n\n${transcript}`);
+        } finally {
+          session.destroy();
+        }
+      }
+    } catch (error) {
+      console.error('[AI Helper] Conversation summarization failed:', error);
+    }
+
+    return null;
+  }
+
+  // ============= TOKEN BUDGET =============
+
+  /**
+   * Tokens a text would take as prompt input. Uses the session's measureInputUsage
+   * (countPromptTokens on older builds), else estimates ~4 characters per token.
+   * @param {string} text - Prompt text
+   * @returns {Promise<number>}
+   */
+  async measureInputUsage(text) {
+    const session = this.sessions.prompt;
+
+    try {
+      if (typeof session?.measureInputUsage === 'function') {
+        return await session.measureInputUsage(text);
+      }
+      if (typeof session?.countPromptTokens === 'function') {
+        return await session.countPromptTokens(text);
+      }
+    } catch (error) {
+      console.warn('[AI Helper] Token measurement failed, estimating:', error);
+    }
+
+    return Math.ceil(String(text).length / 4);
+  }
+
+  /**
+   * Tokens available for chat context: a fixed cap, or half of what is left of the
+   * session's input quota when that is smaller (the conversation grows the usage)
+   * @param {string} threadId - Chat thread whose session will get the prompt, optional
+   * @returns {number}
+   */
+  getContextBudget(threadId) {
+    const usage = this.getSessionUsage(threadId) || this.getSessionUsage(null);
+    if (!usage) {
+      return this.maxContextTokens;
     }
+
+    return Math.max(0, Math.min(this.maxContextTokens, Math.floor((usage.quota - usage.usage) / 2)));
+  }
+
+  /**
+   * Read a promptStreaming/summarizeStreaming stream, calling onChunk with the text so far.
+   * Older Chrome builds send the full text in every chunk, newer ones only the new part.
+   * An abort ends the read and returns what arrived until then.
+   */
+  async readStream(stream, onChunk) {
+    let text = '';
+
+    try {
+      for await (const chunk of stream) {
+        text = text && chunk.startsWith(text) ? chunk : text + chunk;
+        if (onChunk) onChunk(text);
+      }
+    } catch (error) {
+      if (error.name !== 'AbortError') throw error;
+    }
+
+    return text;
   }
 
   // ============= DOCUMENTATION GENERATION =============
@@ -269,6 +669,38 @@ Keep documentation brief but complete.`;
     }
   }
 
+  // ============= CSP EXPLANATION =============
+  /**
+   * Explain a suggested CSP change (SecurityInspector.suggestPolicy) in plain words
+   * @param {Object} suggestion - { policy, diff, changes, notes }
+   * @returns {Promise<string|null>} Explanation, null when no model is available
+   */
+  async explainCSPSuggestion(suggestion) {
+    if (!this.sessions.prompt || !suggestion) {
+      return null;
+    }
+
+    let session = null;
+    try {
+      session = await this.createScratchSession();
+      return await session.prompt(`You are a web security expert. A page's Content-Security-Policy blocked some resources, and this minimal change to the policy would allow them.
+
+**Current policy:** ${suggestion.policy || '(none)'}
+**Suggested change (- removed, + added):**
+\`\`\`
+${suggestion.diff}
+\`\`\`
+${suggestion.notes.length ? `**Notes:** ${suggestion.notes.join(' ')}` : ''}
+
+In at most 6 short bullet points: what each added source allows, which additions weaken protection against XSS (and a safer alternative), and what to check before deploying it.`);
+    } catch (error) {
+      console.error('[AI Helper] CSP explanation failed:', error);
+      return null;
+    } finally {
+      session?.destroy?.();
+    }
+  }
+
   // ============= ISSUE SUMMARIZATION =============
   async summarizeIssues(issues) {
     if (!this.sessions.summarizer || !issues || issues.length === 0) {
@@ -289,6 +721,29 @@ Keep documentation brief but complete.`;
     }
   }
 
+  /**
+   * Streaming summary: onChunk gets the summary so far
+   * @param {Array} issues - Issues to summarize
+   * @param {Object} options - { onChunk, signal }
+   */
+  async summarizeIssuesStreaming(issues, { onChunk, signal } = {}) {
+    if (!this.sessions.summarizer || !issues || issues.length === 0) {
+      return 'No issues to summarize';
+    }
+
+    try {
+      const text = issues.map(i => {
+        return `[${i.severity?.toUpperCase() || 'MEDIUM'}] ${i.type}: ${i.message}`;
+      }).join('\n');
+
+      return await this.readStream(this.sessions.summarizer.summarizeStreaming(text, { signal }), onChunk);
+
+    } catch (error) {
+      console.error('[AI Helper] Streaming summarization failed:', error);
+      return null;
+    }
+  }
+
   // ============= MESSAGE TRANSLATION =============
   async translateMessage(message, targetLang = 'es') {
     if (!window.ai?.translator) {
@@ -406,17 +861,146 @@ Be concise but thorough.`;
   }
 
   extractCode(text) {
-    if (!text) return '';
+    const blocks = this.extractCodeBlocks(text);
+    return blocks.length > 0 ? blocks[0].content : '';
+  }
+
+  /**
+   * All markdown code blocks as { language, content }
+   */
+  extractCodeBlocks(text) {
+    if (!text) return [];
+
+    return [...text.matchAll(/```([\w+-]*)[^\S\n]*\n([\s\S]*?)```/g)].map(match => ({
+      language: match[1].toLowerCase(),
+      content: match[2].trim()
+    }));
+  }
+
+  // ============= STRUCTURED FIXES =============
 
-    // Extract code from markdown code blocks ```
-    const codeRegex = /```[\w]*\n([\s\S]*?)```/
-    const matches = [...text.matchAll(codeRegex)];
+  /**
+   * Extra fix prompt rules for an issue, '' when there are none
+   * @param {Object} issue - Issue; scriptBlocked is set when the page's CSP forbids eval
+   * @returns {string} Prompt section
+   */
+  static formatFixConstraints(issue) {
+    if (!issue?.scriptBlocked) return '';
+    return `**Constraint:** The page's Content Security Policy forbids eval, so the fix is applied without JavaScript. Give the code as CSS, or as a DOM attribute patch in JSON ([{"selector": "...", "attributes": {"name": "value"}}]) - no event handler attributes or javascript: URLs.\n`;
+  }
 
-    if (matches.length > 0) {
-      return matches.trim(); // Return first code block[1]
+  /**
+   * Parse and validate a structured fix answer
+   * @param {string} text - Model output
+   * @returns {Object} { value, errors } - value is normalized when errors is empty
+   */
+  static parseFixResponse(text) {
+    let value;
+    try {
+      // Some backends wrap JSON in a code fence despite the constraint
+      value = JSON.parse(String(text || '').trim().replace(/^```(?:json)?\s*|\s*```$/g, ''));
+    } catch (error) {
+      return { value: null, errors: [`not valid JSON (${error.message})`] };
     }
 
-    return '';
+    const errors = ChromeAIHelper.validateFixResponse(value);
+    return { value: errors.length === 0 ? ChromeAIHelper.normalizeFixResponse(value) : value, errors };
+  }
+
+  /**
+   * Check a value against FIX_RESPONSE_SCHEMA
+   * @returns {Array} Error messages (empty when valid)
+   */
+  static validateFixResponse(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return ['expected a JSON object'];
+    }
+
+    const errors = [];
+    const isStringArray = list => Array.isArray(list) && list.every(item => typeof item === 'string');
+
+    FIX_RESPONSE_SCHEMA.required.forEach(field => {
+      if (!(field in value)) errors.push(`missing "${field}"`);
+    });
+
+    if ('rootCause' in value && (typeof value.rootCause !== 'string' || !value.rootCause.trim())) {
+      errors.push('"rootCause" must be a non-empty string');
+    }
+    if ('steps' in value && !isStringArray(value.steps)) {
+      errors.push('"steps" must be an array of strings');
+    }
+    if ('code' in value && !(Array.isArray(value.code) && value.code.every(block =>
+      block && typeof block.language === 'string' && typeof block.content === 'string'))) {
+      errors.push('"code" must be an array of {language, content} strings');
+    }
+    if ('prevention' in value && typeof value.prevention !== 'string') {
+      errors.push('"prevention" must be a string');
+    }
+    if ('confidence' in value && (typeof value.confidence !== 'number' || isNaN(value.confidence) ||
+      value.confidence < 0 || value.confidence > 1)) {
+      errors.push('"confidence" must be a number from 0 to 1');
+    }
+    if ('references' in value && !isStringArray(value.references)) {
+      errors.push('"references" must be an array of strings');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Trim, bound and clean a valid answer
+   */
+  static normalizeFixResponse(value) {
+    return {
+      rootCause: value.rootCause.trim(),
+      steps: value.steps.map(step => step.trim().replace(/^\d+[.)]\s*/, '')).filter(Boolean).slice(0, 10),
+      code: value.code
+        .map(block => ({ language: block.language.trim().toLowerCase(), content: block.content.trim() }))
+        .filter(block => block.content)
+        .slice(0, 3),
+      prevention: value.prevention.trim(),
+      confidence: Math.round(value.confidence * 100) / 100,
+      references: value.references.map(ref => ref.trim()).filter(ref => /^https?:\/\//.test(ref)).slice(0, 5)
+    };
+  }
+
+  /**
+   * Analysis result the UI and storage use, from a structured answer
+   * @param {Object} structured - Normalized structured fix
+   * @param {string} source - Display name of the backend
+   */
+  static toFixResult(structured, source) {
+    const firstBlock = structured.code[0];
+
+    return {
+      analysis: structured.rootCause,
+      fix: structured.steps.join('\n'),
+      steps: structured.steps,
+      code: firstBlock ? firstBlock.content : '',
+      language: firstBlock ? firstBlock.language : '',
+      confidence: structured.confidence,
+      structured: structured,
+      source: source,
+      timestamp: Date.now()
+    };
+  }
+
+  /**
+   * Best-effort structured result from a free-form markdown answer. The model gave no
+   * confidence, so it is 0 and the result is flagged freeText.
+   */
+  static fromFreeText(text, source) {
+    const helper = ChromeAIHelper.prototype;
+    const prose = String(text || '').replace(/```[\s\S]*?```/g, '').trim();
+
+    return { ...ChromeAIHelper.toFixResult({
+      rootCause: prose.split(/\n\s*\n/)[0] || prose,
+      steps: helper.extractSteps(text),
+      code: helper.extractCodeBlocks(text),
+      prevention: '',
+      confidence: 0,
+      references: (String(text || '').match(/https?:\/\/[^\s)>\]]+/g) || []).slice(0, 5)
+    }, source), freeText: true };
   }
 
   extractPatterns(text) {
@@ -626,6 +1210,7 @@ Be concise but thorough.`;
 
 if (typeof window !== 'undefined') {
   window.ChromeAIHelper = ChromeAIHelper;
+  window.FIX_RESPONSE_SCHEMA = FIX_RESPONSE_SCHEMA;
 }
 
 console.log('[AI Helper] Module loaded - Full Chrome AI integration ready');
\ No newline at end of file
@@ -0,0 +1,713 @@
+/**
+ * Dark Voir - AI Provider Layer
+ * One interface (analyze, chat, summarize, rewrite, translate) over pluggable AI backends
+ */
+
+const AI_FEATURES = ['analyze', 'chat', 'summarize', 'rewrite', 'translate'];
+
+const AI_SYSTEM_PROMPT = 'You are Dark Voir, an expert web troubleshooting assistant. Provide concise, actionable technical solutions focused on fixing the issue.';
+
+// ============================================
+// BASE PROVIDER
+// ============================================
+
+class AIProvider {
+  constructor(id, name) {
+    this.id = id;
+    this.name = name;
+    this.features = [];
+  }
+
+  supports(feature) {
+    return this.features.includes(feature);
+  }
+
+  /**
+   * Whether this backend can serve the feature right now
+   * @param {string} feature - Feature name
+   * @returns {Promise<boolean>}
+   */
+  async isAvailable(feature) {
+    return this.supports(feature);
+  }
+
+  /**
+   * Build the fix prompt shared by text-generation backends
+   * @param {Object} issue - Issue to analyze
+   * @returns {string} Prompt text
+   */
+  buildIssuePrompt(issue) {
+    return `Analyze this web error and provide a detailed fix:
+
+**Error Type:** ${issue.type || 'Unknown'}
+**Message:** ${issue.message || issue.error || 'No details provided'}
+**URL:** ${issue.url || 'unknown'}
+**Severity:** ${issue.severity || 'medium'}
+${this.formatStackContext(issue)}
+${ChromeAIHelper.formatFixConstraints(issue)}
+Provide: the root cause (2-3 sentences), a numbered step-by-step fix, a code example in a markdown code block if applicable, and prevention tips.
+Keep the response under 300 words.`;
+  }
+
+  /**
+   * Fix prompt for backends that return FIX_RESPONSE_SCHEMA JSON
+   * @param {Object} issue - Issue to analyze
+   * @returns {string} Prompt text
+   */
+  buildStructuredIssuePrompt(issue) {
+    return `Analyze this web error and provide a fix:
+
+**Error Type:** ${issue.type || 'Unknown'}
+**Message:** ${issue.message || issue.error || 'No details provided'}
+**URL:** ${issue.url || 'unknown'}
+**Severity:** ${issue.severity || 'medium'}
+${this.formatStackContext(issue)}
+${ChromeAIHelper.formatFixConstraints(issue)}
+Answer with a JSON object: rootCause (2-3 sentences), steps (ordered actions), code (examples as {language, content}, language css, javascript or html), prevention, confidence (0 to 1) and references (documentation URLs).`;
+  }
+
+  /**
+   * Stack trace (source-mapped when available) plus the failing source lines
+   * @param {Object} issue - Issue
+   * @returns {string} Prompt section
+   */
+  formatStackContext(issue) {
+    const stack = issue.resolvedStack || issue.stack;
+    if (!stack) return '';
+
+    const snippet = issue.resolvedFrames?.find(frame => frame.snippet)?.snippet;
+    return `**Stack Trace:** ${stack.substring(0, 500)}` +
+      (snippet ? `\n**Original Source (> marks the failing line):**\n\`\`\`\n${snippet}\n\`\`\`` : '');
+  }
+
+  /**
+   * Turn a free-form answer into the analysis shape the UI renders
+   * @param {string} text - Model output
+   * @param {string} source - Display name of the backend
+   * @returns {Object} Analysis result
+   */
+  toAnalysis(text, source) {
+    return ChromeAIHelper.fromFreeText(text, source);
+  }
+}
+
+// ============================================
+// CHROME BUILT-IN AI (GEMINI NANO)
+// ============================================
+
+class ChromeBuiltInProvider extends AIProvider {
+  constructor(aiHelper) {
+    super('chrome-builtin', 'Chrome Built-in AI');
+    this.aiHelper = aiHelper;
+    this.features = [...AI_FEATURES];
+  }
+
+  async isAvailable(feature) {
+    const sessions = this.aiHelper?.sessions || {};
+
+    switch (feature) {
+      case 'analyze':
+      case 'chat':
+        return !!sessions.prompt;
+      case 'summarize':
+        return !!sessions.summarizer;
+      case 'rewrite':
+        return !!sessions.rewriter;
+      case 'translate':
+        return typeof window !== 'undefined' && !!window.ai?.translator;
+      default:
+        return false;
+    }
+  }
+
+  async analyze(issue) {
+    const result = await this.aiHelper.analyzeIssue(issue);
+    // ChromeAIHelper reports failures as a result without a structured fix
+    return result?.structured ? result : null;
+  }
+
+  async analyzeStream(issue, options) {
+    const result = await this.aiHelper.analyzeIssueStreaming(issue, options);
+    return result?.structured ? result : null;
+  }
+
+  async chat(message, context, conversation) {
+    return this.aiHelper.chat(message, context, conversation);
+  }
+
+  async chatStream(message, context, conversation, options) {
+    return this.aiHelper.chatStreaming(message, context, conversation, options);
+  }
+
+  async chatWithTools(message, context, conversation, options) {
+    return this.aiHelper.chatWithTools(message, context, conversation, options);
+  }
+
+  async summarize(issues) {
+    return this.aiHelper.summarizeIssues(issues);
+  }
+
+  async summarizeStream(issues, options) {
+    return this.aiHelper.summarizeIssuesStreaming(issues, options);
+  }
+
+  async rewrite(text) {
+    return this.aiHelper.improveErrorMessage(text);
+  }
+
+  async translate(text, targetLang) {
+    return this.aiHelper.translateMessage(text, targetLang);
+  }
+}
+
+// ============================================
+// OPENAI-COMPATIBLE HTTP ENDPOINT
+// ============================================
+
+class OpenAICompatibleProvider extends AIProvider {
+  constructor(config = {}) {
+    super('openai-compatible', 'OpenAI-compatible endpoint');
+    this.features = [...AI_FEATURES];
+    this.maxRepairAttempts = 2;
+    this.configure(config);
+  }
+
+  /**
+   * @param {Object} config - { baseUrl, model, apiKey }
+   */
+  configure(config = {}) {
+    this.baseUrl = (config.baseUrl || '').trim().replace(/\/+$/, '');
+    this.model = (config.model || '').trim();
+    this.apiKey = (config.apiKey || '').trim();
+  }
+
+  async isAvailable(feature) {
+    return this.supports(feature) && !!this.baseUrl;
+  }
+
+  /**
+   * Send a chat completion request (works with llama.cpp server, Ollama, vLLM, ...)
+   * @private
+   */
+  async complete(messages, options = {}) {
+    const response = await this.request(messages, options);
+    const data = await response.json();
+    return data.choices?.[0]?.message?.content?.trim() || null;
+  }
+
+  /**
+   * Streamed chat completion (server-sent events); an abort returns the text so far
+   * @private
+   */
+  async completeStream(messages, { onChunk, signal } = {}) {
+    let text = '';
+
+    try {
+      const response = await this.request(messages, { stream: true, signal });
+      const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+      let buffer = '';
+
+      while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+
+        buffer += value;
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        lines.forEach(line => {
+          const data = line.replace(/^data:\s*/, '').trim();
+          if (!line.startsWith('data:') || !data || data === '[DONE]') return;
+
+          try {
+            const delta = JSON.parse(data).choices?.[0]?.delta?.content;
+            if (delta) {
+              text += delta;
+              if (onChunk) onChunk(text);
+            }
+          } catch (e) {
+            // Keep-alive or vendor-specific line
+          }
+        });
+      }
+    } catch (error) {
+      if (error.name !== 'AbortError') throw error;
+    }
+
+    return text.trim() || null;
+  }
+
+  /**
+   * @private
+   */
+  async request(messages, options = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+
+    const body = {
+      model: this.model || undefined,
+      messages: messages,
+      temperature: 0.3
+    };
+    if (options.schema) {
+      body.response_format = {
+        type: 'json_schema',
+        json_schema: { name: options.schemaName || 'response', schema: options.schema, strict: true }
+      };
+    }
+    if (options.stream) {
+      body.stream = true;
+    }
+    if (options.tools) {
+      body.tools = options.tools;
+    }
+
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: headers,
+      body: JSON.stringify(body),
+      signal: options.signal
+    });
+
+    if (!response.ok) {
+      throw new Error(`Endpoint returned HTTP ${response.status}`);
+    }
+
+    return response;
+  }
+
+  async analyze(issue) {
+    const source = `${this.name}${this.model ? ` (${this.model})` : ''}`;
+    const messages = [
+      { role: 'system', content: AI_SYSTEM_PROMPT },
+      { role: 'user', content: this.buildStructuredIssuePrompt(issue) }
+    ];
+    const options = { schema: FIX_RESPONSE_SCHEMA, schemaName: 'fix' };
+
+    let text;
+    try {
+      text = await this.complete(messages, options);
+    } catch (error) {
+      // Servers without structured output support reject response_format
+      console.warn('[AI Providers] Structured output rejected, falling back to free text:', error.message);
+      const fallback = await this.complete([messages[0], { role: 'user', content: this.buildIssuePrompt(issue) }]);
+      return fallback ? this.toAnalysis(fallback, source) : null;
+    }
+
+    for (let attempt = 0; text; attempt++) {
+      const { value, errors } = ChromeAIHelper.parseFixResponse(text);
+      if (errors.length === 0) {
+        return ChromeAIHelper.toFixResult(value, source);
+      }
+      if (attempt >= this.maxRepairAttempts) break;
+
+      messages.push(
+        { role: 'assistant', content: text },
+        { role: 'user', content: `That did not match the required JSON format: ${errors.join('; ')}. Answer again with only the corrected JSON object.` }
+      );
+      text = await this.complete(messages, options);
+    }
+
+    return text ? this.toAnalysis(text, source) : null;
+  }
+
+  async chat(message, context, conversation) {
+    return this.complete(this.buildChatMessages(message, context, conversation));
+  }
+
+  async chatStream(message, context, conversation, options) {
+    return this.completeStream(this.buildChatMessages(message, context, conversation), options);
+  }
+
+  /**
+   * Chat with OpenAI function calling: tool calls are run and their results sent back
+   * until the model answers; the last round offers no tools, forcing an answer.
+   * Servers without tool support reject the request, which falls through to plain chat.
+   */
+  async chatWithTools(message, context, conversation, { tools, callTool, signal } = {}) {
+    const messages = this.buildChatMessages(message, context, conversation);
+
+    for (let round = 0; round <= tools.maxSteps; round++) {
+      const offerTools = round < tools.maxSteps;
+      const response = await this.request(messages, { tools: offerTools ? tools.toOpenAITools() : undefined, signal });
+      const reply = (await response.json()).choices?.[0]?.message;
+      const calls = offerTools ? reply?.tool_calls || [] : [];
+
+      if (calls.length === 0) {
+        return reply?.content?.trim() || null;
+      }
+
+      messages.push({ role: 'assistant', content: reply.content || null, tool_calls: calls });
+      for (const call of calls) {
+        let args = {};
+        try {
+          args = JSON.parse(call.function?.arguments || '{}');
+        } catch (e) {
+          // Malformed arguments - the tool reports what is missing
+        }
+
+        const result = await callTool(call.function?.name, args);
+        messages.push({ role: 'tool', tool_call_id: call.id, content: tools.formatResult(result) });
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * The endpoint is stateless, so the thread's summary and recent turns go with every request
+   * @private
+   */
+  buildChatMessages(message, context = '', conversation = null) {
+    const messages = [
+      { role: 'system', content: 'You are Dark Voir, a helpful web troubleshooting assistant. Provide concise, helpful, technical answers.' }
+    ];
+    if (conversation?.summary) {
+      messages.push({ role: 'system', content: `Summary of the earlier conversation:\n${conversation.summary}` });
+    }
+    if (conversation) {
+      messages.push(...conversation.messages);
+    }
+    if (context) {
+      messages.push({ role: 'system', content: `${context}\n\nUse this context when the question is about the current page.` });
+    }
+    messages.push({ role: 'user', content: message });
+    return messages;
+  }
+
+  async summarize(issues) {
+    if (!issues || issues.length === 0) return null;
+
+    const text = issues.map(i => `[${i.severity?.toUpperCase() || 'MEDIUM'}] ${i.type}: ${i.message}`).join('\n');
+    return this.complete([
+      { role: 'system', content: 'Summarize these web page issues as short markdown key points.' },
+      { role: 'user', content: text }
+    ]);
+  }
+
+  async rewrite(text) {
+    return this.complete([
+      { role: 'system', content: 'Make this error message clearer, more user-friendly, and more actionable while keeping technical accuracy. Answer with the rewritten message only.' },
+      { role: 'user', content: text }
+    ]);
+  }
+
+  async translate(text, targetLang) {
+    return this.complete([
+      { role: 'system', content: `Translate the user's text to the language with code "${targetLang}". Answer with the translation only.` },
+      { role: 'user', content: text }
+    ]);
+  }
+}
+
+// ============================================
+// RULE-BASED (AI BRAIN)
+// ============================================
+
+class RuleBasedProvider extends AIProvider {
+  constructor() {
+    super('rule-based', 'Rule-based analysis');
+    this.features = ['analyze', 'summarize'];
+  }
+
+  async isAvailable(feature) {
+    return this.supports(feature) && typeof AIBrain !== 'undefined';
+  }
+
+  async analyze(issue) {
+    const result = AIBrain.ruleBasedAnalysis(issue);
+
+    return ChromeAIHelper.toFixResult({
+      rootCause: result.technical,
+      steps: result.simplified !== result.technical ? [result.simplified] : [],
+      code: [],
+      prevention: '',
+      confidence: result.source === 'rule-based' ? 0.4 : 0.2,
+      references: []
+    }, 'Rule-based analysis');
+  }
+
+  async summarize(issues) {
+    if (!issues || issues.length === 0) return null;
+
+    const byType = {};
+    issues.forEach(issue => {
+      const type = issue.type || 'unknown';
+      byType[type] = (byType[type] || 0) + 1;
+    });
+
+    const critical = issues.filter(i => i.severity === 'critical' || i.severity === 'high').length;
+    const lines = Object.entries(byType)
+      .sort((a, b) => b[1] - a[1])
+      .map(([type, count]) => `- **${type}**: ${count}`);
+
+    return `- ${issues.length} issues, ${critical} critical or high\n${lines.join('\n')}`;
+  }
+}
+
+// ============================================
+// PROVIDER REGISTRY
+// ============================================
+
+class AIProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+    this.defaultOrder = ['chrome-builtin', 'openai-compatible', 'rule-based'];
+    this.selection = {};
+  }
+
+  /**
+   * Create a registry with all built-in backends registered
+   * @param {ChromeAIHelper} aiHelper - Chrome AI helper instance
+   * @param {Object} settings - dark_voir_settings
+   * @returns {AIProviderRegistry}
+   */
+  static createDefault(aiHelper, settings = {}) {
+    const registry = new AIProviderRegistry();
+    registry.register(new ChromeBuiltInProvider(aiHelper));
+    registry.register(new OpenAICompatibleProvider());
+    registry.register(new RuleBasedProvider());
+    registry.configure(settings);
+    return registry;
+  }
+
+  register(provider) {
+    if (!provider || !provider.id) {
+      console.warn('[AI Providers] Invalid provider');
+      return;
+    }
+    this.providers.set(provider.id, provider);
+  }
+
+  get(id) {
+    return this.providers.get(id) || null;
+  }
+
+  /**
+   * Apply per-feature selection and endpoint config from settings
+   * @param {Object} settings - dark_voir_settings
+   */
+  configure(settings = {}) {
+    this.selection = settings.aiProviders || {};
+    this.get('openai-compatible')?.configure(settings.openaiEndpoint || {});
+  }
+
+  /**
+   * Selected provider first, then the rest in default order
+   * @param {string} feature - Feature name
+   * @returns {Array} Providers to try
+   */
+  getProviderOrder(feature) {
+    const selected = this.selection[feature];
+    const ids = selected ? [selected, ...this.defaultOrder.filter(id => id !== selected)] : this.defaultOrder;
+    return ids.map(id => this.get(id)).filter(Boolean);
+  }
+
+  /**
+   * Run a feature through the provider chain until one returns a result. Free-text
+   * analyses count as failures; the first one is only returned when nothing else answers.
+   * @param {string} feature - Feature name
+   * @param {...*} args - Feature arguments
+   * @returns {Promise<Object>} { result, provider }
+   */
+  async run(feature, ...args) {
+    let fallback = null;
+    for (const provider of this.getProviderOrder(feature)) {
+      if (!provider.supports(feature)) continue;
+
+      try {
+        if (!(await provider.isAvailable(feature))) continue;
+
+        const result = await provider[feature](...args);
+        if (result?.freeText) {
+          fallback = fallback || { result, provider: provider.id };
+        } else if (result !== null && result !== undefined && result !== '') {
+          return { result, provider: provider.id };
+        }
+      } catch (error) {
+        console.warn(`[AI Providers] ${provider.id} failed for ${feature}:`, error);
+      }
+    }
+
+    return fallback || { result: null, provider: null };
+  }
+
+  /**
+   * Like run(), but uses the provider's streaming method (`<feature>Stream`) when it has one;
+   * other providers deliver their whole answer as a single chunk. An abort stops the chain -
+   * the partial answer has already gone to onChunk.
+   * @param {string} feature - Feature name
+   * @param {Array} args - Feature arguments
+   * @param {Object} options - { onChunk, signal }
+   * @returns {Promise<Object>} { result, provider, aborted }
+   */
+  async runStream(feature, args, options = {}) {
+    let fallback = null;
+    for (const provider of this.getProviderOrder(feature)) {
+      if (!provider.supports(feature)) continue;
+
+      try {
+        if (!(await provider.isAvailable(feature))) continue;
+
+        let result;
+        if (typeof provider[`${feature}Stream`] === 'function') {
+          result = await provider[`${feature}Stream`](...args, options);
+        } else {
+          result = await provider[feature](...args);
+          if (typeof result === 'string' && result && options.onChunk && !options.signal?.aborted) {
+            options.onChunk(result);
+          }
+        }
+
+        if (options.signal?.aborted) {
+          return { result, provider: provider.id, aborted: true };
+        }
+        if (result?.freeText) {
+          fallback = fallback || { result, provider: provider.id, aborted: false };
+        } else if (result !== null && result !== undefined && result !== '') {
+          return { result, provider: provider.id, aborted: false };
+        }
+      } catch (error) {
+        if (options.signal?.aborted) {
+          return { result: null, provider: provider.id, aborted: true };
+        }
+        console.warn(`[AI Providers] ${provider.id} failed for ${feature}:`, error);
+      }
+    }
+
+    return fallback || { result: null, provider: null, aborted: false };
+  }
+
+  // ============= FEATURE SHORTCUTS =============
+
+  async analyze(issue) {
+    const { result } = await this.run('analyze', issue);
+    return result || this.getUnavailableAnalysis();
+  }
+
+  /**
+   * Streaming analysis; resolves to null when aborted
+   */
+  async analyzeStream(issue, options = {}) {
+    const { result, aborted } = await this.runStream('analyze', [issue], options);
+    if (aborted) return result || null;
+    return result || this.getUnavailableAnalysis();
+  }
+
+  /**
+   * @private
+   */
+  getUnavailableAnalysis() {
+    return {
+      analysis: 'No AI provider is available. Enable Chrome Built-in AI or configure an endpoint in Settings.',
+      fix: 'Configure an AI provider in Settings',
+      steps: [],
+      code: '',
+      confidence: 0,
+      source: 'Not Available',
+      timestamp: Date.now()
+    };
+  }
+
+  async chat(message, context = '', conversation = null) {
+    const { result } = await this.run('chat', message, context, conversation);
+    return result || 'No AI provider is available. Enable Chrome Built-in AI or configure an endpoint in Settings.';
+  }
+
+  /**
+   * Streaming chat; resolves to the partial answer when aborted
+   * @param {string} message - User message
+   * @param {string} context - Context pack from ChatContextBuilder, optional
+   * @param {Object} conversation - Thread from ChatThreadStore.getConversation, optional
+   * @param {Object} options - { onChunk, signal }
+   */
+  async chatStream(message, context = '', conversation = null, options = {}) {
+    const { result, aborted } = await this.runStream('chat', [message, context, conversation], options);
+    if (aborted) return result || '';
+    return result || 'No AI provider is available. Enable Chrome Built-in AI or configure an endpoint in Settings.';
+  }
+
+  /**
+   * Chat where the model can call page tools (ChatTools), using the first provider for
+   * chat that supports tool calls
+   * @param {Object} options - { tools, callTool, signal }
+   * @returns {Promise<Object>} { result, provider } - result null when no provider could
+   *   do tool calls (the caller falls back to plain chat) or the user stopped it
+   */
+  async chatWithTools(message, context = '', conversation = null, options = {}) {
+    for (const provider of this.getProviderOrder('chat')) {
+      if (!provider.supports('chat') || typeof provider.chatWithTools !== 'function') continue;
+
+      try {
+        if (!(await provider.isAvailable('chat'))) continue;
+
+        const result = await provider.chatWithTools(message, context, conversation, options);
+        if (options.signal?.aborted) break;
+        if (result) {
+          return { result, provider: provider.id };
+        }
+      } catch (error) {
+        if (options.signal?.aborted) break;
+        console.warn(`[AI Providers] ${provider.id} failed for chat with tools:`, error);
+      }
+    }
+
+    return { result: null, provider: null };
+  }
+
+  async summarize(issues) {
+    const { result } = await this.run('summarize', issues);
+    return result;
+  }
+
+  async summarizeStream(issues, options = {}) {
+    const { result } = await this.runStream('summarize', [issues], options);
+    return result;
+  }
+
+  async rewrite(text) {
+    const { result } = await this.run('rewrite', text);
+    return result || text;
+  }
+
+  async translate(text, targetLang = 'es') {
+    const { result } = await this.run('translate', text, targetLang);
+    return result || text;
+  }
+
+  /**
+   * List providers for the settings UI
+   * @returns {Array} { id, name, features }
+   */
+  listProviders() {
+    return Array.from(this.providers.values()).map(p => ({
+      id: p.id,
+      name: p.name,
+      features: [...p.features]
+    }));
+  }
+}
+
+// ============================================
+// GLOBAL INITIALIZATION
+// ============================================
+
+if (typeof window !== 'undefined') {
+  window.AIProviderRegistry = AIProviderRegistry;
+  window.AIProvider = AIProvider;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    AI_FEATURES,
+    AIProvider,
+    ChromeBuiltInProvider,
+    OpenAICompatibleProvider,
+    RuleBasedProvider,
+    AIProviderRegistry
+  };
+}
+
+console.log('[AI Providers] Module loaded');
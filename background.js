@@ -3,6 +3,8 @@
  * Handles all issue tracking, AI interactions, and badge management
  */
 
+importScripts('guide-planner.js', 'issue-store.js', 'source-map-resolver.js', 'har-exporter.js', 'fix-pipeline.js', 'security-inspector.js');
+
 // ============================================
 // CHROME NAVIGATION EVENT LISTENERS
 // ============================================
@@ -37,6 +39,11 @@ class AITroubleshooterBackground {
     this.tabErrorLogs = new Map();
     this.performanceMetrics = new Map();
     this.networkMonitoring = new Map();
+    this.securityHeaders = new Map();
+    this.settings = {};
+    this.aiHostCreating = null;
+    this.autoFixQueue = Promise.resolve();
+    this.pageScriptSync = Promise.resolve();
     this.init();
   }
 
@@ -54,18 +61,37 @@ class AITroubleshooterBackground {
     chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
       if (changeInfo.status === 'complete') {
         this.initializeTabMonitoring(tabId);
+        this.inspectSecurityHeaders(tabId, tab.url);
       }
     });
 
+    // Keep the document's response headers so they can be checked once it has loaded
+    chrome.webRequest.onHeadersReceived.addListener((details) => {
+      if (details.tabId >= 0) {
+        this.securityHeaders.set(details.tabId, { url: details.url, headers: details.responseHeaders || [] });
+      }
+    }, { urls: ['<all_urls>'], types: ['main_frame'] }, ['responseHeaders', 'extraHeaders']);
+
     // Clean up closed tabs
     chrome.tabs.onRemoved.addListener((tabId) => {
       this.issues.delete(tabId);
       this.tabErrorLogs.delete(tabId);
       this.performanceMetrics.delete(tabId);
       this.networkMonitoring.delete(tabId);
+      this.securityHeaders.delete(tabId);
+      this.clearFixJournal(tabId);
       this.cleanupAISessions();
     });
 
+    // Applied fixes don't survive a new document, so neither does their undo journal
+    chrome.webNavigation.onCommitted.addListener((details) => {
+      if (details.frameId === 0) {
+        this.clearFixJournal(details.tabId);
+      } else if (this.settings.monitorFrames === true) {
+        this.injectFrameScripts(details.tabId, details.frameId, details.url);
+      }
+    });
+
     // Handle keyboard shortcuts/commands
     chrome.commands.onCommand.addListener((command) => {
       this.handleCommand(command);
@@ -75,6 +101,19 @@ class AITroubleshooterBackground {
     chrome.alarms.onAlarm.addListener((alarm) => {
       this.handleAlarm(alarm);
     });
+    this.scheduleAlarms();
+
+    // Keep settings in sync with the popup
+    this.loadSettings().then(() => this.syncPageScripts());
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === 'local' && changes.dark_voir_settings) {
+        this.settings = changes.dark_voir_settings.newValue || {};
+        this.syncPageScripts();
+      }
+      if (area === 'local' && changes.dark_voir_source_maps) {
+        sourceMapResolver.clearCache();
+      }
+    });
 
     console.log('[Background] Event listeners registered');
   }
@@ -91,7 +130,7 @@ class AITroubleshooterBackground {
         // Report Issue Cases
         case 'reportIssue':
         case 'REPORT_ISSUE':
-          await this.processIssue(request.issue || request.data, tabId);
+          await this.processIssue(request.issue || request.data, tabId, sender.tab?.url);
           sendResponse({ success: true });
           break;
 
@@ -114,6 +153,42 @@ class AITroubleshooterBackground {
           sendResponse({ success: true, issues: allIssuesArray });
           break;
 
+        // Page Through Stored Issues
+        case 'QUERY_ISSUES':
+          const page = await issueStore.query(request.query || {});
+          sendResponse({ success: true, ...page });
+          break;
+
+        // Page Through Issue Groups
+        case 'QUERY_GROUPS':
+          const groupPage = await issueStore.queryGroups(request.query || {});
+          sendResponse({ success: true, ...groupPage });
+          break;
+
+        // List Origins With Stored Issues
+        case 'GET_ISSUE_ORIGINS':
+          const origins = await issueStore.listOrigins();
+          sendResponse({ success: true, origins });
+          break;
+
+        // Dismiss Stored Issue
+        case 'DISMISS_ISSUE':
+          await issueStore.delete(request.id);
+          this.issues.forEach((tabIssues, id) => {
+            this.issues.set(id, tabIssues.filter(issue => issue.id !== request.id));
+          });
+          sendResponse({ success: true });
+          break;
+
+        // Dismiss Issue Group
+        case 'DISMISS_GROUP':
+          await issueStore.deleteGroup(request.fingerprint);
+          this.issues.forEach((tabIssues, id) => {
+            this.issues.set(id, tabIssues.filter(issue => issue.fingerprint !== request.fingerprint));
+          });
+          sendResponse({ success: true });
+          break;
+
         // Generate AI Fix
         case 'generateFix':
         case 'GENERATE_FIX':
@@ -121,12 +196,42 @@ class AITroubleshooterBackground {
           sendResponse({ success: true, fix });
           break;
 
+        // Bulk AI Analysis
+        case 'ANALYZE_BULK':
+          const bulkIssues = request.issues ||
+            this.issues.get(tabId || request.tabId) ||
+            Array.from(this.issues.values()).flat();
+          const bulkAnalysis = await this.analyzeBulkIssues(bulkIssues);
+          sendResponse({ success: !!bulkAnalysis, analysis: bulkAnalysis });
+          break;
+
+        // Plan Visual Guide
+        case 'GET_VISUAL_GUIDE':
+          const plan = await this.generateVisualGuide(request.data);
+          sendResponse({ success: true, guide: plan.steps, source: plan.source });
+          break;
+
         // Clear Issues
         case 'clearTabIssues':
         case 'CLEAR_ISSUES':
-          this.issues.set(tabId, []);
-          await this.updateBadge(tabId, 0);
-          await chrome.storage.local.set({ dark_voir_issues: [] });
+          if (request.all) {
+            this.issues.forEach((tabIssues, id) => {
+              this.issues.set(id, []);
+              this.updateBadge(id, 0);
+            });
+            await issueStore.clear();
+          } else {
+            const clearTabId = tabId || request.tabId;
+            this.issues.set(clearTabId, []);
+            await this.updateBadge(clearTabId, 0);
+
+            // Stored issues of the tab's site only; clear() without an origin empties the store
+            const tabUrl = sender.tab?.url || (clearTabId ? (await chrome.tabs.get(clearTabId).catch(() => null))?.url : null);
+            const origin = tabUrl ? IssueStore.getOrigin(tabUrl) : null;
+            if (origin && origin !== 'unknown') {
+              await issueStore.clear(origin);
+            }
+          }
           sendResponse({ success: true });
           break;
 
@@ -160,9 +265,48 @@ class AITroubleshooterBackground {
           sendResponse({ success: true, status });
           break;
 
+        // Fix Application
+        case 'PREVIEW_FIX':
+          const preview = await this.previewFix(request.tabId || tabId, request.fix);
+          sendResponse({ success: true, preview });
+          break;
+
+        case 'APPLY_FIX':
+          try {
+            const entry = await this.applyFix(request.tabId || tabId, request.fix);
+            sendResponse({ success: true, entry });
+          } catch (applyError) {
+            sendResponse({ success: false, error: applyError.message });
+          }
+          break;
+
+        case 'REVERT_FIX':
+          try {
+            const reverted = await this.revertFix(request.tabId || tabId, request.entryId);
+            sendResponse({ success: true, reverted });
+          } catch (revertError) {
+            sendResponse({ success: false, error: revertError.message });
+          }
+          break;
+
+        case 'GET_FIX_JOURNAL':
+          const journal = await this.getFixJournal(request.tabId || tabId);
+          sendResponse({ success: true, journal });
+          break;
+
+        case 'REPORT_VITALS':
+          this.performanceMetrics.set(tabId, {
+            pageLoadId: request.pageLoadId,
+            url: request.url,
+            vitals: request.vitals,
+            updatedAt: Date.now()
+          });
+          sendResponse({ success: true });
+          break;
+
         // Get Performance Metrics
         case 'getPerformanceMetrics':
-          const metrics = this.performanceMetrics.get(tabId) || {};
+          const metrics = this.performanceMetrics.get(request.tabId || tabId) || {};
           sendResponse({ success: true, metrics });
           break;
 
@@ -174,8 +318,8 @@ class AITroubleshooterBackground {
 
         // Export Data
         case 'exportData':
-          const exportData = this.exportData();
-          sendResponse({ success: true, data: exportData });
+          const exportData = await this.exportData(request);
+          sendResponse({ success: !!exportData, data: exportData });
           break;
 
         // Unknown action
@@ -190,7 +334,7 @@ class AITroubleshooterBackground {
   }
 
   // ============= ISSUE PROCESSING =============
-  async processIssue(issue, tabId) {
+  async processIssue(issue, tabId, pageUrl) {
     if (!tabId || !issue) {
       console.warn('[Background] Invalid issue or tabId');
       return;
@@ -203,53 +347,65 @@ class AITroubleshooterBackground {
       }
 
       const tabIssues = this.issues.get(tabId);
-
-      // Check for duplicate issues within last 30 seconds
       const now = Date.now();
-      const isDuplicate = tabIssues.some(existing =>
-        existing.type === issue.type &&
-        (existing.title === issue.title || existing.message === issue.message) &&
-        now - existing.timestamp < 30000
-      );
-
-      if (!isDuplicate) {
-        // Create processed issue with unique ID
-        const processedIssue = {
-          id: `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-          ...issue,
-          timestamp: now,
-          tabId: tabId,
-          resolved: false,
-          severity: issue.severity || 'medium',
-          type: issue.type || 'unknown'
-        };
 
-        // Add to issues
-        tabIssues.push(processedIssue);
+      // Create processed issue with unique ID
+      const processedIssue = {
+        id: `${now}_${Math.random().toString(36).substr(2, 9)}`,
+        ...issue,
+        timestamp: now,
+        tabId: tabId,
+        resolved: false,
+        severity: issue.severity || 'medium',
+        type: issue.type || 'unknown'
+      };
+
+      // Map minified frames back to the original sources before fingerprinting,
+      // so groups survive rebuilds of the bundle
+      if (this.settings.resolveSourceMaps !== false && (processedIssue.stack || processedIssue.filename)) {
+        const resolved = await sourceMapResolver.resolveIssue(processedIssue);
+        if (resolved) {
+          processedIssue.resolvedStack = resolved.text;
+          processedIssue.resolvedFrames = resolved.frames;
+        }
+      }
+
+      processedIssue.fingerprint = IssueStore.fingerprint(processedIssue, pageUrl);
+
+      // Repeats fold into the tab's existing entry instead of becoming new issues
+      const existing = tabIssues.find(entry => entry.fingerprint === processedIssue.fingerprint);
+      if (existing) {
+        existing.count = (existing.count || 1) + (issue.occurrences || 1);
+        existing.lastSeen = now;
+      } else {
+        tabIssues.push({ ...processedIssue, count: issue.occurrences || 1, firstSeen: now, lastSeen: now });
         this.issues.set(tabId, tabIssues);
 
-        // Update badge with issue count
+        // Badge counts distinct issues, not occurrences
         await this.updateBadge(tabId, tabIssues.length);
+      }
 
-        // Store in chrome.storage for persistence
-        try {
-          // Get last 100 issues across all tabs
-          const allIssues = Array.from(this.issues.values()).flat().slice(-100);
-          await chrome.storage.local.set({ dark_voir_issues: allIssues });
-
-          // Also store fixes if they exist
-          const existingFixes = await chrome.storage.local.get('dark_voir_fixes');
-          if (!existingFixes.dark_voir_fixes) {
-            await chrome.storage.local.set({ dark_voir_fixes: [] });
-          }
-        } catch (storageError) {
-          console.error('[Background] Storage error:', storageError);
+      // Persist the occurrence and update its group
+      let isNewGroup = !existing;
+      try {
+        const stored = await issueStore.add(processedIssue, pageUrl);
+        isNewGroup = stored.isNewGroup;
+
+        // Also store fixes if they exist
+        const existingFixes = await chrome.storage.local.get('dark_voir_fixes');
+        if (!existingFixes.dark_voir_fixes) {
+          await chrome.storage.local.set({ dark_voir_fixes: [] });
         }
+      } catch (storageError) {
+        console.error('[Background] Storage error:', storageError);
+      }
 
-        // Log the issue
-        console.log(`[Background] Issue processed: ${issue.type} for tab ${tabId}`);
-      } else {
-        console.log('[Background] Duplicate issue ignored');
+      // Log the issue
+      console.log(`[Background] Issue processed: ${issue.type} for tab ${tabId}${isNewGroup ? ' (new group)' : ''}`);
+
+      // One fix per group - repeats of a known error don't need another generation
+      if (isNewGroup && this.settings.autoGenerateFixes !== false && this.shouldAutoGenerateFix(processedIssue)) {
+        this.queueAutoFix(processedIssue);
       }
     } catch (error) {
       console.error('[Background] Error processing issue:', error);
@@ -284,26 +440,75 @@ class AITroubleshooterBackground {
     return '#F44336';                       // Red - Many issues
   }
 
+  // ============= AI HOST (OFFSCREEN DOCUMENT) =============
+  // window.ai is not reachable from the service worker, so AI calls are
+  // forwarded to offscreen.html which owns the ChromeAIHelper sessions
+  async ensureAIHost() {
+    const hostUrl = chrome.runtime.getURL('offscreen.html');
+    const contexts = await chrome.runtime.getContexts({
+      contextTypes: ['OFFSCREEN_DOCUMENT'],
+      documentUrls: [hostUrl]
+    });
+
+    if (contexts.length > 0) return;
+
+    // Only one offscreen document may exist - share an in-flight creation
+    if (!this.aiHostCreating) {
+      this.aiHostCreating = chrome.offscreen.createDocument({
+        url: 'offscreen.html',
+        reasons: ['WORKERS'],
+        justification: 'Hosts Chrome built-in AI sessions for fix generation'
+      }).finally(() => {
+        this.aiHostCreating = null;
+      });
+    }
+
+    await this.aiHostCreating;
+    console.log('[Background] AI host document created');
+  }
+
+  async callAIHost(method, ...args) {
+    await this.ensureAIHost();
+
+    const response = await chrome.runtime.sendMessage({
+      target: 'ai-host',
+      method: method,
+      args: args,
+      settings: this.settings
+    });
+
+    if (!response?.success) {
+      throw new Error(response?.error || 'AI host did not respond');
+    }
+
+    return response.result;
+  }
+
   // ============= AI FIX GENERATION =============
   async generateAIFix(issue) {
     try {
-      // Note: AI APIs are not directly available in service workers
-      // This message indicates that AI should be called from popup context
-      // The popup will handle actual AI analysis
+      const analysis = await this.callAIHost('analyzeIssue', issue);
 
       const fix = {
         id: `fix_${Date.now()}`,
         issueId: issue.id,
-        explanation: 'Analyzing with Chrome AI...',
-        steps: [],
-        codeExample: '',
-        relatedDocs: [],
-        confidence: 0.8,
-        generated: Date.now(),
-        source: 'popup', // Will be generated by popup
-        status: 'pending'
+        fingerprint: issue.fingerprint,
+        issue: issue,
+        solution: analysis.analysis,
+        steps: analysis.steps || [],
+        code: analysis.code || '',
+        language: analysis.language || '',
+        structured: analysis.structured || null,
+        confidence: analysis.confidence || 0,
+        source: analysis.source,
+        timestamp: Date.now(),
+        status: analysis.structured || analysis.confidence > 0 ? 'generated' : 'unavailable'
       };
 
+      if (fix.status === 'generated') {
+        await this.saveFix(fix);
+      }
+
       return fix;
     } catch (error) {
       console.error('[Background] AI fix generation error:', error);
@@ -314,6 +519,74 @@ class AITroubleshooterBackground {
     }
   }
 
+  async saveFix(fix) {
+    try {
+      const result = await chrome.storage.local.get('dark_voir_fixes');
+      const fixes = (result.dark_voir_fixes || []).concat(fix).slice(-100);
+      await chrome.storage.local.set({ dark_voir_fixes: fixes });
+    } catch (storageError) {
+      console.error('[Background] Failed to save fix:', storageError);
+    }
+  }
+
+  shouldAutoGenerateFix(issue) {
+    // Low-severity noise (warnings, slow resources) would keep Gemini Nano busy for little value
+    return !['low', 'info'].includes(issue.severity) && issue.type !== 'fix_applied' && issue.autoFix !== false;
+  }
+
+  queueAutoFix(issue) {
+    // Run one generation at a time so a burst of errors does not flood the AI host
+    this.autoFixQueue = this.autoFixQueue
+      .then(() => this.generateAIFix(issue))
+      .then(fix => {
+        console.log(`[Background] Auto-generated fix for ${issue.id}: ${fix.status}`);
+      })
+      .catch(error => {
+        console.error('[Background] Auto fix error:', error);
+      });
+  }
+
+  async analyzeBulkIssues(issues) {
+    if (!issues || issues.length === 0) return null;
+
+    try {
+      return await this.callAIHost('analyzeBulkIssues', issues);
+    } catch (error) {
+      console.error('[Background] Bulk analysis error:', error);
+      return null;
+    }
+  }
+
+  // ============= VISUAL GUIDE PLANNING =============
+  async generateVisualGuide(data) {
+    try {
+      let plan;
+      try {
+        plan = await this.callAIHost('planGuide', data || {});
+      } catch (hostError) {
+        // No AI host - the local planner falls back to rules
+        console.warn('[Background] AI host unavailable for guide planning:', hostError);
+        plan = await guidePlanner.plan(data || {});
+      }
+
+      console.log(`[Background] Visual guide planned: ${plan.steps.length} steps (${plan.source})`);
+      return plan;
+    } catch (error) {
+      console.error('[Background] Visual guide planning error:', error);
+      return { steps: [], source: 'error' };
+    }
+  }
+
+  // ============= SETTINGS =============
+  async loadSettings() {
+    try {
+      const result = await chrome.storage.local.get('dark_voir_settings');
+      this.settings = result.dark_voir_settings || {};
+    } catch (error) {
+      console.error('[Background] Failed to load settings:', error);
+    }
+  }
+
   // ============= SCAN TRIGGERING =============
   async triggerScan(tabId) {
     if (!tabId) {
@@ -349,10 +622,17 @@ class AITroubleshooterBackground {
     }
   }
 
+  /**
+   * Content scripts in injection order, read from the manifest so the lists can't drift
+   */
+  getContentScriptFiles() {
+    return chrome.runtime.getManifest().content_scripts?.[0]?.js || [];
+  }
+
   async injectContentScript(tabId) {
     try {
       // Define scripts to inject in order
-      const scripts = ['constants.js', 'utils.js', 'logger.js', 'error-handler.js', 'dom-analyzer.js', 'visual-guide.js', 'content.js'];
+      const scripts = this.getContentScriptFiles();
 
       for (const script of scripts) {
         try {
@@ -367,6 +647,20 @@ class AITroubleshooterBackground {
         }
       }
 
+      // Page-world scripts after content.js, which listens for the ports they hand over
+      const pageScripts = this.getPageScriptFiles();
+      try {
+        if (pageScripts.length > 0) {
+          await chrome.scripting.executeScript({
+            target: { tabId: tabId },
+            files: pageScripts,
+            world: 'MAIN'
+          });
+        }
+      } catch (scriptError) {
+        console.warn('[Background] Failed to inject page scripts:', scriptError);
+      }
+
       // Wait for scripts to initialize
       await new Promise(resolve => setTimeout(resolve, 500));
 
@@ -379,6 +673,280 @@ class AITroubleshooterBackground {
     }
   }
 
+  /**
+   * "Monitor Iframes": the manifest only loads the content scripts in the top frame, so
+   * each new subframe document gets them (and the page scripts) as it commits.
+   * Cross-origin frames need the <all_urls> host permission, which the extension has.
+   */
+  async injectFrameScripts(tabId, frameId, url) {
+    if (!url || !/^https?:/i.test(url)) return;
+
+    const target = { tabId: tabId, frameIds: [frameId] };
+    try {
+      await chrome.scripting.executeScript({ target, files: this.getContentScriptFiles() });
+      const pageScripts = this.getPageScriptFiles();
+      if (pageScripts.length > 0) {
+        await chrome.scripting.executeScript({ target, files: pageScripts, world: 'MAIN' });
+      }
+      console.log(`[Background] Frame monitoring started in frame ${frameId} of tab ${tabId}: ${url}`);
+    } catch (error) {
+      // Frames can be gone before the scripts land, and some (the Web Store) refuse them
+      console.warn('[Background] Could not monitor frame:', url, error.message);
+    }
+  }
+
+  // ============= PAGE SCRIPTS (MAIN WORLD) =============
+  /**
+   * MAIN-world scripts, in injection order. They run right after content.js and hand it
+   * their MessagePorts; injected again, they keep their patches and hand over new ports.
+   * Without console-bridge.js content.js falls back to its own error listeners.
+   */
+  getPageScriptFiles() {
+    const files = [];
+    if (this.settings.monitorNetwork !== false) {
+      files.push('network-recorder.js');
+    }
+    if (this.settings.monitorConsole !== false) {
+      files.push('console-bridge.js');
+    }
+    return files;
+  }
+
+  /**
+   * Register or update the MAIN-world scripts to match the settings.
+   * Registrations persist, so this only changes what differs.
+   */
+  syncPageScripts() {
+    this.pageScriptSync = this.pageScriptSync.then(async () => {
+      const id = 'dark-voir-page-scripts';
+
+      try {
+        const files = this.getPageScriptFiles();
+        const registered = await chrome.scripting.getRegisteredContentScripts();
+
+        // Drop registrations from older versions
+        const stale = registered.filter(script => script.id !== id && script.id.startsWith('dark-voir-'));
+        if (stale.length > 0) {
+          await chrome.scripting.unregisterContentScripts({ ids: stale.map(script => script.id) });
+        }
+
+        const current = registered.find(script => script.id === id);
+        if (files.length === 0) {
+          if (current) {
+            await chrome.scripting.unregisterContentScripts({ ids: [id] });
+            console.log('[Background] Unregistered page scripts');
+          }
+          return;
+        }
+
+        const script = {
+          id: id,
+          js: files,
+          matches: ['<all_urls>'],
+          runAt: 'document_start',
+          world: 'MAIN',
+          allFrames: false,
+          persistAcrossSessions: true
+        };
+
+        if (!current) {
+          await chrome.scripting.registerContentScripts([script]);
+          console.log('[Background] Registered page scripts:', files.join(', '));
+        } else if ((current.js || []).join() !== files.join()) {
+          await chrome.scripting.updateContentScripts([script]);
+          console.log('[Background] Updated page scripts:', files.join(', '));
+        }
+      } catch (error) {
+        console.error('[Background] Page script registration error:', error);
+      }
+    });
+
+    return this.pageScriptSync;
+  }
+
+  // ============= FIX APPLICATION =============
+
+  /**
+   * Classify a fix and diff it against the page without changing anything
+   * @param {number} tabId - Target tab
+   * @param {Object} fix - { code, language }
+   * @returns {Promise<Object>} { payload, diff }
+   */
+  async previewFix(tabId, fix) {
+    const payload = fixPipeline.classify(fix.code, fix.language);
+    let pageState = {};
+
+    if (payload.kind === 'css' || payload.kind === 'dom') {
+      try {
+        const [result] = await chrome.scripting.executeScript({
+          target: { tabId },
+          func: previewFixInPage,
+          args: [payload, fixPipeline.maxPreviewElements]
+        });
+        pageState = result?.result || {};
+      } catch (error) {
+        console.warn('[Background] Fix preview could not inspect the page:', error);
+      }
+    } else if (payload.kind === 'js') {
+      payload.blocked = fixPipeline.isEvalBlocked(await this.getPagePolicies(tabId));
+    }
+
+    return { payload, diff: fixPipeline.buildDiff(payload, pageState) };
+  }
+
+  /**
+   * The page's enforced Content Security Policies: the response headers webRequest captured
+   * for the tab's document, plus <meta> tags. After a worker restart the headers are gone;
+   * runFixScriptInPage still reports an eval the page blocks.
+   * @param {number} tabId - Tab
+   * @returns {Promise<Array>} Policy strings
+   */
+  async getPagePolicies(tabId) {
+    const captured = this.securityHeaders.get(tabId);
+    const policies = (captured?.headers || [])
+      .filter(header => header.name.toLowerCase() === 'content-security-policy')
+      .map(header => header.value || '');
+
+    try {
+      const [result] = await chrome.scripting.executeScript({
+        target: { tabId },
+        func: readMetaPoliciesInPage
+      });
+      policies.push(...(result?.result || []));
+    } catch (error) {
+      console.warn('[Background] Could not read the page\'s CSP meta tags:', error);
+    }
+    return policies;
+  }
+
+  /**
+   * Apply a fix and record how to undo it. CSS goes through insertCSS, DOM patches
+   * through an isolated-world script, and JS snippets run in the page's MAIN world.
+   * @param {number} tabId - Target tab
+   * @param {Object} fix - { code, language, fixKey, summary }
+   * @returns {Promise<Object>} Journal entry
+   */
+  async applyFix(tabId, fix) {
+    const payload = fixPipeline.classify(fix.code, fix.language);
+    const entry = {
+      id: `applied_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      fixKey: fix.fixKey,
+      summary: fix.summary || '',
+      kind: payload.kind,
+      label: payload.label,
+      revertible: payload.revertible,
+      appliedAt: Date.now()
+    };
+
+    switch (payload.kind) {
+      case 'css':
+        await chrome.scripting.insertCSS({ target: { tabId }, css: payload.css });
+        entry.css = payload.css;
+        break;
+
+      case 'dom': {
+        const [result] = await chrome.scripting.executeScript({
+          target: { tabId },
+          func: applyDomPatchesInPage,
+          args: [payload.patches, entry.id]
+        });
+        entry.changes = result?.result || [];
+        if (entry.changes.length === 0) {
+          throw new Error('No elements on this page match the patch');
+        }
+        break;
+      }
+
+      case 'js': {
+        // Indirect eval is all a snippet can run through; CSP-strict pages get CSS or DOM patches
+        if (fixPipeline.isEvalBlocked(await this.getPagePolicies(tabId))) {
+          throw new Error('This page\'s Content Security Policy forbids eval, so scripts can\'t be applied. Ask for a CSS or DOM patch instead');
+        }
+        const [result] = await chrome.scripting.executeScript({
+          target: { tabId },
+          func: runFixScriptInPage,
+          args: [payload.code],
+          world: 'MAIN'
+        });
+        if (!result?.result?.success) {
+          throw new Error(result?.result?.error || 'Script failed');
+        }
+        break;
+      }
+
+      default:
+        throw new Error(payload.reason || 'This fix has nothing that can be applied automatically');
+    }
+
+    const journal = await this.getFixJournal(tabId);
+    journal.push(entry);
+    await this.saveFixJournal(tabId, journal);
+
+    console.log(`[Background] Applied ${payload.label} to tab ${tabId}`);
+    return entry;
+  }
+
+  /**
+   * Undo an applied fix. JS snippets can't be undone in place, so the page is reloaded.
+   * @returns {Promise<string>} 'reverted' or 'reloaded'
+   */
+  async revertFix(tabId, entryId) {
+    const journal = await this.getFixJournal(tabId);
+    const entry = journal.find(item => item.id === entryId);
+    if (!entry) {
+      throw new Error('This fix is no longer applied');
+    }
+
+    if (entry.kind === 'js') {
+      await chrome.tabs.reload(tabId);
+      return 'reloaded';
+    }
+
+    if (entry.kind === 'css') {
+      await chrome.scripting.removeCSS({ target: { tabId }, css: entry.css });
+    } else if (entry.kind === 'dom') {
+      const [result] = await chrome.scripting.executeScript({
+        target: { tabId },
+        func: revertDomPatchesInPage,
+        args: [entry.changes]
+      });
+      // Keep the entry: the page may have replaced the patched elements
+      if (!result?.result) {
+        throw new Error('The patched elements are no longer on this page');
+      }
+    }
+
+    await this.saveFixJournal(tabId, journal.filter(item => item.id !== entryId));
+    return 'reverted';
+  }
+
+  /**
+   * Per-tab undo journal, in session storage so a service worker restart keeps it
+   */
+  async getFixJournal(tabId) {
+    const result = await chrome.storage.session.get('dark_voir_fix_journal');
+    return (result.dark_voir_fix_journal || {})[tabId] || [];
+  }
+
+  async saveFixJournal(tabId, entries) {
+    const result = await chrome.storage.session.get('dark_voir_fix_journal');
+    const journals = result.dark_voir_fix_journal || {};
+    if (entries.length > 0) {
+      journals[tabId] = entries;
+    } else {
+      delete journals[tabId];
+    }
+    await chrome.storage.session.set({ dark_voir_fix_journal: journals });
+  }
+
+  async clearFixJournal(tabId) {
+    try {
+      await this.saveFixJournal(tabId, []);
+    } catch (error) {
+      console.warn('[Background] Could not clear fix journal:', error);
+    }
+  }
+
   // ============= TAB MONITORING =============
   initializeTabMonitoring(tabId) {
     try {
@@ -402,6 +970,55 @@ class AITroubleshooterBackground {
     }
   }
 
+  // ============= SECURITY HEADERS =============
+  /**
+   * Check the loaded document's security headers and cookies and report each finding
+   * as a security_issue. Only the headers webRequest captured for the document are used -
+   * requesting the page again could have side effects - so when the worker missed them
+   * (e.g. it was asleep) the check reports them as unknown. Header findings never start
+   * an automatic AI fix: they are server configuration, not page code.
+   */
+  async inspectSecurityHeaders(tabId, url) {
+    if (!url || !/^https?:/i.test(url)) return;
+
+    try {
+      const cached = this.securityHeaders.get(tabId);
+      const sameDocument = cached && cached.url.split('#')[0] === url.split('#')[0];
+      // 'complete' also fires for in-page navigations; each document is checked once
+      if (sameDocument && cached.checked) return;
+      // The headers stay cached: fix application reads the document's CSP from them
+      this.securityHeaders.set(tabId, sameDocument ? { ...cached, checked: true } : { url, headers: [], checked: true });
+
+      let findings;
+      if (sameDocument) {
+        const headers = cached.headers;
+        const cookies = headers.filter(header => header.name.toLowerCase() === 'set-cookie').map(header => header.value || '');
+        findings = [
+          ...securityInspector.evaluateHeaders(headers, url),
+          ...securityInspector.evaluateCookies(cookies, url)
+        ];
+      } else {
+        findings = [securityInspector.unknownHeadersFinding()];
+      }
+
+      for (const finding of findings) {
+        await this.processIssue({
+          type: 'security_issue',
+          message: finding.message,
+          severity: finding.severity,
+          check: finding.check,
+          remediation: finding.remediation,
+          autoFix: false,
+          url
+        }, tabId, url);
+      }
+
+      console.log(`[Background] Security headers checked for tab ${tabId}: ${findings.length} finding(s)`);
+    } catch (error) {
+      console.warn('[Background] Security header check failed:', error);
+    }
+  }
+
   // ============= COMMAND HANDLING =============
   async handleCommand(command) {
     try {
@@ -451,16 +1068,28 @@ class AITroubleshooterBackground {
   }
 
   // ============= ALARM HANDLING =============
+  async scheduleAlarms() {
+    try {
+      // Re-creating an alarm resets its timer, so only create it once
+      const existing = await chrome.alarms.get('issueRetention');
+      if (!existing) {
+        await chrome.alarms.create('issueRetention', {
+          delayInMinutes: 1,
+          periodInMinutes: 60
+        });
+        console.log('[Background] Issue retention alarm scheduled');
+      }
+    } catch (error) {
+      console.error('[Background] Alarm scheduling error:', error);
+    }
+  }
+
   handleAlarm(alarm) {
     console.log('[Background] Alarm triggered:', alarm.name);
 
     switch (alarm.name) {
-      case 'cleanupOldIssues':
-        this.cleanupOldIssues();
-        break;
-
-      case 'optimizeStorage':
-        this.optimizeStorage();
+      case 'issueRetention':
+        this.applyRetention();
         break;
 
       default:
@@ -495,44 +1124,23 @@ class AITroubleshooterBackground {
     }
   }
 
-  cleanupOldIssues() {
+  async applyRetention() {
     try {
-      const now = Date.now();
-      const maxAge = 24 * 60 * 60 * 1000; // 24 hours
+      // The worker may have just woken up for this alarm
+      if (!this.settings || Object.keys(this.settings).length === 0) {
+        await this.loadSettings();
+      }
 
+      await issueStore.applyRetention(this.settings);
+
+      // Drop in-memory tab issues that have aged out as well
+      const maxAge = (parseInt(this.settings.retentionDays, 10) || issueStore.defaultRetention.retentionDays) * 24 * 60 * 60 * 1000;
+      const now = Date.now();
       this.issues.forEach((tabIssues, tabId) => {
-        const filteredIssues = tabIssues.filter(issue => now - issue.timestamp < maxAge);
-        this.issues.set(tabId, filteredIssues);
+        this.issues.set(tabId, tabIssues.filter(issue => now - issue.timestamp < maxAge));
       });
-
-      console.log('[Background] Old issues cleaned up');
-    } catch (error) {
-      console.error('[Background] Cleanup error:', error);
-    }
-  }
-
-  async optimizeStorage() {
-    try {
-      // Get current storage usage
-      const storage = await chrome.storage.local.get(null);
-      const storageSize = JSON.stringify(storage).length;
-
-      console.log(`[Background] Storage size: ${(storageSize / 1024).toFixed(2)} KB`);
-
-      // If storage is getting large, clean up old data
-      if (storageSize > 5242880) { // 5MB
-        console.log('[Background] Storage limit approaching, cleaning up...');
-        
-        // Remove issues older than 7 days
-        const sevenDaysAgo = Date.now() - (7 * 24 * 60 * 60 * 1000);
-        const allIssues = storage.dark_voir_issues || [];
-        const recentIssues = allIssues.filter(issue => issue.timestamp > sevenDaysAgo);
-
-        await chrome.storage.local.set({ dark_voir_issues: recentIssues });
-        console.log('[Background] Storage optimized');
-      }
     } catch (error) {
-      console.error('[Background] Storage optimization error:', error);
+      console.error('[Background] Retention error:', error);
     }
   }
 
@@ -546,6 +1154,7 @@ class AITroubleshooterBackground {
       this.networkMonitoring.clear();
 
       await chrome.storage.local.clear();
+      await issueStore.clear();
       console.log('[Background] All data cleared');
     } catch (error) {
       console.error('[Background] Clear all data error:', error);
@@ -553,14 +1162,25 @@ class AITroubleshooterBackground {
     }
   }
 
-  exportData() {
+  /**
+   * Export everything as JSON, or with format 'har' one tab's current page load as HAR 1.2
+   * @param {Object} options - { format: 'json'|'har', tabId }
+   */
+  async exportData(options = {}) {
+    if (options.format === 'har') {
+      return this.exportHar(options.tabId);
+    }
+
     try {
+      const stored = await issueStore.query({ limit: issueStore.maxPageSize });
       const exportData = {
         timestamp: new Date().toISOString(),
         issues: Array.from(this.issues.entries()).map(([tabId, issues]) => ({
           tabId,
           issues
         })),
+        storedIssues: stored.issues,
+        storedIssueCount: stored.total,
         statistics: this.getStatistics()
       };
 
@@ -571,6 +1191,31 @@ class AITroubleshooterBackground {
     }
   }
 
+  async exportHar(tabId) {
+    try {
+      if (!tabId) {
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        tabId = tab?.id;
+      }
+
+      const response = await chrome.tabs.sendMessage(tabId, { type: 'GET_NETWORK_LOG' });
+      if (!response?.success) {
+        throw new Error('No network log for this tab');
+      }
+
+      // Bodies are only recorded with the opt-in setting, but gate the export on it too
+      const har = harExporter.build(response.log, {
+        includeBodies: this.settings.captureNetworkBodies === true,
+        browser: { name: 'Chrome', version: (navigator.userAgent.match(/Chrome\/([\d.]+)/) || [])[1] || '' }
+      });
+
+      return { har, fileName: harExporter.getFileName(response.log.page) };
+    } catch (error) {
+      console.error('[Background] Export HAR error:', error);
+      return null;
+    }
+  }
+
   getStatistics() {
     try {
       const allIssues = Array.from(this.issues.values()).flat();
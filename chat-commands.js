@@ -0,0 +1,160 @@
+/**
+ * Dark Voir AI Troubleshooter - Chat Commands
+ * Slash commands typed in the chat (/scan, /guide, /fix, ...): parsing and autocomplete.
+ * popup.js runs them through the same paths as the toolbar buttons.
+ */
+
+class ChatCommands {
+  constructor() {
+    this.commands = [
+      { name: 'scan', usage: '/scan', description: 'Scan the page for issues', arg: null },
+      { name: 'guide', usage: '/guide <task>', description: 'Start a visual guide on the page', arg: 'text', required: true },
+      { name: 'fix', usage: '/fix <issue#>', description: 'Generate an AI fix for an issue', arg: 'issue', required: true },
+      { name: 'explain', usage: '/explain <selector>', description: 'Highlight an element and explain it', arg: 'text', required: true },
+      { name: 'har', usage: '/har', description: 'Export network activity as HAR', arg: null },
+      { name: 'summarize', usage: '/summarize', description: 'Summarize the current issues', arg: null },
+      { name: 'translate', usage: '/translate <lang>', description: 'Translate the last answer', arg: 'lang', required: true }
+    ];
+
+    this.languages = {
+      es: 'Spanish',
+      fr: 'French',
+      de: 'German',
+      it: 'Italian',
+      pt: 'Portuguese',
+      ja: 'Japanese',
+      zh: 'Chinese',
+      ko: 'Korean',
+      hi: 'Hindi',
+      ar: 'Arabic',
+      en: 'English'
+    };
+    this.maxSuggestions = 8;
+  }
+
+  // ============= PARSING =============
+
+  /**
+   * @param {string} input - Chat input
+   * @param {Object} options - { issueCount }
+   * @returns {Object|null} null for a normal message, else { name, arg } or { error }
+   */
+  parse(input, { issueCount = 0 } = {}) {
+    const match = String(input).trim().match(/^\/(\w+)(?:\s+([\s\S]*))?$/);
+    if (!match) return null;
+
+    const name = match[1].toLowerCase();
+    const arg = (match[2] || '').trim();
+    const command = this.commands.find(candidate => candidate.name === name);
+
+    if (!command) {
+      return { error: `Unknown command /${name}. Type / to see the available commands.` };
+    }
+    if (command.required && !arg) {
+      return { error: `Usage: ${command.usage}` };
+    }
+
+    if (command.arg === 'issue') {
+      const number = parseInt(arg.replace(/^#/, ''), 10);
+      if (!Number.isInteger(number) || number < 1 || number > issueCount) {
+        return { error: issueCount ? `Issue number must be between 1 and ${issueCount}` : 'There are no issues to fix' };
+      }
+      return { name, arg: number };
+    }
+
+    if (command.arg === 'lang') {
+      const lang = this.resolveLanguage(arg);
+      if (!lang) {
+        return { error: `Unknown language "${arg}". Try one of: ${Object.keys(this.languages).join(', ')}` };
+      }
+      return { name, arg: lang };
+    }
+
+    return { name, arg };
+  }
+
+  /**
+   * Language code from a code or an English name ("fr", "French")
+   * @private
+   */
+  resolveLanguage(value) {
+    const lower = value.toLowerCase();
+    if (this.languages[lower]) return lower;
+
+    const byName = Object.entries(this.languages).find(([, name]) => name.toLowerCase() === lower);
+    return byName ? byName[0] : null;
+  }
+
+  // ============= AUTOCOMPLETE =============
+
+  /**
+   * Suggestions for the text typed so far
+   * @param {string} input - Chat input
+   * @param {Object} options - { issues } (as listed in the Issues tab)
+   * @returns {Array} [{ value, label, hint }] - value replaces the whole input
+   */
+  suggest(input, { issues = [] } = {}) {
+    const text = String(input);
+    if (!text.startsWith('/')) return [];
+
+    const match = text.match(/^\/(\w*)(\s+)?(.*)$/);
+    if (!match) return [];
+
+    const [, name, space, arg] = match;
+
+    // Still typing the command name
+    if (!space) {
+      return this.commands
+        .filter(command => command.name.startsWith(name.toLowerCase()))
+        .map(command => ({
+          value: `/${command.name}${command.arg ? ' ' : ''}`,
+          label: command.usage,
+          hint: command.description
+        }));
+    }
+
+    const command = this.commands.find(candidate => candidate.name === name.toLowerCase());
+    if (!command) return [];
+
+    if (command.arg === 'issue') {
+      return issues
+        .map((issue, index) => ({
+          value: `/${command.name} ${index + 1}`,
+          label: `#${index + 1}`,
+          hint: `${issue.type}: ${String(issue.message || '').substring(0, 60)}`
+        }))
+        // A number narrows by issue number, anything else searches the issue text
+        .filter(suggestion => !arg || (/^#?\d+$/.test(arg)
+          ? suggestion.label.startsWith(`#${arg.replace(/^#/, '')}`)
+          : suggestion.hint.toLowerCase().includes(arg.toLowerCase())))
+        .slice(0, this.maxSuggestions);
+    }
+
+    if (command.arg === 'lang') {
+      return Object.entries(this.languages)
+        .filter(([code, languageName]) => !arg || code.startsWith(arg.toLowerCase()) || languageName.toLowerCase().startsWith(arg.toLowerCase()))
+        .map(([code, languageName]) => ({
+          value: `/${command.name} ${code}`,
+          label: code,
+          hint: languageName
+        }))
+        .slice(0, this.maxSuggestions);
+    }
+
+    return [];
+  }
+}
+
+// ============================================
+// GLOBAL INITIALIZATION
+// ============================================
+
+if (typeof self !== 'undefined') {
+  self.ChatCommands = ChatCommands;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ChatCommands;
+}
+
+console.log('[Chat Commands] Module loaded');
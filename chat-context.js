@@ -0,0 +1,216 @@
+/**
+ * Dark Voir AI Troubleshooter - Chat Context
+ * Builds the context pack sent with chat messages (the active tab's issues, page context,
+ * page structure, network failures) and trims it to the model's token budget
+ */
+
+class ChatContextBuilder {
+  constructor() {
+    // Highest priority first: when the budget runs out, later items are trimmed or dropped
+    this.itemOrder = ['issues', 'network', 'page', 'structure'];
+    this.labels = {
+      issues: 'Issues',
+      network: 'Network failures',
+      page: 'Page',
+      structure: 'Page structure'
+    };
+    this.maxIssues = 15;
+    this.maxNetworkFailures = 10;
+  }
+
+  // ============= COLLECTION =============
+
+  /**
+   * Turn the raw tab data into context items
+   * @param {Object} data - { issues (newest first), pageContext, pageStructure, networkFailures }
+   * @returns {Array} [{ id, label, count?, lines }] - lines are dropped from the end when trimming
+   */
+  buildItems(data = {}) {
+    const items = [];
+
+    const issues = (data.issues || []).slice(0, this.maxIssues);
+    if (issues.length > 0) {
+      items.push({
+        id: 'issues',
+        label: this.labels.issues,
+        count: (data.issues || []).length,
+        lines: issues.map((issue, index) => this.formatIssue(issue, index))
+      });
+    }
+
+    const failures = (data.networkFailures || []).slice(0, this.maxNetworkFailures);
+    if (failures.length > 0) {
+      items.push({
+        id: 'network',
+        label: this.labels.network,
+        count: (data.networkFailures || []).length,
+        lines: failures.map(failure => this.formatNetworkFailure(failure))
+      });
+    }
+
+    if (data.pageContext) {
+      const page = data.pageContext;
+      items.push({
+        id: 'page',
+        label: this.labels.page,
+        lines: [
+          `URL: ${page.url}`,
+          `Title: ${page.title || '(none)'}`,
+          `Ready state: ${page.readyState}`,
+          `Forms: ${page.forms}, links: ${page.links}, buttons: ${page.buttons}, inputs: ${page.inputs}`,
+          `Login form: ${page.hasLogin ? 'yes' : 'no'}, search: ${page.hasSearch ? 'yes' : 'no'}`
+        ]
+      });
+    }
+
+    if (data.pageStructure && Object.keys(data.pageStructure).length > 0) {
+      items.push({
+        id: 'structure',
+        label: this.labels.structure,
+        lines: this.formatStructure(data.pageStructure)
+      });
+    }
+
+    return items.sort((a, b) => this.itemOrder.indexOf(a.id) - this.itemOrder.indexOf(b.id));
+  }
+
+  /**
+   * Numbered newest first, which is how the getIssue chat tool counts
+   * @private
+   */
+  formatIssue(issue, index) {
+    const count = issue.count > 1 ? ` (x${issue.count})` : '';
+    const location = issue.filename
+      ? ` at ${issue.filename}${issue.lineno ? ':' + issue.lineno : ''}`
+      : '';
+    return `#${index + 1} [${(issue.severity || 'medium').toUpperCase()}] ${issue.type}: ${String(issue.message || '').substring(0, 200)}${location}${count}`;
+  }
+
+  /**
+   * @private
+   */
+  formatNetworkFailure(failure) {
+    const outcome = failure.error ? failure.error : `HTTP ${failure.status}${failure.statusText ? ' ' + failure.statusText : ''}`;
+    return `${failure.method || 'GET'} ${String(failure.url).substring(0, 150)} - ${outcome} (${failure.transport})`;
+  }
+
+  /**
+   * @private
+   */
+  formatStructure(structure) {
+    const lines = [];
+    const features = ['hasLogin', 'hasSearch', 'hasCart', 'hasNavigation']
+      .filter(feature => structure[feature])
+      .map(feature => feature.replace(/^has/, '').toLowerCase());
+
+    lines.push(`Elements: ${structure.forms} forms, ${structure.buttons} buttons, ${structure.inputs} inputs, ${structure.textareas} textareas, ${structure.selects} selects, ${structure.tables} tables`);
+    if (features.length > 0) {
+      lines.push(`Features: ${features.join(', ')}`);
+    }
+
+    const accessibility = structure.accessibility;
+    if (accessibility && accessibility.imagesWithoutAlt !== undefined) {
+      lines.push(`Accessibility: ${accessibility.imagesWithoutAlt} images without alt, ${accessibility.headings} headings, main landmark: ${accessibility.hasLandmarks ? 'yes' : 'no'}`);
+    }
+
+    (structure.headings || []).forEach(heading => {
+      lines.push(`${heading.level}: ${String(heading.text || '').substring(0, 80)}`);
+    });
+
+    return lines;
+  }
+
+  // ============= BUDGET =============
+
+  /**
+   * Attach items in priority order until the token budget is used up. Each item keeps room
+   * for a one-line version of the items after it; an item that doesn't fit whole loses lines
+   * from the end, and one that doesn't fit with a single line is dropped.
+   * @param {Array} items - buildItems() result
+   * @param {Object} options - { budget, measure: async (text) => tokens, excluded: Set }
+   * @returns {Promise<Array>} Items with { text, tokens, status: 'attached'|'trimmed'|'dropped'|'excluded' }
+   */
+  async fit(items, { budget, measure, excluded = new Set() }) {
+    const included = items.filter(item => !excluded.has(item.id));
+    const minimum = new Map();
+    for (const item of included) {
+      minimum.set(item.id, await measure(this.formatItem(item, item.lines.slice(0, 1))));
+    }
+
+    let remaining = budget;
+    const fitted = [];
+
+    for (const item of items) {
+      if (excluded.has(item.id)) {
+        fitted.push({ ...item, text: '', tokens: 0, status: 'excluded' });
+        continue;
+      }
+
+      const reserved = included
+        .slice(included.indexOf(item) + 1)
+        .reduce((total, later) => total + minimum.get(later.id), 0);
+      const allowance = Math.max(minimum.get(item.id), remaining - reserved);
+
+      let lines = item.lines;
+      let text = this.formatItem(item, lines);
+      let tokens = await measure(text);
+
+      while (tokens > allowance && lines.length > 1) {
+        // Drop roughly the overflowing share of lines at once, at least one
+        const keep = Math.min(lines.length - 1, Math.max(1, Math.floor(lines.length * allowance / tokens)));
+        lines = lines.slice(0, keep);
+        text = this.formatItem(item, lines);
+        tokens = await measure(text);
+      }
+
+      if (tokens > remaining) {
+        fitted.push({ ...item, text: '', tokens: 0, status: 'dropped' });
+        continue;
+      }
+
+      remaining -= tokens;
+      fitted.push({
+        ...item,
+        text: text,
+        tokens: tokens,
+        status: lines.length < item.lines.length ? 'trimmed' : 'attached'
+      });
+    }
+
+    return fitted;
+  }
+
+  /**
+   * @private
+   */
+  formatItem(item, lines) {
+    const omitted = item.lines.length - lines.length + Math.max(0, (item.count || 0) - item.lines.length);
+    return `### ${item.label}\n${lines.join('\n')}${omitted > 0 ? `\n(${omitted} more not shown)` : ''}`;
+  }
+
+  /**
+   * Context text for the prompt, from the attached items
+   * @param {Array} fitted - fit() result
+   * @returns {string} Empty when nothing is attached
+   */
+  format(fitted) {
+    const attached = fitted.filter(item => item.text);
+    if (attached.length === 0) return '';
+
+    return `Context from the user's current browser tab:\n\n${attached.map(item => item.text).join('\n\n')}`;
+  }
+}
+
+// ============================================
+// GLOBAL INITIALIZATION
+// ============================================
+
+if (typeof self !== 'undefined') {
+  self.ChatContextBuilder = ChatContextBuilder;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ChatContextBuilder;
+}
+
+console.log('[Chat Context] Module loaded');
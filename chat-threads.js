@@ -0,0 +1,234 @@
+/**
+ * Dark Voir AI Troubleshooter - Chat Threads
+ * Named chat conversations bound to an origin or an issue group, persisted in
+ * chrome.storage.local, with the thread last used in each tab remembered for the session
+ */
+
+class ChatThreadStore {
+  constructor() {
+    this.storageKey = 'dark_voir_chat_threads';
+    this.legacyKey = 'dark_voir_chat_history';
+    this.tabKey = 'dark_voir_chat_tab_threads';
+    this.threads = [];
+
+    this.maxThreads = 50;
+    this.maxMessages = 200;
+    this.keepRecentMessages = 6;   // turns left unsummarized when a thread is compacted
+    this.estimatedTokenLimit = 3000; // compaction threshold when the backend has no quota to read
+  }
+
+  // ============= PERSISTENCE =============
+
+  /**
+   * Load threads, moving the old single chat history into a thread of its own
+   */
+  async load() {
+    const result = await chrome.storage.local.get([this.storageKey, this.legacyKey]);
+    this.threads = result[this.storageKey] || [];
+
+    const legacy = result[this.legacyKey];
+    if (Array.isArray(legacy) && legacy.length > 0) {
+      const thread = this.create({ type: 'origin', origin: null }, 'Earlier conversation');
+      thread.messages = legacy.slice(-this.maxMessages);
+      thread.createdAt = legacy[0].timestamp || thread.createdAt;
+      thread.updatedAt = legacy[legacy.length - 1].timestamp || thread.updatedAt;
+      await this.save();
+    }
+    if (legacy) {
+      await chrome.storage.local.remove(this.legacyKey);
+    }
+
+    return this.threads;
+  }
+
+  async save() {
+    // Least recently used threads go first
+    this.threads.sort((a, b) => b.updatedAt - a.updatedAt);
+    this.threads = this.threads.slice(0, this.maxThreads);
+    this.threads.forEach(thread => {
+      if (thread.messages.length > this.maxMessages) {
+        const dropped = thread.messages.length - this.maxMessages;
+        thread.messages = thread.messages.slice(dropped);
+        thread.summarizedCount = Math.max(0, thread.summarizedCount - dropped);
+      }
+    });
+
+    await chrome.storage.local.set({ [this.storageKey]: this.threads });
+  }
+
+  // ============= THREADS =============
+
+  /**
+   * @param {Object} binding - { type: 'origin'|'group', origin, fingerprint? }
+   * @param {string} title - Display name, optional (taken from the first message otherwise)
+   * @returns {Object} The new thread (not saved yet)
+   */
+  create(binding, title = '') {
+    const now = Date.now();
+    const thread = {
+      id: `thread_${now}_${Math.random().toString(36).slice(2, 8)}`,
+      title: title,
+      binding: binding,
+      messages: [],
+      summary: '',
+      summarizedCount: 0,
+      createdAt: now,
+      updatedAt: now
+    };
+    this.threads.unshift(thread);
+    return thread;
+  }
+
+  get(id) {
+    return this.threads.find(thread => thread.id === id) || null;
+  }
+
+  /**
+   * Most recently used thread for an origin (issue-group threads of that origin excluded)
+   */
+  findForOrigin(origin) {
+    return this.threads
+      .filter(thread => thread.binding.type === 'origin' && thread.binding.origin === origin)
+      .sort((a, b) => b.updatedAt - a.updatedAt)[0] || null;
+  }
+
+  findForGroup(fingerprint) {
+    return this.threads.find(thread => thread.binding.type === 'group' && thread.binding.fingerprint === fingerprint) || null;
+  }
+
+  async rename(id, title) {
+    const thread = this.get(id);
+    if (!thread) return;
+
+    thread.title = title.trim().substring(0, 80);
+    await this.save();
+  }
+
+  async remove(id) {
+    this.threads = this.threads.filter(thread => thread.id !== id);
+    await this.save();
+  }
+
+  /**
+   * Display name: the given title, else the first question, else the binding
+   */
+  getTitle(thread) {
+    if (thread.title) return thread.title;
+
+    const first = thread.messages.find(message => message.role === 'user');
+    if (first) return first.content.substring(0, 40);
+
+    return thread.binding.origin ? `New chat - ${this.getHost(thread.binding.origin)}` : 'New chat';
+  }
+
+  getHost(origin) {
+    try {
+      return new URL(origin).hostname;
+    } catch (e) {
+      return origin || 'any site';
+    }
+  }
+
+  // ============= TAB MEMORY =============
+
+  /**
+   * Thread last used in a tab, if it still exists
+   */
+  async getTabThread(tabId) {
+    const result = await chrome.storage.session.get(this.tabKey);
+    return this.get((result[this.tabKey] || {})[tabId]);
+  }
+
+  async setTabThread(tabId, threadId) {
+    const result = await chrome.storage.session.get(this.tabKey);
+    const tabs = result[this.tabKey] || {};
+    tabs[tabId] = threadId;
+    await chrome.storage.session.set({ [this.tabKey]: tabs });
+  }
+
+  // ============= SUMMARIZATION =============
+
+  /**
+   * What a Prompt session for the thread is seeded with: the summary of old turns plus
+   * the recent ones, finished answers only (slash-command turns never reach the model)
+   * @returns {Object} { id, summary, messages: [{ role, content }] }
+   */
+  getConversation(thread) {
+    return {
+      id: thread.id,
+      summary: thread.summary,
+      messages: thread.messages
+        .slice(thread.summarizedCount)
+        .filter(message => message.content && !message.partial && !message.command)
+        .map(message => ({ role: message.role, content: message.content }))
+    };
+  }
+
+  /**
+   * Whether old turns should be folded into the summary
+   * @param {Object} thread - Thread
+   * @param {Object|null} usage - { usage, quota } of the thread's session, when known
+   */
+  needsCompaction(thread, usage) {
+    if (thread.messages.length - thread.summarizedCount <= this.keepRecentMessages) return false;
+
+    if (usage && usage.quota > 0) {
+      return usage.usage / usage.quota > 0.75;
+    }
+
+    const characters = this.getConversation(thread).messages
+      .reduce((total, message) => total + message.content.length, 0);
+    return characters / 4 > this.estimatedTokenLimit;
+  }
+
+  /**
+   * Transcript of the turns compaction would fold in, previous summary first
+   * @returns {Object} { text, count }
+   */
+  getCompactionInput(thread) {
+    const older = thread.messages.slice(thread.summarizedCount, thread.messages.length - this.keepRecentMessages);
+    const transcript = older
+      .filter(message => message.content && !message.command)
+      .map(message => `${message.role === 'user' ? 'User' : 'Assistant'}: ${message.content}`)
+      .join('\n\n');
+
+    return {
+      text: thread.summary ? `Earlier summary:\n${thread.summary}\n\n${transcript}` : transcript,
+      count: older.length
+    };
+  }
+
+  async applySummary(thread, summary, count) {
+    thread.summary = summary;
+    thread.summarizedCount += count;
+    await this.save();
+  }
+
+  /**
+   * Fallback when no model can summarize: the user's questions, shortened
+   */
+  static fallbackSummary(thread, count) {
+    const questions = thread.messages
+      .slice(thread.summarizedCount, thread.summarizedCount + count)
+      .filter(message => message.role === 'user')
+      .map(message => `- ${message.content.substring(0, 120)}`);
+
+    return [thread.summary, questions.length ? `Earlier questions:\n${questions.join('\n')}` : '']
+      .filter(Boolean)
+      .join('\n');
+  }
+}
+
+// ============================================
+// GLOBAL INITIALIZATION
+// ============================================
+
+if (typeof self !== 'undefined') {
+  self.ChatThreadStore = ChatThreadStore;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ChatThreadStore;
+}
+
+console.log('[Chat Threads] Module loaded');
@@ -0,0 +1,215 @@
+/**
+ * Dark Voir AI Troubleshooter - Chat Tools
+ * Page inspection tools the chat model can call (implemented by content.js RUN_TOOL),
+ * described for both the JSON step protocol (Chrome Prompt API) and OpenAI function calling
+ */
+
+const CHAT_TOOLS = [
+  {
+    name: 'querySelector',
+    description: 'Find elements matching a CSS selector. Returns how many match and details (text, role, visibility, position) of the first few.',
+    parameters: {
+      type: 'object',
+      properties: {
+        selector: { type: 'string', description: 'CSS selector; "host >>> inner" reaches into shadow roots' },
+        limit: { type: 'number', description: 'Elements to describe, at most 10 (default 5)' }
+      },
+      required: ['selector']
+    }
+  },
+  {
+    name: 'getComputedStyle',
+    description: 'Computed CSS of the first element matching a selector (display, visibility, size, colors, ... or the given properties).',
+    parameters: {
+      type: 'object',
+      properties: {
+        selector: { type: 'string', description: 'CSS selector; "host >>> inner" reaches into shadow roots' },
+        properties: { type: 'array', items: { type: 'string' }, description: 'CSS property names, optional' }
+      },
+      required: ['selector']
+    }
+  },
+  {
+    name: 'listNetworkFailures',
+    description: 'Recent failed requests on the page (transport errors and HTTP 4xx/5xx), newest first.',
+    parameters: {
+      type: 'object',
+      properties: {
+        limit: { type: 'number', description: 'At most 20 (default 10)' }
+      }
+    }
+  },
+  {
+    name: 'getIssue',
+    description: 'Full details (stack, source location, request) of a detected issue, by its #number from the context or its id.',
+    parameters: {
+      type: 'object',
+      properties: {
+        id: { type: 'string', description: 'Issue number (e.g. "2") or id' }
+      },
+      required: ['id']
+    }
+  },
+  {
+    name: 'highlight',
+    description: 'Scroll to and outline the first element matching a selector so the user can see it.',
+    parameters: {
+      type: 'object',
+      properties: {
+        selector: { type: 'string', description: 'CSS selector; "host >>> inner" reaches into shadow roots' }
+      },
+      required: ['selector']
+    }
+  }
+];
+
+class ChatTools {
+  constructor(tools = CHAT_TOOLS) {
+    this.tools = tools;
+    this.maxSteps = 5;
+    this.maxResultLength = 2000;
+  }
+
+  has(name) {
+    return this.tools.some(tool => tool.name === name);
+  }
+
+  /**
+   * Missing required arguments, as an error message
+   * @returns {string|null}
+   */
+  validateArgs(name, args) {
+    const tool = this.tools.find(candidate => candidate.name === name);
+    if (!tool) return `Unknown tool: ${name}`;
+
+    const missing = (tool.parameters.required || []).filter(param => args?.[param] === undefined || args[param] === '');
+    return missing.length > 0 ? `Missing argument(s): ${missing.join(', ')}` : null;
+  }
+
+  // ============= JSON STEP PROTOCOL =============
+
+  /**
+   * responseConstraint for one step: call a tool or answer
+   */
+  getStepSchema() {
+    return {
+      type: 'object',
+      properties: {
+        action: { type: 'string', enum: ['tool', 'answer'] },
+        tool: { type: 'string', enum: this.tools.map(tool => tool.name) },
+        args: { type: 'object' },
+        answer: { type: 'string' }
+      },
+      required: ['action']
+    };
+  }
+
+  buildInstructions() {
+    const list = this.tools.map(tool => {
+      const params = Object.entries(tool.parameters.properties)
+        .map(([name, spec]) => `${name}${(tool.parameters.required || []).includes(name) ? '' : '?'}: ${spec.type}`)
+        .join(', ');
+      return `- ${tool.name}(${params}): ${tool.description}`;
+    }).join('\n');
+
+    return `You can inspect the user's page with these tools:
+${list}
+
+Reply with JSON only. To call a tool: {"action": "tool", "tool": "<name>", "args": {...}}.
+When you know enough (or the question is not about the page): {"action": "answer", "answer": "<your answer>"}.
+You can call at most ${this.maxSteps} tools.`;
+  }
+
+  buildResultPrompt(name, result, remaining) {
+    return `Result of ${name}:
+${this.formatResult(result)}
+
+${remaining > 0 ? `Call another tool (${remaining} left) or answer.` : 'No tool calls left - answer now.'}`;
+  }
+
+  buildFinalPrompt() {
+    return 'No tool calls left. Answer the user\'s question now with what you found, as plain text without JSON.';
+  }
+
+  /**
+   * @returns {Object|null} { action: 'tool', tool, args } | { action: 'answer', answer }, null when not a step
+   */
+  parseStep(text) {
+    let step;
+    try {
+      step = JSON.parse(String(text).trim().replace(/^```(?:json)?\s*|\s*```$/g, ''));
+    } catch (e) {
+      return null;
+    }
+
+    if (step?.action === 'answer' && typeof step.answer === 'string') {
+      return { action: 'answer', answer: step.answer };
+    }
+    if (step?.action === 'tool' && typeof step.tool === 'string') {
+      return { action: 'tool', tool: step.tool, args: step.args && typeof step.args === 'object' ? step.args : {} };
+    }
+    return null;
+  }
+
+  // ============= OPENAI FUNCTION CALLING =============
+
+  toOpenAITools() {
+    return this.tools.map(tool => ({
+      type: 'function',
+      function: {
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.parameters
+      }
+    }));
+  }
+
+  // ============= RESULTS =============
+
+  /**
+   * Tool result as model input, cut to maxResultLength
+   */
+  formatResult(result) {
+    const text = JSON.stringify(result);
+    return text.length > this.maxResultLength
+      ? `${text.substring(0, this.maxResultLength)}... (truncated)`
+      : text;
+  }
+
+  /**
+   * One-line outcome for the trace shown in the chat
+   */
+  summarizeResult(name, result) {
+    if (result?.error) return result.error;
+
+    switch (name) {
+      case 'querySelector':
+        return `${result.count} match${result.count === 1 ? '' : 'es'}`;
+      case 'getComputedStyle':
+        return result.found ? `${Object.keys(result.style).length} properties` : 'no matching element';
+      case 'listNetworkFailures':
+        return `${result.failures.length} failure(s)`;
+      case 'getIssue':
+        return result.issue ? `${result.issue.type}: ${String(result.issue.message || '').substring(0, 60)}` : 'not found';
+      case 'highlight':
+        return result.highlighted ? 'highlighted on the page' : 'no matching element';
+      default:
+        return 'done';
+    }
+  }
+}
+
+// ============================================
+// GLOBAL INITIALIZATION
+// ============================================
+
+if (typeof self !== 'undefined') {
+  self.CHAT_TOOLS = CHAT_TOOLS;
+  self.ChatTools = ChatTools;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { CHAT_TOOLS, ChatTools };
+}
+
+console.log('[Chat Tools] Module loaded');
@@ -0,0 +1,257 @@
+/**
+ * Dark Voir AI Troubleshooter - Console Bridge (MAIN world)
+ * Captures the page's console errors/warnings/asserts/traces, uncaught errors and
+ * unhandled rejections, and relays them to the content script over a private MessagePort.
+ *
+ * The port is handed to content.js in a synchronously dispatched event; the other end never
+ * leaves this closure, so page scripts can't post into the channel. From the registered
+ * content script that happens at document_start, before any page script runs. When injected
+ * later (executeScript after an extension reload, or into a frame) the page is already
+ * running, and its own window listeners can see the event too.
+ */
+
+(() => {
+  const INSTALLED = Symbol.for('dark-voir.console-bridge');
+  const PORT_EVENT = 'dark-voir-page-port';
+
+  // Injected again for a new content.js: keep the patches, hand over a new port
+  if (typeof window[INSTALLED] === 'function') {
+    window[INSTALLED]();
+    return;
+  }
+
+  class ConsoleBridge {
+    constructor(port) {
+      this.port = null;
+      this.maxDepth = 3;
+      this.maxKeys = 20;
+      this.maxString = 1000;
+      this.reporting = false;
+      this.connect(port);
+      this.install();
+    }
+
+    /**
+     * Switch to a new channel; the old content.js is gone with its end of the old one
+     */
+    connect(port) {
+      this.port?.close();
+      this.port = port;
+    }
+
+    install() {
+      this.patchConsole('error');
+      this.patchConsole('warn');
+      this.patchConsole('assert');
+      this.patchConsole('trace');
+
+      window.addEventListener('error', (event) => {
+        // Resource load errors (img, script src) don't bubble as ErrorEvents - content.js handles those
+        if (!(event instanceof ErrorEvent)) return;
+
+        this.post('error', {
+          name: event.error?.name || 'Error',
+          message: event.message || String(event.error || 'Script error'),
+          filename: event.filename,
+          lineno: event.lineno,
+          colno: event.colno,
+          stack: event.error?.stack || null
+        });
+      }, true);
+
+      window.addEventListener('unhandledrejection', (event) => {
+        const reason = event.reason;
+        this.post('rejection', {
+          name: reason?.name || 'UnhandledRejection',
+          message: reason instanceof Error ? reason.message : this.stringify(reason),
+          stack: reason?.stack || null,
+          reason: this.serialize(reason)
+        });
+      });
+    }
+
+    // ============= CONSOLE =============
+
+    patchConsole(level) {
+      const original = console[level];
+      if (typeof original !== 'function') return;
+
+      const bridge = this;
+      console[level] = function(...args) {
+        const result = original.apply(this, args);
+
+        try {
+          if (level === 'assert') {
+            // console.assert(condition, ...data) only logs when the condition is falsy
+            if (!args[0]) {
+              bridge.report('assert', args.slice(1), 'Assertion failed');
+            }
+          } else {
+            bridge.report(level, args);
+          }
+        } catch (e) {
+          // Never break the page's logging
+        }
+
+        return result;
+      };
+    }
+
+    report(level, args, prefix) {
+      // Guard against serialization code that logs (getters, toJSON)
+      if (this.reporting) return;
+      this.reporting = true;
+
+      try {
+        const message = this.formatArgs(args);
+        this.post('console', {
+          level: level,
+          message: prefix ? `${prefix}${message ? ': ' + message : ''}` : message,
+          args: args.map(arg => this.serialize(arg)),
+          // Call site, without the bridge's own frames
+          stack: this.callerStack(),
+          errorStack: args.find(arg => arg instanceof Error)?.stack || null
+        });
+      } finally {
+        this.reporting = false;
+      }
+    }
+
+    callerStack() {
+      const stack = new Error().stack || '';
+      return stack.split('\n')
+        .filter((line, index) => index === 0 || !/console-bridge\.js/.test(line))
+        .slice(1, 11)
+        .join('\n');
+    }
+
+    // ============= SERIALIZATION =============
+
+    /**
+     * Render console arguments like DevTools does, including %s/%d/%o substitutions
+     */
+    formatArgs(args) {
+      if (args.length === 0) return '';
+
+      let rest = args;
+      let head = '';
+
+      if (typeof args[0] === 'string' && /%[sdifoOc]/.test(args[0])) {
+        let index = 1;
+        head = args[0].replace(/%([sdifoOc])/g, (match, type) => {
+          if (index >= args.length) return match;
+          const value = args[index++];
+          switch (type) {
+            case 'c': return '';
+            case 'd':
+            case 'i': return String(parseInt(value, 10));
+            case 'f': return String(parseFloat(value));
+            case 's': return String(value);
+            default: return this.stringify(value);
+          }
+        });
+        rest = args.slice(index);
+      }
+
+      return [head, ...rest.map(arg => typeof arg === 'string' ? arg : this.stringify(arg))]
+        .filter(part => part !== '')
+        .join(' ')
+        .substring(0, this.maxString);
+    }
+
+    stringify(value) {
+      if (value instanceof Error) return `${value.name}: ${value.message}`;
+      if (typeof value === 'string') return value;
+
+      try {
+        const serialized = this.serialize(value);
+        return typeof serialized === 'string' ? serialized : JSON.stringify(serialized);
+      } catch (e) {
+        return String(value);
+      }
+    }
+
+    /**
+     * Structured-clone-safe copy of any value: depth/size limited, cycle-safe,
+     * with readable stand-ins for errors, DOM nodes and functions
+     */
+    serialize(value, depth = 0, seen = new WeakSet()) {
+      const type = typeof value;
+
+      if (value === null) return null;
+      if (type === 'undefined') return 'undefined';
+      if (type === 'string') return value.length > this.maxString ? value.substring(0, this.maxString) + '…' : value;
+      if (type === 'number' || type === 'boolean') return value;
+      if (type === 'bigint') return `${value}n`;
+      if (type === 'symbol') return value.toString();
+      if (type === 'function') return `[Function ${value.name || 'anonymous'}]`;
+
+      if (value instanceof Error) {
+        return { __type: 'Error', name: value.name, message: value.message, stack: value.stack || null };
+      }
+      if (typeof Element !== 'undefined' && value instanceof Element) {
+        const id = value.id ? `#${value.id}` : '';
+        const classes = typeof value.className === 'string' && value.className.trim()
+          ? '.' + value.className.trim().split(/\s+/).slice(0, 3).join('.')
+          : '';
+        return `<${value.tagName.toLowerCase()}${id}${classes}>`;
+      }
+      if (typeof Node !== 'undefined' && value instanceof Node) return `[${value.nodeName}]`;
+      if (value === window) return '[Window]';
+
+      if (seen.has(value)) return '[Circular]';
+      if (depth >= this.maxDepth) return Array.isArray(value) ? `[Array(${value.length})]` : '[Object]';
+      seen.add(value);
+
+      if (Array.isArray(value)) {
+        const items = value.slice(0, this.maxKeys).map(item => this.serialize(item, depth + 1, seen));
+        if (value.length > this.maxKeys) items.push(`… ${value.length - this.maxKeys} more`);
+        return items;
+      }
+
+      if (value instanceof Map) {
+        return { __type: 'Map', entries: Array.from(value.entries()).slice(0, this.maxKeys).map(([k, v]) => [this.serialize(k, depth + 1, seen), this.serialize(v, depth + 1, seen)]) };
+      }
+      if (value instanceof Set) {
+        return { __type: 'Set', values: Array.from(value).slice(0, this.maxKeys).map(v => this.serialize(v, depth + 1, seen)) };
+      }
+      if (value instanceof Date) return value.toISOString();
+
+      const result = {};
+      const keys = Object.keys(value);
+      keys.slice(0, this.maxKeys).forEach(key => {
+        try {
+          result[key] = this.serialize(value[key], depth + 1, seen);
+        } catch (e) {
+          result[key] = '[Unreadable]';
+        }
+      });
+      if (keys.length > this.maxKeys) result['…'] = `${keys.length - this.maxKeys} more keys`;
+
+      return result;
+    }
+
+    // ============= CHANNEL =============
+
+    post(kind, payload) {
+      try {
+        this.port.postMessage({
+          kind: kind,
+          timestamp: Date.now(),
+          ...payload
+        });
+      } catch (e) {
+        // Unclonable payload - drop it rather than throw into the page
+      }
+    }
+  }
+
+  const openChannel = () => {
+    const channel = new MessageChannel();
+    window.dispatchEvent(new MessageEvent(PORT_EVENT, { data: { channel: 'console' }, ports: [channel.port2] }));
+    return channel.port1;
+  };
+
+  const bridge = new ConsoleBridge(openChannel());
+  Object.defineProperty(window, INSTALLED, { value: () => bridge.connect(openChannel()) });
+})();
@@ -89,7 +89,31 @@ class ContentTroubleshooter {
     this.performanceObserver = null;
     this.mutationObserver = null;
     this.networkEvents = [];
+    this.maxNetworkEvents = 500;
     this.scanInterval = null;
+    // Groups everything reported from this page load in the issue store
+    this.recentReports = new Map();
+    this.settings = {};
+    this.vitals = {};
+    this.reportedVitalRatings = {};
+    this.vitalsSyncTimer = null;
+    this.auditInterval = 30000; // accessibility, SEO and security scans are heavier than the 5s scan
+    this.lastAuditAt = 0;
+    this.lastSeoScanAt = 0;
+    this.lastSecurityScanAt = 0;
+    this.seoReport = null;
+    this.cspViolations = new Map(); // directive|blocked source -> aggregate
+    this.maxCspViolations = 200;
+    this.reportedScanFindings = new Set();
+
+    // Private MessagePorts from the MAIN-world page scripts, by channel ('network', 'console')
+    this.pagePorts = new Map();
+
+    // In iframes (opt-in "Monitor Iframes"), issues are tagged with the frame they came from
+    this.isTopFrame = window === window.top;
+    this.framePath = typeof window.DarkVoirUtils !== 'undefined' ? window.DarkVoirUtils.getFramePath() : 'top';
+
+    this.pageLoadId = `load_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     this.init();
   }
 
@@ -97,11 +121,12 @@ class ContentTroubleshooter {
   async init() {
     console.log('[Dark Voir] Content troubleshooter initializing...');
     try {
+      this.loadSettings();
       this.setupErrorHandling();
       this.setupPerformanceMonitoring();
       this.setupDOMObserver();
       this.setupMessageListener();
-      this.setupNetworkInterception();
+      this.setupPageBridge();
 
       // Auto-scan after page load
       if (document.readyState === 'complete') {
@@ -118,31 +143,64 @@ class ContentTroubleshooter {
     }
   }
 
+  async loadSettings() {
+    try {
+      const result = await chrome.storage.local.get('dark_voir_settings');
+      this.settings = result.dark_voir_settings || {};
+      this.postPageConfig();
+
+      chrome.storage.onChanged.addListener((changes, area) => {
+        if (area === 'local' && changes.dark_voir_settings) {
+          this.settings = changes.dark_voir_settings.newValue || {};
+          this.postPageConfig();
+        }
+      });
+    } catch (error) {
+      console.warn('[Dark Voir] Could not load settings:', error);
+    }
+  }
+
+  /**
+   * Relay the settings the MAIN-world page scripts need (they can't read extension storage)
+   * over the network recorder's private port - never through window.postMessage, where
+   * page scripts would see it
+   */
+  postPageConfig() {
+    const port = this.pagePorts.get('network');
+    if (!port) return;
+
+    port.postMessage({
+      kind: 'config',
+      captureBodies: this.settings.captureNetworkBodies === true
+    });
+  }
+
   // ============= ERROR HANDLING =============
+  // Page errors, rejections and console calls are captured in the MAIN world by
+  // console-bridge.js and arrive through setupPageBridge(). These listeners only see
+  // resource load errors, and serve as a fallback when the bridge isn't running.
   setupErrorHandling() {
-    // Listen for JavaScript errors
     window.addEventListener('error', (event) => {
+      if (event instanceof ErrorEvent && this.isPageBridgeActive()) return;
       this.handleJavaScriptError(event);
     }, true);
 
-    // Listen for unhandled promise rejections
     window.addEventListener('unhandledrejection', (event) => {
+      // With the bridge running, rejections seen here come from the extension itself
+      if (this.isPageBridgeActive()) return;
       this.handlePromiseRejection(event);
     });
 
-    // Log console errors
-    const originalError = console.error;
-    console.error = (...args) => {
-      originalError.apply(console, args);
-      this.handleConsoleError(args);
-    };
+    document.addEventListener('securitypolicyviolation', (event) => {
+      this.handleCSPViolation(event);
+    });
+  }
 
-    // Log console warnings
-    const originalWarn = console.warn;
-    console.warn = (...args) => {
-      originalWarn.apply(console, args);
-      this.handleConsoleWarning(args);
-    };
+  /**
+   * console-bridge.js hands over its port as soon as it is installed
+   */
+  isPageBridgeActive() {
+    return this.pagePorts.has('console');
   }
 
   handleJavaScriptError(event) {
@@ -176,42 +234,126 @@ class ContentTroubleshooter {
     this.reportIssue(error);
   }
 
-  handleConsoleError(args) {
+  /**
+   * Aggregate the violation by directive and blocked source (at most maxCspViolations
+   * of them, for GET_CSP_VIOLATIONS) and report each aggregate once as a security_issue
+   */
+  handleCSPViolation(event) {
+    const violation = {
+      blockedURI: event.blockedURI,
+      effectiveDirective: event.effectiveDirective,
+      violatedDirective: event.violatedDirective,
+      originalPolicy: event.originalPolicy,
+      disposition: event.disposition,
+      sourceFile: event.sourceFile,
+      lineNumber: event.lineNumber,
+      sample: event.sample,
+      timestamp: Date.now()
+    };
+
+    if (typeof window.securityInspector === 'undefined') return;
+
+    const directive = violation.effectiveDirective || violation.violatedDirective;
+    const source = window.securityInspector.getViolationSource(violation.blockedURI || 'inline');
+    const key = `${directive}|${source}`;
+    const aggregate = this.cspViolations.get(key);
+
+    if (aggregate) {
+      aggregate.count++;
+      aggregate.lastSeen = violation.timestamp;
+      return;
+    }
+    if (this.cspViolations.size >= this.maxCspViolations) return;
+
+    this.cspViolations.set(key, {
+      directive,
+      source,
+      blockedURI: violation.blockedURI || 'inline',
+      originalPolicy: violation.originalPolicy,
+      disposition: violation.disposition,
+      sourceFile: violation.sourceFile,
+      lineNumber: violation.lineNumber,
+      sample: violation.sample,
+      count: 1,
+      firstSeen: violation.timestamp,
+      lastSeen: violation.timestamp
+    });
+
+    const finding = window.securityInspector.describeViolation(violation);
+
+    this.reportIssue({
+      type: 'security_issue',
+      message: finding.message,
+      severity: finding.severity,
+      check: finding.check,
+      remediation: finding.remediation,
+      directive: violation.effectiveDirective,
+      blockedURI: violation.blockedURI,
+      filename: violation.sourceFile,
+      lineno: violation.lineNumber,
+      timestamp: violation.timestamp,
+      url: window.location.href
+    });
+  }
+
+  handlePageError(data) {
     this.errorCount++;
-    
-    const message = args.map(arg => 
-      typeof arg === 'object' ? JSON.stringify(arg) : String(arg)
-    ).join(' ');
 
-    const error = {
-      type: 'console_error',
-      message: message.substring(0, 200),
-      severity: 'medium',
-      source: 'console',
+    this.reportIssue({
+      type: 'javascript_error',
+      message: data.message || 'JavaScript error occurred',
+      filename: data.filename,
+      lineno: data.lineno,
+      colno: data.colno,
+      stack: data.stack,
+      severity: this.determineErrorSeverity(data.message),
       timestamp: Date.now(),
       url: window.location.href
-    };
-
-    this.reportIssue(error);
+    });
   }
 
-  handleConsoleWarning(args) {
-    this.warningCount++;
-    
-    const message = args.map(arg => 
-      typeof arg === 'object' ? JSON.stringify(arg) : String(arg)
-    ).join(' ');
-
-    const warning = {
-      type: 'console_warning',
-      message: message.substring(0, 200),
-      severity: 'low',
-      source: 'console',
+  handlePageRejection(data) {
+    this.reportIssue({
+      type: 'javascript_error',
+      message: data.message || 'Unhandled Promise Rejection',
+      stack: data.stack,
+      reason: data.reason,
+      severity: 'high',
       timestamp: Date.now(),
       url: window.location.href
+    });
+  }
+
+  handlePageConsole(data) {
+    if (this.settings.monitorConsole === false) return;
+
+    const levels = {
+      error: { type: 'console_error', severity: 'medium' },
+      assert: { type: 'console_error', severity: 'medium' },
+      warn: { type: 'console_warning', severity: 'low' },
+      trace: { type: 'console_trace', severity: 'info' }
     };
+    const level = levels[data.level];
+    if (!level) return;
 
-    this.reportIssue(warning);
+    if (level.type === 'console_warning') {
+      this.warningCount++;
+    } else if (level.type === 'console_error') {
+      this.errorCount++;
+    }
+
+    this.reportIssue({
+      type: level.type,
+      message: String(data.message || '').substring(0, 500),
+      severity: level.severity,
+      source: 'console',
+      level: data.level,
+      consoleArgs: data.args,
+      // An Error argument's own stack beats the console call site
+      stack: data.errorStack || data.stack,
+      timestamp: Date.now(),
+      url: window.location.href
+    });
   }
 
   determineErrorSeverity(message) {
@@ -238,6 +380,11 @@ class ContentTroubleshooter {
         return;
       }
 
+      // Core Web Vitals come from web-vitals.js; this observer only watches resources
+      if (window.webVitals) {
+        window.webVitals.start(metric => this.handleVitalMetric(metric));
+      }
+
       this.performanceObserver = new PerformanceObserver((list) => {
         list.getEntries().forEach(entry => {
           this.analyzePerformanceEntry(entry);
@@ -245,7 +392,7 @@ class ContentTroubleshooter {
       });
 
       this.performanceObserver.observe({
-        entryTypes: ['paint', 'largest-contentful-paint', 'first-input', 'layout-shift', 'resource']
+        entryTypes: ['paint', 'resource']
       });
 
       console.log('[Dark Voir] Performance monitoring started');
@@ -254,51 +401,58 @@ class ContentTroubleshooter {
     }
   }
 
-  analyzePerformanceEntry(entry) {
-    switch (entry.entryType) {
-      case 'largest-contentful-paint':
-        if (entry.renderTime > 2500) {
-          this.reportIssue({
-            type: 'performance_issue',
-            message: `Slow page load: LCP ${entry.renderTime.toFixed(0)}ms (target: <2500ms)`,
-            severity: 'medium',
-            metric: 'LCP',
-            value: entry.renderTime,
-            timestamp: Date.now(),
-            url: window.location.href
-          });
-        }
-        break;
-
-      case 'first-input':
-        const fid = entry.processingDuration;
-        if (fid > 100) {
-          this.reportIssue({
-            type: 'performance_issue',
-            message: `Slow interaction: FID ${fid.toFixed(0)}ms (target: <100ms)`,
-            severity: 'low',
-            metric: 'FID',
-            value: fid,
-            timestamp: Date.now(),
-            url: window.location.href
-          });
-        }
-        break;
+  /**
+   * Forward vitals to the background (performanceMetrics) and report ratings that
+   * get worse. LCP waits until it is final, since it grows while the page loads.
+   */
+  handleVitalMetric(metric) {
+    this.vitals[metric.name] = metric;
+    this.scheduleVitalsSync();
+
+    if (this.settings.monitorPerformance === false) return;
+    if (metric.rating === 'good' || (metric.name === 'LCP' && !metric.final)) return;
+
+    const ratingOrder = { good: 0, 'needs-improvement': 1, poor: 2 };
+    const reported = this.reportedVitalRatings[metric.name];
+    if (reported && ratingOrder[reported] >= ratingOrder[metric.rating]) return;
+    this.reportedVitalRatings[metric.name] = metric.rating;
+
+    const [good, poor] = window.webVitals.thresholds[metric.name];
+    const format = value => (metric.name === 'CLS' ? value.toFixed(3) : `${Math.round(value)}ms`);
+
+    this.reportIssue({
+      type: 'performance_issue',
+      message: `${metric.name} ${format(metric.value)} is ${metric.rating.replace('-', ' ')} (good: ≤${format(good)}, poor: >${format(poor)})`,
+      severity: metric.rating === 'poor' ? 'medium' : 'low',
+      metric: metric.name,
+      value: metric.value,
+      rating: metric.rating,
+      attribution: metric.attribution,
+      element: metric.attribution?.element || metric.attribution?.target || metric.attribution?.largestShiftTarget || undefined,
+      timestamp: Date.now(),
+      url: window.location.href
+    });
+  }
 
-      case 'layout-shift':
-        if (entry.value > 0.1 && !entry.hadRecentInput) {
-          this.reportIssue({
-            type: 'performance_issue',
-            message: `Layout shift detected: CLS ${entry.value.toFixed(3)} (target: <0.1)`,
-            severity: 'low',
-            metric: 'CLS',
-            value: entry.value,
-            timestamp: Date.now(),
-            url: window.location.href
-          });
-        }
-        break;
+  scheduleVitalsSync() {
+    // The tab's vitals are the page's; a frame's poor ratings are still reported as issues
+    if (this.vitalsSyncTimer || !this.isTopFrame) return;
+
+    this.vitalsSyncTimer = setTimeout(() => {
+      this.vitalsSyncTimer = null;
+      chrome.runtime.sendMessage({
+        type: 'REPORT_VITALS',
+        pageLoadId: this.pageLoadId,
+        url: window.location.href,
+        vitals: this.vitals
+      }).catch(() => {
+        // Background may be restarting
+      });
+    }, 1000);
+  }
 
+  analyzePerformanceEntry(entry) {
+    switch (entry.entryType) {
       case 'resource':
         if (entry.duration > 3000) {
           this.reportIssue({
@@ -390,93 +544,255 @@ class ContentTroubleshooter {
     }
   }
 
+  // Unique, visible-checked selectors from the selector engine ('host >>> inner' in shadow roots)
   generateSelector(element) {
-    if (element.id) return `#${element.id}`;
-    if (element.dataset.testid) return `[data-testid="${element.dataset.testid}"]`;
-    if (element.className && typeof element.className === 'string') {
-      const classes = element.className.split(' ').filter(c => c.length > 0);
-      if (classes.length > 0) return `.${classes[0]}`;
-    }
-    return element.tagName.toLowerCase();
+    return typeof window.DarkVoirUtils !== 'undefined'
+      ? window.DarkVoirUtils.generateSelector(element)
+      : element.tagName.toLowerCase();
   }
 
-  // ============= NETWORK INTERCEPTION =============
-  setupNetworkInterception() {
+  // ============= PAGE BRIDGE =============
+  // network-recorder.js and console-bridge.js run in the page's MAIN world (registered
+  // by the background) right after this script at document_start; this isolated world
+  // can't see the page's own requests or console. Each one creates a MessageChannel and
+  // hands one port over in a synchronously dispatched event - before any page script runs
+  // when registered, but in view of the page's own listeners when injected into a running
+  // page (after an extension reload, or into a frame). Only the first port per channel is
+  // accepted, and all traffic goes over the ports - nothing is broadcast on window.
+  setupPageBridge() {
     try {
-      // Intercept fetch requests
-      const originalFetch = window.fetch;
-      window.fetch = (...args) => {
-        const startTime = Date.now();
-        return originalFetch.apply(this, args)
-          .then(response => {
-            const duration = Date.now() - startTime;
-            
-            // Log network event
-            this.networkEvents.push({
-              url: args[0],
-              status: response.status,
-              duration: duration,
-              timestamp: Date.now()
-            });
-
-            // Report slow requests
-            if (duration > 5000) {
-              this.reportIssue({
-                type: 'network_issue',
-                message: `Slow network request: ${duration}ms for ${String(args[0]).substring(0, 50)}`,
-                severity: 'low',
-                duration: duration,
-                status: response.status,
-                timestamp: Date.now(),
-                url: window.location.href
-              });
-            }
+      window.addEventListener('dark-voir-page-port', (event) => {
+        const channel = event.data?.channel;
+        const port = event.ports?.[0];
+        if (!port || !['network', 'console'].includes(channel) || this.pagePorts.has(channel)) return;
+
+        this.pagePorts.set(channel, port);
+        port.onmessage = (message) => this.handlePageMessage(channel, message.data);
+        if (channel === 'network') this.postPageConfig();
+      });
 
-            // Report errors
-            if (!response.ok) {
-              this.reportIssue({
-                type: 'network_issue',
-                message: `HTTP ${response.status}: ${String(args[0]).substring(0, 50)}`,
-                severity: response.status >= 500 ? 'high' : 'medium',
-                status: response.status,
-                timestamp: Date.now(),
-                url: window.location.href
-              });
-            }
+      console.log('[Dark Voir] Page bridge listening');
+    } catch (error) {
+      console.error('[Dark Voir] Page bridge setup failed:', error);
+    }
+  }
 
-            return response;
-          })
-          .catch(error => {
-            const duration = Date.now() - startTime;
-            
-            this.reportIssue({
-              type: 'network_issue',
-              message: `Network error: ${error.message} for ${String(args[0]).substring(0, 50)}`,
-              severity: 'high',
-              error: error.message,
-              duration: duration,
-              timestamp: Date.now(),
-              url: window.location.href
-            });
-
-            throw error;
-          });
-      };
+  /**
+   * A message from a page script's port; each channel only carries its own kinds
+   * @private
+   */
+  handlePageMessage(channel, data) {
+    if (!data) return;
 
-      console.log('[Dark Voir] Network interception started');
-    } catch (error) {
-      console.error('[Dark Voir] Network interception setup failed:', error);
+    if (channel === 'network') {
+      if (data.kind === 'network' && data.event) this.recordNetworkEvent(data.event);
+      return;
+    }
+
+    switch (data.kind) {
+      case 'console':
+        this.handlePageConsole(data);
+        break;
+      case 'error':
+        this.handlePageError(data);
+        break;
+      case 'rejection':
+        this.handlePageRejection(data);
+        break;
     }
   }
 
+  recordNetworkEvent(networkEvent) {
+    this.networkEvents.push({
+      ...networkEvent,
+      timestamp: Date.now()
+    });
+
+    // Keep memory bounded on chatty pages
+    if (this.networkEvents.length > this.maxNetworkEvents) {
+      this.networkEvents.splice(0, this.networkEvents.length - this.maxNetworkEvents);
+    }
+
+    this.analyzeNetworkEvent(networkEvent);
+  }
+
+  /**
+   * Turn failed or slow requests into network_issue reports
+   */
+  analyzeNetworkEvent(networkEvent) {
+    const { transport, method, url, status, duration, error } = networkEvent;
+    const shortUrl = String(url).substring(0, 80);
+    const details = {
+      transport: transport,
+      method: method,
+      requestUrl: url,
+      status: status,
+      duration: duration,
+      requestId: networkEvent.id,
+      timestamp: Date.now(),
+      url: window.location.href
+    };
+
+    // Aborted requests are the page's own decision
+    if (error === 'aborted') return;
+
+    if (error) {
+      this.reportIssue({
+        ...details,
+        type: 'network_issue',
+        message: `${this.getTransportLabel(transport)} failed: ${error} for ${method} ${shortUrl}`,
+        severity: transport === 'beacon' || networkEvent.phase === 'reconnect' ? 'medium' : 'high',
+        error: error
+      });
+      return;
+    }
+
+    if ((transport === 'fetch' || transport === 'xhr') && status >= 400) {
+      this.reportIssue({
+        ...details,
+        type: 'network_issue',
+        message: `HTTP ${status}${networkEvent.statusText ? ' ' + networkEvent.statusText : ''}: ${method} ${shortUrl}`,
+        severity: status >= 500 ? 'high' : 'medium'
+      });
+      return;
+    }
+
+    if ((transport === 'fetch' || transport === 'xhr') && duration > 5000) {
+      this.reportIssue({
+        ...details,
+        type: 'network_issue',
+        message: `Slow network request: ${duration}ms for ${method} ${shortUrl}`,
+        severity: 'low'
+      });
+    }
+  }
+
+  /**
+   * Everything a HAR export of this page load needs: the page, the recorded events
+   * (latest state per request) and their Resource Timing entries
+   */
+  getNetworkLog() {
+    const navigation = performance.getEntriesByType('navigation')[0];
+    const byId = new Map();
+
+    this.networkEvents.forEach(networkEvent => {
+      // WebSocket/EventSource emit open, reconnect and close events under one id
+      byId.set(networkEvent.id, { ...byId.get(networkEvent.id), ...networkEvent });
+    });
+
+    return {
+      page: {
+        id: this.pageLoadId,
+        url: window.location.href,
+        title: document.title,
+        startedDateTime: new Date(performance.timeOrigin).toISOString(),
+        onContentLoad: navigation ? Math.round(navigation.domContentLoadedEventEnd) : null,
+        onLoad: navigation && navigation.loadEventEnd > 0 ? Math.round(navigation.loadEventEnd) : null,
+        document: navigation ? this.serializeResourceTiming(navigation) : null
+      },
+      events: Array.from(byId.values()).map(networkEvent => ({
+        ...networkEvent,
+        resourceTiming: this.findResourceTiming(networkEvent)
+      }))
+    };
+  }
+
+  /**
+   * Failed requests (transport errors, HTTP 4xx/5xx), newest first
+   * @param {number} limit - Maximum number returned
+   */
+  getNetworkFailures(limit = 20) {
+    return this.networkEvents
+      .filter(networkEvent => (networkEvent.error && networkEvent.error !== 'aborted') || networkEvent.status >= 400)
+      .slice(-limit)
+      .reverse()
+      .map(networkEvent => ({
+        transport: networkEvent.transport,
+        method: networkEvent.method,
+        url: networkEvent.url,
+        status: networkEvent.status,
+        statusText: networkEvent.statusText,
+        error: networkEvent.error,
+        duration: networkEvent.duration,
+        timestamp: networkEvent.timestamp
+      }));
+  }
+
+  /**
+   * Resource Timing entry for a recorded request: same URL, closest start time
+   */
+  findResourceTiming(networkEvent) {
+    if (networkEvent.transport !== 'fetch' && networkEvent.transport !== 'xhr') return null;
+
+    const start = networkEvent.startTime - performance.timeOrigin;
+    const entries = performance.getEntriesByName(networkEvent.url, 'resource')
+      .filter(entry => entry.startTime >= start - 50);
+    if (entries.length === 0) return null;
+
+    entries.sort((a, b) => Math.abs(a.startTime - start) - Math.abs(b.startTime - start));
+    return this.serializeResourceTiming(entries[0]);
+  }
+
+  serializeResourceTiming(entry) {
+    const fields = [
+      'startTime', 'duration', 'fetchStart', 'domainLookupStart', 'domainLookupEnd',
+      'connectStart', 'connectEnd', 'secureConnectionStart', 'requestStart', 'responseStart',
+      'responseEnd', 'transferSize', 'encodedBodySize', 'decodedBodySize', 'nextHopProtocol',
+      'responseStatus', 'name'
+    ];
+    const timing = {};
+    fields.forEach(field => {
+      if (entry[field] !== undefined) timing[field] = entry[field];
+    });
+    return timing;
+  }
+
+  getTransportLabel(transport) {
+    const labels = {
+      fetch: 'Fetch request',
+      xhr: 'XHR request',
+      websocket: 'WebSocket',
+      eventsource: 'EventSource',
+      beacon: 'Beacon'
+    };
+    return labels[transport] || 'Request';
+  }
+
   // ============= MESSAGE HANDLING =============
   setupMessageListener() {
     chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+      if (!this.shouldHandleMessage(request)) return false;
       this.handleMessage(request, sender, sendResponse);
       return true;
     });
   }
 
+  /**
+   * Tab messages reach every monitored frame. The top frame answers them, reaching into
+   * same-origin iframes itself; a subframe only answers messages addressed to its
+   * framePath that the top frame can't reach (cross-origin).
+   */
+  shouldHandleMessage(request) {
+    const target = request.framePath;
+    const utils = window.DarkVoirUtils;
+
+    if (this.isTopFrame) {
+      return !target || target === 'top' || !utils || !!utils.getFrameDocument(target) || this.settings.monitorFrames !== true;
+    }
+    return target === this.framePath && !this.isReachableFromTop();
+  }
+
+  /**
+   * Whether the top frame's content script can read this frame's document
+   */
+  isReachableFromTop() {
+    try {
+      return !!window.top.document;
+    } catch (error) {
+      return false;
+    }
+  }
+
   async handleMessage(request, sender, sendResponse) {
     try {
       const action = request.type || request.action;
@@ -499,6 +815,18 @@ class ContentTroubleshooter {
           sendResponse({ success: true });
           break;
 
+        case 'GET_CSP_VIOLATIONS':
+          sendResponse({ success: true, violations: Array.from(this.cspViolations.values()) });
+          break;
+
+        case 'GET_SEO_REPORT':
+          sendResponse({ success: true, report: this.performSEOScan(true) });
+          break;
+
+        case 'START_FOCUS_WALK':
+          sendResponse({ success: true, ...this.runFocusWalk() });
+          break;
+
         case 'EXECUTE_VISUAL_GUIDE':
           if (typeof window.visualGuide !== 'undefined') {
             window.visualGuide.start(request.steps);
@@ -510,19 +838,37 @@ class ContentTroubleshooter {
           sendResponse({ success: true, issues: this.issues });
           break;
 
+        case 'GET_NETWORK_EVENTS':
+          sendResponse({ success: true, events: this.networkEvents });
+          break;
+
+        case 'GET_NETWORK_LOG':
+          sendResponse({ success: true, log: this.getNetworkLog() });
+          break;
+
         case 'GET_PAGE_CONTEXT':
           const context = this.getPageContext();
           sendResponse({ success: true, context });
           break;
 
-        case 'APPLY_FIX':
-          await this.applyFix(request.fix);
-          sendResponse({ success: true });
+        case 'GET_PAGE_STRUCTURE':
+          sendResponse({
+            success: true,
+            structure: typeof window.domAnalyzer !== 'undefined' ? window.domAnalyzer.getPageStructure() : null
+          });
+          break;
+
+        case 'GET_NETWORK_FAILURES':
+          sendResponse({ success: true, failures: this.getNetworkFailures(request.limit) });
           break;
 
         case 'HIGHLIGHT_ELEMENT':
-          this.highlightElement(request.selector);
-          sendResponse({ success: true });
+          const element = this.highlightElement(request.selector, request.framePath);
+          sendResponse({ success: true, found: !!element, element });
+          break;
+
+        case 'RUN_TOOL':
+          sendResponse({ success: true, result: this.runTool(request.tool, request.args || {}) });
           break;
 
         case 'PERFORM_SCAN':
@@ -545,7 +891,7 @@ class ContentTroubleshooter {
     console.log('[Dark Voir] Visual guide activated:', query);
 
     // Find relevant elements
-    const elements = this.findRelevantElements(query || '');
+    const elements = this.getGuideCandidates(query || '');
     const pageContext = this.getPageContext();
 
     // Request guide from background
@@ -572,23 +918,63 @@ class ContentTroubleshooter {
     });
   }
 
+  getGuideCandidates(query) {
+    // Prefer the DOM analyzer's intent-aware search, trimmed to what the planner needs
+    if (typeof window.domAnalyzer !== 'undefined') {
+      const analyzed = window.domAnalyzer.analyzeForQuery(query).filter(Boolean);
+      if (analyzed.length > 0) {
+        return analyzed.map(meta => ({
+          tagName: meta.tagName,
+          text: meta.text?.substring(0, 50),
+          ariaLabel: meta.ariaLabel,
+          placeholder: meta.placeholder,
+          id: meta.id,
+          name: meta.name,
+          type: meta.type,
+          role: meta.role,
+          href: meta.href,
+          selector: meta.selector,
+          alternatives: meta.alternativeSelectors,
+          framePath: meta.framePath,
+          visible: meta.isVisible,
+          isInput: meta.isInput,
+          isClickable: meta.isClickable,
+          isRequired: meta.isRequired
+        }));
+      }
+    }
+
+    return this.findRelevantElements(query);
+  }
+
   findRelevantElements(query) {
     const keywords = query.toLowerCase().split(/\s+/).filter(k => k.length > 2);
     const elements = [];
 
-    // Find buttons, links, inputs
-    document.querySelectorAll('button, input[type="button"], input[type="submit"], a, [role="button"]').forEach(el => {
+    // Find buttons, links, inputs - also in shadow roots and same-origin iframes
+    const selector = 'button, input[type="button"], input[type="submit"], a, [role="button"]';
+    const candidates = typeof window.DarkVoirUtils !== 'undefined'
+      ? window.DarkVoirUtils.deepQuerySelectorAll(selector)
+      : Array.from(document.querySelectorAll(selector));
+
+    candidates.forEach(el => {
       const text = el.textContent?.toLowerCase() || '';
       const ariaLabel = el.getAttribute('aria-label')?.toLowerCase() || '';
       const title = el.title?.toLowerCase() || '';
 
       if (keywords.some(kw => text.includes(kw) || ariaLabel.includes(kw) || title.includes(kw))) {
+        // Ranked alternatives let a guide step find the element again after a re-render
+        const selectors = typeof window.selectorEngine !== 'undefined'
+          ? window.selectorEngine.getSelectors(el)
+          : [this.generateSelector(el)];
         elements.push({
           tagName: el.tagName.toLowerCase(),
           text: el.textContent?.trim().substring(0, 50),
           ariaLabel: el.getAttribute('aria-label'),
           id: el.id,
-          selector: this.generateSelector(el),
+          selector: selectors[0],
+          alternatives: selectors.slice(1),
+          framePath: typeof window.DarkVoirUtils !== 'undefined' ? window.DarkVoirUtils.getElementFramePath(el) : 'top',
           visible: this.isElementVisible(el)
         });
       }
@@ -612,14 +998,36 @@ class ContentTroubleshooter {
     };
   }
 
-  highlightElement(selector) {
+  /**
+   * Outline an element for 5 seconds. Without a framePath the page, its shadow roots and
+   * same-origin iframes are searched; with one, only that frame (this one, when a
+   * cross-origin frame answers for itself).
+   * @param {string} selector - CSS selector
+   * @param {string} framePath - Frame to search, from an issue's framePath, optional
+   * @returns {Object|null} The element's metadata, null when nothing matches
+   */
+  highlightElement(selector, framePath = null) {
     try {
-      const element = document.querySelector(selector);
-      if (!element) return;
+      const utils = window.DarkVoirUtils;
+      // The selector engine prefers a visible match over a hidden twin
+      const find = root => typeof window.selectorEngine !== 'undefined'
+        ? window.selectorEngine.resolve(selector, root)
+        : utils.deepQuerySelector(selector, root);
+      let element;
+      if (!utils) {
+        element = document.querySelector(selector);
+      } else if (framePath && framePath !== this.framePath) {
+        const frameDocument = utils.getFrameDocument(framePath);
+        element = frameDocument ? find(frameDocument) : null;
+      } else {
+        element = find(document);
+      }
+      if (!element) return null;
 
       element.scrollIntoView({ behavior: 'smooth', block: 'center' });
 
-      const rect = element.getBoundingClientRect();
+      // Offset through the iframes between this page and the element
+      const rect = utils ? utils.getViewportRect(element) : element.getBoundingClientRect();
       const highlight = document.createElement('div');
       highlight.style.cssText = `
         position: fixed;
@@ -638,34 +1046,129 @@ class ContentTroubleshooter {
 
       // Remove after 5 seconds
       setTimeout(() => highlight.remove(), 5000);
+
+      return this.describeElement(element);
     } catch (error) {
       console.error('[Dark Voir] Highlight failed:', error);
+      return null;
     }
   }
 
-  async applyFix(fix) {
-    try {
-      console.log('[Dark Voir] Attempting to apply fix:', fix);
-      
-      if (fix.code) {
-        // Execute fix code
-        const fixFunction = new Function(fix.code);
-        fixFunction();
-        console.log('[Dark Voir] Fix code executed');
+  describeElement(element) {
+    const style = (element.ownerDocument.defaultView || window).getComputedStyle(element);
+    const metadata = typeof window.domAnalyzer !== 'undefined'
+      ? window.domAnalyzer.getElementMetadata(element)
+      : { tagName: element.tagName.toLowerCase(), id: element.id || null, text: element.textContent?.trim().substring(0, 100) || '' };
+
+    return {
+      ...metadata,
+      framePath: typeof window.DarkVoirUtils !== 'undefined' ? window.DarkVoirUtils.getElementFramePath(element) : this.framePath,
+      style: {
+        display: style.display,
+        visibility: style.visibility,
+        opacity: style.opacity,
+        position: style.position,
+        pointerEvents: style.pointerEvents,
+        zIndex: style.zIndex
       }
+    };
+  }
 
-      this.reportIssue({
-        type: 'fix_applied',
-        message: `Applied fix: ${fix.issue?.message || 'Unknown'}`,
-        severity: 'info',
-        timestamp: Date.now(),
-        url: window.location.href
-      });
-    } catch (error) {
-      console.error('[Dark Voir] Fix application failed:', error);
+  // ============= CHAT TOOLS =============
+  /**
+   * Page inspection for the chat model's tool calls (definitions in chat-tools.js).
+   * Invalid selectors throw and come back to the model as the tool's error.
+   */
+  runTool(tool, args) {
+    switch (tool) {
+      case 'querySelector': {
+        const elements = this.queryAll(args.selector);
+        const limit = Math.min(Math.max(1, args.limit || 5), 10);
+        return {
+          count: elements.length,
+          elements: elements.slice(0, limit).map(element => this.summarizeToolElement(element))
+        };
+      }
+
+      case 'getComputedStyle': {
+        const element = this.queryAll(args.selector)[0];
+        if (!element) return { found: false };
+
+        const properties = Array.isArray(args.properties) && args.properties.length > 0
+          ? args.properties.slice(0, 30)
+          : ['display', 'visibility', 'opacity', 'position', 'z-index', 'width', 'height', 'overflow',
+            'color', 'background-color', 'font-size', 'pointer-events', 'transform'];
+        const computed = element.ownerDocument.defaultView.getComputedStyle(element);
+        const style = {};
+        properties.forEach(property => {
+          const name = String(property).replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+          style[name] = computed.getPropertyValue(name);
+        });
+        return { found: true, element: this.summarizeToolElement(element), style };
+      }
+
+      case 'listNetworkFailures':
+        return { failures: this.getNetworkFailures(Math.min(Math.max(1, args.limit || 10), 20)) };
+
+      case 'getIssue': {
+        // Numbers count from the newest issue, like the chat context pack
+        const id = String(args.id).replace(/^#/, '');
+        const newestFirst = this.issues.slice().reverse();
+        const issue = /^\d+$/.test(id) ? newestFirst[parseInt(id, 10) - 1] : this.issues.find(candidate => candidate.id === id);
+        return { issue: issue || null };
+      }
+
+      case 'highlight': {
+        const element = this.highlightElement(args.selector);
+        return element
+          ? { highlighted: true, element: this.summarizeToolElement(this.queryAll(args.selector)[0]) }
+          : { highlighted: false };
+      }
+
+      default:
+        throw new Error(`Unknown tool: ${tool}`);
     }
   }
 
+  /**
+   * Elements matching a CSS or 'host >>> inner' selector, in shadow roots and same-origin
+   * iframes too; invalid selectors throw
+   */
+  queryAll(selector) {
+    return typeof window.DarkVoirUtils !== 'undefined'
+      ? window.DarkVoirUtils.deepQuerySelectorAll(selector)
+      : Array.from(document.querySelectorAll(selector));
+  }
+
+  /**
+   * The parts of DOMAnalyzer.getElementMetadata worth a model's tokens
+   */
+  summarizeToolElement(element) {
+    const metadata = typeof window.domAnalyzer !== 'undefined'
+      ? window.domAnalyzer.getElementMetadata(element)
+      : null;
+    if (!metadata) {
+      return { tagName: element.tagName.toLowerCase(), selector: this.generateSelector(element) };
+    }
+
+    return {
+      tagName: metadata.tagName,
+      id: metadata.id,
+      classes: metadata.classes.slice(0, 5),
+      text: metadata.text,
+      role: metadata.role,
+      ariaLabel: metadata.ariaLabel,
+      type: metadata.type,
+      name: metadata.name,
+      href: metadata.href,
+      selector: metadata.selector,
+      visible: metadata.isVisible,
+      clickable: metadata.isClickable,
+      disabled: metadata.isDisabled,
+      viewport: metadata.position.viewport
+    };
+  }
+
   // ============= SCANNING =============
   startRealTimeScanning() {
     if (this.isScanning) return;
@@ -721,20 +1224,6 @@ class ContentTroubleshooter {
       });
     });
 
-    // Check for missing alt text on images
-    document.querySelectorAll('img').forEach(img => {
-      if (!img.alt && img.offsetParent !== null) {
-        this.reportIssue({
-          type: 'accessibility_issue',
-          message: `Image missing alt text: ${img.src.substring(0, 50)}`,
-          severity: 'low',
-          element: this.generateSelector(img),
-          timestamp: Date.now(),
-          url: window.location.href
-        });
-      }
-    });
-
     // Check for links without href
     document.querySelectorAll('a').forEach(link => {
       if (!link.href && !link.getAttribute('onclick')) {
@@ -748,34 +1237,194 @@ class ContentTroubleshooter {
         });
       }
     });
+
+    this.performAccessibilityAudit();
+    this.performSEOScan();
+    this.performSecurityScan();
+  }
+
+  /**
+   * WCAG 2.2 audit (accessibility-audit.js), at most every auditInterval since contrast
+   * checks read computed styles; each finding is reported once per page load
+   */
+  performAccessibilityAudit() {
+    if (typeof window.accessibilityAudit === 'undefined') return;
+
+    const now = Date.now();
+    if (now - this.lastAuditAt < this.auditInterval) return;
+    this.lastAuditAt = now;
+
+    window.accessibilityAudit.run().forEach(finding => this.reportAccessibilityFinding(finding));
+  }
+
+  /**
+   * SEO and metadata checks (seo-scanner.js), reported as seo_issue once per page load
+   * @param {boolean} force - Scan even if the last scan is recent (the popup asking for the score)
+   * @returns {Object|null} { score, checks, findings, url, timestamp }
+   */
+  performSEOScan(force = false) {
+    // Search metadata belongs to the page, not to embedded frames
+    if (typeof window.seoScanner === 'undefined' || !this.isTopFrame) return null;
+
+    const now = Date.now();
+    if (!force && now - this.lastSeoScanAt < this.auditInterval) return this.seoReport;
+    this.lastSeoScanAt = now;
+
+    this.seoReport = { ...window.seoScanner.scan(), url: window.location.href, timestamp: now };
+
+    this.seoReport.findings.forEach(finding => {
+      const key = `seo|${finding.check}|${finding.message}`;
+      if (this.reportedScanFindings.has(key)) return;
+      this.reportedScanFindings.add(key);
+
+      this.reportIssue({
+        type: 'seo_issue',
+        message: finding.selector ? `${finding.message} (${finding.selector})` : finding.message,
+        severity: finding.status === 'fail' ? 'medium' : 'low',
+        element: finding.selector,
+        check: finding.check,
+        checkLabel: finding.label,
+        timestamp: now,
+        url: window.location.href
+      });
+    });
+
+    return this.seoReport;
+  }
+
+  /**
+   * Mixed content and insecure forms (security-inspector.js), reported as security_issue
+   * once per page load. Headers and cookies are checked by the background.
+   */
+  performSecurityScan() {
+    if (typeof window.securityInspector === 'undefined') return;
+
+    const now = Date.now();
+    if (now - this.lastSecurityScanAt < this.auditInterval) return;
+    this.lastSecurityScanAt = now;
+
+    window.securityInspector.scanDocument().forEach(finding => {
+      const key = `security|${finding.check}|${finding.message}`;
+      if (this.reportedScanFindings.has(key)) return;
+      this.reportedScanFindings.add(key);
+
+      this.reportIssue({
+        type: 'security_issue',
+        message: finding.selector ? `${finding.message} (${finding.selector})` : finding.message,
+        severity: finding.severity,
+        element: finding.selector,
+        check: finding.check,
+        remediation: finding.remediation,
+        timestamp: now,
+        url: window.location.href
+      });
+    });
+  }
+
+  /**
+   * Focus walk (focus-walk.js): number the tab stops on the page and report traps,
+   * invisible focus and order jumps
+   * @returns {Object} { stops, findings }
+   */
+  runFocusWalk() {
+    if (typeof window.focusWalk === 'undefined') {
+      throw new Error('Focus walk not loaded - refresh the page');
+    }
+
+    const result = window.focusWalk.start();
+    result.findings.forEach(finding => this.reportAccessibilityFinding(finding));
+    return result;
+  }
+
+  /**
+   * Report an audit or focus walk finding once per page load
+   * @param {Object} finding - { rule, criterion, criterionName, level, impact, selector, message }
+   */
+  reportAccessibilityFinding(finding) {
+    const key = `${finding.rule}|${finding.selector}|${finding.message}`;
+    if (this.reportedScanFindings.has(key)) return;
+    this.reportedScanFindings.add(key);
+
+    const severityByImpact = { critical: 'high', serious: 'medium', moderate: 'low', minor: 'low' };
+
+    this.reportIssue({
+      type: 'accessibility_issue',
+      // The selector keeps findings on different elements in separate groups
+      message: `${finding.message} (${finding.selector})`,
+      severity: severityByImpact[finding.impact] || 'low',
+      element: finding.selector,
+      rule: finding.rule,
+      wcag: finding.criterion,
+      wcagName: finding.criterionName,
+      wcagLevel: finding.level,
+      impact: finding.impact,
+      timestamp: Date.now(),
+      url: window.location.href
+    });
   }
 
   // ============= ISSUE REPORTING =============
   reportIssue(issue) {
-    // Don't report duplicate issues within 5 seconds
-    const recentDuplicate = this.issues.some(existing =>
-      existing.type === issue.type &&
-      existing.message === issue.message &&
-      Date.now() - existing.timestamp < 5000
-    );
-
-    if (recentDuplicate) {
+    // Repeats within 5 seconds are only counted; the count goes out with the next report
+    // or when the window closes, so an error loop can't flood the background but group
+    // counts stay accurate
+    const now = Date.now();
+    const key = `${issue.type}|${issue.message}`;
+    const recent = this.recentReports.get(key);
+    const tagged = { ...issue, frameUrl: window.location.href, framePath: this.framePath };
+
+    if (recent && now - recent.sentAt < 5000) {
+      recent.suppressed++;
+      recent.issue = tagged;
+      if (!recent.timer) {
+        recent.timer = setTimeout(() => this.flushRepeats(key), recent.sentAt + 5000 - now);
+      }
       return;
     }
 
+    // Entries with a pending count remove themselves when their timer fires
+    if (this.recentReports.size > 100) {
+      this.recentReports.forEach((entry, entryKey) => {
+        if (now - entry.sentAt >= 5000 && !entry.timer) this.recentReports.delete(entryKey);
+      });
+    }
+    if (recent?.timer) clearTimeout(recent.timer);
+    this.recentReports.set(key, { sentAt: now, suppressed: 0, issue: null, timer: null });
+    const occurrences = (recent?.suppressed || 0) + 1;
+
     this.issues.push({
       id: `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-      ...issue,
+      ...tagged,
       timestamp: issue.timestamp || Date.now()
     });
 
-    // Send to background
+    this.sendIssue(tagged, occurrences);
+  }
+
+  /**
+   * Send the repeats counted during a closed 5 second window
+   * @private
+   */
+  flushRepeats(key) {
+    const entry = this.recentReports.get(key);
+    if (!entry) return;
+
+    this.recentReports.delete(key);
+    if (entry.suppressed > 0) {
+      this.sendIssue(entry.issue, entry.suppressed);
+    }
+  }
+
+  /**
+   * @private
+   */
+  sendIssue(tagged, occurrences) {
     safeSendMessage({
       type: 'REPORT_ISSUE',
-      issue: issue
+      issue: { ...tagged, pageLoadId: this.pageLoadId, occurrences }
     }, (response) => {
       if (response?.success) {
-        console.log('[Dark Voir] Issue reported:', issue.type);
+        console.log('[Dark Voir] Issue reported:', tagged.type);
       }
     });
   }
@@ -797,6 +1446,7 @@ class ContentTroubleshooter {
 
   clearIssues() {
     this.issues = [];
+    this.reportedScanFindings.clear();
     this.errorCount = 0;
     this.warningCount = 0;
   }
@@ -41,7 +41,7 @@ class DOMAnalyzer {
 
     const lowerQuery = query.toLowerCase();
 
-    if (CONSTANTS && CONSTANTS.USER_INTENTS) {
+    if (typeof CONSTANTS !== 'undefined' && CONSTANTS.USER_INTENTS) {
       if (CONSTANTS.USER_INTENTS.FIND_ELEMENT?.some(phrase => lowerQuery.includes(phrase))) {
         return 'find_element';
       }
@@ -84,39 +84,41 @@ class DOMAnalyzer {
   findRelevantElements(keywords, intent) {
     const elements = [];
     const processedKeywords = keywords.slice(0, 5); // Limit keywords to search
+    const roots = this.getSearchRoots();
+    const queryAll = selector => roots.flatMap(root => Array.from(root.querySelectorAll(selector)));
 
     processedKeywords.forEach(keyword => {
       try {
         // Search in buttons
-        document.querySelectorAll('button, input[type="button"], input[type="submit"], [role="button"]').forEach(el => {
+        queryAll('button, input[type="button"], input[type="submit"], [role="button"]').forEach(el => {
           if (this.elementMatchesKeyword(el, keyword) && this.isElementInteractive(el)) {
             elements.push(el);
           }
         });
 
         // Search in links
-        document.querySelectorAll('a').forEach(el => {
+        queryAll('a').forEach(el => {
           if (this.elementMatchesKeyword(el, keyword) && this.isElementInteractive(el)) {
             elements.push(el);
           }
         });
 
         // Search in form fields
-        document.querySelectorAll('input, textarea, select').forEach(el => {
+        queryAll('input, textarea, select').forEach(el => {
           if (this.elementMatchesKeyword(el, keyword) && this.isElementInteractive(el)) {
             elements.push(el);
           }
         });
 
         // Search by labels
-        document.querySelectorAll('label').forEach(el => {
+        queryAll('label').forEach(el => {
           if (this.elementMatchesKeyword(el, keyword) && this.isElementInteractive(el)) {
             elements.push(el);
           }
         });
 
         // Search by aria-label and aria-describedby
-        document.querySelectorAll('[aria-label], [aria-describedby]').forEach(el => {
+        queryAll('[aria-label], [aria-describedby]').forEach(el => {
           if (this.elementMatchesKeyword(el, keyword) && this.isElementInteractive(el)) {
             elements.push(el);
           }
@@ -138,6 +140,15 @@ class DOMAnalyzer {
     });
   }
 
+  /**
+   * The page, its shadow roots and same-origin iframe documents, found once per search
+   * @private
+   */
+  getSearchRoots() {
+    if (typeof window.DarkVoirUtils === 'undefined') return [document];
+    return window.DarkVoirUtils.getSearchRoots(document).map(entry => entry.root);
+  }
+
   /**
    * Check if element matches keyword
    * @private
@@ -184,18 +195,19 @@ class DOMAnalyzer {
       const rect = element.getBoundingClientRect();
       if (rect.width === 0 || rect.height === 0) return false;
 
-      // Check if in viewport or close to it
+      // Check if in viewport or close to it (its own frame's, for elements in iframes)
+      const view = element.ownerDocument.defaultView || window;
       const inViewport = (
-        rect.top < window.innerHeight + 500 &&
+        rect.top < view.innerHeight + 500 &&
         rect.bottom > -500 &&
-        rect.left < window.innerWidth + 500 &&
+        rect.left < view.innerWidth + 500 &&
         rect.right > -500
       );
 
       if (!inViewport) return false;
 
       // Check computed style
-      const style = window.getComputedStyle(element);
+      const style = view.getComputedStyle(element);
       if (style.display === 'none' || style.visibility === 'hidden' || style.opacity === '0') {
         return false;
       }
@@ -226,7 +238,7 @@ class DOMAnalyzer {
         clickableTags.includes(element.tagName.toLowerCase()) ||
         clickableRoles.includes(element.getAttribute('role')) ||
         element.onclick !== null ||
-        window.getComputedStyle(element).cursor === 'pointer'
+        (element.ownerDocument.defaultView || window).getComputedStyle(element).cursor === 'pointer'
       );
     } catch (error) {
       return false;
@@ -258,7 +270,11 @@ class DOMAnalyzer {
     if (!element) return null;
 
     try {
-      const rect = element.getBoundingClientRect();
+      // Positions are in the top page's coordinates, also for elements inside iframes
+      const rect = typeof window.DarkVoirUtils !== 'undefined'
+        ? window.DarkVoirUtils.getViewportRect(element)
+        : element.getBoundingClientRect();
+      const selectors = this.getSelectors(element);
 
       return {
         tagName: element.tagName?.toLowerCase() || 'unknown',
@@ -273,8 +289,10 @@ class DOMAnalyzer {
         type: element.type || null,
         href: element.href || null,
         name: element.name || null,
-        selector: this.generateSelector(element),
+        selector: selectors[0] || this.generateSelector(element),
+        alternativeSelectors: selectors.slice(1),
         path: this.getElementPath(element),
+        framePath: typeof window.DarkVoirUtils !== 'undefined' ? window.DarkVoirUtils.getElementFramePath(element) : 'top',
         position: {
           top: rect.top + window.scrollY,
           left: rect.left + window.scrollX,
@@ -324,49 +342,27 @@ class DOMAnalyzer {
   }
 
   /**
-   * Generate CSS selector for element
+   * Generate CSS selector for element, through DarkVoirUtils and the selector engine
+   * (unique and visible-checked; 'my-app >>> button.pay' inside shadow roots)
    * @param {HTMLElement} element - Element
    * @returns {string} CSS selector
    */
   generateSelector(element) {
     if (!element) return '';
 
-    try {
-      // Try ID first
-      if (element.id) {
-        return `#${element.id}`;
-      }
-
-      // Try data-testid
-      if (element.dataset?.testid) {
-        return `[data-testid="${element.dataset.testid}"]`;
-      }
-
-      // Try aria-label
-      const ariaLabel = element.getAttribute('aria-label');
-      if (ariaLabel) {
-        return `[aria-label="${ariaLabel}"]`;
-      }
-
-      // Try name
-      if (element.name) {
-        return `[name="${element.name}"]`;
-      }
-
-      // Build path with tag and classes
-      let selector = element.tagName.toLowerCase();
-      
-      if (element.className && typeof element.className === 'string') {
-        const classes = element.className.trim().split(/\s+/).slice(0, 2);
-        if (classes.length > 0) {
-          selector += '.' + classes.join('.');
-        }
-      }
+    return typeof window.DarkVoirUtils !== 'undefined'
+      ? window.DarkVoirUtils.generateSelector(element)
+      : element.tagName?.toLowerCase() || 'unknown';
+  }
 
-      return selector;
-    } catch (error) {
-      return element.tagName?.toLowerCase() || 'unknown';
-    }
+  /**
+   * Ranked selectors, best first
+   * @private
+   */
+  getSelectors(element) {
+    return typeof window.selectorEngine !== 'undefined'
+      ? window.selectorEngine.getSelectors(element)
+      : [this.generateSelector(element)];
   }
 
   /**
@@ -412,9 +408,14 @@ class DOMAnalyzer {
     if (!criteria) return null;
 
     try {
-      // Try selector first
+      // Try selector first, in the criteria's frame when it names one
       if (criteria.selector) {
-        const el = document.querySelector(criteria.selector);
+        const frameDocument = criteria.framePath && typeof window.DarkVoirUtils !== 'undefined'
+          ? window.DarkVoirUtils.getFrameDocument(criteria.framePath)
+          : null;
+        const el = typeof window.selectorEngine !== 'undefined'
+          ? window.selectorEngine.resolve([criteria.selector, ...(criteria.alternatives || [])], frameDocument || document)
+          : document.querySelector(criteria.selector);
         if (el) return el;
       }
 
@@ -470,11 +471,11 @@ class DOMAnalyzer {
     const fields = [];
 
     try {
-      document.querySelectorAll('input, textarea, select').forEach(el => {
+      this.getSearchRoots().forEach(root => root.querySelectorAll('input, textarea, select').forEach(el => {
         if (this.isElementInteractive(el)) {
           fields.push(this.getElementMetadata(el));
         }
-      });
+      }));
     } catch (error) {
       console.error('[DOM Analyzer] Error getting form fields:', error);
     }
@@ -490,11 +491,11 @@ class DOMAnalyzer {
     const clickable = [];
 
     try {
-      document.querySelectorAll('a, button, [role="button"], [onclick]').forEach(el => {
+      this.getSearchRoots().forEach(root => root.querySelectorAll('a, button, [role="button"], [onclick]').forEach(el => {
         if (this.isElementInteractive(el)) {
           clickable.push(this.getElementMetadata(el));
         }
-      });
+      }));
     } catch (error) {
       console.error('[DOM Analyzer] Error getting clickable elements:', error);
     }
@@ -0,0 +1,379 @@
+/**
+ * Dark Voir AI Troubleshooter - Fix Pipeline
+ * Classifies AI fix payloads (CSS patch, DOM attribute patch, JS snippet), previews them
+ * against the page and applies them with an undo record
+ */
+
+class FixPipeline {
+  constructor() {
+    this.kinds = {
+      css: { label: 'CSS patch', revertible: true },
+      dom: { label: 'DOM attribute patch', revertible: true },
+      js: { label: 'JS snippet', revertible: false },
+      unknown: { label: 'Not applicable', revertible: false }
+    };
+    this.maxPreviewElements = 5;
+    // Attributes a patch may not set: event handlers run script, srcdoc loads a document
+    this.unsafeAttributePattern = /^(on|srcdoc$)/i;
+    this.scriptUrlPattern = /^(javascript|vbscript):/i;
+  }
+
+  // ============= CLASSIFICATION =============
+
+  /**
+   * Work out what a fix's code is and how it can be applied
+   * @param {string} code - Fix code
+   * @param {string} language - Language hint (code fence / structured output), optional
+   * @returns {Object} { kind, label, revertible, code, css?, patches? }
+   */
+  classify(code, language = '') {
+    const source = String(code || '').trim();
+    const lang = String(language || '').toLowerCase();
+    const result = kind => ({ kind, ...this.kinds[kind], code: source });
+
+    if (!source) return result('unknown');
+
+    if (['css', 'scss', 'less'].includes(lang) || (!lang && this.looksLikeCSS(source))) {
+      return { ...result('css'), css: source.replace(/<\/?style[^>]*>/gi, '').trim() };
+    }
+
+    const patches = this.parseDomPatch(source);
+    if (patches) {
+      if (!patches.every(patch => this.isSafePatch(patch))) {
+        return { ...result('unknown'), reason: 'It sets an event handler attribute, srcdoc or a javascript: URL, which DOM patches never apply.' };
+      }
+      return { ...result('dom'), patches };
+    }
+
+    if (['js', 'javascript', 'ts', 'typescript'].includes(lang) || (!lang && this.looksLikeJS(source))) {
+      return result('js');
+    }
+
+    return result('unknown');
+  }
+
+  /**
+   * Rule blocks with declarations and nothing script-like
+   * @private
+   */
+  looksLikeCSS(source) {
+    const stripped = source.replace(/\/\*[\s\S]*?\*\//g, '').replace(/<\/?style[^>]*>/gi, '').trim();
+    if (/\b(function|const|let|var|return|document\.|window\.)\b|=>/.test(stripped)) return false;
+    return /^(@[\w-]+[^{]*\{[\s\S]*\}|[^{}]+\{[^{}]*:[^{}]*\})/.test(stripped) && /\}\s*$/.test(stripped);
+  }
+
+  /**
+   * @private
+   */
+  looksLikeJS(source) {
+    return /\b(function|const|let|var|document|window|addEventListener|console)\b|=>|\(\s*\)\s*;/.test(source);
+  }
+
+  /**
+   * DOM attribute patches, either as JSON ({ selector, attributes } or an array of them)
+   * or as plain querySelector(...).setAttribute/removeAttribute statements.
+   * Anything else is not a DOM patch and stays a JS snippet.
+   * @returns {Array|null} [{ selector, all, attributes: { name: value|null } }]
+   */
+  parseDomPatch(source) {
+    try {
+      const parsed = JSON.parse(source);
+      const list = Array.isArray(parsed) ? parsed : [parsed];
+      const valid = list.every(patch => patch && typeof patch.selector === 'string' &&
+        patch.attributes && typeof patch.attributes === 'object');
+      if (valid && list.length > 0) {
+        return list.map(patch => ({
+          selector: patch.selector,
+          all: patch.all !== false,
+          attributes: patch.attributes
+        }));
+      }
+    } catch (e) {
+      // Not JSON
+    }
+
+    const statement = /^document\.querySelector(All)?\(\s*(['"`])(.+?)\2\s*\)(?:\.forEach\(\s*(\w+)\s*=>\s*\4)?(?:\?)?\.(setAttribute|removeAttribute)\(\s*(['"`])([\w:-]+)\6\s*(?:,\s*(['"`])([\s\S]*?)\8\s*)?\)\)?;?$/;
+    const lines = source
+      .replace(/\/\/.*$/gm, '')
+      .split(/\n|;(?=\s*document\.)/)
+      .map(line => line.trim())
+      .filter(Boolean);
+    if (lines.length === 0) return null;
+
+    const patches = [];
+    for (const line of lines) {
+      const match = line.match(statement);
+      if (!match) return null;
+
+      const [, all, , selector, , method, , name, , value] = match;
+      if (method === 'setAttribute' && value === undefined) return null;
+      patches.push({
+        selector: selector,
+        all: !!all,
+        attributes: { [name]: method === 'setAttribute' ? value : null }
+      });
+    }
+    return patches;
+  }
+
+  /**
+   * No event handler attributes, no srcdoc and no script URLs in any value
+   * @param {Object} patch - { selector, all, attributes }
+   * @returns {boolean} Safe to apply
+   */
+  isSafePatch(patch) {
+    return Object.entries(patch.attributes).every(([name, value]) =>
+      !this.unsafeAttributePattern.test(name) &&
+      (value === null || !this.scriptUrlPattern.test(String(value).replace(/[\s\x00-\x1f]/g, ''))));
+  }
+
+  // ============= CSP =============
+
+  /**
+   * Whether the page's policies forbid eval, so a JS snippet can't run there. Every
+   * enforced policy applies; each needs 'unsafe-eval' in script-src (or default-src).
+   * @param {Array} policies - Policy strings (header values, <meta> contents)
+   * @returns {boolean} Eval is blocked
+   */
+  isEvalBlocked(policies) {
+    return policies
+      .flatMap(policy => String(policy || '').split(','))
+      .some(policy => {
+        const directives = {};
+        policy.split(';').forEach(part => {
+          const [name, ...sources] = part.trim().toLowerCase().split(/\s+/);
+          if (name && !directives[name]) directives[name] = sources;
+        });
+        const sources = directives['script-src'] || directives['default-src'];
+        return !!sources && !sources.includes("'unsafe-eval'");
+      });
+  }
+
+  // ============= PREVIEW =============
+
+  /**
+   * Human-readable diff lines for the popup
+   * @param {Object} payload - classify() result
+   * @param {Object} pageState - Result of previewFixInPage (css/dom), optional
+   * @returns {Array} [{ type: 'add'|'remove'|'context'|'warning', text }]
+   */
+  buildDiff(payload, pageState = {}) {
+    const lines = [];
+
+    if (payload.kind === 'css') {
+      (pageState.rules || []).forEach(rule => {
+        lines.push({
+          type: rule.matches > 0 ? 'context' : 'warning',
+          text: rule.error ? `${rule.selector} - invalid selector` : `${rule.selector} - matches ${rule.matches} element(s)`
+        });
+      });
+      payload.css.split('\n').forEach(line => lines.push({ type: 'add', text: line }));
+    } else if (payload.kind === 'dom') {
+      (pageState.elements || []).forEach(element => {
+        lines.push({ type: 'context', text: element.element });
+        Object.entries(element.attributes).forEach(([name, change]) => {
+          if (change.before !== null) lines.push({ type: 'remove', text: `  ${name}="${change.before}"` });
+          if (change.after !== null) lines.push({ type: 'add', text: `  ${name}="${change.after}"` });
+        });
+      });
+      (pageState.missing || []).forEach(selector => {
+        lines.push({ type: 'warning', text: `${selector} - no matching element` });
+      });
+    } else if (payload.kind === 'js') {
+      lines.push(payload.blocked
+        ? { type: 'warning', text: 'This page\'s Content Security Policy forbids eval, so scripts can\'t be applied here. Ask for a CSS or DOM patch instead.' }
+        : { type: 'warning', text: 'Runs in the page (MAIN world). Reverting reloads the page.' });
+      payload.code.split('\n').forEach(line => lines.push({ type: 'add', text: line }));
+    } else {
+      lines.push({ type: 'warning', text: payload.reason
+        ? `Not applied automatically: ${payload.reason}`
+        : 'This fix has no CSS, DOM patch or script that can be applied automatically.' });
+    }
+
+    return lines;
+  }
+}
+
+// ============================================
+// PAGE FUNCTIONS
+// Passed to chrome.scripting.executeScript as `func`, so they must be self-contained.
+// ============================================
+
+/**
+ * Match counts for CSS rules, or before/after attribute values for DOM patches
+ */
+function previewFixInPage(payload, maxElements) {
+  const describe = element => {
+    const id = element.id ? `#${element.id}` : '';
+    const classes = typeof element.className === 'string' && element.className.trim()
+      ? '.' + element.className.trim().split(/\s+/).slice(0, 2).join('.')
+      : '';
+    return `<${element.tagName.toLowerCase()}${id}${classes}>`;
+  };
+
+  if (payload.kind === 'css') {
+    const sheet = new CSSStyleSheet();
+    try {
+      sheet.replaceSync(payload.css);
+    } catch (e) {
+      return { rules: [] };
+    }
+    return {
+      rules: Array.from(sheet.cssRules)
+        .filter(rule => rule.selectorText)
+        .map(rule => {
+          try {
+            return { selector: rule.selectorText, matches: document.querySelectorAll(rule.selectorText).length };
+          } catch (e) {
+            return { selector: rule.selectorText, matches: 0, error: true };
+          }
+        })
+    };
+  }
+
+  if (payload.kind === 'dom') {
+    const elements = [];
+    const missing = [];
+    payload.patches.forEach(patch => {
+      let targets = [];
+      try {
+        targets = patch.all ? Array.from(document.querySelectorAll(patch.selector)) : [document.querySelector(patch.selector)].filter(Boolean);
+      } catch (e) {
+        // Invalid selector counts as missing
+      }
+      if (targets.length === 0) missing.push(patch.selector);
+
+      targets.slice(0, maxElements).forEach(target => {
+        const attributes = {};
+        Object.entries(patch.attributes).forEach(([name, value]) => {
+          attributes[name] = { before: target.getAttribute(name), after: value === null ? null : String(value) };
+        });
+        elements.push({ element: describe(target), attributes });
+      });
+    });
+    return { elements, missing };
+  }
+
+  return {};
+}
+
+/**
+ * Apply DOM patches and return what is needed to undo them. Each patched element gets a
+ * token in data-dark-voir-fix, since the patch may change what its selector matches.
+ * @param {Array} patches - Patches from FixPipeline.classify
+ * @param {string} fixId - Journal entry id, the prefix of every token
+ */
+function applyDomPatchesInPage(patches, fixId) {
+  const changes = [];
+  const marks = new Map(); // element -> token
+  const markOf = target => {
+    if (!marks.has(target)) {
+      const mark = `${fixId}_${marks.size}`;
+      const tokens = (target.getAttribute('data-dark-voir-fix') || '').split(/\s+/).filter(Boolean);
+      target.setAttribute('data-dark-voir-fix', [...tokens, mark].join(' '));
+      marks.set(target, mark);
+    }
+    return marks.get(target);
+  };
+
+  patches.forEach(patch => {
+    let targets = [];
+    try {
+      targets = patch.all ? Array.from(document.querySelectorAll(patch.selector)) : [document.querySelector(patch.selector)].filter(Boolean);
+    } catch (e) {
+      return;
+    }
+
+    targets.forEach(target => {
+      Object.entries(patch.attributes).forEach(([name, value]) => {
+        // Same rule as FixPipeline.isSafePatch, repeated because this runs in the page
+        if (/^(on|srcdoc$)/i.test(name) || (value !== null && /^(javascript|vbscript):/i.test(String(value).replace(/[\s\x00-\x1f]/g, '')))) return;
+        changes.push({ selector: patch.selector, mark: markOf(target), attribute: name, previous: target.getAttribute(name) });
+        if (value === null) {
+          target.removeAttribute(name);
+        } else {
+          target.setAttribute(name, String(value));
+        }
+      });
+    });
+  });
+  return changes;
+}
+
+/**
+ * Put recorded attribute values back (latest change first), finding each element by the
+ * token applyDomPatchesInPage left on it, then remove the tokens
+ * @returns {number} Attributes put back
+ */
+function revertDomPatchesInPage(changes) {
+  let reverted = 0;
+  const targets = new Map(); // element -> token
+  changes.slice().reverse().forEach(change => {
+    const target = document.querySelector(`[data-dark-voir-fix~="${CSS.escape(change.mark)}"]`);
+    if (!target) return;
+
+    if (change.previous === null) {
+      target.removeAttribute(change.attribute);
+    } else {
+      target.setAttribute(change.attribute, change.previous);
+    }
+    targets.set(target, change.mark);
+    reverted++;
+  });
+
+  targets.forEach((mark, target) => {
+    const tokens = (target.getAttribute('data-dark-voir-fix') || '').split(/\s+/).filter(token => token && token !== mark);
+    if (tokens.length > 0) {
+      target.setAttribute('data-dark-voir-fix', tokens.join(' '));
+    } else {
+      target.removeAttribute('data-dark-voir-fix');
+    }
+  });
+  return reverted;
+}
+
+/**
+ * Content-Security-Policy <meta> tags; header policies come from chrome.webRequest
+ */
+function readMetaPoliciesInPage() {
+  return Array.from(document.querySelectorAll('meta[http-equiv]'))
+    .filter(meta => meta.httpEquiv.toLowerCase() === 'content-security-policy')
+    .map(meta => meta.content);
+}
+
+/**
+ * Run a JS snippet in the page's MAIN world. Indirect eval so it runs in global scope;
+ * only called once FixPipeline.isEvalBlocked has cleared the page's policies.
+ */
+function runFixScriptInPage(code) {
+  try {
+    (0, eval)(code);
+    return { success: true };
+  } catch (error) {
+    const blocked = error instanceof EvalError || /Content Security Policy|unsafe-eval/i.test(error.message);
+    return {
+      success: false,
+      error: blocked ? 'The page\'s Content Security Policy blocks running scripts; apply this fix in your source instead' : `${error.name}: ${error.message}`
+    };
+  }
+}
+
+// ============================================
+// GLOBAL INITIALIZATION
+// ============================================
+
+if (typeof self !== 'undefined') {
+  self.FixPipeline = FixPipeline;
+  self.fixPipeline = new FixPipeline();
+  self.previewFixInPage = previewFixInPage;
+  self.applyDomPatchesInPage = applyDomPatchesInPage;
+  self.revertDomPatchesInPage = revertDomPatchesInPage;
+  self.runFixScriptInPage = runFixScriptInPage;
+  self.readMetaPoliciesInPage = readMetaPoliciesInPage;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { FixPipeline, previewFixInPage, applyDomPatchesInPage, revertDomPatchesInPage, runFixScriptInPage, readMetaPoliciesInPage };
+}
+
+console.log('[Fix Pipeline] Module loaded');
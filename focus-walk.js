@@ -0,0 +1,471 @@
+/**
+ * Dark Voir AI Troubleshooter - Focus Walk
+ * Tabs through the page's focus order programmatically, numbers every stop on the page
+ * (Visual Guide styling) and finds focus traps, invisible focus and order jumps
+ */
+
+class FocusWalk {
+  constructor() {
+    this.isActive = false;
+    this.stops = [];          // [{ element, selector, rect, problems }]
+    this.findings = [];
+    this.currentStop = -1;
+    this.badgeElements = [];
+    this.highlightElement = null;
+    this.indicatorElement = null;
+    this.controlsElement = null;
+
+    this.criteria = {
+      '2.1.2': ['No Keyboard Trap', 'A'],
+      '2.4.3': ['Focus Order', 'A'],
+      '2.4.7': ['Focus Visible', 'AA'],
+      '2.4.11': ['Focus Not Obscured (Minimum)', 'AA']
+    };
+
+    this.candidateSelector = 'a[href], area[href], button, input, select, textarea, iframe, summary, ' +
+      'audio[controls], video[controls], [contenteditable], [tabindex]';
+    this.maxStops = 300;
+    this.maxOrderJumps = 20;
+    this.jumpThreshold = 50; // px a stop may sit above the previous one before it counts as a jump
+  }
+
+  // ============= PUBLIC API =============
+
+  /**
+   * Walk the focus order, then show the numbered stops on the page
+   * @returns {Object} { stops, findings } - findings: { rule, criterion, criterionName, level, impact, selector, message }
+   */
+  start() {
+    if (this.isActive) this.stop();
+
+    this.walk();
+    this.isActive = true;
+    this.showOverlay();
+    if (this.stops.length > 0) this.goTo(0);
+
+    console.log(`[Focus Walk] ${this.stops.length} stops, ${this.findings.length} findings`);
+    return { stops: this.stops.length, findings: this.findings };
+  }
+
+  stop() {
+    this.isActive = false;
+
+    this.badgeElements.forEach(badge => badge.remove());
+    this.badgeElements = [];
+
+    [this.highlightElement, this.indicatorElement, this.controlsElement].forEach(element => element?.remove());
+    this.highlightElement = null;
+    this.indicatorElement = null;
+    this.controlsElement = null;
+
+    this.stops = [];
+    this.findings = [];
+    this.currentStop = -1;
+  }
+
+  isWalkActive() {
+    return this.isActive;
+  }
+
+  // ============= WALK =============
+
+  /**
+   * Focus each stop in turn and press Tab on it with a synthetic keydown, so pages that
+   * move focus themselves (modals, menus, focus-trap libraries) are followed
+   * @private
+   */
+  walk() {
+    const order = this.getFocusOrder();
+    const previousFocus = document.activeElement;
+    const scroll = { x: window.scrollX, y: window.scrollY };
+
+    this.stops = [];
+    this.findings = [];
+    const visited = new Map(); // element -> stop index
+    let current = order[0] || null;
+    let orderJumps = 0;
+
+    while (current && this.stops.length < this.maxStops) {
+      current.focus({ preventScroll: true });
+      const focused = this.getActiveElement();
+
+      // Didn't take focus after all (e.g. hidden by a script meanwhile) - the browser would skip it
+      if (focused !== current && focused === this.stops[this.stops.length - 1]?.element) {
+        current = this.getNextInOrder(current, order);
+        continue;
+      }
+
+      if (visited.has(focused)) {
+        this.checkTrap(focused, visited, order);
+        break;
+      }
+
+      const stop = this.inspectStop(focused);
+      if (focused !== current) {
+        stop.problems.push(`focus was moved here when ${this.describeNode(current)} was focused`);
+      }
+      visited.set(focused, this.stops.length);
+      this.stops.push(stop);
+
+      const previous = this.stops[this.stops.length - 2];
+      if (previous && orderJumps < this.maxOrderJumps && this.checkOrder(previous, stop)) {
+        orderJumps++;
+      }
+
+      // Tab: the page may handle it (and move focus or swallow it), else the browser order applies
+      const tab = new KeyboardEvent('keydown', { key: 'Tab', code: 'Tab', keyCode: 9, bubbles: true, cancelable: true, composed: true });
+      focused.dispatchEvent(tab);
+      const afterTab = this.getActiveElement();
+
+      if (tab.defaultPrevented && afterTab !== focused) {
+        current = afterTab;
+      } else if (tab.defaultPrevented) {
+        this.addFinding('focus-trap', '2.1.2', 'critical', focused, 'Tab is blocked - focus can\'t leave this element with the keyboard');
+        break;
+      } else {
+        current = this.getNextInOrder(focused, order);
+      }
+    }
+
+    // Put the page back as it was
+    if (previousFocus && typeof previousFocus.focus === 'function' && previousFocus !== document.body) {
+      previousFocus.focus({ preventScroll: true });
+    } else {
+      this.getActiveElement()?.blur?.();
+    }
+    window.scrollTo(scroll.x, scroll.y);
+  }
+
+  /**
+   * Sequential focus order: positive tabindex ascending, then tabindex 0 in document order.
+   * Only one radio per group is a tab stop.
+   * @private
+   */
+  getFocusOrder() {
+    const radios = new Set();
+    const candidates = Array.from(document.querySelectorAll(this.candidateSelector)).filter(el => {
+      if (el.tabIndex < 0 || el.disabled || el.type === 'hidden' || el.closest('[inert]')) return false;
+      if (!this.isRendered(el)) return false;
+
+      if (el.type === 'radio' && el.name) {
+        const key = `${el.form ? 'form' : 'doc'}|${el.name}`;
+        if (radios.has(key)) return false;
+        const group = Array.from(document.querySelectorAll(`input[type="radio"][name="${CSS.escape(el.name)}"]`))
+          .filter(radio => radio.form === el.form);
+        const checked = group.find(radio => radio.checked);
+        if (checked && checked !== el) return false;
+        radios.add(key);
+      }
+      return true;
+    });
+
+    const positive = candidates.filter(el => el.tabIndex > 0).sort((a, b) => a.tabIndex - b.tabIndex);
+    return [...positive, ...candidates.filter(el => el.tabIndex === 0)];
+  }
+
+  /**
+   * Where the browser would send focus next from an element (which may not be in the
+   * order itself, e.g. a tabindex="-1" container a script focused)
+   * @private
+   */
+  getNextInOrder(element, order) {
+    const index = order.indexOf(element);
+    if (index >= 0) return order[index + 1] || null;
+
+    return order.find(candidate => candidate.tabIndex === 0 &&
+      (element.compareDocumentPosition(candidate) & Node.DOCUMENT_POSITION_FOLLOWING)) || null;
+  }
+
+  /**
+   * Focus came back to an element already visited. Cycling through the whole order is
+   * the browser wrapping around; cycling through part of it is a trap, unless that part
+   * is an open modal dialog, which is meant to hold focus.
+   * @private
+   */
+  checkTrap(element, visited, order) {
+    const cycle = this.stops.slice(visited.get(element)).map(stop => stop.element);
+    if (cycle.length >= order.length) return;
+
+    const modal = element.closest('dialog[open], [aria-modal="true"]');
+    if (modal && cycle.every(el => modal.contains(el))) {
+      console.log('[Focus Walk] Focus is held by a modal dialog');
+      return;
+    }
+
+    this.addFinding('focus-trap', '2.1.2', 'critical', element,
+      `Focus trap: Tab cycles through ${cycle.length} element(s) and never reaches the other ${order.length - cycle.length}`);
+  }
+
+  /**
+   * Visibility of a focused element, after scrolling it into view like the browser would
+   * @private
+   */
+  inspectStop(element) {
+    element.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+    const rect = element.getBoundingClientRect();
+    const stop = {
+      element: element,
+      selector: this.describeNode(element),
+      rect: {
+        top: rect.top + window.scrollY,
+        left: rect.left + window.scrollX,
+        width: rect.width,
+        height: rect.height
+      },
+      problems: []
+    };
+
+    const problem = this.getVisibilityProblem(element, rect);
+    if (problem) {
+      stop.problems.push(problem.message);
+      this.addFinding('focus-visible', problem.criterion, 'serious', element, `Focused element ${problem.message}`);
+    }
+
+    return stop;
+  }
+
+  /**
+   * @private
+   */
+  getVisibilityProblem(element, rect) {
+    if (rect.width <= 1 || rect.height <= 1) {
+      return { criterion: '2.4.7', message: 'has no visible size' };
+    }
+    if (typeof element.checkVisibility === 'function' && !element.checkVisibility({ checkOpacity: true, checkVisibilityCSS: true })) {
+      return { criterion: '2.4.7', message: 'is invisible (opacity or visibility)' };
+    }
+    if (rect.bottom <= 0 || rect.right <= 0 || rect.top >= window.innerHeight || rect.left >= window.innerWidth) {
+      return { criterion: '2.4.7', message: 'is positioned off screen' };
+    }
+
+    // Covered at the center and all four corners, e.g. by a sticky header or a cookie banner
+    const inset = 2;
+    const points = [
+      [rect.left + rect.width / 2, rect.top + rect.height / 2],
+      [rect.left + inset, rect.top + inset],
+      [rect.right - inset, rect.top + inset],
+      [rect.left + inset, rect.bottom - inset],
+      [rect.right - inset, rect.bottom - inset]
+    ].filter(([x, y]) => x >= 0 && y >= 0 && x < window.innerWidth && y < window.innerHeight);
+
+    const covered = points.length > 0 && points.every(([x, y]) => {
+      const hit = document.elementFromPoint(x, y);
+      return hit && hit !== element && !element.contains(hit) && !hit.contains(element);
+    });
+    if (covered) {
+      const cover = document.elementFromPoint(points[0][0], points[0][1]);
+      return { criterion: '2.4.11', message: `is hidden behind ${this.describeNode(cover)}` };
+    }
+
+    return null;
+  }
+
+  /**
+   * A stop that sits above the previous one (and isn't in a column to its right), or
+   * on the same row but before it in reading direction
+   * @returns {boolean} Whether a jump was reported
+   * @private
+   */
+  checkOrder(previous, stop) {
+    const a = previous.rect;
+    const b = stop.rect;
+    if (!a.width || !b.width || this.isFixed(previous.element) || this.isFixed(stop.element)) return false;
+
+    const rtl = getComputedStyle(document.documentElement).direction === 'rtl';
+    const before = rtl ? b.left >= a.left + a.width : b.left + b.width <= a.left;
+    const after = rtl ? b.left + b.width <= a.left : b.left >= a.left + a.width;
+    const sameRow = b.top < a.top + a.height && b.top + b.height > a.top;
+    const up = b.top + b.height / 2 < a.top - this.jumpThreshold;
+
+    if ((up && !after) || (sameRow && before)) {
+      const direction = up ? 'back up the page' : `${rtl ? 'right' : 'left'}, against the reading order`;
+      this.addFinding('focus-order', '2.4.3', 'moderate', stop.element,
+        `Focus order jumps ${direction}: ${previous.selector} → ${stop.selector}`);
+      stop.problems.push(`reached out of visual order from ${previous.selector}`);
+      return true;
+    }
+
+    return false;
+  }
+
+  // ============= OVERLAY =============
+
+  /**
+   * Numbered badges on every stop, plus the Visual Guide's highlight, indicator and controls
+   * @private
+   */
+  showOverlay() {
+    window.visualGuide?.setupStyles();
+
+    this.stops.forEach((stop, index) => {
+      const badge = document.createElement('div');
+      badge.className = `dark-voir-focus-badge${stop.problems.length ? ' problem' : ''}`;
+      badge.textContent = index + 1;
+      badge.title = [stop.selector, ...stop.problems].join('\n');
+      badge.style.top = `${Math.max(0, stop.rect.top - 10)}px`;
+      badge.style.left = `${Math.max(0, stop.rect.left - 10)}px`;
+      badge.onclick = () => this.goTo(index);
+      document.body.appendChild(badge);
+      this.badgeElements.push(badge);
+    });
+
+    this.indicatorElement = document.createElement('div');
+    this.indicatorElement.className = 'dark-voir-step-indicator';
+    document.body.appendChild(this.indicatorElement);
+
+    this.controlsElement = document.createElement('div');
+    this.controlsElement.className = 'dark-voir-controls';
+
+    const prevBtn = document.createElement('button');
+    prevBtn.textContent = '← Previous';
+    prevBtn.onclick = () => this.goTo(this.currentStop - 1);
+
+    const nextBtn = document.createElement('button');
+    nextBtn.textContent = 'Next →';
+    nextBtn.onclick = () => this.goTo(this.currentStop + 1);
+
+    const exitBtn = document.createElement('button');
+    exitBtn.textContent = 'Exit Focus Walk';
+    exitBtn.style.background = '#999';
+    exitBtn.onclick = () => this.stop();
+
+    this.controlsElement.appendChild(prevBtn);
+    this.controlsElement.appendChild(nextBtn);
+    this.controlsElement.appendChild(exitBtn);
+    document.body.appendChild(this.controlsElement);
+
+    this.updateIndicator();
+  }
+
+  /**
+   * Highlight one stop and scroll to it
+   */
+  goTo(index) {
+    if (!this.isActive || index < 0 || index >= this.stops.length) return;
+
+    this.currentStop = index;
+    const stop = this.stops[index];
+
+    this.highlightElement?.remove();
+    this.highlightElement = document.createElement('div');
+    this.highlightElement.className = 'dark-voir-highlight';
+    this.highlightElement.style.position = 'absolute';
+    this.highlightElement.style.top = `${stop.rect.top - 5}px`;
+    this.highlightElement.style.left = `${stop.rect.left - 5}px`;
+    this.highlightElement.style.width = `${stop.rect.width + 10}px`;
+    this.highlightElement.style.height = `${stop.rect.height + 10}px`;
+    document.body.appendChild(this.highlightElement);
+
+    window.scrollTo({ top: Math.max(0, stop.rect.top - window.innerHeight / 2), behavior: 'smooth' });
+    this.updateIndicator();
+  }
+
+  /**
+   * @private
+   */
+  updateIndicator() {
+    if (!this.indicatorElement) return;
+
+    const stop = this.stops[this.currentStop];
+    const summary = `Focus walk: ${this.currentStop + 1} of ${this.stops.length} · ${this.findings.length} problem(s)`;
+    this.indicatorElement.textContent = stop?.problems.length
+      ? `${summary}\n⚠ ${stop.problems.join('\n⚠ ')}`
+      : summary;
+    this.indicatorElement.style.whiteSpace = 'pre-line';
+    this.indicatorElement.style.maxWidth = '360px';
+  }
+
+  // ============= HELPERS =============
+
+  /**
+   * Focused element, looking inside open shadow roots
+   * @private
+   */
+  getActiveElement() {
+    let active = document.activeElement;
+    while (active?.shadowRoot?.activeElement) {
+      active = active.shadowRoot.activeElement;
+    }
+    return active;
+  }
+
+  /**
+   * @private
+   */
+  addFinding(rule, criterion, impact, element, message) {
+    const [criterionName, level] = this.criteria[criterion];
+    this.findings.push({
+      rule,
+      criterion,
+      criterionName,
+      level,
+      impact,
+      selector: this.describeNode(element),
+      message
+    });
+  }
+
+  /**
+   * @private
+   */
+  isRendered(el) {
+    if (typeof el.checkVisibility === 'function') {
+      return el.checkVisibility({ checkVisibilityCSS: true });
+    }
+    return el.getClientRects().length > 0 && getComputedStyle(el).visibility !== 'hidden';
+  }
+
+  /**
+   * Fixed and sticky elements have no stable place in the page to compare
+   * @private
+   */
+  isFixed(el) {
+    for (let current = el; current && current !== document.body; current = current.parentElement) {
+      if (['fixed', 'sticky'].includes(getComputedStyle(current).position)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * @private
+   */
+  describeNode(node) {
+    if (!node || node.nodeType !== Node.ELEMENT_NODE) return null;
+    if (window.DarkVoirUtils) return window.DarkVoirUtils.generateSelector(node);
+    return node.tagName.toLowerCase();
+  }
+}
+
+// ============================================
+// KEYBOARD SHORTCUTS
+// ============================================
+
+document.addEventListener('keydown', (event) => {
+  // Synthetic Tabs from the walk itself are not the user's
+  if (!event.isTrusted || !window.focusWalk || !window.focusWalk.isWalkActive()) return;
+
+  if (event.key === 'Escape') {
+    window.focusWalk.stop();
+  } else if (event.key === 'ArrowRight') {
+    event.preventDefault();
+    window.focusWalk.goTo(window.focusWalk.currentStop + 1);
+  } else if (event.key === 'ArrowLeft') {
+    event.preventDefault();
+    window.focusWalk.goTo(window.focusWalk.currentStop - 1);
+  }
+});
+
+// ============= INITIALIZATION =============
+
+const focusWalk = new FocusWalk();
+
+if (typeof window !== 'undefined') {
+  window.DarkVoirFocusWalk = FocusWalk;
+  window.focusWalk = focusWalk;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { FocusWalk, focusWalk };
+}
+
+console.log('[Focus Walk] Module loaded');
@@ -0,0 +1,306 @@
+/**
+ * Dark Voir AI Troubleshooter - Visual Guide Planner
+ * Turns a user query and candidate page elements into validated visual guide steps
+ */
+
+class GuidePlanner {
+  constructor() {
+    this.maxSteps = 8;
+    this.validActions = ['click', 'type', 'hover', 'scroll', 'focus', 'none'];
+    this.typeVerbs = ['type', 'enter', 'fill', 'write', 'search', 'input', 'login', 'log in', 'sign in'];
+    this.hoverVerbs = ['hover', 'menu', 'dropdown'];
+  }
+
+  // ============= MAIN PLANNING =============
+
+  /**
+   * Build a guide for the user query
+   * @param {Object} request - { userQuery, pageContext, elements }
+   * @returns {Promise<Object>} { steps, source }
+   */
+  async plan(request) {
+    const query = (request?.userQuery || '').trim();
+    const elements = Array.isArray(request?.elements) ? request.elements : [];
+    const pageContext = request?.pageContext || {};
+
+    if (elements.length === 0) {
+      console.log('[Guide Planner] No candidate elements for query:', query);
+      return { steps: [], source: 'none' };
+    }
+
+    const aiSteps = await this.planWithAI(query, pageContext, elements);
+    if (aiSteps.length > 0) {
+      return { steps: aiSteps, source: 'ai' };
+    }
+
+    return { steps: this.planWithRules(query, elements), source: 'rule-based' };
+  }
+
+  // ============= AI PLANNING =============
+
+  /**
+   * Get the Prompt API entry point for the current global scope
+   * @private
+   */
+  getLanguageModel() {
+    const scope = typeof self !== 'undefined' ? self : (typeof window !== 'undefined' ? window : {});
+    return scope.ai?.languageModel || null;
+  }
+
+  /**
+   * Ask the Prompt API for a step plan, returns [] when unavailable or invalid
+   * @private
+   */
+  async planWithAI(query, pageContext, elements) {
+    const languageModel = this.getLanguageModel();
+    if (!languageModel) return [];
+
+    let session = null;
+
+    try {
+      const cap = await languageModel.capabilities();
+      if (cap.available !== 'readily') return [];
+
+      session = await languageModel.create({
+        systemPrompt: 'You are Dark Voir, a web guide planner. You only answer with a JSON array of steps.'
+      });
+
+      const response = await session.prompt(this.buildPrompt(query, pageContext, elements));
+      return this.validateSteps(this.parseSteps(response), elements);
+
+    } catch (error) {
+      console.warn('[Guide Planner] AI planning failed, using rules:', error);
+      return [];
+    } finally {
+      if (session && typeof session.destroy === 'function') {
+        try {
+          await session.destroy();
+        } catch (error) {
+          // Session already gone
+        }
+      }
+    }
+  }
+
+  /**
+   * Build the planning prompt
+   * @private
+   */
+  buildPrompt(query, pageContext, elements) {
+    const candidates = elements.map((el, index) => {
+      return `${index + 1}. <${el.tagName || 'element'}> selector="${el.selector || ''}" text="${(el.text || '').substring(0, 50)}"` +
+        `${el.ariaLabel ? ` aria-label="${el.ariaLabel}"` : ''}${el.placeholder ? ` placeholder="${el.placeholder}"` : ''}`;
+    }).join('\n');
+
+    return `The user is on "${pageContext.title || ''}" (${pageContext.url || ''}) and asks: "${query}"
+
+Candidate elements on the page:
+${candidates}
+
+Plan at most ${this.maxSteps} steps that guide the user through the task using ONLY the candidate elements above.
+Answer with a JSON array. Each step is an object:
+{"selector": "<selector from the list>", "text": "<visible text>", "ariaLabel": "<aria-label or empty>", "action": "click|type|hover|scroll|focus", "value": "<text to type or empty>", "message": "<short instruction>", "description": "<one sentence of extra help>"}`;
+  }
+
+  /**
+   * Extract a step array from an AI response
+   * @private
+   */
+  parseSteps(response) {
+    if (!response || typeof response !== 'string') return [];
+
+    const start = response.indexOf('[');
+    const end = response.lastIndexOf(']');
+    if (start === -1 || end <= start) return [];
+
+    try {
+      const parsed = JSON.parse(response.substring(start, end + 1));
+      return Array.isArray(parsed) ? parsed : [];
+    } catch (error) {
+      console.warn('[Guide Planner] Could not parse AI steps');
+      return [];
+    }
+  }
+
+  // ============= RULE-BASED PLANNING =============
+
+  /**
+   * Build a guide from element metadata alone
+   * @param {string} query - User query
+   * @param {Array} elements - Candidate element metadata
+   * @returns {Array} Validated steps
+   */
+  planWithRules(query, elements) {
+    const lowerQuery = query.toLowerCase();
+    const wantsTyping = this.typeVerbs.some(verb => lowerQuery.includes(verb));
+    const wantsHover = this.hoverVerbs.some(verb => lowerQuery.includes(verb));
+    const typedValue = this.extractQuotedValue(query);
+
+    const visible = elements.filter(el => this.isCandidateVisible(el));
+    const candidates = visible.length > 0 ? visible : elements;
+
+    const inputs = candidates.filter(el => this.isInputCandidate(el));
+    const clickables = candidates.filter(el => !this.isInputCandidate(el));
+
+    const steps = [];
+
+    // Form-style tasks: fill the fields first, then press the button
+    if (wantsTyping) {
+      inputs.forEach(el => {
+        const label = this.describeElement(el);
+        steps.push({
+          selector: el.selector,
+          text: '',
+          ariaLabel: el.ariaLabel || '',
+          action: 'type',
+          value: inputs.length === 1 ? typedValue : '',
+          message: `Click here and enter your ${label}`,
+          description: el.isRequired ? 'This field is required.' : ''
+        });
+      });
+    }
+
+    clickables.slice(0, wantsTyping ? 1 : 3).forEach(el => {
+      const label = this.describeElement(el);
+      steps.push({
+        selector: el.selector,
+        text: el.text || '',
+        ariaLabel: el.ariaLabel || '',
+        action: wantsHover ? 'hover' : 'click',
+        value: '',
+        message: wantsHover ? `Hover over "${label}"` : `Click "${label}"`,
+        description: el.href ? `This opens ${el.href}` : ''
+      });
+    });
+
+    // Nothing clickable matched - at least point at the best field
+    if (steps.length === 0 && inputs.length > 0) {
+      const el = inputs[0];
+      steps.push({
+        selector: el.selector,
+        text: '',
+        ariaLabel: el.ariaLabel || '',
+        action: 'focus',
+        value: '',
+        message: `This is the ${this.describeElement(el)} field`,
+        description: ''
+      });
+    }
+
+    return this.validateSteps(steps, elements);
+  }
+
+  /**
+   * Get a short human label for an element
+   * @private
+   */
+  describeElement(el) {
+    const label = el.ariaLabel || el.text || el.placeholder || el.name || el.id || el.tagName || 'element';
+    return String(label).trim().substring(0, 40);
+  }
+
+  /**
+   * Pull a quoted value ("like this") out of the query
+   * @private
+   */
+  extractQuotedValue(query) {
+    const match = query.match(/["'“”]([^"'“”]+)["'“”]/);
+    return match ? match[1] : '';
+  }
+
+  /**
+   * @private
+   */
+  isCandidateVisible(el) {
+    return el.visible !== false && el.isVisible !== false;
+  }
+
+  /**
+   * @private
+   */
+  isInputCandidate(el) {
+    if (el.isInput) return true;
+    const tag = (el.tagName || '').toLowerCase();
+    const type = (el.type || '').toLowerCase();
+    return (tag === 'input' && !['button', 'submit', 'reset', 'checkbox', 'radio'].includes(type)) ||
+           tag === 'textarea' ||
+           tag === 'select';
+  }
+
+  // ============= VALIDATION =============
+
+  /**
+   * Normalize steps into the shape VisualGuide.start expects
+   * Drops steps that cannot be located and selectors that were not on the page
+   * @param {Array} steps - Raw steps
+   * @param {Array} elements - Candidate element metadata
+   * @returns {Array} Valid steps
+   */
+  validateSteps(steps, elements = []) {
+    if (!Array.isArray(steps)) return [];
+
+    const knownSelectors = new Set(elements.map(el => el.selector).filter(Boolean));
+    // Elements inside iframes keep their frame, so the guide looks there first
+    const framePaths = new Map(elements.filter(el => el.selector && el.framePath).map(el => [el.selector, el.framePath]));
+    // and their ranked fallback selectors, for when the page re-renders
+    const alternatives = new Map(elements.filter(el => el.selector && Array.isArray(el.alternatives)).map(el => [el.selector, el.alternatives]));
+    const validSteps = [];
+
+    for (const step of steps) {
+      if (!step || typeof step !== 'object') continue;
+
+      const selector = this.cleanString(step.selector, 200);
+      const normalized = {
+        selector: knownSelectors.size === 0 || knownSelectors.has(selector) ? selector : '',
+        text: this.cleanString(step.text, 100),
+        ariaLabel: this.cleanString(step.ariaLabel, 100),
+        action: this.validActions.includes(step.action) ? step.action : 'none',
+        value: this.cleanString(step.value, 200),
+        message: this.cleanString(step.message, 200),
+        description: this.cleanString(step.description, 300),
+        framePath: framePaths.get(selector) || '',
+        alternatives: (alternatives.get(selector) || []).map(alt => this.cleanString(alt, 200)).filter(Boolean)
+      };
+
+      // A step the guide cannot locate is useless
+      if (!normalized.selector && !normalized.text && !normalized.ariaLabel) continue;
+
+      if (!normalized.message) {
+        normalized.message = normalized.action === 'type' ? 'Enter the information here' : 'Look here';
+      }
+
+      if (normalized.action !== 'type') {
+        normalized.value = '';
+      }
+
+      validSteps.push(normalized);
+
+      if (validSteps.length >= this.maxSteps) break;
+    }
+
+    return validSteps;
+  }
+
+  /**
+   * @private
+   */
+  cleanString(value, maxLength) {
+    if (typeof value !== 'string') return '';
+    return value.trim().substring(0, maxLength);
+  }
+}
+
+// ============= INITIALIZATION =============
+
+const guidePlanner = new GuidePlanner();
+
+if (typeof self !== 'undefined') {
+  self.GuidePlanner = GuidePlanner;
+  self.guidePlanner = guidePlanner;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { GuidePlanner, guidePlanner };
+}
+
+console.log('[Guide Planner] Module loaded and ready');
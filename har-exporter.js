@@ -0,0 +1,307 @@
+/**
+ * Dark Voir AI Troubleshooter - HAR Exporter
+ * Turns a page load's recorded network events into a HAR 1.2 log
+ */
+
+class HarExporter {
+  constructor() {
+    this.version = '1.2';
+    this.creator = {
+      name: 'Dark Voir AI Troubleshooter',
+      version: typeof chrome !== 'undefined' && chrome.runtime?.getManifest
+        ? chrome.runtime.getManifest().version
+        : 'unknown'
+    };
+  }
+
+  // ============= PUBLIC API =============
+
+  /**
+   * Build a HAR 1.2 document
+   * @param {Object} log - { page, events } from content.js GET_NETWORK_LOG
+   * @param {Object} options - { includeBodies, browser }
+   * @returns {Object} HAR document ({ log: { ... } })
+   */
+  build(log, options = {}) {
+    const page = log.page;
+    const pageref = `page_${page.id}`;
+    const pageStart = new Date(page.startedDateTime).getTime();
+
+    const entries = [];
+    if (page.document) {
+      entries.push(this.buildDocumentEntry(page, pageref));
+    }
+
+    (log.events || [])
+      .filter(event => event.startTime)
+      .forEach(event => entries.push(this.buildEntry(event, pageref, pageStart, options)));
+
+    entries.sort((a, b) => new Date(a.startedDateTime) - new Date(b.startedDateTime));
+
+    const har = {
+      log: {
+        version: this.version,
+        creator: this.creator,
+        pages: [{
+          startedDateTime: page.startedDateTime,
+          id: pageref,
+          title: page.title || page.url,
+          pageTimings: {
+            onContentLoad: page.onContentLoad ?? -1,
+            onLoad: page.onLoad ?? -1
+          }
+        }],
+        entries: entries
+      }
+    };
+
+    if (options.browser) {
+      har.log.browser = options.browser;
+    }
+
+    return har;
+  }
+
+  /**
+   * Suggested download name: <host>-<timestamp>.har
+   */
+  getFileName(page) {
+    let host = 'page';
+    try {
+      host = new URL(page.url).hostname || host;
+    } catch (e) {
+      // Keep the default
+    }
+    return `dark-voir-${host}-${Date.now()}.har`;
+  }
+
+  // ============= ENTRIES =============
+
+  /**
+   * @private
+   */
+  buildEntry(event, pageref, pageStart, options) {
+    const timing = event.resourceTiming;
+    const timings = this.buildTimings(event, timing);
+    const requestHeaders = this.toNameValueList(event.requestHeaders);
+    const responseHeaders = this.toNameValueList(event.responseHeaders);
+    const httpVersion = this.getHttpVersion(timing);
+
+    const request = {
+      method: event.method || 'GET',
+      url: event.url,
+      httpVersion: httpVersion,
+      cookies: [],
+      headers: requestHeaders,
+      queryString: this.getQueryString(event.url),
+      headersSize: -1,
+      bodySize: typeof event.requestSize === 'number' ? event.requestSize : -1
+    };
+
+    if (options.includeBodies && event.requestBody) {
+      request.postData = {
+        mimeType: (event.requestHeaders || {})['content-type'] || '',
+        text: event.requestBody.text
+      };
+      if (event.requestBody.truncated) {
+        request.postData.comment = 'Truncated by Dark Voir';
+      }
+    }
+
+    const content = {
+      size: timing?.decodedBodySize || (typeof event.responseSize === 'number' ? event.responseSize : 0),
+      mimeType: event.mimeType || ''
+    };
+
+    if (options.includeBodies && event.responseBody) {
+      content.text = event.responseBody.text;
+      if (event.responseBody.truncated) {
+        content.comment = 'Truncated by Dark Voir';
+      }
+    }
+
+    const entry = {
+      pageref: pageref,
+      startedDateTime: new Date(this.getStartTime(event, timing, pageStart)).toISOString(),
+      time: this.sumTimings(timings),
+      request: request,
+      response: {
+        status: typeof event.status === 'number' ? event.status : 0,
+        statusText: event.statusText || '',
+        httpVersion: httpVersion,
+        cookies: [],
+        headers: responseHeaders,
+        content: content,
+        redirectURL: (event.responseHeaders || {}).location || '',
+        headersSize: -1,
+        bodySize: timing?.encodedBodySize || (typeof event.responseSize === 'number' ? event.responseSize : -1)
+      },
+      cache: {},
+      timings: timings,
+      // Custom fields must start with an underscore
+      _transport: event.transport
+    };
+
+    if (event.error) {
+      entry._error = event.error;
+    }
+
+    if (event.transport === 'websocket' || event.transport === 'eventsource') {
+      entry._connection = {
+        phase: event.phase,
+        messagesSent: event.messagesSent,
+        messagesReceived: event.messagesReceived,
+        bytesSent: event.bytesSent,
+        bytesReceived: event.bytesReceived,
+        wasClean: event.wasClean
+      };
+    }
+
+    return entry;
+  }
+
+  /**
+   * The main document, from Navigation Timing (headers aren't observable from the page)
+   * @private
+   */
+  buildDocumentEntry(page, pageref) {
+    const timing = page.document;
+    const timings = this.buildTimings({ duration: timing.duration }, timing);
+    const httpVersion = this.getHttpVersion(timing);
+
+    return {
+      pageref: pageref,
+      startedDateTime: page.startedDateTime,
+      time: this.sumTimings(timings),
+      request: {
+        method: 'GET',
+        url: timing.name || page.url,
+        httpVersion: httpVersion,
+        cookies: [],
+        headers: [],
+        queryString: this.getQueryString(timing.name || page.url),
+        headersSize: -1,
+        bodySize: 0
+      },
+      response: {
+        status: timing.responseStatus || 200,
+        statusText: '',
+        httpVersion: httpVersion,
+        cookies: [],
+        headers: [],
+        content: {
+          size: timing.decodedBodySize || 0,
+          mimeType: 'text/html'
+        },
+        redirectURL: '',
+        headersSize: -1,
+        bodySize: timing.encodedBodySize || -1
+      },
+      cache: {},
+      timings: timings,
+      _transport: 'document'
+    };
+  }
+
+  // ============= TIMINGS =============
+
+  /**
+   * HAR phase timings from Resource Timing, or just the measured duration as "wait"
+   * when the entry is missing or cross-origin without Timing-Allow-Origin (zeroed fields)
+   * @private
+   */
+  buildTimings(event, timing) {
+    if (!timing || !timing.requestStart || !timing.responseStart) {
+      return {
+        blocked: -1,
+        dns: -1,
+        connect: -1,
+        send: 0,
+        wait: Math.max(0, event.duration || 0),
+        receive: 0,
+        ssl: -1
+      };
+    }
+
+    const span = (from, to) => (from > 0 && to >= from ? this.round(to - from) : -1);
+    const connectStart = timing.connectStart || timing.fetchStart;
+    const ssl = timing.secureConnectionStart > 0 ? span(timing.secureConnectionStart, timing.connectEnd) : -1;
+
+    return {
+      blocked: Math.max(0, this.round((timing.domainLookupStart || timing.fetchStart) - timing.startTime)),
+      dns: span(timing.domainLookupStart, timing.domainLookupEnd),
+      // HAR counts the TLS handshake inside connect
+      connect: span(connectStart, timing.connectEnd),
+      send: Math.max(0, this.round(timing.requestStart - (timing.connectEnd || timing.fetchStart))),
+      wait: Math.max(0, this.round(timing.responseStart - timing.requestStart)),
+      receive: Math.max(0, this.round(timing.responseEnd - timing.responseStart)),
+      ssl: ssl
+    };
+  }
+
+  /**
+   * Total entry time: every phase except ssl, which is already part of connect
+   * @private
+   */
+  sumTimings(timings) {
+    return this.round(['blocked', 'dns', 'connect', 'send', 'wait', 'receive']
+      .reduce((total, phase) => total + Math.max(0, timings[phase]), 0));
+  }
+
+  /**
+   * @private
+   */
+  getStartTime(event, timing, pageStart) {
+    return timing && !isNaN(pageStart) ? pageStart + timing.startTime : event.startTime;
+  }
+
+  // ============= HELPERS =============
+
+  /**
+   * @private
+   */
+  getHttpVersion(timing) {
+    const versions = { 'http/0.9': 'HTTP/0.9', 'http/1.0': 'HTTP/1.0', 'http/1.1': 'HTTP/1.1', h2: 'HTTP/2', h3: 'HTTP/3' };
+    return versions[timing?.nextHopProtocol] || timing?.nextHopProtocol || '';
+  }
+
+  /**
+   * @private
+   */
+  toNameValueList(headers) {
+    return Object.entries(headers || {}).map(([name, value]) => ({ name, value: String(value) }));
+  }
+
+  /**
+   * @private
+   */
+  getQueryString(url) {
+    try {
+      return Array.from(new URL(url).searchParams.entries()).map(([name, value]) => ({ name, value }));
+    } catch (e) {
+      return [];
+    }
+  }
+
+  /**
+   * @private
+   */
+  round(value) {
+    return Math.round(value * 1000) / 1000;
+  }
+}
+
+// ============================================
+// GLOBAL INITIALIZATION
+// ============================================
+
+if (typeof self !== 'undefined') {
+  self.HarExporter = HarExporter;
+  self.harExporter = new HarExporter();
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = HarExporter;
+}
+
+console.log('[HAR Exporter] Module loaded');
@@ -0,0 +1,627 @@
+/**
+ * Dark Voir AI Troubleshooter - Issue Store
+ * IndexedDB-backed issue history keyed by origin, URL, browser session and page load,
+ * with repeats of the same error collapsed into fingerprint groups
+ */
+
+class IssueStore {
+  constructor() {
+    this.dbName = 'dark_voir';
+    this.dbVersion = 1;
+    this.storeName = 'issues';
+    this.groupStoreName = 'groups';
+    this.dbPromise = null;
+    this.sessionId = null;
+
+    this.defaultPageSize = 25;
+    this.maxPageSize = 200;
+
+    // Group bookkeeping
+    this.maxGroupUrls = 20;
+    this.sparklineHours = 24;
+    this.severityRank = { info: 0, low: 1, medium: 2, high: 3, critical: 4 };
+
+    // Retention defaults (overridable from settings)
+    this.defaultRetention = {
+      retentionDays: 7,
+      maxIssuesPerOrigin: 500
+    };
+  }
+
+  // ============= DATABASE =============
+
+  /**
+   * Open (and upgrade) the database once per worker lifetime
+   * @returns {Promise<IDBDatabase>}
+   */
+  open() {
+    if (this.dbPromise) return this.dbPromise;
+
+    this.dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.dbName, this.dbVersion);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(this.storeName)) {
+          const store = db.createObjectStore(this.storeName, { keyPath: 'id' });
+          store.createIndex('origin', 'origin');
+          store.createIndex('url', 'url');
+          store.createIndex('sessionId', 'sessionId');
+          store.createIndex('pageLoadId', 'pageLoadId');
+          store.createIndex('type', 'type');
+          store.createIndex('severity', 'severity');
+          store.createIndex('fingerprint', 'fingerprint');
+          store.createIndex('timestamp', 'timestamp');
+          store.createIndex('origin_timestamp', ['origin', 'timestamp']);
+        }
+
+        // Fingerprint groups
+        if (!db.objectStoreNames.contains(this.groupStoreName)) {
+          const groups = db.createObjectStore(this.groupStoreName, { keyPath: 'fingerprint' });
+          groups.createIndex('origin', 'origin');
+          groups.createIndex('type', 'type');
+          groups.createIndex('severity', 'severity');
+          groups.createIndex('lastSeen', 'lastSeen');
+          groups.createIndex('origin_lastSeen', ['origin', 'lastSeen']);
+        }
+      };
+
+      request.onsuccess = () => {
+        const db = request.result;
+        // Another context upgraded the schema - reopen on next use
+        db.onversionchange = () => {
+          db.close();
+          this.dbPromise = null;
+        };
+        resolve(db);
+      };
+
+      request.onerror = () => {
+        this.dbPromise = null;
+        reject(request.error);
+      };
+    });
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Wrap an IDBRequest in a promise
+   * @private
+   */
+  promisify(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Resolve when a transaction commits
+   * @private
+   */
+  complete(transaction) {
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  async getObjectStore(mode = 'readonly', storeName = this.storeName) {
+    const db = await this.open();
+    const transaction = db.transaction(storeName, mode);
+    return { transaction, store: transaction.objectStore(storeName) };
+  }
+
+  // ============= SESSION =============
+
+  /**
+   * Browser-session id. storage.session survives service worker restarts
+   * but is cleared when the browser closes.
+   * @returns {Promise<string>}
+   */
+  async getSessionId() {
+    if (this.sessionId) return this.sessionId;
+
+    try {
+      const result = await chrome.storage.session.get('dark_voir_session_id');
+      this.sessionId = result.dark_voir_session_id;
+
+      if (!this.sessionId) {
+        this.sessionId = `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        await chrome.storage.session.set({ dark_voir_session_id: this.sessionId });
+      }
+    } catch (error) {
+      console.warn('[Issue Store] Session storage unavailable:', error);
+      this.sessionId = `session_${Date.now()}`;
+    }
+
+    return this.sessionId;
+  }
+
+  // ============= WRITES =============
+
+  /**
+   * Normalize and persist an issue occurrence, folding it into its fingerprint group
+   * @param {Object} issue - Processed issue from the background
+   * @param {string} pageUrl - URL of the page the issue came from
+   * @returns {Promise<Object>} { issue, group, isNewGroup }
+   */
+  async add(issue, pageUrl) {
+    const url = pageUrl || issue.pageUrl || issue.url || '';
+    const record = {
+      ...issue,
+      url: url,
+      origin: IssueStore.getOrigin(url),
+      sessionId: await this.getSessionId(),
+      pageLoadId: issue.pageLoadId || null,
+      fingerprint: issue.fingerprint || IssueStore.fingerprint(issue, url),
+      timestamp: issue.timestamp || Date.now()
+    };
+
+    // Keep the request URL of network issues separately from the page URL
+    if (issue.url && issue.url !== url) {
+      record.resourceUrl = issue.url;
+    }
+
+    const db = await this.open();
+    const transaction = db.transaction([this.storeName, this.groupStoreName], 'readwrite');
+    const groups = transaction.objectStore(this.groupStoreName);
+
+    transaction.objectStore(this.storeName).put(record);
+    const existing = await this.promisify(groups.get(record.fingerprint));
+    const group = this.mergeIntoGroup(existing, record);
+    groups.put(group);
+
+    await this.complete(transaction);
+
+    return { issue: record, group, isNewGroup: !existing };
+  }
+
+  /**
+   * Fold an occurrence into its group record.
+   * Groups carry the latest occurrence's fields, so the popup can treat them like issues.
+   * @private
+   */
+  mergeIntoGroup(group, issue) {
+    const occurrences = issue.occurrences || 1;
+    const seenAt = issue.timestamp || Date.now();
+
+    if (!group) {
+      group = {
+        firstSeen: seenAt,
+        lastSeen: 0,
+        count: 0,
+        urls: [],
+        hourly: {}
+      };
+    }
+
+    const rank = this.severityRank;
+    const severity = (rank[issue.severity] || 0) > (rank[group.severity] || 0) ? issue.severity : group.severity;
+
+    const merged = {
+      ...group,
+      ...(seenAt >= group.lastSeen ? issue : {}),
+      id: issue.fingerprint,
+      fingerprint: issue.fingerprint,
+      latestIssueId: seenAt >= group.lastSeen ? issue.id : group.latestIssueId,
+      origin: group.origin || issue.origin,
+      severity: severity || issue.severity || 'medium',
+      firstSeen: Math.min(group.firstSeen, seenAt),
+      lastSeen: Math.max(group.lastSeen, seenAt),
+      timestamp: Math.max(group.lastSeen, seenAt),
+      count: group.count + occurrences,
+      urls: group.urls.includes(issue.url) || group.urls.length >= this.maxGroupUrls
+        ? group.urls
+        : [...group.urls, issue.url],
+      hourly: { ...group.hourly },
+      resolved: false
+    };
+    delete merged.occurrences;
+
+    // Hourly buckets for the sparkline, trimmed to the window
+    const hour = Math.floor(seenAt / 3600000);
+    merged.hourly[hour] = (merged.hourly[hour] || 0) + occurrences;
+    const oldestHour = Math.floor(Date.now() / 3600000) - this.sparklineHours;
+    Object.keys(merged.hourly).forEach(key => {
+      if (Number(key) <= oldestHour) delete merged.hourly[key];
+    });
+
+    return merged;
+  }
+
+  /**
+   * Merge changes into a stored issue
+   * @param {string} id - Issue id
+   * @param {Object} changes - Fields to update
+   * @returns {Promise<Object|null>} Updated record
+   */
+  async update(id, changes) {
+    const { transaction, store } = await this.getObjectStore('readwrite');
+    const existing = await this.promisify(store.get(id));
+    if (!existing) return null;
+
+    const updated = { ...existing, ...changes, id };
+    store.put(updated);
+    await this.complete(transaction);
+
+    return updated;
+  }
+
+  async delete(id) {
+    const { transaction, store } = await this.getObjectStore('readwrite');
+    store.delete(id);
+    await this.complete(transaction);
+  }
+
+  /**
+   * Remove a group and all of its occurrences
+   * @param {string} fingerprint - Group fingerprint
+   * @returns {Promise<number>} Number of removed occurrences
+   */
+  async deleteGroup(fingerprint) {
+    const db = await this.open();
+    const transaction = db.transaction([this.storeName, this.groupStoreName], 'readwrite');
+    const issues = transaction.objectStore(this.storeName);
+
+    const keys = await this.promisify(issues.index('fingerprint').getAllKeys(fingerprint));
+    keys.forEach(key => issues.delete(key));
+    transaction.objectStore(this.groupStoreName).delete(fingerprint);
+
+    await this.complete(transaction);
+    return keys.length;
+  }
+
+  /**
+   * Remove stored issues
+   * @param {string} origin - Only clear this origin (all origins when omitted)
+   * @returns {Promise<number>} Number of removed issues
+   */
+  async clear(origin) {
+    const db = await this.open();
+    const transaction = db.transaction([this.storeName, this.groupStoreName], 'readwrite');
+    const store = transaction.objectStore(this.storeName);
+    const groups = transaction.objectStore(this.groupStoreName);
+    let removed;
+
+    if (origin) {
+      const keys = await this.promisify(store.index('origin').getAllKeys(origin));
+      keys.forEach(key => store.delete(key));
+      const groupKeys = await this.promisify(groups.index('origin').getAllKeys(origin));
+      groupKeys.forEach(key => groups.delete(key));
+      removed = keys.length;
+    } else {
+      removed = await this.promisify(store.count());
+      store.clear();
+      groups.clear();
+    }
+
+    await this.complete(transaction);
+    return removed;
+  }
+
+  // ============= QUERIES =============
+
+  async get(id) {
+    const { store } = await this.getObjectStore();
+    return (await this.promisify(store.get(id))) || null;
+  }
+
+  /**
+   * Page through stored issues, newest first
+   * @param {Object} options - { origin, url, sessionId, pageLoadId, type, severity, fingerprint, since, offset, limit }
+   * @returns {Promise<Object>} { issues, total, offset, limit, hasMore }
+   */
+  async query(options = {}) {
+    const offset = Math.max(0, parseInt(options.offset, 10) || 0);
+    const limit = Math.min(this.maxPageSize, Math.max(1, parseInt(options.limit, 10) || this.defaultPageSize));
+
+    const filters = ['url', 'sessionId', 'pageLoadId', 'type', 'severity', 'fingerprint']
+      .filter(key => options[key] && options[key] !== 'all');
+    const matches = issue =>
+      filters.every(key => issue[key] === options[key]) &&
+      (!options.since || issue.timestamp >= options.since);
+
+    const { store } = await this.getObjectStore();
+    const issues = [];
+    let total = 0;
+
+    if (options.fingerprint) {
+      // Narrowest index - load the group and sort in memory
+      const group = await this.promisify(store.index('fingerprint').getAll(options.fingerprint));
+      const filtered = group
+        .filter(issue => (!options.origin || issue.origin === options.origin) && matches(issue))
+        .sort((a, b) => b.timestamp - a.timestamp);
+
+      return {
+        issues: filtered.slice(offset, offset + limit),
+        total: filtered.length,
+        offset,
+        limit,
+        hasMore: offset + limit < filtered.length
+      };
+    }
+
+    // Walk a timestamp-ordered index backwards so pages come out newest first
+    const source = options.origin
+      ? store.index('origin_timestamp').openCursor(
+        IDBKeyRange.bound([options.origin, 0], [options.origin, Infinity]), 'prev')
+      : store.index('timestamp').openCursor(null, 'prev');
+
+    await new Promise((resolve, reject) => {
+      source.onerror = () => reject(source.error);
+      source.onsuccess = () => {
+        const cursor = source.result;
+        if (!cursor) {
+          resolve();
+          return;
+        }
+
+        if (matches(cursor.value)) {
+          if (total >= offset && issues.length < limit) {
+            issues.push(cursor.value);
+          }
+          total++;
+        }
+        cursor.continue();
+      };
+    });
+
+    return {
+      issues,
+      total,
+      offset,
+      limit,
+      hasMore: offset + issues.length < total
+    };
+  }
+
+  /**
+   * Page through fingerprint groups, most recently seen first
+   * @param {Object} options - { origin, type, severity, since, offset, limit }
+   * @returns {Promise<Object>} { groups, total, offset, limit, hasMore }
+   */
+  async queryGroups(options = {}) {
+    const offset = Math.max(0, parseInt(options.offset, 10) || 0);
+    const limit = Math.min(this.maxPageSize, Math.max(1, parseInt(options.limit, 10) || this.defaultPageSize));
+
+    const filters = ['type', 'severity'].filter(key => options[key] && options[key] !== 'all');
+    const matches = group =>
+      filters.every(key => group[key] === options[key]) &&
+      (!options.since || group.lastSeen >= options.since);
+
+    const { store } = await this.getObjectStore('readonly', this.groupStoreName);
+    const source = options.origin
+      ? store.index('origin_lastSeen').openCursor(
+        IDBKeyRange.bound([options.origin, 0], [options.origin, Infinity]), 'prev')
+      : store.index('lastSeen').openCursor(null, 'prev');
+
+    const groups = [];
+    let total = 0;
+
+    await new Promise((resolve, reject) => {
+      source.onerror = () => reject(source.error);
+      source.onsuccess = () => {
+        const cursor = source.result;
+        if (!cursor) {
+          resolve();
+          return;
+        }
+
+        if (matches(cursor.value)) {
+          if (total >= offset && groups.length < limit) {
+            groups.push(cursor.value);
+          }
+          total++;
+        }
+        cursor.continue();
+      };
+    });
+
+    return {
+      groups,
+      total,
+      offset,
+      limit,
+      hasMore: offset + groups.length < total
+    };
+  }
+
+  async getGroup(fingerprint) {
+    const { store } = await this.getObjectStore('readonly', this.groupStoreName);
+    return (await this.promisify(store.get(fingerprint))) || null;
+  }
+
+  /**
+   * Issue counts per origin, busiest first
+   * @returns {Promise<Array>} { origin, count }
+   */
+  async listOrigins() {
+    const { store } = await this.getObjectStore();
+    const index = store.index('origin');
+    const origins = [];
+
+    await new Promise((resolve, reject) => {
+      const request = index.openKeyCursor(null, 'nextunique');
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve();
+          return;
+        }
+        origins.push(cursor.key);
+        cursor.continue();
+      };
+    });
+
+    const counts = await Promise.all(origins.map(origin => this.promisify(index.count(origin))));
+    return origins
+      .map((origin, i) => ({ origin, count: counts[i] }))
+      .sort((a, b) => b.count - a.count);
+  }
+
+  // ============= RETENTION =============
+
+  /**
+   * Drop issues older than the retention window and cap each origin
+   * @param {Object} settings - dark_voir_settings ({ retentionDays, maxIssuesPerOrigin })
+   * @returns {Promise<number>} Number of removed issues
+   */
+  async applyRetention(settings = {}) {
+    const retentionDays = parseInt(settings.retentionDays, 10) || this.defaultRetention.retentionDays;
+    const maxPerOrigin = parseInt(settings.maxIssuesPerOrigin, 10) || this.defaultRetention.maxIssuesPerOrigin;
+    const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+    let removed = 0;
+
+    try {
+      // Age-based expiry
+      const { transaction, store } = await this.getObjectStore('readwrite');
+      const expiredKeys = await this.promisify(
+        store.index('timestamp').getAllKeys(IDBKeyRange.upperBound(cutoff, true))
+      );
+      expiredKeys.forEach(key => store.delete(key));
+      await this.complete(transaction);
+      removed += expiredKeys.length;
+
+      // Groups not seen within the window go too
+      const { transaction: groupTransaction, store: groupStore } = await this.getObjectStore('readwrite', this.groupStoreName);
+      const expiredGroups = await this.promisify(
+        groupStore.index('lastSeen').getAllKeys(IDBKeyRange.upperBound(cutoff, true))
+      );
+      expiredGroups.forEach(key => groupStore.delete(key));
+      await this.complete(groupTransaction);
+
+      // Per-origin cap, keeping the newest issues
+      for (const { origin, count } of await this.listOrigins()) {
+        if (count <= maxPerOrigin) continue;
+
+        const { transaction: capTransaction, store: capStore } = await this.getObjectStore('readwrite');
+        const keys = await this.promisify(capStore.index('origin_timestamp').getAllKeys(
+          IDBKeyRange.bound([origin, 0], [origin, Infinity]),
+          count - maxPerOrigin
+        ));
+        keys.forEach(key => capStore.delete(key));
+        await this.complete(capTransaction);
+        removed += keys.length;
+      }
+
+      console.log(`[Issue Store] Retention removed ${removed} issues`);
+    } catch (error) {
+      console.error('[Issue Store] Retention failed:', error);
+    }
+
+    return removed;
+  }
+
+  // ============= HELPERS =============
+
+  static getOrigin(url) {
+    try {
+      return new URL(url).origin;
+    } catch (e) {
+      return 'unknown';
+    }
+  }
+
+  // ============= FINGERPRINTING =============
+
+  /**
+   * Stable key for grouping repeats of the same issue: the origin, then a 64-bit hash of
+   * the type, normalized message, top stack frames and source file, so volatile details
+   * (ids, numbers, query strings, line/column) don't split groups. The origin is kept
+   * as-is, so issues from different sites can never share a group.
+   * @param {Object} issue - Issue
+   * @param {string} pageUrl - Page the issue came from
+   * @returns {string} Fingerprint ("https://example.com|<16 hex digits>")
+   */
+  static fingerprint(issue, pageUrl) {
+    const parts = [
+      issue.type || 'unknown',
+      IssueStore.normalizeMessage(issue.title || issue.message || ''),
+      IssueStore.topFrames(issue.resolvedStack || issue.stack).join(' > '),
+      IssueStore.normalizeUrl(issue.filename || issue.source || '')
+    ];
+
+    return `${IssueStore.getOrigin(pageUrl || issue.url)}|${IssueStore.hash(parts.join('|'))}`;
+  }
+
+  /**
+   * Strip the volatile parts of an error message
+   * @param {string} message - Raw message
+   * @returns {string} Normalized message
+   */
+  static normalizeMessage(message) {
+    return String(message)
+      .replace(/\b[a-z][a-z0-9+.-]*:\/\/[^\s'"`)]+/gi, url => IssueStore.normalizeUrl(url))
+      .replace(/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, '<uuid>')
+      .replace(/\b(0x)?[0-9a-f]{12,}\b/gi, '<hex>')
+      .replace(/(["'`])(?:(?!\1).){1,80}\1/g, '<str>')
+      .replace(/\d+(\.\d+)?/g, '<n>')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .toLowerCase()
+      .substring(0, 300);
+  }
+
+  /**
+   * First stack frames as "function@file", without line and column
+   * @param {string} stack - Stack trace
+   * @param {number} count - Number of frames to keep
+   * @returns {Array<string>} Frames
+   */
+  static topFrames(stack, count = 3) {
+    if (!stack) return [];
+
+    const frames = [];
+    for (const line of String(stack).split('\n')) {
+      // V8: "at fn (file:1:2)" / "at file:1:2"; Firefox/Safari: "fn@file:1:2"
+      const match = line.match(/^\s*at\s+(?:(.*?)\s+\()?(.+?)(?::\d+){1,2}\)?\s*$/) ||
+        line.match(/^\s*(.*?)@(.+?)(?::\d+){1,2}\s*$/);
+      if (!match) continue;
+
+      frames.push(`${match[1] || '<anonymous>'}@${IssueStore.normalizeUrl(match[2])}`);
+      if (frames.length >= count) break;
+    }
+
+    return frames;
+  }
+
+  /**
+   * Drop query strings, hashes and cache-busting hashes from a URL
+   * @param {string} url - URL
+   * @returns {string} Normalized URL
+   */
+  static normalizeUrl(url) {
+    return String(url)
+      .split(/[?#]/)[0]
+      .replace(/([.-])[0-9a-f]{8,}(?=\.)/gi, '$1<hash>');
+  }
+
+  static hash(text) {
+    // FNV-1a, 64 bit - a 32-bit hash collides too soon for a key that merges issues
+    let hash = 0xcbf29ce484222325n;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= BigInt(text.charCodeAt(i));
+      hash = (hash * 0x100000001b3n) & 0xffffffffffffffffn;
+    }
+    return hash.toString(16).padStart(16, '0');
+  }
+}
+
+// ============================================
+// GLOBAL INITIALIZATION
+// ============================================
+
+if (typeof self !== 'undefined') {
+  self.IssueStore = IssueStore;
+  self.issueStore = new IssueStore();
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = IssueStore;
+}
+
+console.log('[Issue Store] Module loaded');
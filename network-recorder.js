@@ -0,0 +1,491 @@
+/**
+ * Dark Voir AI Troubleshooter - Network Recorder (MAIN world)
+ * Instruments the page's own fetch, XHR, WebSocket, EventSource and sendBeacon
+ * and posts request metadata to the content script. Text bodies are only captured
+ * once content.js relays the opt-in "Capture Network Bodies" setting (for HAR export).
+ * Events go over a private MessagePort whose other end is handed to content.js in a
+ * synchronously dispatched event - at document_start, before any page script runs, from the
+ * registered content script; page listeners can see it when injected into a running page.
+ */
+
+(() => {
+  const INSTALLED = Symbol.for('dark-voir.network-recorder');
+  const PORT_EVENT = 'dark-voir-page-port';
+
+  // Injected again for a new content.js: keep the patches, hand over a new port
+  if (typeof window[INSTALLED] === 'function') {
+    window[INSTALLED]();
+    return;
+  }
+  const SENSITIVE_NAME = /authorization|cookie|token|secret|password|passwd|session|api[-_]?key|auth|csrf|xsrf|signature|credential/i;
+
+  class NetworkRecorder {
+    constructor(port) {
+      this.port = null;
+      this.nextId = 1;
+      this.sockets = new WeakMap();
+      this.captureBodies = false;
+      this.maxBodySize = 100000;
+      this.connect(port);
+      this.install();
+    }
+
+    /**
+     * Switch to a new channel; the old content.js is gone with its end of the old one
+     */
+    connect(port) {
+      this.port?.close();
+      this.port = port;
+      this.listenForConfig();
+    }
+
+    /**
+     * content.js reads the extension settings (this world can't) and relays them over the port
+     */
+    listenForConfig() {
+      this.port.onmessage = (event) => {
+        const data = event.data;
+        if (!data || data.kind !== 'config') return;
+
+        this.captureBodies = data.captureBodies === true;
+      };
+    }
+
+    install() {
+      const steps = [
+        ['fetch', () => this.patchFetch()],
+        ['xhr', () => this.patchXHR()],
+        ['websocket', () => this.patchWebSocket()],
+        ['eventsource', () => this.patchEventSource()],
+        ['beacon', () => this.patchBeacon()]
+      ];
+
+      steps.forEach(([name, patch]) => {
+        try {
+          patch();
+        } catch (error) {
+          console.warn(`[Dark Voir] Network recorder could not patch ${name}:`, error);
+        }
+      });
+    }
+
+    // ============= REPORTING =============
+
+    emit(event) {
+      try {
+        this.port.postMessage({
+          kind: 'network',
+          event: {
+            pageUrl: location.href,
+            ...event
+          }
+        });
+      } catch (error) {
+        // Never break the page because of the recorder
+      }
+    }
+
+    createId(transport) {
+      return `${transport}_${Date.now()}_${this.nextId++}`;
+    }
+
+    // ============= SANITIZING =============
+
+    /**
+     * Resolve to an absolute URL and blank out sensitive query values
+     */
+    sanitizeUrl(url) {
+      try {
+        const parsed = new URL(String(url), location.href);
+        parsed.searchParams.forEach((value, key) => {
+          if (SENSITIVE_NAME.test(key)) parsed.searchParams.set(key, '[redacted]');
+        });
+        parsed.username = '';
+        parsed.password = '';
+        return parsed.href;
+      } catch (e) {
+        return String(url).substring(0, 500);
+      }
+    }
+
+    /**
+     * Plain header object with secret values removed
+     * @param {Headers|Object|Array|string} headers - Any header representation
+     */
+    sanitizeHeaders(headers) {
+      const result = {};
+      if (!headers) return result;
+
+      const add = (name, value) => {
+        const key = String(name).toLowerCase();
+        result[key] = SENSITIVE_NAME.test(key) ? '[redacted]' : String(value).substring(0, 300);
+      };
+
+      if (typeof headers === 'string') {
+        // XHR getAllResponseHeaders() format
+        headers.trim().split(/[\r\n]+/).forEach(line => {
+          const index = line.indexOf(':');
+          if (index > 0) add(line.substring(0, index).trim(), line.substring(index + 1).trim());
+        });
+      } else if (typeof headers.forEach === 'function' && !Array.isArray(headers)) {
+        headers.forEach((value, name) => add(name, value));
+      } else if (Array.isArray(headers)) {
+        headers.forEach(([name, value]) => add(name, value));
+      } else {
+        Object.entries(headers).forEach(([name, value]) => add(name, value));
+      }
+
+      return result;
+    }
+
+    /**
+     * Byte size of a request body without reading streams
+     */
+    bodySize(body) {
+      if (body === null || body === undefined) return 0;
+      if (typeof body === 'string') return new Blob([body]).size;
+      if (body instanceof Blob) return body.size;
+      if (body instanceof ArrayBuffer) return body.byteLength;
+      if (ArrayBuffer.isView(body)) return body.byteLength;
+      if (body instanceof URLSearchParams) return new Blob([body.toString()]).size;
+      return null; // FormData, streams: unknown
+    }
+
+    // ============= BODIES =============
+
+    isTextual(mimeType) {
+      return /^text\/|json|xml|javascript|x-www-form-urlencoded|graphql/i.test(mimeType || '');
+    }
+
+    /**
+     * Request body as text, when it is one without reading streams or files
+     */
+    requestBodyText(body) {
+      if (!this.captureBodies || body === null || body === undefined) return null;
+      if (typeof body === 'string') return this.truncateBody(body);
+      if (body instanceof URLSearchParams) return this.truncateBody(body.toString());
+      return null;
+    }
+
+    truncateBody(text) {
+      if (text.length <= this.maxBodySize) return { text: text, truncated: false };
+      return { text: text.substring(0, this.maxBodySize), truncated: true };
+    }
+
+    contentLength(headers) {
+      const value = headers['content-length'];
+      return value !== undefined && !isNaN(value) ? parseInt(value, 10) : null;
+    }
+
+    // ============= FETCH =============
+
+    patchFetch() {
+      const recorder = this;
+      const originalFetch = window.fetch;
+      if (typeof originalFetch !== 'function') return;
+
+      window.fetch = function(input, init) {
+        const options = init || {};
+        const request = input instanceof Request ? input : null;
+        const startTime = Date.now();
+        const started = performance.now();
+        const record = {
+          id: recorder.createId('fetch'),
+          transport: 'fetch',
+          method: String(options.method || request?.method || 'GET').toUpperCase(),
+          url: recorder.sanitizeUrl(request ? request.url : input),
+          startTime: startTime,
+          requestHeaders: recorder.sanitizeHeaders(options.headers || request?.headers),
+          requestSize: recorder.bodySize(options.body),
+          requestBody: recorder.requestBodyText(options.body)
+        };
+
+        return originalFetch.apply(this, arguments).then(response => {
+          const responseHeaders = recorder.sanitizeHeaders(response.headers);
+          const event = {
+            ...record,
+            status: response.status,
+            statusText: response.statusText,
+            ok: response.ok,
+            type: response.type,
+            redirected: response.redirected,
+            duration: Math.round(performance.now() - started),
+            responseHeaders: responseHeaders,
+            responseSize: recorder.contentLength(responseHeaders),
+            mimeType: responseHeaders['content-type'] || null
+          };
+
+          if (recorder.captureBodies && recorder.isTextual(event.mimeType)) {
+            // Read a clone so the page's own consumption is untouched
+            response.clone().text().then(
+              text => recorder.emit({ ...event, responseBody: recorder.truncateBody(text) }),
+              () => recorder.emit(event)
+            );
+          } else {
+            recorder.emit(event);
+          }
+          return response;
+        }, error => {
+          recorder.emit({
+            ...record,
+            status: 0,
+            ok: false,
+            duration: Math.round(performance.now() - started),
+            error: error?.name === 'AbortError' ? 'aborted' : (error?.message || 'Network error')
+          });
+          throw error;
+        });
+      };
+    }
+
+    // ============= XMLHTTPREQUEST =============
+
+    patchXHR() {
+      const recorder = this;
+      const proto = XMLHttpRequest.prototype;
+      const originalOpen = proto.open;
+      const originalSetRequestHeader = proto.setRequestHeader;
+      const originalSend = proto.send;
+      const records = new WeakMap();
+      const listening = new WeakSet();
+
+      proto.open = function(method, url) {
+        records.set(this, {
+          id: recorder.createId('xhr'),
+          transport: 'xhr',
+          method: String(method || 'GET').toUpperCase(),
+          url: recorder.sanitizeUrl(url),
+          requestHeaders: {}
+        });
+        return originalOpen.apply(this, arguments);
+      };
+
+      proto.setRequestHeader = function(name, value) {
+        const record = records.get(this);
+        if (record) {
+          Object.assign(record.requestHeaders, recorder.sanitizeHeaders({ [name]: value }));
+        }
+        return originalSetRequestHeader.apply(this, arguments);
+      };
+
+      proto.send = function(body) {
+        const record = records.get(this);
+        if (record) {
+          record.startTime = Date.now();
+          record.started = performance.now();
+          record.requestSize = recorder.bodySize(body);
+          record.requestBody = recorder.requestBodyText(body);
+          record.failure = null;
+
+          // Instances can be reused (open/send again), so listen only once
+          if (!listening.has(this)) {
+            listening.add(this);
+            this.addEventListener('error', () => { records.get(this).failure = 'Network error'; });
+            this.addEventListener('timeout', () => { records.get(this).failure = 'timeout'; });
+            this.addEventListener('abort', () => { records.get(this).failure = 'aborted'; });
+            this.addEventListener('loadend', () => recorder.emitXHR(this, records.get(this)));
+          }
+        }
+        return originalSend.apply(this, arguments);
+      };
+    }
+
+    emitXHR(xhr, record) {
+      if (!record) return;
+
+      const { started, failure, ...request } = record;
+      const responseHeaders = this.sanitizeHeaders(xhr.getAllResponseHeaders());
+      let responseSize = this.contentLength(responseHeaders);
+      if (responseSize === null && (xhr.responseType === '' || xhr.responseType === 'text')) {
+        responseSize = xhr.responseText ? new Blob([xhr.responseText]).size : 0;
+      }
+
+      this.emit({
+        ...request,
+        status: xhr.status,
+        statusText: xhr.statusText,
+        ok: !failure && xhr.status >= 200 && xhr.status < 400,
+        duration: Math.round(performance.now() - started),
+        responseHeaders: responseHeaders,
+        responseSize: responseSize,
+        mimeType: responseHeaders['content-type'] || null,
+        responseBody: failure ? null : this.xhrResponseText(xhr, responseHeaders['content-type']),
+        error: failure
+      });
+    }
+
+    xhrResponseText(xhr, mimeType) {
+      if (!this.captureBodies || !this.isTextual(mimeType)) return null;
+
+      try {
+        if (xhr.responseType === '' || xhr.responseType === 'text') {
+          return this.truncateBody(xhr.responseText || '');
+        }
+        if (xhr.responseType === 'json') {
+          return this.truncateBody(JSON.stringify(xhr.response));
+        }
+      } catch (e) {
+        // responseText throws for some response types
+      }
+      return null;
+    }
+
+    // ============= WEBSOCKET =============
+
+    patchWebSocket() {
+      const recorder = this;
+      const OriginalWebSocket = window.WebSocket;
+      if (typeof OriginalWebSocket !== 'function') return;
+
+      const originalSend = OriginalWebSocket.prototype.send;
+      OriginalWebSocket.prototype.send = function(data) {
+        const stats = recorder.sockets.get(this);
+        if (stats) {
+          stats.messagesSent++;
+          stats.bytesSent += recorder.bodySize(data) || 0;
+        }
+        return originalSend.apply(this, arguments);
+      };
+
+      // A Proxy keeps instanceof, the prototype and the static readyState constants intact
+      window.WebSocket = new Proxy(OriginalWebSocket, {
+        construct(target, args, newTarget) {
+          const socket = Reflect.construct(target, args, newTarget);
+          recorder.trackSocket(socket);
+          return socket;
+        }
+      });
+    }
+
+    trackSocket(socket) {
+      const started = performance.now();
+      const stats = {
+        id: this.createId('websocket'),
+        transport: 'websocket',
+        method: 'GET',
+        url: this.sanitizeUrl(socket.url),
+        startTime: Date.now(),
+        messagesSent: 0,
+        messagesReceived: 0,
+        bytesSent: 0,
+        bytesReceived: 0
+      };
+      this.sockets.set(socket, stats);
+      let errored = false;
+
+      socket.addEventListener('open', () => {
+        this.emit({ ...stats, phase: 'open', status: 101, ok: true, duration: Math.round(performance.now() - started) });
+      });
+
+      socket.addEventListener('message', (event) => {
+        stats.messagesReceived++;
+        const data = event.data;
+        stats.bytesReceived += typeof data === 'string' ? data.length : (data?.size ?? data?.byteLength ?? 0);
+      });
+
+      socket.addEventListener('error', () => {
+        errored = true;
+      });
+
+      socket.addEventListener('close', (event) => {
+        // 1000 (normal) and 1001 (going away) are clean shutdowns
+        const clean = !errored && (event.code === 1000 || event.code === 1001);
+        this.emit({
+          ...stats,
+          phase: 'close',
+          status: event.code,
+          statusText: event.reason || '',
+          wasClean: event.wasClean,
+          ok: clean,
+          duration: Math.round(performance.now() - started),
+          error: clean ? null : `WebSocket closed with code ${event.code}${event.reason ? ': ' + event.reason : ''}`
+        });
+      });
+    }
+
+    // ============= EVENTSOURCE =============
+
+    patchEventSource() {
+      const recorder = this;
+      const OriginalEventSource = window.EventSource;
+      if (typeof OriginalEventSource !== 'function') return;
+
+      window.EventSource = new Proxy(OriginalEventSource, {
+        construct(target, args, newTarget) {
+          const source = Reflect.construct(target, args, newTarget);
+          recorder.trackEventSource(source);
+          return source;
+        }
+      });
+    }
+
+    trackEventSource(source) {
+      const started = performance.now();
+      const record = {
+        id: this.createId('eventsource'),
+        transport: 'eventsource',
+        method: 'GET',
+        url: this.sanitizeUrl(source.url),
+        startTime: Date.now(),
+        withCredentials: source.withCredentials
+      };
+      let messages = 0;
+
+      source.addEventListener('open', () => {
+        this.emit({ ...record, phase: 'open', status: 200, ok: true, duration: Math.round(performance.now() - started) });
+      });
+
+      source.addEventListener('message', () => {
+        messages++;
+      });
+
+      source.addEventListener('error', () => {
+        // CONNECTING means the browser is retrying; CLOSED means it gave up
+        const closed = source.readyState === source.CLOSED;
+        this.emit({
+          ...record,
+          phase: closed ? 'close' : 'reconnect',
+          status: 0,
+          ok: false,
+          messagesReceived: messages,
+          duration: Math.round(performance.now() - started),
+          error: closed ? 'EventSource connection failed' : 'EventSource connection lost, reconnecting'
+        });
+      });
+    }
+
+    // ============= SENDBEACON =============
+
+    patchBeacon() {
+      const recorder = this;
+      const originalSendBeacon = navigator.sendBeacon;
+      if (typeof originalSendBeacon !== 'function') return;
+
+      navigator.sendBeacon = function(url, data) {
+        const queued = originalSendBeacon.apply(this, arguments);
+        recorder.emit({
+          id: recorder.createId('beacon'),
+          transport: 'beacon',
+          method: 'POST',
+          url: recorder.sanitizeUrl(url),
+          startTime: Date.now(),
+          requestSize: recorder.bodySize(data),
+          duration: 0,
+          status: queued ? 0 : null,
+          ok: queued,
+          error: queued ? null : 'Beacon was not queued (payload too large or blocked)'
+        });
+        return queued;
+      };
+    }
+  }
+
+  const openChannel = () => {
+    const channel = new MessageChannel();
+    window.dispatchEvent(new MessageEvent(PORT_EVENT, { data: { channel: 'network' }, ports: [channel.port2] }));
+    return channel.port1;
+  };
+
+  const recorder = new NetworkRecorder(openChannel());
+  Object.defineProperty(window, INSTALLED, { value: () => recorder.connect(openChannel()) });
+})();
@@ -0,0 +1,86 @@
+/**
+ * Dark Voir AI Troubleshooter - Offscreen AI Host
+ * Owns the ChromeAIHelper sessions and answers AI calls from the service worker
+ */
+
+class AIHost {
+  constructor() {
+    this.aiHelper = new ChromeAIHelper();
+    this.providers = AIProviderRegistry.createDefault(this.aiHelper);
+    this.initPromise = null;
+
+    // RPC methods served by the provider chain, mapped to provider features
+    this.providerMethods = {
+      analyzeIssue: 'analyze',
+      chat: 'chat',
+      summarizeIssues: 'summarize',
+      improveErrorMessage: 'rewrite',
+      translateMessage: 'translate'
+    };
+
+    // Only these ChromeAIHelper methods can be called directly
+    this.allowedMethods = [
+      'analyzeBulkIssues',
+      'analyzeMultipleIssues',
+      'getStatus'
+    ];
+
+    this.init();
+  }
+
+  // ============= INITIALIZATION =============
+  init() {
+    chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+      // Popup and content messages also arrive here - ignore anything not addressed to the host
+      if (request?.target !== 'ai-host') {
+        return false;
+      }
+
+      this.handleCall(request, sendResponse);
+      return true;
+    });
+
+    console.log('[AI Host] Offscreen AI host ready');
+  }
+
+  ensureInitialized() {
+    if (!this.initPromise) {
+      this.initPromise = this.aiHelper.initialize();
+    }
+    return this.initPromise;
+  }
+
+  // ============= RPC HANDLING =============
+  async handleCall(request, sendResponse) {
+    const { method, args = [] } = request;
+
+    try {
+      await this.ensureInitialized();
+
+      // Offscreen documents cannot read chrome.storage, so settings travel with each call
+      this.providers.configure(request.settings || {});
+
+      let result;
+      if (this.providerMethods[method]) {
+        result = await this.providers[this.providerMethods[method]](...args);
+      } else if (method === 'planGuide') {
+        result = await guidePlanner.plan(args[0] || {});
+      } else if (this.allowedMethods.includes(method)) {
+        result = await this.aiHelper[method](...args);
+      } else {
+        throw new Error('Unknown AI host method: ' + method);
+      }
+
+      sendResponse({ success: true, result });
+    } catch (error) {
+      console.error(`[AI Host] ${method} failed:`, error);
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+}
+
+// ============================================
+// INITIALIZE AI HOST
+// ============================================
+
+const aiHost = new AIHost();
@@ -72,7 +72,10 @@ function getFriendlyCategory(errorType) {
     'console': '📋 Page Issue',
     'network': '🌐 Connection',
     'validation': '📝 Form Issue',
-    'javascript': '⚙️ Script Issue'
+    'javascript': '⚙️ Script Issue',
+    'accessibility_issue': '♿ Accessibility',
+    'seo_issue': '🔎 SEO',
+    'security_issue': '🔒 Security'
   };
   return categories[errorType.toLowerCase()] || '⚠️ Issue';
 }
@@ -82,13 +85,35 @@ class PopupController {
     this.currentTab = 'dashboard';
     this.issues = [];
     this.fixes = [];
-    this.chatHistory = [];
+    this.fixPipeline = new FixPipeline();
+    this.fixPreview = null;   // { index, preview } shown under a fix card
+    this.fixJournal = [];     // fixes applied to the active tab
+    this.seoReport = null;    // SEO scan of the active tab, for the dashboard score
+    this.cspViolations = [];  // aggregated CSP violations of the active tab
+    this.cspSuggestion = null; // { policy, suggested, changes, notes, diff, explanation }
+    this.fixStream = null;    // { index, issue, text, abort } while a fix streams in
+    this.chatAbort = null;    // AbortController of the streaming chat answer
+    this.partialSaveTimer = null;
+    this.chatThreads = new ChatThreadStore();
+    this.activeThread = null;  // thread shown in the chat tab; null until the first message of a new chat
+    this.chatTabId = null;
+    this.chatOrigin = 'unknown';
+    this.chatContextBuilder = new ChatContextBuilder();
+    this.chatCommands = new ChatCommands();
+    this.chatTools = new ChatTools();
+    this.autocomplete = { items: [], index: -1 }; // slash-command suggestions under the chat input
+    this.chatContext = [];             // fitted context items for the active tab
+    this.chatContextExcluded = new Set(); // item ids the user switched off
     this.settings = {};
     this.aiHelper = new ChromeAIHelper(); // Chrome AI Integration
+    this.ai = AIProviderRegistry.createDefault(this.aiHelper); // Per-feature AI backends
     this.filters = {
       severity: 'all',
-      type: 'all'
+      type: 'all',
+      scope: 'site'
     };
+    this.pageSize = 25;
+    this.issuePage = { total: 0, hasMore: false };
     this.init();
   }
 
@@ -139,6 +164,10 @@ class PopupController {
     if (selectedBtn) selectedBtn.classList.add('active');
 
     this.currentTab = tabId;
+
+    if (tabId === 'chat') {
+      this.refreshChatContext();
+    }
   }
 
   // ============= ACTION SETUP =============
@@ -155,6 +184,12 @@ class PopupController {
       guideBtn.addEventListener('click', () => this.activateVisualGuide());
     }
 
+    // Focus walk button
+    const focusWalkBtn = document.getElementById('focus-walk-btn');
+    if (focusWalkBtn) {
+      focusWalkBtn.addEventListener('click', () => this.startFocusWalk());
+    }
+
     // Self-check button
     const selfCheckBtn = document.getElementById('self-check-btn');
     if (selfCheckBtn) {
@@ -167,6 +202,11 @@ class PopupController {
       exportBtn.addEventListener('click', () => this.exportReport());
     }
 
+    const exportHarBtn = document.getElementById('export-har-btn');
+    if (exportHarBtn) {
+      exportHarBtn.addEventListener('click', () => this.exportHar());
+    }
+
     // Generate all fixes button
     const generateAllBtn = document.getElementById('generate-all-fixes-btn');
     if (generateAllBtn) {
@@ -207,7 +247,7 @@ class PopupController {
     if (severityFilter) {
       severityFilter.addEventListener('change', (e) => {
         this.filters.severity = e.target.value;
-        this.renderIssues();
+        this.reloadIssues();
       });
     }
 
@@ -215,7 +255,15 @@ class PopupController {
     if (typeFilter) {
       typeFilter.addEventListener('change', (e) => {
         this.filters.type = e.target.value;
-        this.renderIssues();
+        this.reloadIssues();
+      });
+    }
+
+    const scopeFilter = document.getElementById('scope-filter');
+    if (scopeFilter) {
+      scopeFilter.addEventListener('change', (e) => {
+        this.filters.scope = e.target.value;
+        this.reloadIssues();
       });
     }
   }
@@ -224,11 +272,32 @@ class PopupController {
   setupChat() {
     const chatInput = document.getElementById('chat-input');
     const chatSendBtn = document.getElementById('chat-send-btn');
+    const chatStopBtn = document.getElementById('chat-stop-btn');
+    const messagesContainer = document.getElementById('chat-messages');
+
+    // Shown again for empty threads
+    this.chatWelcomeHtml = messagesContainer ? messagesContainer.innerHTML : '';
 
     if (chatSendBtn) {
       chatSendBtn.addEventListener('click', () => this.sendChatMessage());
     }
 
+    if (chatStopBtn) {
+      chatStopBtn.addEventListener('click', () => this.chatAbort?.abort());
+    }
+
+    document.getElementById('chat-thread-select')?.addEventListener('change', (e) => this.switchThread(e.target.value));
+    document.getElementById('chat-thread-new')?.addEventListener('click', () => this.newThread());
+    document.getElementById('chat-thread-rename')?.addEventListener('click', () => this.renameThread());
+    document.getElementById('chat-thread-delete')?.addEventListener('click', () => this.deleteThread());
+
+    // Closing the popup mid-stream kills this page - save what has arrived so far
+    window.addEventListener('pagehide', () => {
+      if (this.chatAbort || this.fixStream) {
+        this.savePartialResults();
+      }
+    });
+
     if (chatInput) {
       chatInput.addEventListener('keypress', (e) => {
         if (e.key === 'Enter' && !e.shiftKey) {
@@ -236,6 +305,8 @@ class PopupController {
           this.sendChatMessage();
         }
       });
+
+      this.setupChatAutocomplete(chatInput);
     }
 
     // Suggestion chips
@@ -255,11 +326,15 @@ class PopupController {
     const settings = [
       'auto-generate-fixes',
       'show-ai-suggestions',
+      'chat-tools',
       'monitor-console',
       'monitor-network',
+      'capture-network-bodies',
+      'monitor-frames',
       'monitor-performance',
       'show-visual-guides',
-      'show-notifications'
+      'show-notifications',
+      'resolve-source-maps'
     ];
 
     settings.forEach(settingId => {
@@ -268,39 +343,151 @@ class PopupController {
         element.addEventListener('change', () => this.saveSettings());
       }
     });
+
+    const retention = document.getElementById('retention-days');
+    if (retention) {
+      retention.addEventListener('change', () => this.saveSettings());
+    }
+
+    // Source map uploads
+    const sourceMapFile = document.getElementById('source-map-file');
+    const uploadSourceMapBtn = document.getElementById('upload-source-map-btn');
+    if (sourceMapFile && uploadSourceMapBtn) {
+      uploadSourceMapBtn.addEventListener('click', () => sourceMapFile.click());
+      sourceMapFile.addEventListener('change', async () => {
+        await this.uploadSourceMaps(Array.from(sourceMapFile.files));
+        sourceMapFile.value = '';
+      });
+    }
+    this.renderSourceMaps();
+
+    // AI provider selects
+    const providers = this.ai.listProviders();
+    document.querySelectorAll('.provider-select').forEach(select => {
+      const feature = select.dataset.feature;
+      select.innerHTML = providers
+        .filter(p => p.features.includes(feature))
+        .map(p => `<option value="${p.id}">${p.name}</option>`)
+        .join('');
+      select.addEventListener('change', () => this.saveSettings());
+    });
+
+    // Endpoint fields save once editing is done
+    ['openai-base-url', 'openai-model', 'openai-api-key'].forEach(inputId => {
+      const element = document.getElementById(inputId);
+      if (element) {
+        element.addEventListener('change', () => this.saveSettings());
+      }
+    });
   }
 
   // ============= DATA LOADING =============
   async loadData() {
     try {
       const result = await chrome.storage.local.get([
-        'dark_voir_issues',
         'dark_voir_settings',
-        'dark_voir_chat_history',
+        'dark_voir_chat_context_excluded',
         'dark_voir_fixes'
       ]);
 
-      this.issues = result.dark_voir_issues || [];
-      this.fix = result.dark_voir_fixes || [];
+      this.fixes = result.dark_voir_fixes || [];
       this.settings = result.dark_voir_settings || this.getDefaultSettings();
-      this.chatHistory = result.dark_voir_chat_history || [];
+      this.chatContextExcluded = new Set(result.dark_voir_chat_context_excluded || []);
 
       this.applySettings();
-      this.renderChatHistory();
+
+      await this.chatThreads.load();
+      await this.selectThreadForActiveTab();
+
+      await this.loadFixJournal();
+      await this.loadIssues();
+      await this.loadSeoReport();
+      await this.loadCspSuggestion();
     } catch (error) {
       console.error('[Popup] Failed to load data:', error);
     }
   }
 
+  /**
+   * Load a page of issue groups from the background issue store.
+   * Each group carries its latest occurrence's fields, so it renders like an issue.
+   * @param {boolean} append - Add to the loaded issues instead of replacing them
+   */
+  async loadIssues(append = false) {
+    try {
+      const query = {
+        severity: this.filters.severity,
+        type: this.filters.type,
+        offset: append ? this.issues.length : 0,
+        limit: this.pageSize
+      };
+
+      if (this.filters.scope === 'site') {
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        query.origin = this.getOrigin(tab?.url);
+      }
+
+      const response = await chrome.runtime.sendMessage({ type: 'QUERY_GROUPS', query });
+      if (!response?.success) {
+        throw new Error(response?.error || 'No response from background');
+      }
+
+      this.issues = append ? [...this.issues, ...response.groups] : response.groups;
+      this.issuePage = { total: response.total, hasMore: response.hasMore };
+    } catch (error) {
+      console.error('[Popup] Failed to load issues:', error);
+      if (!append) {
+        this.issues = [];
+        this.issuePage = { total: 0, hasMore: false };
+      }
+    }
+  }
+
+  async reloadIssues() {
+    await this.loadIssues();
+    this.renderIssues();
+    this.updateStatistics();
+  }
+
+  async loadMoreIssues() {
+    await this.loadIssues(true);
+    this.renderIssues();
+  }
+
+  getOrigin(url) {
+    try {
+      return new URL(url).origin;
+    } catch (e) {
+      return 'unknown';
+    }
+  }
+
   getDefaultSettings() {
     return {
       autoGenerateFixes: true,
       showAISuggestions: true,
+      chatTools: true,
       monitorConsole: true,
       monitorNetwork: true,
+      captureNetworkBodies: false,
+      monitorFrames: false,
       monitorPerformance: true,
       showVisualGuides: true,
-      showNotifications: false
+      showNotifications: false,
+      resolveSourceMaps: true,
+      retentionDays: 7,
+      aiProviders: {
+        analyze: 'chrome-builtin',
+        chat: 'chrome-builtin',
+        summarize: 'chrome-builtin',
+        rewrite: 'chrome-builtin',
+        translate: 'chrome-builtin'
+      },
+      openaiEndpoint: {
+        baseUrl: '',
+        model: '',
+        apiKey: ''
+      }
     };
   }
 
@@ -308,11 +495,13 @@ class PopupController {
     const settingMap = {
       'auto-generate-fixes': this.settings.autoGenerateFixes,
       'show-ai-suggestions': this.settings.showAISuggestions,
+      'chat-tools': this.settings.chatTools,
       'monitor-console': this.settings.monitorConsole,
       'monitor-network': this.settings.monitorNetwork,
       'monitor-performance': this.settings.monitorPerformance,
       'show-visual-guides': this.settings.showVisualGuides,
-      'show-notifications': this.settings.showNotifications
+      'show-notifications': this.settings.showNotifications,
+      'resolve-source-maps': this.settings.resolveSourceMaps
     };
 
     for (const [id, value] of Object.entries(settingMap)) {
@@ -321,19 +510,72 @@ class PopupController {
         element.checked = value !== false;
       }
     }
+
+    // Opt-in, so unset means off
+    const captureBodies = document.getElementById('capture-network-bodies');
+    if (captureBodies) {
+      captureBodies.checked = this.settings.captureNetworkBodies === true;
+    }
+    const monitorFrames = document.getElementById('monitor-frames');
+    if (monitorFrames) {
+      monitorFrames.checked = this.settings.monitorFrames === true;
+    }
+
+    const retention = document.getElementById('retention-days');
+    if (retention) {
+      retention.value = String(this.settings.retentionDays || 7);
+    }
+
+    const aiProviders = this.settings.aiProviders || {};
+    document.querySelectorAll('.provider-select').forEach(select => {
+      select.value = aiProviders[select.dataset.feature] || 'chrome-builtin';
+    });
+
+    const endpoint = this.settings.openaiEndpoint || {};
+    const endpointMap = {
+      'openai-base-url': endpoint.baseUrl,
+      'openai-model': endpoint.model,
+      'openai-api-key': endpoint.apiKey
+    };
+
+    for (const [id, value] of Object.entries(endpointMap)) {
+      const element = document.getElementById(id);
+      if (element) {
+        element.value = value || '';
+      }
+    }
+
+    this.ai.configure(this.settings);
   }
 
   async saveSettings() {
     this.settings = {
       autoGenerateFixes: document.getElementById('auto-generate-fixes')?.checked,
       showAISuggestions: document.getElementById('show-ai-suggestions')?.checked,
+      chatTools: document.getElementById('chat-tools')?.checked,
       monitorConsole: document.getElementById('monitor-console')?.checked,
       monitorNetwork: document.getElementById('monitor-network')?.checked,
+      captureNetworkBodies: document.getElementById('capture-network-bodies')?.checked === true,
+      monitorFrames: document.getElementById('monitor-frames')?.checked === true,
       monitorPerformance: document.getElementById('monitor-performance')?.checked,
       showVisualGuides: document.getElementById('show-visual-guides')?.checked,
-      showNotifications: document.getElementById('show-notifications')?.checked
+      showNotifications: document.getElementById('show-notifications')?.checked,
+      resolveSourceMaps: document.getElementById('resolve-source-maps')?.checked,
+      retentionDays: parseInt(document.getElementById('retention-days')?.value, 10) || 7,
+      aiProviders: {},
+      openaiEndpoint: {
+        baseUrl: document.getElementById('openai-base-url')?.value.trim() || '',
+        model: document.getElementById('openai-model')?.value.trim() || '',
+        apiKey: document.getElementById('openai-api-key')?.value.trim() || ''
+      }
     };
 
+    document.querySelectorAll('.provider-select').forEach(select => {
+      this.settings.aiProviders[select.dataset.feature] = select.value;
+    });
+
+    this.ai.configure(this.settings);
+
     try {
       await chrome.storage.local.set({ dark_voir_settings: this.settings });
       this.showNotification('Settings saved', 'success');
@@ -406,6 +648,8 @@ class PopupController {
     this.renderIssues();
     this.renderFixes();
     this.updateStatistics();
+    this.renderSeoScore();
+    this.renderCspSuggestion();
   }
 
   updateStatistics() {
@@ -414,7 +658,7 @@ class PopupController {
     const resolvedIssuesEl = document.getElementById('resolved-issues');
 
     if (totalIssuesEl) {
-      totalIssuesEl.textContent = this.issues.length;
+      totalIssuesEl.textContent = this.issuePage.total;
     }
 
     if (criticalIssuesEl) {
@@ -430,21 +674,197 @@ class PopupController {
     }
   }
 
-  // ============= RENDER ISSUES =============
-  renderIssues() {
-    const container = document.getElementById('issues-list');
+  // ============= SEO SCORE =============
+  async loadSeoReport() {
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      const response = await chrome.tabs.sendMessage(tab.id, { type: 'GET_SEO_REPORT' });
+      this.seoReport = response?.success ? response.report : null;
+    } catch (error) {
+      // No content script on this page (chrome:// pages, the Web Store, ...)
+      this.seoReport = null;
+    }
+  }
+
+  renderSeoScore() {
+    const container = document.getElementById('seo-score');
+    if (!container) return;
+
+    const report = this.seoReport;
+    if (!report) {
+      container.innerHTML = '<p class="empty-state-help">Open a web page to see its SEO score</p>';
+      return;
+    }
+
+    const color = report.score >= 90 ? '#4CAF50' : report.score >= 50 ? '#FF9800' : '#F44336';
+    const icons = { pass: '✓', warn: '⚠', fail: '✗' };
+    const iconColors = { pass: '#4CAF50', warn: '#FF9800', fail: '#F44336' };
+    const failing = report.checks.filter(check => check.status !== 'pass');
+
+    container.innerHTML = `
+      <div style="display: flex; align-items: center; gap: 12px; margin-bottom: 8px;">
+        <span style="font-size: 28px; font-weight: 700; color: ${color};">${report.score}</span>
+        <div style="flex: 1;">
+          <div style="height: 6px; background: rgba(255, 255, 255, 0.1); border-radius: 3px; overflow: hidden;">
+            <div style="width: ${report.score}%; height: 100%; background: ${color};"></div>
+          </div>
+          <div style="font-size: 11px; color: #999; margin-top: 4px;">
+            ${failing.length === 0 ? 'All checks pass' : `${failing.length} of ${report.checks.length} checks need attention`}
+          </div>
+        </div>
+      </div>
+      <details>
+        <summary style="color: #999; font-size: 11px; cursor: pointer;">Checks</summary>
+        ${report.checks.map(check => `
+          <div style="font-size: 11px; margin-top: 6px;">
+            <span style="color: ${iconColors[check.status]};">${icons[check.status]}</span>
+            <strong style="color: #fff;">${this.escapeHtml(check.label)}</strong>
+            ${check.problems.length ? `<div style="color: #bbb; margin-left: 16px;">${check.problems.map(problem => this.escapeHtml(problem)).join('<br>')}</div>` : ''}
+          </div>
+        `).join('')}
+      </details>
+    `;
+  }
+
+  // ============= CSP SUGGESTIONS =============
+  /**
+   * Aggregated CSP violations of the active tab and the minimal policy change that
+   * would allow them (SecurityInspector.suggestPolicy); a previous AI explanation is
+   * kept while the diff stays the same
+   */
+  async loadCspSuggestion() {
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      const response = await chrome.tabs.sendMessage(tab.id, { type: 'GET_CSP_VIOLATIONS' });
+      this.cspViolations = response?.success ? response.violations : [];
+
+      const suggestion = securityInspector.suggestPolicy(this.cspViolations, tab.url);
+      if (suggestion && suggestion.diff === this.cspSuggestion?.diff) {
+        suggestion.explanation = this.cspSuggestion.explanation;
+      }
+      this.cspSuggestion = suggestion;
+    } catch (error) {
+      // No content script on this page
+      this.cspViolations = [];
+      this.cspSuggestion = null;
+    }
+  }
+
+  renderCspSuggestion() {
+    const container = document.getElementById('csp-suggestion');
     if (!container) return;
 
-    let filteredIssues = this.issues;
+    const suggestion = this.cspSuggestion;
+    if (!suggestion) {
+      container.innerHTML = '<p class="empty-state-help">No CSP violations on this page</p>';
+      return;
+    }
+
+    const total = this.cspViolations.reduce((sum, violation) => sum + violation.count, 0);
+    const colors = { '+': '#4CAF50', '-': '#F44336', ' ': '#a9b7c6' };
+    const buttonStyle = `
+      background: rgba(255, 255, 255, 0.1);
+      color: white;
+      border: 1px solid rgba(255, 255, 255, 0.2);
+      padding: 6px 14px;
+      border-radius: 4px;
+      font-size: 11px;
+      cursor: pointer;
+    `;
+
+    container.innerHTML = `
+      <div style="font-size: 11px; color: #999; margin-bottom: 6px;">
+        ${total} violation${total === 1 ? '' : 's'} from ${this.cspViolations.length} source${this.cspViolations.length === 1 ? '' : 's'}
+        ${suggestion.changes.length === 0 ? ' · the policy already allows them, or they need code changes' : ''}
+      </div>
+      <details style="margin-bottom: 6px;">
+        <summary style="color: #999; font-size: 11px; cursor: pointer;">Violations</summary>
+        ${this.cspViolations.map(violation => `
+          <div style="font-size: 11px; margin-top: 4px; color: #bbb; word-break: break-all;">
+            <strong style="color: #fff;">${violation.count}×</strong>
+            <code>${this.escapeHtml(violation.directive)}</code> blocked ${this.escapeHtml(violation.source)}
+            ${violation.disposition === 'report' ? '<span style="color: #999;">(report-only)</span>' : ''}
+          </div>
+        `).join('')}
+      </details>
+      ${suggestion.changes.length ? `
+        <pre style="
+          background: rgba(0, 0, 0, 0.4);
+          padding: 12px;
+          border-radius: 6px;
+          overflow-x: auto;
+          font-size: 11px;
+          line-height: 1.4;
+          margin: 6px 0;
+        ">${suggestion.diff.split('\n').map(line => `<span style="color: ${colors[line[0]] || colors[' ']};">${this.escapeHtml(line)}</span>`).join('\n')}</pre>
+      ` : ''}
+      ${suggestion.notes.map(note => `
+        <div style="font-size: 11px; color: #FF9800; margin: 4px 0;">⚠ ${this.escapeHtml(note)}</div>
+      `).join('')}
+      ${suggestion.explanation ? `
+        <div style="color: #ddd; font-size: 12px; margin: 8px 0; line-height: 1.5; white-space: pre-wrap;">${this.escapeHtml(suggestion.explanation)}</div>
+      ` : ''}
+      <div style="display: flex; gap: 8px; margin-top: 8px; flex-wrap: wrap;">
+        ${suggestion.changes.length ? `
+          <button onclick="popupController.copyCspSuggestion('policy')" style="${buttonStyle}">📋 Copy Policy</button>
+          <button onclick="popupController.copyCspSuggestion('diff')" style="${buttonStyle}">📋 Copy Diff</button>
+          ${suggestion.explanation ? '' : `<button id="explain-csp-btn" onclick="popupController.explainCspSuggestion()" style="${buttonStyle}">🤖 Explain</button>`}
+        ` : ''}
+        <button onclick="popupController.refreshCspSuggestion()" style="${buttonStyle}">🔄 Refresh</button>
+      </div>
+    `;
+  }
+
+  async refreshCspSuggestion() {
+    await this.loadCspSuggestion();
+    this.renderCspSuggestion();
+  }
+
+  copyCspSuggestion(what) {
+    const suggestion = this.cspSuggestion;
+    if (!suggestion) return;
+
+    const text = what === 'diff' ? suggestion.diff : `Content-Security-Policy: ${suggestion.suggested}`;
+    navigator.clipboard.writeText(text).then(() => {
+      this.showNotification(what === 'diff' ? 'CSP diff copied to clipboard' : 'CSP copied to clipboard', 'success');
+    }).catch(error => {
+      console.error('[Popup] Copy error:', error);
+      this.showNotification('Failed to copy CSP', 'error');
+    });
+  }
+
+  async explainCspSuggestion() {
+    const suggestion = this.cspSuggestion;
+    if (!suggestion) return;
 
-    // Apply filters
-    if (this.filters.severity !== 'all') {
-      filteredIssues = filteredIssues.filter(i => i.severity === this.filters.severity);
+    const button = document.getElementById('explain-csp-btn');
+    if (button) {
+      button.disabled = true;
+      button.textContent = '⏳ Explaining...';
     }
-    if (this.filters.type !== 'all') {
-      filteredIssues = filteredIssues.filter(i => i.type === this.filters.type);
+
+    const explanation = await this.aiHelper.explainCSPSuggestion(suggestion);
+    if (!explanation) {
+      this.showNotification('Chrome Built-in AI is not available for explanations', 'error');
+      if (button) {
+        button.disabled = false;
+        button.textContent = '🤖 Explain';
+      }
+      return;
     }
 
+    suggestion.explanation = explanation;
+    this.renderCspSuggestion();
+  }
+
+  // ============= RENDER ISSUES =============
+  renderIssues() {
+    const container = document.getElementById('issues-list');
+    if (!container) return;
+
+    // Filters are applied by the issue store query
+    const filteredIssues = this.issues;
+
     if (filteredIssues.length === 0) {
       container.innerHTML = `
         <div style="text-align: center; padding: 30px; color: #999;">
@@ -456,7 +876,10 @@ class PopupController {
     }
 
     container.innerHTML = filteredIssues.map((issue, index) => {
-      const friendlyMessage = getUserFriendlyMessage(issue.message || '', issue.type || '');
+      // Audit, SEO and security findings are already written for people, and the details are the point
+      const friendlyMessage = issue.wcag || issue.type === 'seo_issue' || issue.type === 'security_issue'
+        ? issue.message
+        : getUserFriendlyMessage(issue.message || '', issue.type || '');
       const category = getFriendlyCategory(issue.type || '');
       const severityColor = this.getSeverityColor(issue.severity);
 
@@ -483,10 +906,53 @@ class PopupController {
           <p style="color: #ccc; font-size: 13px; margin: 6px 0; line-height: 1.4;">
             ${this.escapeHtml(friendlyMessage)}
           </p>
+
+          ${issue.wcag ? `
+            <div style="font-size: 11px; color: #999; margin: 4px 0;">
+              WCAG ${this.escapeHtml(issue.wcag)} ${this.escapeHtml(issue.wcagName || '')} (${this.escapeHtml(issue.wcagLevel || 'A')})
+              · impact: <strong style="color: #fff;">${this.escapeHtml(issue.impact || 'unknown')}</strong>
+              ${issue.element ? `<br><code style="background: rgba(0,0,0,0.3); padding: 1px 4px; border-radius: 3px;">${this.escapeHtml(issue.element)}</code>` : ''}
+            </div>
+          ` : ''}
+
+          ${issue.framePath && issue.framePath !== 'top' ? `
+            <div style="font-size: 11px; color: #999; margin: 4px 0; word-break: break-all;">
+              🖼 In frame <code>${this.escapeHtml(issue.framePath)}</code> · ${this.escapeHtml(issue.frameUrl || '')}
+            </div>
+          ` : ''}
+
+          ${issue.remediation ? `
+            <div style="font-size: 11px; color: #9ccc65; margin: 4px 0; line-height: 1.4;">
+              💡 ${this.escapeHtml(issue.remediation)}
+            </div>
+          ` : ''}
+
+          ${issue.count ? `
+            <div style="display: flex; justify-content: space-between; align-items: center; margin: 8px 0; font-size: 11px; color: #999;">
+              <span>
+                <strong style="color: #fff;">${issue.count}×</strong>
+                · first ${this.formatRelativeTime(issue.firstSeen)}
+                · last ${this.formatRelativeTime(issue.lastSeen)}
+              </span>
+              ${this.renderSparkline(issue.hourly, severityColor)}
+            </div>
+          ` : ''}
+
+          ${issue.urls && issue.urls.length > 0 ? `
+            <details style="margin-top: 4px;">
+              <summary style="color: #999; font-size: 11px; cursor: pointer;">Affected URLs (${issue.urls.length})</summary>
+              <ul style="margin: 6px 0 0; padding-left: 16px; font-size: 10px; color: #bbb; word-break: break-all;">
+                ${issue.urls.map(url => `<li>${this.escapeHtml(url)}</li>`).join('')}
+              </ul>
+            </details>
+          ` : ''}
           
-          ${issue.stack ? `
+          ${issue.stack || issue.resolvedStack ? `
             <details style="margin-top: 8px;">
-              <summary style="color: #999; font-size: 11px; cursor: pointer;">Technical Details</summary>
+              <summary style="color: #999; font-size: 11px; cursor: pointer;">
+                Technical Details${issue.resolvedStack ? ' (source-mapped)' : ''}
+              </summary>
+              ${this.renderSourceSnippet(issue)}
               <pre style="
                 background: rgba(0, 0, 0, 0.3);
                 padding: 8px;
@@ -495,7 +961,7 @@ class PopupController {
                 color: #ddd;
                 overflow-x: auto;
                 margin-top: 6px;
-              ">${this.escapeHtml(issue.stack.substring(0, 200))}...</pre>
+              ">${this.escapeHtml((issue.resolvedStack || issue.stack).substring(0, issue.resolvedStack ? 600 : 200))}...</pre>
             </details>
           ` : ''}
           
@@ -519,6 +985,20 @@ class PopupController {
             >
               🤖 Get AI Fix
             </button>
+            <button 
+              onclick="popupController.discussIssue(${index})" 
+              style="
+                background: rgba(255, 255, 255, 0.1);
+                color: white;
+                border: 1px solid rgba(255, 255, 255, 0.2);
+                padding: 6px 12px;
+                border-radius: 4px;
+                font-size: 11px;
+                cursor: pointer;
+              "
+            >
+              💬 Ask
+            </button>
             <button 
               onclick="popupController.copyIssue(${index})" 
               style="
@@ -550,11 +1030,15 @@ class PopupController {
           </div>
           
           <div style="color: #666; font-size: 10px; margin-top: 8px;">
-            ${new Date(issue.timestamp).toLocaleString()}
+            ${new Date(issue.timestamp).toLocaleString()}${this.filters.scope === 'all' && issue.origin ? ` · ${this.escapeHtml(issue.origin)}` : ''}
           </div>
         </div>
       `;
-    }).join('');
+    }).join('') + (this.issuePage.hasMore ? `
+      <button class="action-btn secondary" onclick="popupController.loadMoreIssues()" style="width: 100%;">
+        Load more (${this.issuePage.total - this.issues.length} remaining)
+      </button>
+    ` : '');
   }
 
   // ============= RENDER FIXES =============
@@ -562,7 +1046,9 @@ class PopupController {
     const container = document.getElementById('fixes-list');
     if (!container) return;
 
-    if (this.fixes.length === 0) {
+    const streamPanel = this.renderFixStream();
+
+    if (this.fixes.length === 0 && !streamPanel) {
       container.innerHTML = `
         <div style="text-align: center; padding: 30px; color: #999;">
           <p style="font-size: 16px;">No fixes generated yet</p>
@@ -572,17 +1058,23 @@ class PopupController {
       return;
     }
 
-    container.innerHTML = this.fixes.map((fix, index) => `
+    container.innerHTML = streamPanel + this.fixes.map((fix, index) => {
+      const structured = fix.structured;
+      const blocks = this.getFixBlocks(fix);
+      const applied = blocks.some((block, blockIndex) => this.getAppliedEntry(fix, blockIndex));
+      return `
       <div class="fix-card" style="
         background: rgba(255, 255, 255, 0.05);
         padding: 14px;
         margin-bottom: 12px;
         border-radius: 6px;
-        border-left: 4px solid #4CAF50;
+        border-left: 4px solid ${fix.partial ? '#FF9800' : '#4CAF50'};
       ">
         <div style="display: flex; justify-content: space-between; align-items: start; margin-bottom: 10px;">
           <h4 style="color: #4CAF50; margin: 0; font-size: 14px;">
             ✓ Fix #${index + 1}
+            ${fix.partial ? '<span style="color: #FF9800; font-size: 10px; font-weight: normal; margin-left: 6px;">⚠ Partial</span>' : ''}
+            ${applied ? '<span style="color: #4CAF50; font-size: 10px; font-weight: normal; margin-left: 6px;">● Applied</span>' : ''}
           </h4>
           <span style="
             background: rgba(76, 175, 80, 0.2);
@@ -595,33 +1087,196 @@ class PopupController {
           </span>
         </div>
         
+        ${structured ? `
+          <div style="color: #999; font-size: 11px; margin-top: 8px;">Root Cause:</div>
+        ` : ''}
         <p style="color: #ddd; font-size: 13px; margin: 8px 0; line-height: 1.5;">
-          ${this.escapeHtml(fix.solution)}
+          ${this.escapeHtml(structured ? structured.rootCause : fix.solution)}
         </p>
+
+        ${structured?.steps.length ? `
+          <div style="color: #999; font-size: 11px; margin-top: 10px;">Steps:</div>
+          <ol style="color: #ddd; font-size: 12px; margin: 6px 0; padding-left: 20px; line-height: 1.5;">
+            ${structured.steps.map(step => `<li>${this.escapeHtml(step)}</li>`).join('')}
+          </ol>
+        ` : ''}
+        
+        ${blocks.map((block, blockIndex) => this.renderFixCodeBlock(fix, index, block, blockIndex)).join('')}
+
+        ${structured?.prevention ? `
+          <div style="color: #999; font-size: 11px; margin-top: 10px;">Prevention:</div>
+          <p style="color: #ddd; font-size: 12px; margin: 6px 0; line-height: 1.5;">
+            ${this.escapeHtml(structured.prevention)}
+          </p>
+        ` : ''}
+
+        ${structured?.references.length ? `
+          <div style="color: #999; font-size: 11px; margin-top: 10px;">References:</div>
+          <ul style="font-size: 11px; margin: 6px 0; padding-left: 20px; line-height: 1.5;">
+            ${structured.references.map(ref => `
+              <li><a href="${this.escapeHtml(ref)}" target="_blank" rel="noopener noreferrer" style="color: #64B5F6;">${this.escapeHtml(ref)}</a></li>
+            `).join('')}
+          </ul>
+        ` : ''}
         
-        ${fix.code ? `
+        <div style="
+          display: flex;
+          gap: 8px;
+          margin-top: 12px;
+          flex-wrap: wrap;
+        ">
+          <button 
+            onclick="popupController.copyFix(${index})" 
+            style="
+              background: rgba(255, 255, 255, 0.1);
+              color: white;
+              border: 1px solid rgba(255, 255, 255, 0.2);
+              padding: 6px 14px;
+              border-radius: 4px;
+              font-size: 11px;
+              cursor: pointer;
+            "
+          >
+            📋 Copy All
+          </button>
+        </div>
+
+        <div style="color: #666; font-size: 10px; margin-top: 10px;">
+          Generated: ${new Date(fix.timestamp).toLocaleString()}${fix.source ? ` · ${this.escapeHtml(fix.source)}` : ''}
+        </div>
+      </div>
+    `;
+    }).join('');
+  }
+
+  /**
+   * Panel for the fix currently streaming in, with a Stop button
+   * @returns {string} HTML, empty when nothing is streaming
+   */
+  renderFixStream() {
+    if (!this.fixStream) return '';
+
+    return `
+      <div class="fix-card" style="
+        background: rgba(255, 255, 255, 0.05);
+        padding: 14px;
+        margin-bottom: 12px;
+        border-radius: 6px;
+        border-left: 4px solid #2196F3;
+      ">
+        <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 8px;">
+          <h4 style="color: #2196F3; margin: 0; font-size: 14px;">⏳ Generating fix...</h4>
+          <button
+            onclick="popupController.stopFixGeneration()"
+            style="
+              background: #F44336;
+              color: white;
+              border: none;
+              padding: 4px 12px;
+              border-radius: 4px;
+              font-size: 11px;
+              cursor: pointer;
+            "
+          >
+            ⏹ Stop
+          </button>
+        </div>
+        <div style="color: #999; font-size: 11px; margin-bottom: 6px;">
+          ${this.escapeHtml(this.fixStream.issue.message || this.fixStream.issue.type || '')}
+        </div>
+        <pre id="fix-stream-text" style="
+          color: #ddd;
+          font-size: 12px;
+          margin: 0;
+          max-height: 200px;
+          overflow: auto;
+          white-space: pre-wrap;
+          word-wrap: break-word;
+        ">${this.escapeHtml(this.fixStream.text)}</pre>
+      </div>
+    `;
+  }
+
+  /**
+   * Code blocks of a fix: structured ones, or the single legacy code string
+   * @param {Object} fix - Stored fix
+   * @returns {Array} [{ language, content }]
+   */
+  getFixBlocks(fix) {
+    if (fix.structured) return fix.structured.code;
+    return fix.code ? [{ language: fix.language || '', content: fix.code }] : [];
+  }
+
+  /**
+   * One code block with copy, preview/apply or revert, and its preview diff
+   * @returns {string} HTML
+   */
+  renderFixCodeBlock(fix, index, block, blockIndex) {
+    const payload = this.fixPipeline.classify(block.content, block.language);
+    const applied = this.getAppliedEntry(fix, blockIndex);
+    const previewing = this.fixPreview?.index === index && this.fixPreview.block === blockIndex;
+
+    return `
           <div style="margin-top: 12px;">
             <div style="
               display: flex;
               justify-content: space-between;
               align-items: center;
               margin-bottom: 6px;
+              gap: 6px;
             ">
-              <span style="color: #999; font-size: 11px;">Code Example:</span>
-              <button 
-                onclick="popupController.copyFixCode(${index})"
-                style="
-                  background: rgba(255, 255, 255, 0.1);
-                  color: white;
-                  border: none;
-                  padding: 4px 10px;
-                  border-radius: 4px;
-                  font-size: 10px;
-                  cursor: pointer;
-                "
-              >
-                📋 Copy Code
-              </button>
+              <span style="color: #999; font-size: 11px;">
+                Code${block.language ? ` (${this.escapeHtml(block.language)})` : ''} · ${payload.label}
+                ${applied ? '<span style="color: #4CAF50;">● Applied</span>' : ''}
+              </span>
+              <span style="display: flex; gap: 6px;">
+                ${applied ? `
+                <button 
+                  onclick="popupController.revertFix(${index}, ${blockIndex})"
+                  title="${applied.revertible ? 'Undo this fix on the page' : 'Scripts cannot be undone in place - reloads the page'}"
+                  style="
+                    background: #FF9800;
+                    color: white;
+                    border: none;
+                    padding: 4px 10px;
+                    border-radius: 4px;
+                    font-size: 10px;
+                    cursor: pointer;
+                  "
+                >
+                  ↩ Revert fix
+                </button>
+                ` : payload.kind !== 'unknown' ? `
+                <button 
+                  onclick="popupController.previewFix(${index}, ${blockIndex})"
+                  style="
+                    background: #4CAF50;
+                    color: white;
+                    border: none;
+                    padding: 4px 10px;
+                    border-radius: 4px;
+                    font-size: 10px;
+                    cursor: pointer;
+                  "
+                >
+                  🔍 Preview & Apply
+                </button>
+                ` : ''}
+                <button 
+                  onclick="popupController.copyFixCode(${index}, ${blockIndex})"
+                  style="
+                    background: rgba(255, 255, 255, 0.1);
+                    color: white;
+                    border: none;
+                    padding: 4px 10px;
+                    border-radius: 4px;
+                    font-size: 10px;
+                    cursor: pointer;
+                  "
+                >
+                  📋 Copy Code
+                </button>
+              </span>
             </div>
             <pre style="
               background: rgba(0, 0, 0, 0.4);
@@ -631,20 +1286,42 @@ class PopupController {
               font-size: 11px;
               color: #a9b7c6;
               line-height: 1.4;
-            ">${this.escapeHtml(fix.code)}</pre>
+            ">${this.escapeHtml(block.content)}</pre>
+            ${previewing ? this.renderFixPreview(index, blockIndex, this.fixPreview.preview) : ''}
           </div>
-        ` : ''}
-        
-        <div style="
-          display: flex;
-          gap: 8px;
-          margin-top: 12px;
-          flex-wrap: wrap;
-        ">
+    `;
+  }
+
+  /**
+   * Diff of what applying a fix would change, with confirm/cancel
+   * @param {number} index - Fix index
+   * @param {number} block - Code block index
+   * @param {Object} preview - { payload, diff } from PREVIEW_FIX
+   * @returns {string} HTML
+   */
+  renderFixPreview(index, block, preview) {
+    const colors = { add: '#4CAF50', remove: '#F44336', context: '#a9b7c6', warning: '#FF9800' };
+    const markers = { add: '+ ', remove: '- ', context: '  ', warning: '! ' };
+
+    return `
+      <div style="margin-top: 12px;">
+        <span style="color: #999; font-size: 11px;">Preview (${this.escapeHtml(preview.payload.label)}):</span>
+        <pre style="
+          background: rgba(0, 0, 0, 0.4);
+          padding: 12px;
+          border-radius: 6px;
+          overflow-x: auto;
+          font-size: 11px;
+          line-height: 1.4;
+          max-height: 200px;
+          margin: 6px 0;
+        ">${preview.diff.map(line => `<span style="color: ${colors[line.type]};">${markers[line.type]}${this.escapeHtml(line.text)}</span>`).join('\n')}</pre>
+        <div style="display: flex; gap: 8px;">
+          ${preview.payload.blocked ? `
           <button 
-            onclick="popupController.applyFix(${index})" 
+            onclick="popupController.requestScriptFreeFix(${index})" 
             style="
-              background: #4CAF50;
+              background: #2196F3;
               color: white;
               border: none;
               padding: 6px 14px;
@@ -653,74 +1330,537 @@ class PopupController {
               cursor: pointer;
             "
           >
-            ✓ Apply Fix
-          </button>
+            🔁 Ask for a CSS/DOM Fix
+          </button>` : `
           <button 
-            onclick="popupController.copyFix(${index})" 
+            onclick="popupController.confirmApplyFix(${index}, ${block})" 
             style="
-              background: rgba(255, 255, 255, 0.1);
+              background: #4CAF50;
               color: white;
-              border: 1px solid rgba(255, 255, 255, 0.2);
+              border: none;
               padding: 6px 14px;
               border-radius: 4px;
               font-size: 11px;
               cursor: pointer;
             "
           >
-            📋 Copy All
-          </button>
-        </div>
-        
-        <div style="color: #666; font-size: 10px; margin-top: 10px;">
-          Generated: ${new Date(fix.timestamp).toLocaleString()}
+            ✓ Apply to Page
+          </button>`}
+          <button 
+            onclick="popupController.cancelFixPreview()" 
+            style="
+              background: rgba(255, 255, 255, 0.1);
+              color: white;
+              border: 1px solid rgba(255, 255, 255, 0.2);
+              padding: 6px 14px;
+              border-radius: 4px;
+              font-size: 11px;
+              cursor: pointer;
+            "
+          >
+            Cancel
+          </button>
         </div>
       </div>
-    `).join('');
+    `;
   }
 
   // ============= CHAT =============
   async sendChatMessage() {
     const input = document.getElementById('chat-input');
-    if (!input) return;
+    if (!input || this.chatAbort) return;
 
     const message = input.value.trim();
     if (!message) return;
 
-    // Add user message
-    this.addChatMessage('user', message);
     input.value = '';
+    this.hideAutocomplete();
+    this.chatAbort = new AbortController();
+    this.setChatStreaming(true);
 
-    // Show thinking indicator
-    this.addChatMessage('assistant', 'Thinking...');
+    const command = this.chatCommands.parse(message, { issueCount: this.issues.length });
+    if (command) {
+      await this.runChatCommand(message, command);
+      return;
+    }
+
+    const thread = await this.ensureActiveThread();
+    // Taken before this turn is added - the session gets the turn as the prompt
+    const conversation = this.chatThreads.getConversation(thread);
+
+    // Ground the answer in the active tab
+    const context = await this.refreshChatContext();
+    const userMessage = {
+      role: 'user',
+      content: message,
+      timestamp: Date.now(),
+      context: this.chatContext.filter(item => item.text).map(item => item.label)
+    };
+
+    // Add user message
+    this.addChatMessage('user', message, userMessage);
+
+    // The answer is saved as partial until the stream ends
+    const reply = { role: 'assistant', content: '', timestamp: Date.now(), partial: true };
+    thread.messages.push(userMessage, reply);
+    thread.updatedAt = Date.now();
+    this.renderThreadSelector();
+    const bubble = this.addChatMessage('assistant', 'Thinking...');
 
     try {
-      const response = await this.aiHelper.chat(message);
-      
-      // Remove thinking indicator
-      const messagesContainer = document.getElementById('chat-messages');
-      if (messagesContainer && messagesContainer.lastChild) {
-        messagesContainer.removeChild(messagesContainer.lastChild);
+      let response = null;
+
+      // Let the model inspect the page first; providers without tool support fall back to streaming
+      if (this.settings.chatTools !== false) {
+        reply.toolCalls = [];
+        ({ result: response } = await this.ai.chatWithTools(message, context, conversation, {
+          tools: this.chatTools,
+          signal: this.chatAbort.signal,
+          callTool: (tool, args) => this.callChatTool(tool, args, reply, bubble)
+        }));
+        if (reply.toolCalls.length === 0) {
+          delete reply.toolCalls;
+        }
       }
 
-      // Add AI response
-      this.addChatMessage('assistant', response);
+      if (response === null && !this.chatAbort.signal.aborted) {
+        response = await this.ai.chatStream(message, context, conversation, {
+          signal: this.chatAbort.signal,
+          onChunk: text => {
+            reply.content = text;
+            this.updateChatMessage(bubble, text, { toolCalls: reply.toolCalls });
+            this.schedulePartialSave();
+          }
+        });
+      }
 
-      // Save chat history
-      this.chatHistory.push(
-        { role: 'user', content: message, timestamp: Date.now() },
-        { role: 'assistant', content: response, timestamp: Date.now() }
-      );
-      
-      await chrome.storage.local.set({ dark_voir_chat_history: this.chatHistory });
+      reply.content = response || reply.content;
+      if (this.chatAbort.signal.aborted) {
+        reply.stopped = true;
+      }
     } catch (error) {
       console.error('[Popup] Chat error:', error);
-      this.addChatMessage('assistant', 'Sorry, I encountered an error. Please try again.');
+      reply.content = 'Sorry, I encountered an error. Please try again.';
+    } finally {
+      delete reply.partial;
+      this.updateChatMessage(bubble, reply.content, reply);
+      this.chatAbort = null;
+      this.setChatStreaming(false);
+
+      // Save chat history
+      await this.chatThreads.save();
+    }
+
+    await this.compactThreadIfNeeded(thread);
+  }
+
+  /**
+   * Run a tool the chat model asked for in the active tab, tracing it in the reply bubble
+   * @returns {Promise<Object>} Tool result, or { error } for the model to read
+   */
+  async callChatTool(tool, args, reply, bubble) {
+    if (reply.toolCalls.length >= this.chatTools.maxSteps) {
+      return { error: `Tool call limit (${this.chatTools.maxSteps}) reached` };
     }
+
+    const call = { tool: tool, args: args || {}, status: 'running' };
+    reply.toolCalls.push(call);
+    this.updateChatMessage(bubble, reply.content || 'Inspecting the page...', reply);
+
+    const invalid = this.chatTools.validateArgs(tool, args);
+    let result;
+    try {
+      if (invalid) {
+        throw new Error(invalid);
+      }
+
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      const response = await chrome.tabs.sendMessage(tab.id, { type: 'RUN_TOOL', tool: tool, args: call.args });
+      if (!response?.success) {
+        throw new Error(response?.error || 'No response from the page');
+      }
+
+      result = response.result;
+      call.status = result?.error ? 'error' : 'done';
+    } catch (error) {
+      console.warn(`[Popup] Chat tool ${tool} failed:`, error);
+      result = { error: error.message };
+      call.status = 'error';
+    }
+
+    call.summary = this.chatTools.summarizeResult(tool, result);
+    this.updateChatMessage(bubble, reply.content || 'Inspecting the page...', reply);
+    this.schedulePartialSave();
+    return result;
   }
 
-  addChatMessage(role, content) {
+  // ============= CHAT COMMANDS =============
+
+  /**
+   * Run a slash command and show its result as the assistant's reply
+   * @param {string} input - What the user typed
+   * @param {Object} command - ChatCommands.parse result
+   */
+  async runChatCommand(input, command) {
+    const thread = await this.ensureActiveThread();
+    const userMessage = { role: 'user', content: input, timestamp: Date.now(), command: command.name || 'invalid' };
+    const reply = { role: 'assistant', content: '', timestamp: Date.now(), command: userMessage.command, partial: true };
+
+    this.addChatMessage('user', input, userMessage);
+    thread.messages.push(userMessage, reply);
+    thread.updatedAt = Date.now();
+    this.renderThreadSelector();
+    const bubble = this.addChatMessage('assistant', command.error ? '' : '⏳ Working...');
+
+    try {
+      reply.content = command.error
+        ? `⚠ ${command.error}`
+        : await this.executeChatCommand(command, text => {
+          reply.content = text;
+          this.updateChatMessage(bubble, text);
+          this.schedulePartialSave();
+        }, this.chatAbort.signal);
+
+      if (this.chatAbort.signal.aborted) {
+        reply.stopped = true;
+      }
+    } catch (error) {
+      console.error(`[Popup] /${command.name} failed:`, error);
+      reply.content = `⚠ /${command.name} failed: ${error.message}`;
+    } finally {
+      delete reply.partial;
+      this.updateChatMessage(bubble, reply.content, reply);
+      this.chatAbort = null;
+      this.setChatStreaming(false);
+      await this.chatThreads.save();
+    }
+  }
+
+  /**
+   * @param {Object} command - { name, arg }
+   * @param {Function} onChunk - Receives the reply so far, for commands that stream
+   * @param {AbortSignal} signal - The chat Stop button
+   * @returns {Promise<string>} Reply (markdown)
+   */
+  async executeChatCommand({ name, arg }, onChunk, signal) {
+    switch (name) {
+      case 'scan': {
+        if (!(await this.triggerScan())) {
+          throw new Error('the page could not be scanned - reload it and try again');
+        }
+        const top = this.issues.slice(0, 5)
+          .map((issue, index) => `#${index + 1} [${(issue.severity || 'medium').toUpperCase()}] ${issue.type}: ${String(issue.message || '').substring(0, 80)}`);
+        return `🔍 Scan complete: **${this.issuePage.total}** issue group(s)${top.length ? `\n\n${top.join('\n')}\n\nUse \`/fix <issue#>\` to generate a fix.` : ''}`;
+      }
+
+      case 'guide':
+        if (!(await this.activateVisualGuide(arg))) {
+          throw new Error('the visual guide could not start on this page');
+        }
+        return `🧭 Visual guide started on the page for: **${arg}**`;
+
+      case 'fix': {
+        const issue = this.issues[arg - 1];
+        signal.addEventListener('abort', () => this.stopFixGeneration(), { once: true });
+        onChunk(`⏳ Generating a fix for #${arg}: ${issue.message || issue.type}...`);
+
+        const fix = await this.getAIFix(arg - 1, { openFixesTab: false });
+        if (!fix) {
+          return signal.aborted ? 'Fix generation stopped.' : '⚠ No fix could be generated.';
+        }
+        return `🛠 **Fix for #${arg}** (${(fix.confidence * 100).toFixed(0)}% confidence)\n\n${this.formatFixMarkdown(fix)}\n\nPreview and apply it from the Fixes tab.`;
+      }
+
+      case 'explain': {
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        const response = await chrome.tabs.sendMessage(tab.id, { type: 'HIGHLIGHT_ELEMENT', selector: arg });
+        if (!response?.found) {
+          return `No element matches \`${arg}\` on this page.`;
+        }
+
+        const element = response.element;
+        const heading = `🔦 Highlighted \`${element.selector || arg}\`\n\n`;
+        const answer = await this.ai.chatStream(
+          `Explain what this page element is for and point out anything wrong with it (visibility, accessibility, interactivity). Element details:\n${JSON.stringify(element, null, 2)}`,
+          '',
+          null,
+          { signal, onChunk: text => onChunk(heading + text) }
+        );
+        return heading + answer;
+      }
+
+      case 'har': {
+        const count = await this.exportHar();
+        if (count === null) {
+          throw new Error('no network log available - reload the page to start recording');
+        }
+        return `📦 Exported a HAR file with **${count}** request(s).`;
+      }
+
+      case 'summarize': {
+        if (this.issues.length === 0) {
+          return 'No issues to summarize.';
+        }
+        const summary = await this.ai.summarizeStream(this.issues, { signal, onChunk });
+        return summary || '⚠ No AI provider could summarize the issues.';
+      }
+
+      case 'translate': {
+        const last = this.activeThread.messages
+          .slice(0, -1)
+          .reverse()
+          .find(message => message.role === 'assistant' && !message.command && message.content);
+        if (!last) {
+          return 'There is no answer to translate yet.';
+        }
+
+        const translated = await this.ai.translate(last.content, arg);
+        if (translated === last.content) {
+          return `⚠ Translation to ${this.chatCommands.languages[arg]} is not available.`;
+        }
+        return `🌐 **${this.chatCommands.languages[arg]}**\n\n${translated}`;
+      }
+
+      default:
+        throw new Error('not implemented');
+    }
+  }
+
+  /**
+   * A fix as chat markdown
+   */
+  formatFixMarkdown(fix) {
+    const structured = fix.structured;
+    if (!structured) {
+      return fix.solution + (fix.code ? `\n\n\`\`\`${fix.language || ''}\n${fix.code}\n\`\`\`` : '');
+    }
+
+    const sections = [`**Root cause:** ${structured.rootCause}`];
+    if (structured.steps.length > 0) {
+      sections.push(structured.steps.map((step, i) => `${i + 1}. ${step}`).join('\n'));
+    }
+    structured.code.forEach(block => {
+      sections.push(`\`\`\`${block.language}\n${block.content}\n\`\`\``);
+    });
+    return sections.join('\n\n');
+  }
+
+  // ============= COMMAND AUTOCOMPLETE =============
+
+  setupChatAutocomplete(chatInput) {
+    chatInput.addEventListener('input', () => this.updateAutocomplete());
+    chatInput.addEventListener('blur', () => setTimeout(() => this.hideAutocomplete(), 150));
+
+    chatInput.addEventListener('keydown', (e) => {
+      const { items, index } = this.autocomplete;
+      if (items.length === 0) return;
+
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        this.autocomplete.index = (index + step + items.length) % items.length;
+        this.renderAutocomplete();
+      } else if (e.key === 'Tab' || (e.key === 'Enter' && index >= 0)) {
+        e.preventDefault();
+        this.applySuggestion(items[Math.max(0, index)].value);
+      } else if (e.key === 'Escape') {
+        this.hideAutocomplete();
+      }
+    });
+
+    document.getElementById('chat-autocomplete')?.addEventListener('mousedown', (e) => {
+      const item = e.target.closest('.autocomplete-item');
+      if (item) {
+        e.preventDefault();
+        this.applySuggestion(item.getAttribute('data-value'));
+      }
+    });
+  }
+
+  updateAutocomplete() {
+    const input = document.getElementById('chat-input');
+    const items = this.chatCommands.suggest(input?.value || '', { issues: this.issues });
+
+    // Nothing left to complete
+    if (items.length === 1 && items[0].value.trim() === input.value.trim()) {
+      this.hideAutocomplete();
+      return;
+    }
+
+    this.autocomplete = { items, index: -1 };
+    this.renderAutocomplete();
+  }
+
+  applySuggestion(value) {
+    const input = document.getElementById('chat-input');
+    if (!input) return;
+
+    input.value = value;
+    input.focus();
+    this.updateAutocomplete();
+  }
+
+  hideAutocomplete() {
+    this.autocomplete = { items: [], index: -1 };
+    this.renderAutocomplete();
+  }
+
+  renderAutocomplete() {
+    const container = document.getElementById('chat-autocomplete');
+    if (!container) return;
+
+    const { items, index } = this.autocomplete;
+    container.style.display = items.length > 0 ? 'block' : 'none';
+    container.innerHTML = items.map((item, i) => `
+      <div class="autocomplete-item ${i === index ? 'active' : ''}" data-value="${this.escapeHtml(item.value)}">
+        <strong>${this.escapeHtml(item.label)}</strong>
+        <span>${this.escapeHtml(item.hint)}</span>
+      </div>
+    `).join('');
+  }
+
+  // ============= CHAT CONTEXT =============
+
+  /**
+   * Collect the active tab's issues, page context, page structure and network failures,
+   * fit them into the model's token budget and show them above the input
+   * @returns {Promise<string>} Context text for the prompt (empty when nothing is attached)
+   */
+  async refreshChatContext() {
+    try {
+      const items = this.chatContextBuilder.buildItems(await this.collectChatContext());
+      this.chatContext = await this.chatContextBuilder.fit(items, {
+        budget: this.aiHelper.getContextBudget(this.activeThread?.id),
+        measure: text => this.aiHelper.measureInputUsage(text),
+        excluded: this.chatContextExcluded
+      });
+    } catch (error) {
+      console.error('[Popup] Failed to build chat context:', error);
+      this.chatContext = [];
+    }
+
+    this.renderChatContext();
+    return this.chatContextBuilder.format(this.chatContext);
+  }
+
+  /**
+   * @private
+   */
+  async collectChatContext() {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab?.id) return {};
+
+    // Pages without the content script (chrome://, the Web Store) simply contribute nothing
+    const ask = message => chrome.tabs.sendMessage(tab.id, message).catch(() => null);
+    const [issues, context, structure, network] = await Promise.all([
+      ask({ type: 'GET_ISSUES' }),
+      ask({ type: 'GET_PAGE_CONTEXT' }),
+      ask({ type: 'GET_PAGE_STRUCTURE' }),
+      ask({ type: 'GET_NETWORK_FAILURES', limit: 20 })
+    ]);
+
+    return {
+      issues: issues?.success ? issues.issues.slice().reverse() : [],
+      pageContext: context?.success ? context.context : null,
+      pageStructure: structure?.success ? structure.structure : null,
+      networkFailures: network?.success ? network.failures : []
+    };
+  }
+
+  renderChatContext() {
+    const container = document.getElementById('chat-context');
+    if (!container) return;
+
+    if (this.chatContext.length === 0) {
+      container.innerHTML = '';
+      return;
+    }
+
+    const titles = {
+      attached: 'Attached - click to exclude',
+      trimmed: 'Shortened to fit the token budget - click to exclude',
+      dropped: 'Does not fit the token budget',
+      excluded: 'Excluded - click to attach'
+    };
+
+    container.innerHTML = '<span>📎 Context:</span>' + this.chatContext.map(item => `
+      <span
+        class="context-chip ${item.status}"
+        title="${titles[item.status]}"
+        onclick="popupController.toggleChatContextItem('${item.id}')"
+      >
+        ${this.escapeHtml(item.label)}${item.count ? ` (${item.count})` : ''}${item.tokens ? ` · ${item.tokens} tok` : ''}
+      </span>
+    `).join('');
+  }
+
+  async toggleChatContextItem(id) {
+    if (this.chatContextExcluded.has(id)) {
+      this.chatContextExcluded.delete(id);
+    } else {
+      this.chatContextExcluded.add(id);
+    }
+
+    await chrome.storage.local.set({ dark_voir_chat_context_excluded: [...this.chatContextExcluded] });
+    await this.refreshChatContext();
+  }
+
+  setChatStreaming(streaming) {
+    const sendBtn = document.getElementById('chat-send-btn');
+    const stopBtn = document.getElementById('chat-stop-btn');
+    if (sendBtn) sendBtn.style.display = streaming ? 'none' : '';
+    if (stopBtn) stopBtn.style.display = streaming ? '' : 'none';
+  }
+
+  /**
+   * Throttled save of in-flight answers, so closing the popup loses at most ~half a second
+   */
+  schedulePartialSave() {
+    if (this.partialSaveTimer) return;
+
+    this.partialSaveTimer = setTimeout(() => {
+      this.partialSaveTimer = null;
+      this.savePartialResults();
+    }, 500);
+  }
+
+  savePartialResults() {
+    const saves = [this.chatThreads.save()];
+    if (this.fixStream?.text) {
+      saves.push(chrome.storage.local.set({
+        dark_voir_fixes: this.fixes
+          .filter(fix => !(fix.partial && fix.fingerprint && fix.fingerprint === this.fixStream.issue.fingerprint))
+          .concat(this.buildPartialFix())
+      }));
+    }
+
+    return Promise.all(saves).catch(error => {
+      console.error('[Popup] Failed to save partial results:', error);
+    });
+  }
+
+  /**
+   * What arrived of a streaming fix, kept as a fix marked partial
+   */
+  buildPartialFix() {
+    const { index, issue, text } = this.fixStream;
+    return {
+      issueIndex: index,
+      fingerprint: issue.fingerprint,
+      issue: issue,
+      solution: text,
+      code: '',
+      confidence: 0,
+      partial: true,
+      timestamp: Date.now()
+    };
+  }
+
+  addChatMessage(role, content, meta = {}) {
     const messagesContainer = document.getElementById('chat-messages');
-    if (!messagesContainer) return;
+    if (!messagesContainer) return null;
+
+    messagesContainer.querySelector('.chat-welcome')?.remove();
 
     const messageDiv = document.createElement('div');
     messageDiv.className = `chat-message ${role}`;
@@ -737,15 +1877,53 @@ class PopupController {
       word-wrap: break-word;
     `;
 
-    // Format the content
-    messageDiv.innerHTML = this.formatChatMessage(content);
-
     messagesContainer.appendChild(messageDiv);
-    messagesContainer.scrollTop = messagesContainer.scrollHeight;
+    this.updateChatMessage(messageDiv, content, meta);
+    return messageDiv;
+  }
+
+  /**
+   * Re-render a message bubble, e.g. as a streamed answer grows
+   */
+  updateChatMessage(messageDiv, content, meta = {}) {
+    if (!messageDiv) return;
+
+    // Format the content, after the trace of any page inspection
+    let html = '';
+    if (meta.toolCalls?.length) {
+      const icons = { running: '⏳', done: '✓', error: '⚠' };
+      html += '<div style="margin-bottom: 8px; font-size: 11px; opacity: 0.8;">';
+      meta.toolCalls.forEach(call => {
+        const args = Object.values(call.args || {}).map(value => JSON.stringify(value)).join(', ');
+        html += `<div>🔧 ${icons[call.status] || ''} ${this.escapeHtml(`${call.tool}(${args.substring(0, 80)})`)}${call.summary ? ` → ${this.escapeHtml(call.summary)}` : ''}</div>`;
+      });
+      html += '</div>';
+    }
+    html += this.formatChatMessage(content);
+    if (meta.context?.length) {
+      html += `<div style="margin-top: 6px; font-size: 10px; opacity: 0.7;">📎 ${this.escapeHtml(meta.context.join(', '))}</div>`;
+    }
+    if (meta.partial || meta.stopped) {
+      const note = meta.partial ? 'Interrupted - the popup was closed before the answer finished' : 'Stopped';
+      html += `<div style="margin-top: 6px; font-size: 11px; color: #FF9800;">⚠ ${note}</div>`;
+    }
+    messageDiv.innerHTML = html;
+
+    const messagesContainer = messageDiv.parentElement;
+    if (messagesContainer) {
+      messagesContainer.scrollTop = messagesContainer.scrollHeight;
+    }
   }
 
   formatChatMessage(content) {
     let formatted = this.escapeHtml(content);
+
+    // Code blocks - set aside so the inline rules and line breaks leave them alone
+    const blocks = [];
+    formatted = formatted.replace(/```[\w-]*\n?([\s\S]*?)```/g, (match, code) => {
+      blocks.push(`<pre style="background: rgba(0,0,0,0.4); padding: 10px; border-radius: 6px; overflow-x: auto; margin: 8px 0;"><code>${code.replace(/\n$/, '')}</code></pre>`);
+      return `\u0000${blocks.length - 1}\u0000`;
+    });
     
     // Bold text
     formatted = formatted.replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>');
@@ -753,11 +1931,10 @@ class PopupController {
     // Inline code
     formatted = formatted.replace(/`([^`]+)`/g, '<code style="background: rgba(0,0,0,0.3); padding: 2px 6px; border-radius: 3px; font-size: 12px;">$1</code>');
     
-    // Code blocks
-    formatted = formatted.replace(/``````/gs, '<pre style="background: rgba(0,0,0,0.4); padding: 10px; border-radius: 6px; overflow-x: auto; margin: 8px 0;"><code>$1</code></pre>');
-    
     // Line breaks
     formatted = formatted.replace(/\n/g, '<br>');
+
+    formatted = formatted.replace(/\u0000(\d+)\u0000/g, (match, index) => blocks[index]);
     
     return formatted;
   }
@@ -766,13 +1943,171 @@ class PopupController {
     const messagesContainer = document.getElementById('chat-messages');
     if (!messagesContainer) return;
 
-    messagesContainer.innerHTML = '';
-    
-    this.chatHistory.forEach(msg => {
-      this.addChatMessage(msg.role, msg.content);
+    const messages = this.activeThread?.messages || [];
+    messagesContainer.innerHTML = messages.length === 0 ? this.chatWelcomeHtml : '';
+
+    messages.forEach((msg, index) => {
+      this.addChatMessage(msg.role, msg.content, msg);
+
+      if (index === this.activeThread.summarizedCount - 1) {
+        const note = document.createElement('div');
+        note.className = 'chat-summary-note';
+        note.textContent = '— Earlier messages are summarized for the AI —';
+        messagesContainer.appendChild(note);
+      }
     });
   }
 
+  // ============= CHAT THREADS =============
+
+  /**
+   * Show the thread last used in this tab, else the latest one for the tab's origin
+   */
+  async selectThreadForActiveTab() {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    this.chatTabId = tab?.id ?? null;
+    this.chatOrigin = this.getOrigin(tab?.url);
+
+    const remembered = this.chatTabId !== null ? await this.chatThreads.getTabThread(this.chatTabId) : null;
+    this.activeThread = remembered || this.chatThreads.findForOrigin(this.chatOrigin);
+
+    this.renderThreadSelector();
+    this.renderChatHistory();
+  }
+
+  async setActiveThread(thread) {
+    this.activeThread = thread;
+    if (thread && this.chatTabId !== null) {
+      await this.chatThreads.setTabThread(this.chatTabId, thread.id);
+    }
+
+    this.renderThreadSelector();
+    this.renderChatHistory();
+    if (this.currentTab === 'chat') {
+      this.refreshChatContext();
+    }
+  }
+
+  /**
+   * The active thread, creating one for the tab's origin on the first message of a new chat
+   */
+  async ensureActiveThread() {
+    if (!this.activeThread) {
+      const thread = this.chatThreads.create({ type: 'origin', origin: this.chatOrigin });
+      await this.chatThreads.save();
+      await this.setActiveThread(thread);
+    }
+    return this.activeThread;
+  }
+
+  renderThreadSelector() {
+    const select = document.getElementById('chat-thread-select');
+    if (!select) return;
+
+    const option = thread => {
+      const prefix = thread.binding.type === 'group' ? '🐞 ' : '';
+      const host = thread.binding.origin !== this.chatOrigin ? ` (${this.chatThreads.getHost(thread.binding.origin)})` : '';
+      return `<option value="${thread.id}" ${thread === this.activeThread ? 'selected' : ''}>${this.escapeHtml(prefix + this.chatThreads.getTitle(thread) + host)}</option>`;
+    };
+
+    const threads = [...this.chatThreads.threads].sort((a, b) => b.updatedAt - a.updatedAt);
+    const thisSite = threads.filter(thread => thread.binding.origin === this.chatOrigin);
+    const others = threads.filter(thread => thread.binding.origin !== this.chatOrigin);
+
+    select.innerHTML =
+      (this.activeThread ? '' : `<option value="" selected>New chat - ${this.escapeHtml(this.chatThreads.getHost(this.chatOrigin))}</option>`) +
+      (thisSite.length ? `<optgroup label="This site">${thisSite.map(option).join('')}</optgroup>` : '') +
+      (others.length ? `<optgroup label="Other conversations">${others.map(option).join('')}</optgroup>` : '');
+  }
+
+  async switchThread(id) {
+    if (this.chatAbort) {
+      this.showNotification('Wait for the answer to finish or stop it first', 'info');
+      this.renderThreadSelector();
+      return;
+    }
+
+    await this.setActiveThread(this.chatThreads.get(id));
+  }
+
+  async newThread() {
+    if (this.chatAbort) return;
+
+    await this.setActiveThread(null);
+    document.getElementById('chat-input')?.focus();
+  }
+
+  async renameThread() {
+    const thread = this.activeThread;
+    if (!thread) return;
+
+    const title = prompt('Conversation name:', this.chatThreads.getTitle(thread));
+    if (title === null || !title.trim()) return;
+
+    await this.chatThreads.rename(thread.id, title);
+    this.renderThreadSelector();
+  }
+
+  async deleteThread() {
+    const thread = this.activeThread;
+    if (!thread || this.chatAbort || !confirm('Delete this conversation? This cannot be undone.')) return;
+
+    this.aiHelper.resetChatSession(thread.id);
+    await this.chatThreads.remove(thread.id);
+    await this.setActiveThread(this.chatThreads.findForOrigin(this.chatOrigin));
+    this.showNotification('Conversation deleted', 'success');
+  }
+
+  /**
+   * Open the conversation about an issue group, starting one if needed
+   */
+  async discussIssue(index) {
+    const issue = this.issues[index];
+    if (!issue) return;
+
+    let thread = issue.fingerprint ? this.chatThreads.findForGroup(issue.fingerprint) : null;
+    const isNew = !thread;
+    if (isNew) {
+      thread = this.chatThreads.create(
+        { type: 'group', origin: issue.origin || this.chatOrigin, fingerprint: issue.fingerprint },
+        `Issue: ${String(issue.message || issue.type).substring(0, 50)}`
+      );
+      await this.chatThreads.save();
+    }
+
+    this.switchTab('chat');
+    await this.setActiveThread(thread);
+
+    const input = document.getElementById('chat-input');
+    if (input && isNew) {
+      input.value = `Why does this happen and how do I fix it: ${issue.message || issue.type}`;
+      input.focus();
+    }
+  }
+
+  /**
+   * Fold old turns into the thread summary once its session (or, without one, the
+   * estimated history) gets close to the context window. The session is recreated from
+   * the summary and the recent turns on the next message.
+   */
+  async compactThreadIfNeeded(thread) {
+    if (!this.chatThreads.needsCompaction(thread, this.aiHelper.getSessionUsage(thread.id))) return;
+
+    try {
+      const { text, count } = this.chatThreads.getCompactionInput(thread);
+      const summary = await this.aiHelper.summarizeConversation(text) || ChatThreadStore.fallbackSummary(thread, count);
+
+      await this.chatThreads.applySummary(thread, summary, count);
+      this.aiHelper.resetChatSession(thread.id);
+
+      if (thread === this.activeThread) {
+        this.renderChatHistory();
+      }
+    } catch (error) {
+      console.error('[Popup] Thread summarization failed:', error);
+    }
+  }
+
   // ============= ACTIONS =============
   async triggerScan() {
     const scanBtn = document.getElementById('scan-btn');
@@ -783,21 +2118,21 @@ class PopupController {
 
     try {
       const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-      if (tab) {
-        await chrome.tabs.sendMessage(tab.id, { type: 'START_MONITORING' });
-        
-        // Wait and refresh data
-        setTimeout(async () => {
-          await this.refreshData();
-          if (scanBtn) {
-            scanBtn.textContent = '✓ Scan Complete';
-            setTimeout(() => {
-              scanBtn.textContent = '🔍 Scan Page';
-              scanBtn.disabled = false;
-            }, 2000);
-          }
+      if (!tab) return false;
+
+      await chrome.tabs.sendMessage(tab.id, { type: 'START_MONITORING' });
+
+      // Wait and refresh data
+      await new Promise(resolve => setTimeout(resolve, 2000));
+      await this.refreshData();
+      if (scanBtn) {
+        scanBtn.textContent = '✓ Scan Complete';
+        setTimeout(() => {
+          scanBtn.textContent = '🔍 Scan Page';
+          scanBtn.disabled = false;
         }, 2000);
       }
+      return true;
     } catch (error) {
       console.error('[Popup] Scan error:', error);
       if (scanBtn) {
@@ -807,25 +2142,59 @@ class PopupController {
           scanBtn.disabled = false;
         }, 2000);
       }
+      return false;
     }
   }
 
-  async activateVisualGuide() {
-    const query = prompt('What do you need help with?\nExample: "How to submit the form" or "Where is the login button"');
-    if (!query) return;
+  /**
+   * @param {string} query - What to guide through; asked for when omitted
+   * @returns {Promise<boolean>} Whether the guide was started
+   */
+  async activateVisualGuide(query = null) {
+    query = query || prompt('What do you need help with?\nExample: "How to submit the form" or "Where is the login button"');
+    if (!query) return false;
 
     try {
       const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-      if (tab) {
-        await chrome.tabs.sendMessage(tab.id, {
-          type: 'ACTIVATE_VISUAL_GUIDE',
-          query: query
-        });
-        this.showNotification('Visual guide activated!', 'success');
-      }
+      if (!tab) return false;
+
+      await chrome.tabs.sendMessage(tab.id, {
+        type: 'ACTIVATE_VISUAL_GUIDE',
+        query: query
+      });
+      this.showNotification('Visual guide activated!', 'success');
+      return true;
     } catch (error) {
       console.error('[Popup] Visual guide error:', error);
       this.showNotification('Could not activate visual guide', 'error');
+      return false;
+    }
+  }
+
+  /**
+   * Tab through the page's focus order and report keyboard problems as issues
+   */
+  async startFocusWalk() {
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      if (!tab) return false;
+
+      const response = await chrome.tabs.sendMessage(tab.id, { type: 'START_FOCUS_WALK' });
+      if (!response?.success) {
+        throw new Error(response?.error || 'No response from the page');
+      }
+
+      const problems = response.findings.length;
+      this.showNotification(
+        `Focus walk: ${response.stops} stops, ${problems ? `${problems} problem(s) reported` : 'no problems found'}`,
+        problems ? 'info' : 'success'
+      );
+      await this.refreshData();
+      return true;
+    } catch (error) {
+      console.error('[Popup] Focus walk error:', error);
+      this.showNotification('Could not run the focus walk', 'error');
+      return false;
     }
   }
 
@@ -910,6 +2279,32 @@ ${hasPermissions ? '✓' : '✗'} Required permissions granted
     }
   }
 
+  async exportHar() {
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      const response = await chrome.runtime.sendMessage({ action: 'exportData', format: 'har', tabId: tab?.id });
+      if (!response?.success) {
+        throw new Error('No network log available');
+      }
+
+      const { har, fileName } = response.data;
+      const blob = new Blob([JSON.stringify(har, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = fileName;
+      a.click();
+
+      this.showNotification(`HAR exported (${har.log.entries.length} requests)`, 'success');
+      return har.log.entries.length;
+    } catch (error) {
+      console.error('[Popup] Export HAR error:', error);
+      this.showNotification('Failed to export HAR - reload the page to start recording', 'error');
+      return null;
+    }
+  }
+
   async generateAllFixes() {
     if (this.issues.length === 0) {
       this.showNotification('No issues to fix', 'info');
@@ -961,11 +2356,7 @@ ${hasPermissions ? '✓' : '✗'} Required permissions granted
 FIX #${index + 1} - Confidence: ${(fix.confidence * 100).toFixed(0)}%
 ═══════════════════════════════════════
 
-Solution:
-${fix.solution}
-
-${fix.code ? `Code:
-${fix.code}` : ''}
+${this.formatFixText(fix)}
 
 Generated: ${new Date(fix.timestamp).toLocaleString()}
       `).join('\n\n');
@@ -991,11 +2382,10 @@ Generated: ${new Date(fix.timestamp).toLocaleString()}
     try {
       this.issues = [];
       this.fixes = [];
-      
-      await chrome.storage.local.set({
-        dark_voir_issues: [],
-        dark_voir_fixes: []
-      });
+      this.issuePage = { total: 0, hasMore: false };
+
+      await chrome.runtime.sendMessage({ type: 'CLEAR_ISSUES', all: true });
+      await chrome.storage.local.set({ dark_voir_fixes: [] });
 
       this.updateUI();
       this.showNotification('All issues cleared', 'success');
@@ -1016,33 +2406,102 @@ Generated: ${new Date(fix.timestamp).toLocaleString()}
   }
 
   // ============= ISSUE ACTIONS =============
-  async getAIFix(index) {
-    const issue = this.issues[index];
-    if (!issue) return;
+  /**
+   * @param {number} index - Issue index
+   * @param {Object} options - { openFixesTab } (off for /fix in the chat)
+   * @returns {Promise<Object|null>} The stored fix, null when stopped or failed
+   */
+  /**
+   * @param {number} index - Issue index
+   * @param {Object} options - openFixesTab; scriptBlocked asks for CSS or a DOM patch instead
+   *   of JavaScript (the page's CSP forbids eval)
+   */
+  async getAIFix(index, { openFixesTab = true, scriptBlocked = false } = {}) {
+    const issue = this.issues[index] && scriptBlocked ? { ...this.issues[index], scriptBlocked: true } : this.issues[index];
+    if (!issue) return null;
+
+    if (this.fixStream) {
+      this.showNotification('A fix is already being generated', 'info');
+      return null;
+    }
+
+    this.fixStream = { index, issue, text: '', abort: new AbortController() };
+
+    // Auto-switch to fixes tab so the answer can be watched as it streams in
+    if (openFixesTab) {
+      this.switchTab('fixes');
+    }
+    this.renderFixes();
 
     try {
-      const fix = await this.aiHelper.analyzeIssue(issue);
-      
-      this.fixes.push({
+      const fix = await this.ai.analyzeStream(issue, {
+        signal: this.fixStream.abort.signal,
+        onChunk: text => {
+          this.fixStream.text = text;
+          this.updateFixStream();
+          this.schedulePartialSave();
+        }
+      });
+
+      // One fix per group - regenerate replaces the previous one
+      if (issue.fingerprint) {
+        this.fixes = this.fixes.filter(existing => existing.fingerprint !== issue.fingerprint);
+      }
+
+      if (!fix) {
+        // Stopped - keep whatever arrived, marked partial
+        if (this.fixStream.text) {
+          this.fixes.push(this.buildPartialFix());
+        }
+        this.fixStream = null;
+        await chrome.storage.local.set({ dark_voir_fixes: this.fixes });
+        this.renderFixes();
+        this.showNotification('Fix generation stopped', 'info');
+        return null;
+      }
+
+      const stored = {
         issueIndex: index,
+        fingerprint: issue.fingerprint,
         issue: issue,
         solution: fix.analysis,
         code: fix.code || '',
-        confidence: fix.confidence || 0.8,
+        language: fix.language || '',
+        structured: fix.structured || null,
+        confidence: fix.confidence || 0,
+        source: fix.source,
         timestamp: Date.now()
-      });
+      };
+      this.fixes.push(stored);
 
+      this.fixStream = null;
       await chrome.storage.local.set({ dark_voir_fixes: this.fixes });
 
       this.renderFixes();
       this.updateStatistics();
       this.showNotification('Fix generated successfully', 'success');
-
-      // Auto-switch to fixes tab
-      this.switchTab('fixes');
+      return stored;
     } catch (error) {
       console.error('[Popup] Get fix error:', error);
+      this.fixStream = null;
+      this.renderFixes();
       this.showNotification('Failed to generate fix', 'error');
+      return null;
+    }
+  }
+
+  stopFixGeneration() {
+    this.fixStream?.abort.abort();
+  }
+
+  /**
+   * Refresh just the streaming text, without re-rendering the fix list
+   */
+  updateFixStream() {
+    const textEl = document.getElementById('fix-stream-text');
+    if (textEl && this.fixStream) {
+      textEl.textContent = this.fixStream.text;
+      textEl.scrollTop = textEl.scrollHeight;
     }
   }
 
@@ -1053,7 +2512,7 @@ Generated: ${new Date(fix.timestamp).toLocaleString()}
     const text = `Type: ${issue.type}
 Message: ${issue.message}
 Severity: ${issue.severity}
-Timestamp: ${new Date(issue.timestamp).toLocaleString()}
+Timestamp: ${new Date(issue.timestamp).toLocaleString()}${issue.count ? `\nOccurrences: ${issue.count} (first seen ${new Date(issue.firstSeen).toLocaleString()})` : ''}
 ${issue.stack ? '\nStack:\n' + issue.stack : ''}`;
 
     navigator.clipboard.writeText(text).then(() => {
@@ -1064,23 +2523,116 @@ ${issue.stack ? '\nStack:\n' + issue.stack : ''}`;
     });
   }
 
-  dismissIssue(index) {
-    if (!confirm('Dismiss this issue?')) return;
+  async dismissIssue(index) {
+    const issue = this.issues[index];
+    if (!issue || !confirm('Dismiss this issue?')) return;
+
+    try {
+      await chrome.runtime.sendMessage(issue.fingerprint
+        ? { type: 'DISMISS_GROUP', fingerprint: issue.fingerprint }
+        : { type: 'DISMISS_ISSUE', id: issue.id });
+    } catch (error) {
+      console.error('[Popup] Dismiss error:', error);
+      this.showNotification('Failed to dismiss issue', 'error');
+      return;
+    }
 
     this.issues.splice(index, 1);
-    chrome.storage.local.set({ dark_voir_issues: this.issues });
+    this.issuePage.total = Math.max(0, this.issuePage.total - 1);
     
     this.renderIssues();
     this.updateStatistics();
     this.showNotification('Issue dismissed', 'success');
   }
 
+  // ============= SOURCE MAPS =============
+  /**
+   * Store uploaded source maps for the background resolver
+   * @param {Array<File>} files - Selected .map files
+   */
+  async uploadSourceMaps(files) {
+    if (!files || files.length === 0) return;
+
+    const scriptUrl = document.getElementById('source-map-script-url')?.value.trim() || '';
+    const result = await chrome.storage.local.get('dark_voir_source_maps');
+    const maps = result.dark_voir_source_maps || {};
+    let added = 0;
+
+    for (const file of files) {
+      try {
+        if (file.size > 4 * 1024 * 1024) {
+          throw new Error('larger than 4 MB');
+        }
+
+        const text = await file.text();
+        const map = JSON.parse(text);
+        if (map.version !== 3) {
+          throw new Error('not a v3 source map');
+        }
+
+        const mapFile = map.file || file.name.replace(/\.map$/, '');
+        // A script URL only makes sense for a single upload
+        const targetUrl = files.length === 1 ? scriptUrl : '';
+        maps[targetUrl || mapFile] = {
+          name: file.name,
+          file: mapFile,
+          scriptUrl: targetUrl,
+          map: text,
+          uploaded: Date.now()
+        };
+        added++;
+      } catch (error) {
+        console.error('[Popup] Source map upload error:', error);
+        this.showNotification(`${file.name}: ${error.message}`, 'error');
+      }
+    }
+
+    if (added === 0) return;
+
+    try {
+      await chrome.storage.local.set({ dark_voir_source_maps: maps });
+      this.showNotification(`${added} source map${added > 1 ? 's' : ''} uploaded`, 'success');
+      this.renderSourceMaps();
+    } catch (error) {
+      console.error('[Popup] Failed to save source maps:', error);
+      this.showNotification('Failed to save source maps (storage full?)', 'error');
+    }
+  }
+
+  async renderSourceMaps() {
+    const container = document.getElementById('source-maps-list');
+    if (!container) return;
+
+    const result = await chrome.storage.local.get('dark_voir_source_maps');
+    this.sourceMapKeys = Object.keys(result.dark_voir_source_maps || {});
+
+    container.innerHTML = this.sourceMapKeys.map((key, index) => `
+      <div class="setting-item" style="padding: 8px 12px;">
+        <span class="setting-desc" style="word-break: break-all;">${this.escapeHtml(key)}</span>
+        <button class="btn-clear" onclick="popupController.removeSourceMap(${index})">Remove</button>
+      </div>
+    `).join('');
+  }
+
+  async removeSourceMap(index) {
+    const key = this.sourceMapKeys?.[index];
+    if (!key) return;
+
+    const result = await chrome.storage.local.get('dark_voir_source_maps');
+    const maps = result.dark_voir_source_maps || {};
+    delete maps[key];
+
+    await chrome.storage.local.set({ dark_voir_source_maps: maps });
+    this.renderSourceMaps();
+  }
+
   // ============= FIX ACTIONS =============
-  copyFixCode(index) {
+  copyFixCode(index, block = 0) {
     const fix = this.fixes[index];
-    if (!fix || !fix.code) return;
+    const code = fix && this.getFixBlocks(fix)[block];
+    if (!code) return;
 
-    navigator.clipboard.writeText(fix.code).then(() => {
+    navigator.clipboard.writeText(code.content).then(() => {
       this.showNotification('Code copied to clipboard', 'success');
     }).catch(error => {
       console.error('[Popup] Copy error:', error);
@@ -1094,10 +2646,7 @@ ${issue.stack ? '\nStack:\n' + issue.stack : ''}`;
 
     const text = `Fix #${index + 1} - Confidence: ${(fix.confidence * 100).toFixed(0)}%
 
-Solution:
-${fix.solution}
-
-${fix.code ? 'Code:\n' + fix.code : ''}
+${this.formatFixText(fix)}
 
 Generated: ${new Date(fix.timestamp).toLocaleString()}`;
 
@@ -1109,22 +2658,142 @@ Generated: ${new Date(fix.timestamp).toLocaleString()}`;
     });
   }
 
-  async applyFix(index) {
+  /**
+   * Plain-text rendering of a fix's fields, for copy and export
+   */
+  formatFixText(fix) {
+    const structured = fix.structured;
+    if (!structured) {
+      return `Solution:\n${fix.solution}${fix.code ? '\n\nCode:\n' + fix.code : ''}`;
+    }
+
+    const sections = [`Root Cause:\n${structured.rootCause}`];
+    if (structured.steps.length > 0) {
+      sections.push(`Steps:\n${structured.steps.map((step, i) => `${i + 1}. ${step}`).join('\n')}`);
+    }
+    structured.code.forEach(block => {
+      sections.push(`Code${block.language ? ` (${block.language})` : ''}:\n${block.content}`);
+    });
+    if (structured.prevention) {
+      sections.push(`Prevention:\n${structured.prevention}`);
+    }
+    if (structured.references.length > 0) {
+      sections.push(`References:\n${structured.references.join('\n')}`);
+    }
+    return sections.join('\n\n');
+  }
+
+  // ============= FIX APPLICATION =============
+  getFixKey(fix, block = 0) {
+    return `${fix.fingerprint || `fix_${fix.timestamp}`}:${block}`;
+  }
+
+  getAppliedEntry(fix, block = 0) {
+    const key = this.getFixKey(fix, block);
+    return this.fixJournal.filter(entry => entry.fixKey === key).pop() || null;
+  }
+
+  async loadFixJournal() {
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      const response = await chrome.runtime.sendMessage({ type: 'GET_FIX_JOURNAL', tabId: tab?.id });
+      this.fixJournal = response?.journal || [];
+    } catch (error) {
+      console.error('[Popup] Failed to load fix journal:', error);
+      this.fixJournal = [];
+    }
+  }
+
+  async previewFix(index, block = 0) {
     const fix = this.fixes[index];
-    if (!fix) return;
+    const code = fix && this.getFixBlocks(fix)[block];
+    if (!code) return;
 
     try {
       const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-      if (tab) {
-        await chrome.tabs.sendMessage(tab.id, {
-          type: 'APPLY_FIX',
-          fix: fix
-        });
-        this.showNotification('Fix applied to page', 'success');
-      }
+      const response = await chrome.runtime.sendMessage({
+        type: 'PREVIEW_FIX',
+        tabId: tab?.id,
+        fix: { code: code.content, language: code.language }
+      });
+      if (!response?.success) throw new Error(response?.error || 'Preview failed');
+
+      this.fixPreview = { index, block, preview: response.preview };
+      this.renderFixes();
+    } catch (error) {
+      console.error('[Popup] Preview fix error:', error);
+      this.showNotification('Could not preview fix', 'error');
+    }
+  }
+
+  cancelFixPreview() {
+    this.fixPreview = null;
+    this.renderFixes();
+  }
+
+  /**
+   * Regenerate a fix whose script the page's CSP would block, as CSS or a DOM patch
+   */
+  async requestScriptFreeFix(index) {
+    const fix = this.fixes[index];
+    const issueIndex = this.issues.findIndex(issue =>
+      (fix?.fingerprint && issue.fingerprint === fix.fingerprint) || (fix?.issue?.id && issue.id === fix.issue.id));
+    if (issueIndex === -1) {
+      this.showNotification('The issue for this fix is no longer listed', 'error');
+      return;
+    }
+
+    this.fixPreview = null;
+    await this.getAIFix(issueIndex, { openFixesTab: false, scriptBlocked: true });
+  }
+
+  async confirmApplyFix(index, block = 0) {
+    const fix = this.fixes[index];
+    const code = fix && this.getFixBlocks(fix)[block];
+    if (!code) return;
+
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      const response = await chrome.runtime.sendMessage({
+        type: 'APPLY_FIX',
+        tabId: tab?.id,
+        fix: {
+          code: code.content,
+          language: code.language,
+          fixKey: this.getFixKey(fix, block),
+          summary: fix.issue?.message
+        }
+      });
+      if (!response?.success) throw new Error(response?.error || 'Apply failed');
+
+      this.fixPreview = null;
+      await this.loadFixJournal();
+      this.renderFixes();
+      this.showNotification(`${response.entry.label} applied to page`, 'success');
     } catch (error) {
       console.error('[Popup] Apply fix error:', error);
-      this.showNotification('Could not apply fix automatically', 'error');
+      this.showNotification(`Could not apply fix: ${error.message}`, 'error');
+    }
+  }
+
+  async revertFix(index, block = 0) {
+    const fix = this.fixes[index];
+    const entry = fix && this.getAppliedEntry(fix, block);
+    if (!entry) return;
+
+    if (!entry.revertible && !confirm('Scripts cannot be undone in place. Reload the page to revert?')) return;
+
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      const response = await chrome.runtime.sendMessage({ type: 'REVERT_FIX', tabId: tab?.id, entryId: entry.id });
+      if (!response?.success) throw new Error(response?.error || 'Revert failed');
+
+      await this.loadFixJournal();
+      this.renderFixes();
+      this.showNotification(response.reverted === 'reloaded' ? 'Page reloaded' : 'Fix reverted', 'success');
+    } catch (error) {
+      console.error('[Popup] Revert fix error:', error);
+      this.showNotification(`Could not revert fix: ${error.message}`, 'error');
     }
   }
 
@@ -1140,6 +2809,70 @@ Generated: ${new Date(fix.timestamp).toLocaleString()}`;
     return colors[severity] || colors.medium;
   }
 
+  /**
+   * Original source lines around the first source-mapped frame
+   * @param {Object} issue - Issue with resolvedFrames
+   * @returns {string} HTML
+   */
+  renderSourceSnippet(issue) {
+    const frame = issue.resolvedFrames?.find(f => f.snippet);
+    if (!frame) return '';
+
+    const location = `${frame.source.split('/').pop()}:${frame.originalLine}:${frame.originalColumn}`;
+    const lines = frame.snippet.split('\n').map(line => {
+      const failing = line.startsWith('>');
+      return `<div style="${failing ? 'background: rgba(244, 67, 54, 0.25); color: #fff;' : ''}">${this.escapeHtml(line)}</div>`;
+    }).join('');
+
+    return `
+      <div style="font-size: 10px; color: #999; margin-top: 6px;">${this.escapeHtml(location)}</div>
+      <pre style="
+        background: rgba(0, 0, 0, 0.3);
+        padding: 8px;
+        border-radius: 4px;
+        font-size: 10px;
+        color: #bbb;
+        overflow-x: auto;
+        margin-top: 4px;
+      ">${lines}</pre>
+    `;
+  }
+
+  /**
+   * Inline SVG bar chart of a group's hourly occurrences over the last 24 hours
+   * @param {Object} hourly - { hourBucket: count }
+   * @param {string} color - Bar color
+   * @returns {string} SVG markup
+   */
+  renderSparkline(hourly, color) {
+    if (!hourly) return '';
+
+    const hours = 24;
+    const currentHour = Math.floor(Date.now() / 3600000);
+    const counts = [];
+    for (let i = hours - 1; i >= 0; i--) {
+      counts.push(hourly[currentHour - i] || 0);
+    }
+
+    const max = Math.max(...counts, 1);
+    const bars = counts.map((count, i) => {
+      const height = count > 0 ? Math.max(2, Math.round((count / max) * 16)) : 1;
+      return `<rect x="${i * 3}" y="${16 - height}" width="2" height="${height}" fill="${count > 0 ? color : '#555'}"></rect>`;
+    }).join('');
+
+    return `<svg width="${hours * 3}" height="16" viewBox="0 0 ${hours * 3} 16" aria-label="Occurrences in the last 24 hours">${bars}</svg>`;
+  }
+
+  formatRelativeTime(timestamp) {
+    if (!timestamp) return 'unknown';
+
+    const seconds = Math.round((Date.now() - timestamp) / 1000);
+    if (seconds < 60) return 'just now';
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+    if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
+    return `${Math.floor(seconds / 86400)}d ago`;
+  }
+
   escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
@@ -0,0 +1,528 @@
+/**
+ * Dark Voir AI Troubleshooter - Security Inspector
+ * Evaluates a document's security headers and cookies (background, as captured by
+ * chrome.webRequest), its mixed content and insecure forms (content script), and
+ * explains CSP violations. Every finding carries a remediation hint.
+ */
+
+class SecurityInspector {
+  constructor() {
+    this.hstsMinMaxAge = 15552000; // 180 days
+    this.sessionCookiePattern = /sess|sid|token|auth|jwt|login|remember/i;
+    this.unsafeReferrerPolicies = ['unsafe-url', 'no-referrer-when-downgrade'];
+    this.mixedContentSelector = 'img[src], script[src], link[rel~="stylesheet"][href], iframe[src], ' +
+      'video[src], audio[src], source[src], object[data], embed[src]';
+    this.maxFindingsPerCheck = 10;
+  }
+
+  // ============= HEADERS =============
+
+  /**
+   * @param {Array|Object} headers - webRequest responseHeaders ([{ name, value }]) or a name -> value map
+   * @param {string} url - Document URL
+   * @returns {Array} Findings: { check, message, severity, remediation }
+   */
+  evaluateHeaders(headers, url) {
+    const map = this.normalizeHeaders(headers);
+    const https = /^https:/i.test(url);
+    const findings = [];
+
+    if (!https) {
+      findings.push(this.finding('https', 'Page is served over plain HTTP', 'high',
+        'Serve the site over HTTPS and redirect every http:// request to it with a 301'));
+    }
+
+    findings.push(...this.evaluateCSP(map));
+
+    if (https) {
+      findings.push(...this.evaluateHSTS(map['strict-transport-security']));
+    }
+
+    const frameAncestors = /(^|;)\s*frame-ancestors\s/i.test(map['content-security-policy'] || '');
+    const xfo = (map['x-frame-options'] || '').trim().toUpperCase();
+    if (!xfo && !frameAncestors) {
+      findings.push(this.finding('x-frame-options', 'No X-Frame-Options or CSP frame-ancestors - the page can be framed (clickjacking)', 'medium',
+        'Send "X-Frame-Options: DENY" (or SAMEORIGIN), or "Content-Security-Policy: frame-ancestors \'self\'"'));
+    } else if (xfo && !['DENY', 'SAMEORIGIN'].includes(xfo)) {
+      findings.push(this.finding('x-frame-options', `X-Frame-Options "${xfo}" is not supported by browsers`, 'low',
+        'Use DENY or SAMEORIGIN, or CSP frame-ancestors to allow specific origins'));
+    }
+
+    const referrer = (map['referrer-policy'] || '').split(',').pop().trim().toLowerCase();
+    if (!referrer) {
+      findings.push(this.finding('referrer-policy', 'No Referrer-Policy header', 'low',
+        'Send "Referrer-Policy: strict-origin-when-cross-origin" (or stricter) so full URLs don\'t leak to other sites'));
+    } else if (this.unsafeReferrerPolicies.includes(referrer)) {
+      findings.push(this.finding('referrer-policy', `Referrer-Policy "${referrer}" sends full URLs to other sites`, 'medium',
+        'Use "strict-origin-when-cross-origin" or "no-referrer"'));
+    }
+
+    if (!map['permissions-policy']) {
+      findings.push(this.finding('permissions-policy', 'No Permissions-Policy header', 'low',
+        'Turn off features the site doesn\'t use, e.g. "Permissions-Policy: camera=(), microphone=(), geolocation=()"'));
+    }
+
+    if ((map['x-content-type-options'] || '').trim().toLowerCase() !== 'nosniff') {
+      findings.push(this.finding('x-content-type-options', 'No "X-Content-Type-Options: nosniff" - browsers may guess content types', 'low',
+        'Send "X-Content-Type-Options: nosniff"'));
+    }
+
+    return findings;
+  }
+
+  /**
+   * @private
+   */
+  evaluateCSP(map) {
+    const policy = map['content-security-policy'];
+    if (!policy) {
+      return [this.finding('csp', map['content-security-policy-report-only']
+        ? 'Content-Security-Policy is only in Report-Only mode - nothing is blocked'
+        : 'No Content-Security-Policy header', 'medium',
+      'Start with "Content-Security-Policy: default-src \'self\'; object-src \'none\'; base-uri \'self\'" in Report-Only mode, then enforce it')];
+    }
+
+    const findings = [];
+    const directives = this.parseCSP(policy);
+    const scripts = directives['script-src'] || directives['default-src'];
+
+    if (!scripts) {
+      findings.push(this.finding('csp', 'CSP has no script-src or default-src - scripts are not restricted', 'medium',
+        'Add "script-src \'self\'" (plus the hosts and nonces you need)'));
+    } else {
+      const strict = scripts.some(source => /^'(nonce-|sha(256|384|512)-|strict-dynamic')/.test(source));
+      if (scripts.includes("'unsafe-inline'") && !strict) {
+        findings.push(this.finding('csp', 'CSP allows inline scripts (\'unsafe-inline\') - XSS is not mitigated', 'medium',
+          'Replace \'unsafe-inline\' with nonces or hashes for the inline scripts you need'));
+      }
+      if (scripts.includes("'unsafe-eval'")) {
+        findings.push(this.finding('csp', 'CSP allows eval() (\'unsafe-eval\')', 'medium',
+          'Remove \'unsafe-eval\' and replace eval/new Function/string timers in the code'));
+      }
+      const wildcards = scripts.filter(source => ['*', 'http:', 'https:', 'data:'].includes(source));
+      if (wildcards.length > 0) {
+        findings.push(this.finding('csp', `CSP script sources allow any host (${wildcards.join(' ')})`, 'medium',
+          'List the script hosts explicitly, or use nonces with \'strict-dynamic\''));
+      }
+    }
+
+    if (!directives['object-src'] && !directives['default-src']) {
+      findings.push(this.finding('csp', 'CSP does not restrict plugins (no object-src)', 'low', 'Add "object-src \'none\'"'));
+    }
+    if (!directives['base-uri']) {
+      findings.push(this.finding('csp', 'CSP has no base-uri - injected <base> tags can redirect relative scripts', 'low', 'Add "base-uri \'self\'" (or \'none\')'));
+    }
+
+    return findings;
+  }
+
+  /**
+   * @private
+   */
+  evaluateHSTS(value) {
+    if (!value) {
+      return [this.finding('hsts', 'No Strict-Transport-Security header - the first visit can be downgraded to HTTP', 'medium',
+        'Send "Strict-Transport-Security: max-age=31536000; includeSubDomains"')];
+    }
+
+    const maxAge = parseInt((value.match(/max-age\s*=\s*"?(\d+)/i) || [])[1], 10);
+    const findings = [];
+    if (!Number.isFinite(maxAge) || maxAge < this.hstsMinMaxAge) {
+      findings.push(this.finding('hsts', `HSTS max-age is ${Number.isFinite(maxAge) ? maxAge : 'missing'} - shorter than 180 days`, 'low',
+        'Raise max-age to at least 15552000 (one year, 31536000, is the usual value)'));
+    }
+    if (!/includesubdomains/i.test(value)) {
+      findings.push(this.finding('hsts', 'HSTS does not cover subdomains', 'low',
+        'Add includeSubDomains once every subdomain serves HTTPS'));
+    }
+    return findings;
+  }
+
+  // ============= COOKIES =============
+
+  /**
+   * Stands in for the header checks when the document's headers weren't captured
+   * (loaded before the extension started, or while the service worker was restarting)
+   * @returns {Object} Finding
+   */
+  unknownHeadersFinding() {
+    return this.finding('headers_unknown', 'Security headers unknown: the response headers of this page were not captured', 'info',
+      'Reload the page with the extension running to check its security headers and cookies');
+  }
+
+  /**
+   * Cookie flags from Set-Cookie headers (from chrome.webRequest).
+   * Only cookie names are kept, never values.
+   * @param {Array} setCookies - Set-Cookie header values
+   * @param {string} url - Document URL
+   * @returns {Array} Findings
+   */
+  evaluateCookies(setCookies, url) {
+    const https = /^https:/i.test(url);
+    const findings = [];
+
+    setCookies.forEach(header => {
+      const [pair, ...attributes] = String(header).split(';');
+      const name = pair.split('=')[0].trim();
+      if (!name) return;
+
+      const flags = attributes.map(attr => attr.trim().toLowerCase());
+      const secure = flags.includes('secure');
+      const httpOnly = flags.includes('httponly');
+      const sameSite = (flags.find(flag => flag.startsWith('samesite=')) || '').split('=')[1];
+
+      if (sameSite === 'none' && !secure) {
+        findings.push(this.finding('cookies', `Cookie "${name}" has SameSite=None without Secure - browsers reject it`, 'high',
+          'Add the Secure attribute (SameSite=None cookies must be Secure)'));
+      } else if (https && !secure) {
+        findings.push(this.finding('cookies', `Cookie "${name}" is missing the Secure flag`, 'medium',
+          'Add Secure so the cookie is never sent over plain HTTP'));
+      }
+      if (!httpOnly && this.sessionCookiePattern.test(name)) {
+        findings.push(this.finding('cookies', `Session cookie "${name}" is readable by scripts (no HttpOnly)`, 'medium',
+          'Add HttpOnly so an XSS can\'t steal the session'));
+      }
+      if (!sameSite) {
+        findings.push(this.finding('cookies', `Cookie "${name}" has no SameSite attribute`, 'low',
+          'Set SameSite=Lax (or Strict) explicitly instead of relying on the browser default'));
+      }
+    });
+
+    return findings.slice(0, this.maxFindingsPerCheck * 2);
+  }
+
+  // ============= DOCUMENT =============
+
+  /**
+   * Mixed content and insecure forms in the current document (content script only)
+   * @returns {Array} Findings, with selector where an element is at fault
+   */
+  scanDocument() {
+    const https = location.protocol === 'https:';
+    const findings = [];
+
+    if (https) {
+      const elements = Array.from(document.querySelectorAll(this.mixedContentSelector))
+        .filter(el => /^http:/i.test(el.getAttribute('src') || el.getAttribute('href') || el.getAttribute('data') || ''));
+      elements.slice(0, this.maxFindingsPerCheck).forEach(el => {
+        const url = el.getAttribute('src') || el.getAttribute('href') || el.getAttribute('data');
+        const active = ['SCRIPT', 'LINK', 'IFRAME', 'OBJECT', 'EMBED'].includes(el.tagName);
+        findings.push(this.finding('mixed-content',
+          `${active ? 'Blocked' : 'Insecure'} mixed content: <${el.tagName.toLowerCase()}> loads ${url.substring(0, 100)}`,
+          active ? 'high' : 'medium',
+          'Load it over https:// (or a protocol-relative URL), or add "Content-Security-Policy: upgrade-insecure-requests"',
+          this.describeNode(el)));
+      });
+
+      // Loaded from CSS or scripts, so no element points at them
+      const seen = new Set(elements.map(el => el.src || el.href || el.data));
+      (performance.getEntriesByType('resource') || [])
+        .filter(entry => /^http:/i.test(entry.name) && !seen.has(entry.name))
+        .slice(0, this.maxFindingsPerCheck)
+        .forEach(entry => {
+          findings.push(this.finding('mixed-content', `Insecure mixed content loaded: ${entry.name.substring(0, 100)} (${entry.initiatorType})`, 'medium',
+            'Load it over https://, or add "Content-Security-Policy: upgrade-insecure-requests"'));
+        });
+    }
+
+    document.querySelectorAll('form').forEach(form => {
+      const action = form.getAttribute('action') ? form.action : location.href;
+      const password = !!form.querySelector('input[type="password"]');
+
+      if (/^http:/i.test(action) && (https || password)) {
+        findings.push(this.finding('insecure-form',
+          `Form ${password ? 'with a password field ' : ''}submits over plain HTTP to ${action.substring(0, 100)}`,
+          password ? 'high' : 'medium',
+          'Point the form action at an https:// URL and serve the page over HTTPS',
+          this.describeNode(form)));
+      }
+    });
+
+    return findings;
+  }
+
+  // ============= CSP VIOLATIONS =============
+
+  /**
+   * @param {Object} violation - securitypolicyviolation event fields
+   *   { blockedURI, effectiveDirective, violatedDirective, disposition, sourceFile, lineNumber }
+   * @returns {Object} Finding
+   */
+  describeViolation(violation) {
+    const directive = violation.effectiveDirective || violation.violatedDirective || 'unknown';
+    const blocked = violation.blockedURI || 'inline';
+    const reportOnly = violation.disposition === 'report';
+    const source = this.getViolationSource(blocked);
+    const where = violation.sourceFile ? ` at ${violation.sourceFile}${violation.lineNumber ? ':' + violation.lineNumber : ''}` : '';
+
+    let remediation;
+    if (['inline', 'eval', 'wasm-eval'].includes(blocked)) {
+      remediation = blocked === 'inline'
+        ? `Move the inline code to a file, or allow it with a nonce or hash in ${directive}`
+        : `Remove eval/new Function from the code; only add '${blocked === 'eval' ? 'unsafe-eval' : 'wasm-unsafe-eval'}' to ${directive} if it can't be avoided`;
+    } else {
+      remediation = `If ${source} is expected, add it to ${directive}; otherwise find what loads it`;
+    }
+
+    return this.finding('csp-violation',
+      `CSP ${reportOnly ? 'would block' : 'blocked'} ${blocked === 'inline' ? 'inline code' : blocked === 'eval' ? 'eval()' : blocked.substring(0, 100)} (${directive})${where}`,
+      reportOnly ? 'low' : 'medium',
+      remediation);
+  }
+
+  /**
+   * Source expression a blocked URI needs (its origin, or the scheme for data:/blob:)
+   */
+  getViolationSource(blockedURI) {
+    if (/^(data|blob|filesystem|mediastream)(:|$)/i.test(blockedURI)) {
+      return `${blockedURI.split(':')[0]}:`;
+    }
+    try {
+      return new URL(blockedURI).origin;
+    } catch (e) {
+      return blockedURI;
+    }
+  }
+
+  // ============= POLICY SUGGESTIONS =============
+
+  /**
+   * Minimal change to the violated policy that would allow what it blocked.
+   * Sources are added to the directive that governed each violation; when that was a
+   * fallback (default-src for img-src, script-src for script-src-elem), the specific
+   * directive is created from the fallback's sources so nothing else is loosened.
+   * @param {Array} violations - Aggregated violations from content.js
+   *   { directive, blockedURI, originalPolicy, count, sourceFile }
+   * @param {string} pageUrl - Page the violations came from ('self' is its origin)
+   * @returns {Object|null} { policy, suggested, changes, notes, diff }, null without violations
+   */
+  suggestPolicy(violations, pageUrl) {
+    if (!violations || violations.length === 0) return null;
+
+    // Pages can send several policies; suggest against the one violated most
+    const policyCounts = new Map();
+    violations.forEach(violation => {
+      const policy = (violation.originalPolicy || '').trim();
+      policyCounts.set(policy, (policyCounts.get(policy) || 0) + (violation.count || 1));
+    });
+    const policy = [...policyCounts.entries()].sort((a, b) => b[1] - a[1])[0][0];
+    const directives = this.parseCSP(policy);
+    const order = Object.keys(directives);
+
+    let pageOrigin = null;
+    try {
+      pageOrigin = new URL(pageUrl).origin;
+    } catch (e) {
+      // Sources are then never shortened to 'self'
+    }
+
+    const changes = new Map();
+    const notes = [];
+
+    violations
+      .filter(violation => (violation.originalPolicy || '').trim() === policy)
+      .forEach(violation => {
+        const directive = violation.directive || 'default-src';
+        const suggestion = this.getSuggestedSource(violation, directives, pageOrigin);
+        if (suggestion.note && !notes.includes(suggestion.note)) notes.push(suggestion.note);
+        if (!suggestion.source) return;
+
+        const target = suggestion.directive || this.getBaseDirective(directive);
+        const governing = this.getGoverningDirective(target, directives);
+        const current = changes.get(target)?.sources || directives[target] || (suggestion.standalone ? [] : directives[governing] || []);
+        if (this.sourceAllowed(suggestion.source, current, pageOrigin)) return;
+
+        if (!changes.has(target)) {
+          changes.set(target, {
+            directive: target,
+            created: !directives[target],
+            basedOn: !directives[target] && !suggestion.standalone ? governing : null,
+            sources: current.filter(source => source !== "'none'"),
+            added: [],
+            count: 0
+          });
+        }
+
+        const change = changes.get(target);
+        if (!change.added.includes(suggestion.source)) {
+          change.added.push(suggestion.source);
+          change.sources.push(suggestion.source);
+        }
+        change.count += violation.count || 1;
+      });
+
+    const updated = { ...directives };
+    changes.forEach(change => {
+      updated[change.directive] = change.sources;
+      if (!order.includes(change.directive)) order.push(change.directive);
+    });
+
+    const line = (name, sources) => [name, ...sources].join(' ');
+    const diff = [];
+    order.forEach(name => {
+      const change = changes.get(name);
+      if (!change) {
+        diff.push(`  ${line(name, directives[name])}`);
+        return;
+      }
+      if (!change.created) diff.push(`- ${line(name, directives[name])}`);
+      diff.push(`+ ${line(name, change.sources)}`);
+    });
+
+    return {
+      policy,
+      suggested: order.map(name => line(name, updated[name])).join('; '),
+      changes: [...changes.values()],
+      notes,
+      diff: diff.join('\n')
+    };
+  }
+
+  /**
+   * Source expression (and, for inline code and eval, the directive) that would allow a violation
+   * @private
+   */
+  getSuggestedSource(violation, directives, pageOrigin) {
+    const directive = violation.directive || '';
+    const blocked = violation.blockedURI || 'inline';
+    const base = this.getBaseDirective(directive);
+
+    if (blocked === 'eval' || blocked === 'wasm-eval') {
+      return {
+        source: blocked === 'eval' ? "'unsafe-eval'" : "'wasm-unsafe-eval'",
+        directive: 'script-src',
+        note: 'eval() was blocked - removing it from the code is safer than allowing it'
+      };
+    }
+
+    if (blocked === 'inline') {
+      // Inline event handlers and style attributes only need the -attr directive loosened
+      if (directive.endsWith('-attr')) {
+        return { source: "'unsafe-inline'", directive, standalone: true };
+      }
+      const governing = directives[base] || directives[this.getGoverningDirective(base, directives)] || [];
+      const usesNonces = governing.some(source => /^'nonce-/.test(source));
+      if (base === 'script-src' || usesNonces) {
+        return usesNonces
+          ? { source: null, note: `The policy already uses nonces: add the nonce attribute to the blocked inline ${base === 'script-src' ? '<script>' : '<style>'} elements` }
+          : { source: "'nonce-{RANDOM}'", note: 'Replace {RANDOM} with a fresh random nonce per response and add nonce="..." to each inline <script>' };
+      }
+      return { source: "'unsafe-inline'" };
+    }
+
+    if (!/^(https?|wss?|data|blob|filesystem|mediastream)(:|$)/i.test(blocked)) {
+      return { source: null, note: `"${blocked}" violations (${directive}) can't be fixed by allowing a source` };
+    }
+
+    const source = this.getViolationSource(blocked);
+    return { source: source === pageOrigin ? "'self'" : source };
+  }
+
+  /**
+   * script-src-elem -> script-src; frame-ancestors and other non-fetch directives stay
+   * @private
+   */
+  getBaseDirective(directive) {
+    return directive.replace(/-(elem|attr)$/, '');
+  }
+
+  /**
+   * The directive that applies when `directive` isn't in the policy (CSP level 3 fallbacks)
+   * @private
+   */
+  getGoverningDirective(directive, directives) {
+    const fallbacks = {
+      'script-src-elem': ['script-src', 'default-src'],
+      'script-src-attr': ['script-src', 'default-src'],
+      'style-src-elem': ['style-src', 'default-src'],
+      'style-src-attr': ['style-src', 'default-src'],
+      'worker-src': ['child-src', 'script-src', 'default-src'],
+      'frame-src': ['child-src', 'default-src']
+    };
+    const fetchDirectives = ['script-src', 'style-src', 'img-src', 'font-src', 'connect-src', 'media-src',
+      'object-src', 'manifest-src', 'child-src'];
+
+    if (directives[directive]) return directive;
+    const chain = fallbacks[directive] || (fetchDirectives.includes(directive) ? ['default-src'] : []);
+    return chain.find(name => directives[name]) || directive;
+  }
+
+  /**
+   * @private
+   */
+  sourceAllowed(source, sources, pageOrigin) {
+    if (sources.includes(source)) return true;
+    if (/^'/.test(source) || /^[a-z-]+:$/.test(source)) return false;
+    // Hosts are allowed by '*' (http/https/ws only) and by their scheme
+    if (sources.includes('*') && /^(https?|wss?):/.test(source)) return true;
+    return sources.includes(source.split('//')[0]) || (source === pageOrigin && sources.includes("'self'"));
+  }
+
+  // ============= HELPERS =============
+
+  /**
+   * Header name (lower case) -> value; repeated headers are joined like the browser does
+   * @private
+   */
+  normalizeHeaders(headers) {
+    const map = {};
+    const add = (name, value) => {
+      const key = name.toLowerCase();
+      if (key === 'set-cookie') return;
+      map[key] = map[key] ? `${map[key]}, ${value}` : value;
+    };
+
+    if (Array.isArray(headers)) {
+      headers.forEach(header => add(header.name, header.value || ''));
+    } else {
+      Object.entries(headers || {}).forEach(([name, value]) => add(name, value));
+    }
+    return map;
+  }
+
+  /**
+   * @returns {Object} directive -> source list; only the first occurrence of a directive counts
+   */
+  parseCSP(policy) {
+    const directives = {};
+    // Several policies (comma separated) all apply; the first one is the one checked
+    String(policy).split(',')[0].split(';').forEach(part => {
+      const [name, ...sources] = part.trim().split(/\s+/);
+      if (name && !directives[name.toLowerCase()]) {
+        directives[name.toLowerCase()] = sources;
+      }
+    });
+    return directives;
+  }
+
+  /**
+   * @private
+   */
+  finding(check, message, severity, remediation, selector = null) {
+    return { check, message, severity, remediation, selector };
+  }
+
+  /**
+   * @private
+   */
+  describeNode(node) {
+    if (!node || node.nodeType !== Node.ELEMENT_NODE) return null;
+    if (self.DarkVoirUtils) return self.DarkVoirUtils.generateSelector(node);
+    return node.tagName.toLowerCase();
+  }
+}
+
+// ============================================
+// GLOBAL INITIALIZATION
+// ============================================
+
+if (typeof self !== 'undefined') {
+  self.SecurityInspector = SecurityInspector;
+  self.securityInspector = new SecurityInspector();
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { SecurityInspector };
+}
+
+console.log('[Security Inspector] Module loaded');
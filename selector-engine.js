@@ -0,0 +1,353 @@
+/**
+ * Dark Voir AI Troubleshooter - Selector Engine
+ * The one place element selectors are made and resolved. Candidates come from test ids,
+ * stable ids, aria-labels, role + name attributes, stable classes and nth-of-type paths;
+ * each is checked for uniqueness and visibility, scored for stability and ranked, so a
+ * stored selector (and its alternatives) still finds the element after a re-render.
+ */
+
+class SelectorEngine {
+  constructor() {
+    this.testAttributes = ['data-testid', 'data-test-id', 'data-test', 'data-cy', 'data-qa'];
+    this.nameAttributes = ['name', 'title', 'placeholder', 'alt'];
+    this.scores = {
+      testid: 100,
+      id: 90,
+      aria: 80,
+      role: 70,
+      classes: 50,
+      path: 30
+    };
+    this.hiddenTwinPenalty = 15; // unique only among visible matches
+    this.maxClasses = 3;
+    this.maxValueLength = 80;
+    this.maxAlternatives = 5;
+    this.maxVisibilityChecks = 25;
+
+    // Framework-generated ids and CSS-in-JS / CSS module hashes change between builds or renders
+    this.generatedPrefixPattern = /^(:r|ember\d|react-|radix-|headlessui-|mui-|ng-|yui_|ext-gen|sc-|css-|jsx-|emotion-|svelte-)/i;
+    this.stateClassPattern = /^(is-|has-)|^(active|selected|open|opened|closed|hover|focus|focused|disabled|hidden|show|shown|visible|collapsed|expanded|current|checked|loading)$/i;
+  }
+
+  // ============= GENERATION =============
+
+  /**
+   * Best selector for an element. Inside shadow roots the hosts are prepended
+   * ('my-app >>> button.pay'), each with its own best selector.
+   * @param {HTMLElement} element - Element
+   * @returns {string} Selector, '' without an element
+   */
+  generate(element) {
+    return this.getCandidates(element, 1)[0]?.selector || '';
+  }
+
+  /**
+   * The best selectors for an element, most stable first
+   * @param {HTMLElement} element - Element
+   * @param {number} limit - Selectors to return
+   * @returns {Array} Selectors
+   */
+  getSelectors(element, limit = this.maxAlternatives) {
+    return this.getCandidates(element, limit).map(candidate => candidate.selector);
+  }
+
+  /**
+   * Ranked selector candidates. Only selectors that match the element alone - or alone among
+   * visible elements, at a penalty - are kept; in documents an nth-of-type path always is.
+   * @param {HTMLElement} element - Element
+   * @param {number} limit - Candidates to return
+   * @returns {Array} [{ selector, strategy, score, unique, visible }]
+   */
+  getCandidates(element, limit = this.maxAlternatives) {
+    if (!element || element.nodeType !== 1) return [];
+
+    try {
+      const root = element.getRootNode();
+      const visible = this.isRendered(element);
+      const seen = new Set();
+      const candidates = [];
+
+      this.buildLocalCandidates(element, root).forEach(({ selector, strategy }) => {
+        if (seen.has(selector)) return;
+        seen.add(selector);
+
+        const check = this.verify(selector, element, root);
+        if (!check.unique && !check.uniqueWhenVisible) return;
+
+        candidates.push({
+          selector,
+          strategy,
+          score: this.scoreSelector(selector, strategy, check.unique),
+          unique: check.unique,
+          visible
+        });
+      });
+
+      candidates.sort((a, b) => b.score - a.score);
+
+      // One host prefix for every candidate: the host's own best selector
+      const hostSelector = root.host ? this.generate(root.host) : '';
+      return candidates.slice(0, limit).map(candidate => hostSelector
+        ? { ...candidate, selector: `${hostSelector} >>> ${candidate.selector}` }
+        : candidate);
+    } catch (error) {
+      console.warn('[Selector Engine] Selector generation failed:', error);
+      return [{ selector: element.tagName.toLowerCase(), strategy: 'tag', score: 0, unique: false, visible: false }];
+    }
+  }
+
+  /**
+   * Selectors to try, within the element's own document or shadow root
+   * @private
+   */
+  buildLocalCandidates(element, root) {
+    const tag = element.tagName.toLowerCase();
+    const candidates = [];
+    const add = (selector, strategy) => {
+      if (selector) candidates.push({ selector, strategy });
+    };
+
+    this.testAttributes.forEach(attribute => {
+      const value = element.getAttribute(attribute);
+      if (this.isUsableValue(value)) add(`[${attribute}="${this.escapeValue(value)}"]`, 'testid');
+    });
+
+    if (this.isStableToken(element.id)) {
+      add(`#${this.escapeIdentifier(element.id)}`, 'id');
+    }
+
+    const ariaLabel = element.getAttribute('aria-label');
+    if (this.isUsableValue(ariaLabel)) {
+      add(`${tag}[aria-label="${this.escapeValue(ariaLabel)}"]`, 'aria');
+    }
+
+    // Role (explicit, else the tag) plus an attribute that names the element
+    const role = element.getAttribute('role');
+    const roleSelector = role ? `${tag}[role="${this.escapeValue(role)}"]` : tag;
+    this.nameAttributes.forEach(attribute => {
+      const value = element.getAttribute(attribute);
+      if (this.isUsableValue(value)) add(`${roleSelector}[${attribute}="${this.escapeValue(value)}"]`, 'role');
+    });
+    if (tag === 'a') {
+      const href = element.getAttribute('href');
+      if (this.isUsableValue(href) && !/^(javascript:|#$)/i.test(href)) add(`a[href="${this.escapeValue(href)}"]`, 'role');
+    }
+
+    // Stable classes, fewest first
+    const classes = this.getStableClasses(element);
+    for (let count = 1; count <= Math.min(classes.length, this.maxClasses); count++) {
+      const selector = `${tag}.${classes.slice(0, count).map(name => this.escapeIdentifier(name)).join('.')}`;
+      add(selector, 'classes');
+      if (this.verify(selector, element, root).unique) break;
+    }
+
+    add(this.buildPath(element, root), 'path');
+    return candidates;
+  }
+
+  /**
+   * nth-of-type path from the nearest ancestor with a stable id or test id (or the root),
+   * e.g. '#checkout > div:nth-of-type(2) > button'. Inside shadow roots without an anchor the
+   * path may also match deeper elements; verify() drops it then.
+   * @private
+   */
+  buildPath(element, root) {
+    const steps = [];
+    let current = element;
+
+    while (current && current.nodeType === 1 && current !== root) {
+      const anchor = current !== element ? this.getAnchorSelector(current) : '';
+      if (anchor) {
+        steps.unshift(anchor);
+        break;
+      }
+
+      const tag = current.tagName.toLowerCase();
+      const siblings = current.parentNode ? Array.from(current.parentNode.children) : [];
+      const sameTag = siblings.filter(child => child.tagName === current.tagName);
+      steps.unshift(sameTag.length > 1 ? `${tag}:nth-of-type(${sameTag.indexOf(current) + 1})` : tag);
+
+      // <html> and shadow root children have no parentElement; the path starts there
+      current = current.parentElement;
+    }
+
+    return steps.join(' > ');
+  }
+
+  /**
+   * An id or test id selector for a path anchor, when it is stable and unique
+   * @private
+   */
+  getAnchorSelector(element) {
+    if (!element || element.nodeType !== 1) return '';
+
+    const root = element.getRootNode();
+    for (const attribute of this.testAttributes) {
+      const value = element.getAttribute(attribute);
+      if (this.isUsableValue(value)) {
+        const selector = `[${attribute}="${this.escapeValue(value)}"]`;
+        if (this.verify(selector, element, root).unique) return selector;
+      }
+    }
+
+    if (this.isStableToken(element.id)) {
+      const selector = `#${this.escapeIdentifier(element.id)}`;
+      if (this.verify(selector, element, root).unique) return selector;
+    }
+    return '';
+  }
+
+  // ============= VERIFICATION =============
+
+  /**
+   * Whether a local selector picks out the element in its root
+   * @param {string} selector - Selector without '>>>'
+   * @param {HTMLElement} element - Element it should match
+   * @param {Document|ShadowRoot} root - Element's root
+   * @returns {Object} { unique, uniqueWhenVisible, matches }
+   */
+  verify(selector, element, root = element.getRootNode()) {
+    let matches;
+    try {
+      matches = Array.from(root.querySelectorAll(selector));
+    } catch (error) {
+      return { unique: false, uniqueWhenVisible: false, matches: 0 };
+    }
+
+    if (!matches.includes(element)) {
+      return { unique: false, uniqueWhenVisible: false, matches: matches.length };
+    }
+
+    // Style checks on every match of a broad selector would cost more than the selector is worth
+    const visibleMatches = matches.length > 1 && matches.length <= this.maxVisibilityChecks
+      ? matches.filter(match => this.isRendered(match))
+      : [];
+    return {
+      unique: matches.length === 1,
+      uniqueWhenVisible: matches.length === 1 || (visibleMatches.length === 1 && visibleMatches[0] === element),
+      matches: matches.length
+    };
+  }
+
+  /**
+   * Stability score: the strategy's base, less penalties for hidden twins and length
+   * @private
+   */
+  scoreSelector(selector, strategy, unique) {
+    let score = this.scores[strategy] || 0;
+    if (!unique) score -= this.hiddenTwinPenalty;
+    if (strategy === 'path') score -= (selector.match(/>/g) || []).length * 2;
+    score -= Math.floor(selector.length / 40);
+    return Math.max(score, 0);
+  }
+
+  /**
+   * Rendered with a size and not hidden by style (not necessarily in the viewport)
+   * @private
+   */
+  isRendered(element) {
+    try {
+      const rect = element.getBoundingClientRect();
+      const style = element.ownerDocument.defaultView.getComputedStyle(element);
+      return rect.width > 0 &&
+             rect.height > 0 &&
+             style.display !== 'none' &&
+             style.visibility !== 'hidden' &&
+             style.opacity !== '0';
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // ============= RESOLUTION =============
+
+  /**
+   * The element a stored selector list points at: the first selector that matches wins,
+   * preferring its first visible match. Invalid selectors are skipped.
+   * @param {string|Array} selectors - Selector, or selectors in ranked order
+   * @param {Document|ShadowRoot} root - Where to start
+   * @returns {HTMLElement|null} Element
+   */
+  resolve(selectors, root = document) {
+    const list = (Array.isArray(selectors) ? selectors : [selectors]).filter(Boolean);
+    let hiddenMatch = null;
+
+    for (const selector of list) {
+      let matches;
+      try {
+        matches = typeof window.DarkVoirUtils !== 'undefined'
+          ? window.DarkVoirUtils.deepQuerySelectorAll(selector, root)
+          : Array.from(root.querySelectorAll(selector));
+      } catch (error) {
+        continue;
+      }
+
+      const visibleMatch = matches.find(match => this.isRendered(match));
+      if (visibleMatch) return visibleMatch;
+      hiddenMatch = hiddenMatch || matches[0] || null;
+    }
+
+    return hiddenMatch;
+  }
+
+  // ============= VALUES =============
+
+  /**
+   * @private
+   */
+  getStableClasses(element) {
+    if (typeof element.className !== 'string') return [];
+    return element.className.trim().split(/\s+/)
+      .filter(name => name && !name.startsWith('dark-voir') && !this.stateClassPattern.test(name) && this.isStableToken(name));
+  }
+
+  /**
+   * Ids and class names that look hand-written rather than generated
+   * @private
+   */
+  isStableToken(value) {
+    if (!value || typeof value !== 'string' || value.length > this.maxValueLength) return false;
+    if (this.generatedPrefixPattern.test(value)) return false;
+    if (/\d{4,}/.test(value)) return false;
+    // Hash segments: Button_root__3xK9a, card-a8f3e2
+    return !value.split(/[-_]+/).some(part => part.length >= 5 && /\d/.test(part) && /[a-z]/i.test(part));
+  }
+
+  /**
+   * @private
+   */
+  isUsableValue(value) {
+    return typeof value === 'string' && value.trim().length > 0 && value.length <= this.maxValueLength && !/[\n\r]/.test(value);
+  }
+
+  /**
+   * @private
+   */
+  escapeIdentifier(value) {
+    return typeof CSS !== 'undefined' && CSS.escape
+      ? CSS.escape(value)
+      : String(value).replace(/([^a-zA-Z0-9_-])/g, '\\$1');
+  }
+
+  /**
+   * @private
+   */
+  escapeValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+  }
+}
+
+// ============= INITIALIZATION =============
+
+const selectorEngine = new SelectorEngine();
+
+if (typeof window !== 'undefined') {
+  window.DarkVoirSelectorEngine = SelectorEngine;
+  window.selectorEngine = selectorEngine;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { SelectorEngine, selectorEngine };
+}
+
+console.log('[Selector Engine] Module loaded');
@@ -0,0 +1,476 @@
+/**
+ * Dark Voir AI Troubleshooter - SEO Scanner
+ * Validates the page's search and sharing metadata (title, description, canonical, robots,
+ * Open Graph / Twitter cards, hreflang, headings, JSON-LD, images) and scores it out of 100
+ */
+
+class SEOScanner {
+  constructor() {
+    // Check id -> [label, weight in the score]
+    this.checks = {
+      title: ['Title', 15],
+      description: ['Meta description', 10],
+      canonical: ['Canonical URL', 10],
+      robots: ['Robots directives', 15],
+      openGraph: ['Open Graph', 10],
+      twitter: ['Twitter card', 5],
+      hreflang: ['hreflang', 5],
+      headings: ['H1 heading', 10],
+      structuredData: ['Structured data', 10],
+      images: ['Image dimensions', 10]
+    };
+
+    this.titleLength = [10, 60];
+    this.descriptionLength = [50, 160];
+    this.twitterCards = ['summary', 'summary_large_image', 'app', 'player'];
+
+    // schema.org types worth checking, with the properties search engines need for rich results
+    this.schemaTypes = {
+      Article: ['headline'],
+      NewsArticle: ['headline'],
+      BlogPosting: ['headline'],
+      Product: ['name'],
+      Offer: ['price', 'priceCurrency'],
+      Organization: ['name'],
+      LocalBusiness: ['name', 'address'],
+      Person: ['name'],
+      WebSite: ['name'],
+      WebPage: [],
+      BreadcrumbList: ['itemListElement'],
+      ListItem: ['position'],
+      FAQPage: ['mainEntity'],
+      Question: ['name', 'acceptedAnswer'],
+      Answer: ['text'],
+      HowTo: ['name', 'step'],
+      Event: ['name', 'startDate', 'location'],
+      Recipe: ['name', 'image'],
+      Review: ['itemReviewed', 'author'],
+      AggregateRating: ['ratingValue'],
+      VideoObject: ['name', 'thumbnailUrl', 'uploadDate'],
+      ImageObject: [],
+      JobPosting: ['title', 'datePosted', 'description', 'hiringOrganization'],
+      Course: ['name', 'description'],
+      SoftwareApplication: ['name'],
+      SearchAction: ['target'],
+      ContactPoint: [],
+      PostalAddress: [],
+      Place: [],
+      Brand: [],
+      Thing: []
+    };
+
+    this.oversizedFactor = 2; // intrinsic size this many times the rendered size is wasted bytes
+    this.maxImageFindings = 10;
+  }
+
+  // ============= PUBLIC API =============
+
+  /**
+   * Run every check
+   * @returns {Object} { score, checks: [{ id, label, weight, status: 'pass'|'warn'|'fail', problems }],
+   *   findings: [{ check, label, status, message, selector }] }
+   */
+  scan() {
+    const runners = {
+      title: () => this.checkTitle(),
+      description: () => this.checkDescription(),
+      canonical: () => this.checkCanonical(),
+      robots: () => this.checkRobots(),
+      openGraph: () => this.checkOpenGraph(),
+      twitter: () => this.checkTwitter(),
+      hreflang: () => this.checkHreflang(),
+      headings: () => this.checkHeadings(),
+      structuredData: () => this.checkStructuredData(),
+      images: () => this.checkImages()
+    };
+    const checks = [];
+    const findings = [];
+
+    Object.entries(this.checks).forEach(([id, [label, weight]]) => {
+      let problems = [];
+      try {
+        problems = runners[id]();
+      } catch (error) {
+        console.warn(`[SEO Scanner] Check ${id} failed:`, error);
+      }
+
+      const status = problems.some(problem => problem.status === 'fail') ? 'fail'
+        : problems.length > 0 ? 'warn' : 'pass';
+      checks.push({ id, label, weight, status, problems: problems.map(problem => problem.message) });
+      problems.forEach(problem => findings.push({ check: id, label, ...problem }));
+    });
+
+    return { score: this.score(checks), checks, findings };
+  }
+
+  /**
+   * Weighted score: a passing check earns its weight, a warning half of it
+   * @private
+   */
+  score(checks) {
+    const total = checks.reduce((sum, check) => sum + check.weight, 0);
+    const earned = checks.reduce((sum, check) => {
+      return sum + (check.status === 'pass' ? check.weight : check.status === 'warn' ? check.weight / 2 : 0);
+    }, 0);
+    return total > 0 ? Math.round(earned / total * 100) : 100;
+  }
+
+  // ============= CHECKS =============
+
+  /**
+   * @private
+   */
+  checkTitle() {
+    const titles = document.querySelectorAll('head title');
+    const title = document.title.trim();
+
+    if (!title) return [this.fail('Page has no <title>')];
+
+    const problems = [];
+    if (titles.length > 1) {
+      problems.push(this.fail(`Page has ${titles.length} <title> elements`));
+    }
+    const [min, max] = this.titleLength;
+    if (title.length < min || title.length > max) {
+      problems.push(this.warn(`Title is ${title.length} characters, aim for ${min}-${max}: "${title.substring(0, 70)}"`));
+    }
+    return problems;
+  }
+
+  /**
+   * @private
+   */
+  checkDescription() {
+    const tags = document.querySelectorAll('meta[name="description" i]');
+    if (tags.length === 0) return [this.fail('Page has no meta description')];
+
+    const problems = [];
+    if (tags.length > 1) {
+      problems.push(this.fail(`Page has ${tags.length} meta descriptions`));
+    }
+    const description = (tags[0].getAttribute('content') || '').trim();
+    const [min, max] = this.descriptionLength;
+    if (!description) {
+      problems.push(this.fail('Meta description is empty'));
+    } else if (description.length < min || description.length > max) {
+      problems.push(this.warn(`Meta description is ${description.length} characters, aim for ${min}-${max}`));
+    }
+    return problems;
+  }
+
+  /**
+   * @private
+   */
+  checkCanonical() {
+    const links = document.querySelectorAll('link[rel="canonical" i]');
+    if (links.length === 0) return [this.warn('Page has no canonical URL')];
+    if (links.length > 1) return [this.fail(`Page has ${links.length} canonical links - search engines ignore them all`)];
+
+    const href = links[0].getAttribute('href') || '';
+    if (!/^https?:\/\//i.test(href)) {
+      return [this.fail(`Canonical URL should be absolute: "${href || '(empty)'}"`)];
+    }
+
+    const problems = [];
+    const canonical = new URL(href);
+    if (canonical.origin !== location.origin) {
+      problems.push(this.warn(`Canonical URL points to another site: ${canonical.origin}`));
+    }
+    if (this.getRobots().has('noindex')) {
+      problems.push(this.warn('Canonical URL on a noindex page sends mixed signals'));
+    }
+    return problems;
+  }
+
+  /**
+   * @private
+   */
+  checkRobots() {
+    const directives = this.getRobots();
+    const problems = [];
+
+    if (directives.has('noindex') || directives.has('none')) {
+      problems.push(this.fail('Page is excluded from search results (noindex)'));
+    }
+    if (directives.has('nofollow')) {
+      problems.push(this.warn('Links on this page are not followed (nofollow)'));
+    }
+    if (directives.has('index') && directives.has('noindex')) {
+      problems.push(this.fail('Robots directives conflict: both index and noindex'));
+    }
+    return problems;
+  }
+
+  /**
+   * @private
+   */
+  checkOpenGraph() {
+    const problems = [];
+    const missing = ['og:title', 'og:description', 'og:image', 'og:url'].filter(property => !this.getMeta(property));
+    if (missing.length > 0) {
+      problems.push(this.warn(`Open Graph tags missing: ${missing.join(', ')}`));
+    }
+
+    ['og:image', 'og:url'].forEach(property => {
+      const value = this.getMeta(property);
+      if (value && !/^https?:\/\//i.test(value)) {
+        problems.push(this.fail(`${property} must be an absolute URL: "${value.substring(0, 80)}"`));
+      }
+    });
+    return problems;
+  }
+
+  /**
+   * @private
+   */
+  checkTwitter() {
+    const card = this.getMeta('twitter:card');
+    if (!card) {
+      // X falls back to Open Graph, but only shows a small card without twitter:card
+      return [this.warn('No twitter:card tag')];
+    }
+    if (!this.twitterCards.includes(card)) {
+      return [this.fail(`twitter:card "${card}" is not one of ${this.twitterCards.join(', ')}`)];
+    }
+    if (card === 'summary_large_image' && !this.getMeta('twitter:image') && !this.getMeta('og:image')) {
+      return [this.fail('twitter:card is summary_large_image but there is no image')];
+    }
+    return [];
+  }
+
+  /**
+   * hreflang alternates: valid codes, one URL per code, and a link back to this page
+   * @private
+   */
+  checkHreflang() {
+    const links = Array.from(document.querySelectorAll('link[rel="alternate" i][hreflang]'));
+    if (links.length === 0) return [];
+
+    const problems = [];
+    const byLang = new Map();
+
+    links.forEach(link => {
+      const lang = (link.getAttribute('hreflang') || '').trim();
+      const href = link.getAttribute('href') || '';
+
+      if (lang.toLowerCase() !== 'x-default' && !/^[a-z]{2,3}(-[a-z]{4})?(-([a-z]{2}|\d{3}))?$/i.test(lang)) {
+        problems.push(this.fail(`Invalid hreflang code "${lang}"`));
+      }
+      if (!/^https?:\/\//i.test(href)) {
+        problems.push(this.fail(`hreflang "${lang}" URL should be absolute: "${href || '(empty)'}"`));
+      }
+
+      const key = lang.toLowerCase();
+      if (byLang.has(key) && byLang.get(key) !== href) {
+        problems.push(this.fail(`hreflang "${lang}" points to more than one URL`));
+      }
+      byLang.set(key, href);
+    });
+
+    const self = this.normalizeUrl(this.getCanonical() || location.href);
+    if (!links.some(link => this.normalizeUrl(link.href) === self)) {
+      problems.push(this.warn('hreflang set has no entry for this page itself'));
+    }
+    return problems;
+  }
+
+  /**
+   * @private
+   */
+  checkHeadings() {
+    const headings = Array.from(document.querySelectorAll('h1')).filter(h1 => h1.getClientRects().length > 0);
+
+    if (headings.length === 0) return [this.warn('Page has no visible H1')];
+    if (headings.length > 1) {
+      return [this.warn(`Page has ${headings.length} H1 headings`, this.describeNode(headings[1]))];
+    }
+    if (!headings[0].textContent.trim()) {
+      return [this.warn('H1 is empty', this.describeNode(headings[0]))];
+    }
+    return [];
+  }
+
+  /**
+   * JSON-LD blocks: parse errors, schema.org context, known types and their key properties
+   * @private
+   */
+  checkStructuredData() {
+    const problems = [];
+
+    document.querySelectorAll('script[type="application/ld+json" i]').forEach((script, index) => {
+      let data;
+      try {
+        data = JSON.parse(script.textContent);
+      } catch (error) {
+        problems.push(this.fail(`JSON-LD block ${index + 1} does not parse: ${error.message}`));
+        return;
+      }
+
+      const roots = Array.isArray(data) ? data : [data];
+      roots.forEach(root => {
+        if (!root || typeof root !== 'object') return;
+
+        const context = JSON.stringify(root['@context'] || '');
+        if (!/schema\.org/i.test(context)) {
+          problems.push(this.warn(`JSON-LD block ${index + 1} has no schema.org @context`));
+        }
+
+        const entities = Array.isArray(root['@graph']) ? root['@graph'] : [root];
+        entities.forEach(entity => this.checkEntity(entity, `block ${index + 1}`, problems));
+      });
+    });
+
+    return problems.slice(0, 15);
+  }
+
+  /**
+   * @private
+   */
+  checkEntity(entity, location, problems, depth = 0) {
+    if (!entity || typeof entity !== 'object' || depth > 3) return;
+
+    const types = [].concat(entity['@type'] || []);
+    if (types.length === 0 && depth === 0) {
+      problems.push(this.warn(`JSON-LD ${location} has no @type`));
+    }
+
+    types.forEach(type => {
+      const name = String(type).replace(/^https?:\/\/schema\.org\//i, '');
+      const required = this.schemaTypes[name];
+      if (!required) {
+        if (depth === 0) problems.push(this.warn(`JSON-LD ${location}: "${name}" is not a schema.org type this scanner knows`));
+        return;
+      }
+
+      const missing = required.filter(property => entity[property] === undefined || entity[property] === '');
+      if (missing.length > 0) {
+        problems.push(this.fail(`JSON-LD ${location}: ${name} is missing ${missing.join(', ')}`));
+      }
+    });
+
+    // Nested entities (offers, author, itemListElement, ...)
+    Object.entries(entity).forEach(([key, value]) => {
+      if (key.startsWith('@')) return;
+      [].concat(value).forEach(child => {
+        if (child && typeof child === 'object' && child['@type']) {
+          this.checkEntity(child, location, problems, depth + 1);
+        }
+      });
+    });
+  }
+
+  /**
+   * Images without width/height (layout shift while loading) and images far larger than shown
+   * @private
+   */
+  checkImages() {
+    const problems = [];
+    const images = Array.from(document.querySelectorAll('img')).filter(img => img.getClientRects().length > 0);
+
+    const unsized = images.filter(img => {
+      const style = img.style;
+      return !(img.hasAttribute('width') && img.hasAttribute('height')) && !(style.width && style.height) && !style.aspectRatio;
+    });
+    if (unsized.length > 0) {
+      problems.push(this.warn(`${unsized.length} image(s) have no width/height attributes and shift the layout while loading`,
+        this.describeNode(unsized[0])));
+    }
+
+    images
+      .filter(img => img.complete && img.naturalWidth > 0 && img.clientWidth > 0 &&
+        img.naturalWidth > img.clientWidth * this.oversizedFactor * (window.devicePixelRatio || 1))
+      .slice(0, this.maxImageFindings)
+      .forEach(img => {
+        problems.push(this.warn(`Image is ${img.naturalWidth}x${img.naturalHeight} but shown at ${img.clientWidth}x${img.clientHeight}: ${String(img.currentSrc || img.src).substring(0, 60)}`,
+          this.describeNode(img)));
+      });
+
+    return problems;
+  }
+
+  // ============= HELPERS =============
+
+  /**
+   * @private
+   */
+  getMeta(key) {
+    const metadata = window.DarkVoirUtils ? window.DarkVoirUtils.getPageMetadata() : {};
+    if (metadata[key] !== undefined) return metadata[key].trim();
+
+    const tag = document.querySelector(`meta[property="${key}"], meta[name="${key}"]`);
+    return tag?.getAttribute('content')?.trim() || '';
+  }
+
+  /**
+   * Directives from meta robots and googlebot
+   * @private
+   */
+  getRobots() {
+    const directives = new Set();
+    document.querySelectorAll('meta[name="robots" i], meta[name="googlebot" i]').forEach(tag => {
+      (tag.getAttribute('content') || '').toLowerCase().split(',').forEach(value => {
+        if (value.trim()) directives.add(value.trim());
+      });
+    });
+    return directives;
+  }
+
+  /**
+   * @private
+   */
+  getCanonical() {
+    const link = document.querySelector('link[rel="canonical" i]');
+    return link ? link.href : null;
+  }
+
+  /**
+   * @private
+   */
+  normalizeUrl(url) {
+    try {
+      const parsed = new URL(url, location.href);
+      parsed.hash = '';
+      return parsed.href.replace(/\/$/, '');
+    } catch (e) {
+      return url;
+    }
+  }
+
+  /**
+   * @private
+   */
+  fail(message, selector = null) {
+    return { status: 'fail', message, selector };
+  }
+
+  /**
+   * @private
+   */
+  warn(message, selector = null) {
+    return { status: 'warn', message, selector };
+  }
+
+  /**
+   * @private
+   */
+  describeNode(node) {
+    if (!node || node.nodeType !== Node.ELEMENT_NODE) return null;
+    if (window.DarkVoirUtils) return window.DarkVoirUtils.generateSelector(node);
+    return node.tagName.toLowerCase();
+  }
+}
+
+// ============= INITIALIZATION =============
+
+const seoScanner = new SEOScanner();
+
+if (typeof window !== 'undefined') {
+  window.DarkVoirSEOScanner = SEOScanner;
+  window.seoScanner = seoScanner;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { SEOScanner, seoScanner };
+}
+
+console.log('[SEO Scanner] Module loaded');
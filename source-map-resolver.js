@@ -0,0 +1,451 @@
+/**
+ * Dark Voir AI Troubleshooter - Source Map Resolver
+ * Maps minified stack frames back to original file/line/column with source snippets
+ */
+
+const SOURCE_MAP_BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+class SourceMapResolver {
+  constructor() {
+    this.maps = new Map();          // script URL -> parsed map (or null when none was found)
+    this.pending = new Map();       // script URL -> in-flight load
+    this.uploadedMaps = null;       // cached dark_voir_source_maps
+    this.maxCachedMaps = 20;
+    this.maxFrames = 10;
+    this.contextLines = 2;
+    this.fetchTimeout = 5000;
+    this.maxMapSize = 4 * 1024 * 1024;
+    this.storageKey = 'dark_voir_source_maps';
+  }
+
+  // ============= PUBLIC API =============
+
+  /**
+   * Resolve an issue's stack (or its filename/lineno/colno) through source maps
+   * @param {Object} issue - Issue with stack or filename/lineno/colno
+   * @returns {Promise<Object|null>} { frames, text } or null when nothing could be resolved
+   */
+  async resolveIssue(issue) {
+    let frames = this.parseStack(issue.stack);
+
+    // Errors without a stack still carry the failing position
+    if (frames.length === 0 && issue.filename && issue.lineno) {
+      frames = [{
+        functionName: null,
+        url: issue.filename,
+        line: issue.lineno,
+        column: issue.colno || 1
+      }];
+    }
+
+    if (frames.length === 0) return null;
+
+    try {
+      const resolved = await Promise.all(frames.slice(0, this.maxFrames).map(frame => this.resolveFrame(frame)));
+      if (!resolved.some(frame => frame.resolved)) return null;
+
+      return {
+        frames: resolved,
+        text: this.formatStack(issue, resolved)
+      };
+    } catch (error) {
+      console.warn('[Source Maps] Stack resolution failed:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Forget cached maps (after uploads change or on demand)
+   */
+  clearCache() {
+    this.maps.clear();
+    this.uploadedMaps = null;
+  }
+
+  // ============= STACK PARSING =============
+
+  /**
+   * Parse V8 ("at fn (url:line:col)") and Firefox/Safari ("fn@url:line:col") frames
+   * @param {string} stack - Stack trace
+   * @returns {Array} { functionName, url, line, column }
+   */
+  parseStack(stack) {
+    if (!stack) return [];
+
+    const frames = [];
+    String(stack).split('\n').forEach(line => {
+      const match = line.match(/^\s*at\s+(?:(.*?)\s+\()?(.+?):(\d+):(\d+)\)?\s*$/) ||
+        line.match(/^\s*(.*?)@(.+?):(\d+):(\d+)\s*$/);
+      if (!match) return;
+
+      frames.push({
+        functionName: match[1] || null,
+        url: match[2].replace(/^async\s+/, ''),
+        line: parseInt(match[3], 10),
+        column: parseInt(match[4], 10)
+      });
+    });
+
+    return frames;
+  }
+
+  formatStack(issue, frames) {
+    // Keep the "TypeError: ..." line of the original stack
+    const firstLine = String(issue.stack || '').split('\n')[0];
+    const header = firstLine && this.parseStack(firstLine).length === 0
+      ? firstLine
+      : `Error: ${issue.message || ''}`;
+
+    const lines = frames.map(frame => {
+      // The mapped name is the identifier at the position, so only use it for anonymous frames
+      const name = frame.functionName || frame.name;
+      const location = frame.resolved
+        ? `${frame.source}:${frame.originalLine}:${frame.originalColumn}`
+        : `${frame.url}:${frame.line}:${frame.column}`;
+      return name ? `    at ${name} (${location})` : `    at ${location}`;
+    });
+
+    return [header, ...lines].join('\n');
+  }
+
+  // ============= FRAME RESOLUTION =============
+
+  async resolveFrame(frame) {
+    const map = await this.getMap(frame.url);
+    if (!map) return { ...frame, resolved: false };
+
+    // Stack positions are 1-based, source map positions 0-based
+    const mapping = this.lookup(map, frame.line - 1, frame.column - 1);
+    if (!mapping || mapping.sourceIndex === undefined) {
+      return { ...frame, resolved: false };
+    }
+
+    return {
+      ...frame,
+      resolved: true,
+      source: mapping.map.sources[mapping.sourceIndex],
+      originalLine: mapping.sourceLine + 1,
+      originalColumn: mapping.sourceColumn + 1,
+      name: mapping.nameIndex !== undefined ? mapping.map.names[mapping.nameIndex] : null,
+      snippet: this.getSnippet(mapping.map, mapping.sourceIndex, mapping.sourceLine)
+    };
+  }
+
+  /**
+   * Find the mapping segment covering a generated position
+   * @private
+   */
+  lookup(map, line, column) {
+    // Index maps: pick the last section starting at or before the position
+    if (map.sections) {
+      let section = null;
+      for (const candidate of map.sections) {
+        const { offset } = candidate;
+        if (offset.line < line || (offset.line === line && offset.column <= column)) {
+          section = candidate;
+        } else {
+          break;
+        }
+      }
+      if (!section) return null;
+
+      const sectionColumn = line === section.offset.line ? column - section.offset.column : column;
+      return this.lookup(section.map, line - section.offset.line, sectionColumn);
+    }
+
+    const segments = map.lines[line];
+    if (!segments || segments.length === 0) return null;
+
+    // Binary search for the last segment at or before the column
+    let low = 0;
+    let high = segments.length - 1;
+    let found = -1;
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (segments[mid][0] <= column) {
+        found = mid;
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+
+    // A column before the first segment is unmapped
+    if (found === -1) return null;
+
+    const segment = segments[found];
+    if (segment.length < 4) return null;
+
+    return {
+      map: map,
+      sourceIndex: segment[1],
+      sourceLine: segment[2],
+      sourceColumn: segment[3],
+      nameIndex: segment[4]
+    };
+  }
+
+  getSnippet(map, sourceIndex, sourceLine) {
+    const content = map.sourcesContent?.[sourceIndex];
+    if (!content) return null;
+
+    const lines = content.split('\n');
+    const start = Math.max(0, sourceLine - this.contextLines);
+    const end = Math.min(lines.length - 1, sourceLine + this.contextLines);
+    const width = String(end + 1).length;
+
+    const snippet = [];
+    for (let i = start; i <= end; i++) {
+      const marker = i === sourceLine ? '>' : ' ';
+      snippet.push(`${marker} ${String(i + 1).padStart(width)} | ${lines[i].substring(0, 200)}`);
+    }
+    return snippet.join('\n');
+  }
+
+  // ============= MAP LOADING =============
+
+  /**
+   * Parsed source map for a script, from uploads first, then the network
+   * @param {string} scriptUrl - Script URL from the stack frame
+   * @returns {Promise<Object|null>}
+   */
+  async getMap(scriptUrl) {
+    if (!scriptUrl || !/^https?:/.test(scriptUrl)) return null;
+
+    if (this.maps.has(scriptUrl)) return this.maps.get(scriptUrl);
+    if (this.pending.has(scriptUrl)) return this.pending.get(scriptUrl);
+
+    const load = (async () => {
+      let map = null;
+      try {
+        map = await this.loadUploadedMap(scriptUrl) || await this.fetchMap(scriptUrl);
+      } catch (error) {
+        console.warn('[Source Maps] Could not load map for', scriptUrl, error.message);
+      }
+
+      // Cache misses too, so every error on the page doesn't refetch the script
+      if (this.maps.size >= this.maxCachedMaps) {
+        this.maps.delete(this.maps.keys().next().value);
+      }
+      this.maps.set(scriptUrl, map);
+      this.pending.delete(scriptUrl);
+      return map;
+    })();
+
+    this.pending.set(scriptUrl, load);
+    return load;
+  }
+
+  /**
+   * Look for a map uploaded in Settings, by script URL or file name
+   * @private
+   */
+  async loadUploadedMap(scriptUrl) {
+    if (!this.uploadedMaps) {
+      const result = await chrome.storage.local.get(this.storageKey);
+      this.uploadedMaps = result[this.storageKey] || {};
+    }
+
+    const fileName = SourceMapResolver.getFileName(scriptUrl);
+    const entry = this.uploadedMaps[scriptUrl] || Object.values(this.uploadedMaps).find(uploaded =>
+      uploaded.scriptUrl === scriptUrl ||
+      (!uploaded.scriptUrl && SourceMapResolver.getFileName(uploaded.file) === fileName)
+    );
+    if (!entry) return null;
+
+    return this.parseMap(JSON.parse(entry.map), scriptUrl);
+  }
+
+  /**
+   * Follow the SourceMap header or the sourceMappingURL comment of a script
+   * @private
+   */
+  async fetchMap(scriptUrl) {
+    const response = await this.fetchWithTimeout(scriptUrl);
+    let mapUrl = response.headers.get('SourceMap') || response.headers.get('X-SourceMap');
+
+    if (!mapUrl) {
+      const script = await response.text();
+      // The last sourceMappingURL comment wins
+      const matches = [...script.matchAll(/\/\/[#@]\s*sourceMappingURL=\s*(\S+)\s*$/gm)];
+      mapUrl = matches.length > 0 ? matches[matches.length - 1][1] : null;
+    }
+
+    if (!mapUrl) return null;
+
+    if (mapUrl.startsWith('data:')) {
+      // Base64 takes 4 characters for every 3 bytes
+      if (mapUrl.length > Math.ceil(this.maxMapSize * 4 / 3) + 100) {
+        throw new Error('Source map too large');
+      }
+      const base64 = mapUrl.match(/^data:[^,]*;base64,(.*)$/);
+      const json = base64 ? atob(base64[1]) : decodeURIComponent(mapUrl.substring(mapUrl.indexOf(',') + 1));
+      return this.parseMap(JSON.parse(json), scriptUrl);
+    }
+
+    const absoluteMapUrl = new URL(mapUrl, scriptUrl).href;
+    const mapResponse = await this.fetchWithTimeout(absoluteMapUrl);
+    // Refuse declared oversize maps before downloading them
+    const declaredSize = Number(mapResponse.headers.get('Content-Length'));
+    if (declaredSize > this.maxMapSize) {
+      throw new Error('Source map too large');
+    }
+    const text = await mapResponse.text();
+    if (text.length > this.maxMapSize) {
+      throw new Error('Source map too large');
+    }
+
+    // Some servers prefix maps with an XSSI guard
+    return this.parseMap(JSON.parse(text.replace(/^\)\]\}'[^\n]*\n/, '')), absoluteMapUrl);
+  }
+
+  async fetchWithTimeout(url) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.fetchTimeout);
+
+    try {
+      const response = await fetch(url, { signal: controller.signal, credentials: 'omit' });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status} for ${url}`);
+      }
+      return response;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // ============= MAP PARSING =============
+
+  /**
+   * Parse a v3 source map (regular or indexed) into a lookup structure
+   * @param {Object} raw - Source map JSON
+   * @param {string} mapUrl - URL the map was loaded from (for resolving sources)
+   * @returns {Object} { sources, sourcesContent, names, lines } or { sections }
+   */
+  parseMap(raw, mapUrl) {
+    if (!raw || raw.version !== 3) {
+      throw new Error('Unsupported source map version');
+    }
+
+    if (Array.isArray(raw.sections)) {
+      return {
+        sections: raw.sections
+          .filter(section => section.map)
+          .map(section => ({
+            offset: section.offset || { line: 0, column: 0 },
+            map: this.parseMap(section.map, mapUrl)
+          }))
+      };
+    }
+
+    const sourceRoot = raw.sourceRoot ? raw.sourceRoot.replace(/\/?$/, '/') : '';
+    const sources = (raw.sources || []).map(source => {
+      const path = sourceRoot + (source || '');
+      try {
+        return new URL(path, mapUrl).href;
+      } catch (e) {
+        return path;
+      }
+    });
+
+    return {
+      sources: sources,
+      sourcesContent: raw.sourcesContent || [],
+      names: raw.names || [],
+      lines: this.decodeMappings(raw.mappings || '')
+    };
+  }
+
+  /**
+   * Decode the VLQ "mappings" string into per-line segment arrays
+   * ([generatedColumn, sourceIndex, sourceLine, sourceColumn, nameIndex])
+   * @private
+   */
+  decodeMappings(mappings) {
+    const lines = [];
+    let sourceIndex = 0;
+    let sourceLine = 0;
+    let sourceColumn = 0;
+    let nameIndex = 0;
+
+    mappings.split(';').forEach(lineMappings => {
+      const segments = [];
+      let generatedColumn = 0;
+
+      lineMappings.split(',').forEach(encoded => {
+        if (!encoded) return;
+
+        const values = this.decodeVLQ(encoded);
+        generatedColumn += values[0];
+        const segment = [generatedColumn];
+
+        if (values.length >= 4) {
+          sourceIndex += values[1];
+          sourceLine += values[2];
+          sourceColumn += values[3];
+          segment.push(sourceIndex, sourceLine, sourceColumn);
+
+          if (values.length >= 5) {
+            nameIndex += values[4];
+            segment.push(nameIndex);
+          }
+        }
+
+        segments.push(segment);
+      });
+
+      segments.sort((a, b) => a[0] - b[0]);
+      lines.push(segments);
+    });
+
+    return lines;
+  }
+
+  decodeVLQ(encoded) {
+    const values = [];
+    let value = 0;
+    let shift = 0;
+
+    for (const char of encoded) {
+      const digit = SOURCE_MAP_BASE64.indexOf(char);
+      if (digit === -1) {
+        throw new Error('Invalid VLQ character: ' + char);
+      }
+
+      value += (digit & 31) << shift;
+      if (digit & 32) {
+        shift += 5;
+      } else {
+        const negative = value & 1;
+        value >>>= 1;
+        values.push(negative ? -value : value);
+        value = 0;
+        shift = 0;
+      }
+    }
+
+    return values;
+  }
+
+  // ============= HELPERS =============
+
+  static getFileName(url) {
+    if (!url) return '';
+    return String(url).split(/[?#]/)[0].split('/').pop();
+  }
+}
+
+// ============================================
+// GLOBAL INITIALIZATION
+// ============================================
+
+if (typeof self !== 'undefined') {
+  self.SourceMapResolver = SourceMapResolver;
+  self.sourceMapResolver = new SourceMapResolver();
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SourceMapResolver;
+}
+
+console.log('[Source Maps] Module loaded');
@@ -381,13 +381,27 @@ const DarkVoirUtils = {
   },
 
   /**
-   * Generate CSS selector for element
+   * Generate CSS selector for element, through the selector engine (selector-engine.js)
+   * where it is loaded. Elements inside shadow roots get their hosts prepended
+   * ('my-app >>> button.pay'), which deepQuerySelector resolves.
    * @param {HTMLElement} element - Element to generate selector for
    * @returns {string} CSS selector
    */
   generateSelector(element) {
     if (!element) return '';
-    
+    if (typeof window !== 'undefined' && window.selectorEngine) {
+      return window.selectorEngine.generate(element);
+    }
+    return this.toDeepSelector(element, this.generateLocalSelector(element));
+  },
+
+  /**
+   * Selector for an element within its own document or shadow root, without uniqueness
+   * checks; the fallback when the selector engine isn't loaded
+   * @param {HTMLElement} element - Element to generate selector for
+   * @returns {string} CSS selector
+   */
+  generateLocalSelector(element) {
     // Try ID first
     if (element.id) {
       return `#${element.id}`;
@@ -503,6 +517,244 @@ const DarkVoirUtils = {
     return element.innerText || element.textContent || '';
   },
 
+  // ============= FRAMES AND SHADOW ROOTS =============
+
+  /**
+   * Path of a window from the top frame: 'top', or frame indices like 'top/1/0'
+   * (window.frames indexing works across origins)
+   * @param {Window} win - Window to describe
+   * @returns {string} Frame path
+   */
+  getFramePath(win = window) {
+    const indices = [];
+
+    try {
+      let current = win;
+      while (current !== current.parent) {
+        const parent = current.parent;
+        let index = -1;
+        for (let i = 0; i < parent.frames.length; i++) {
+          if (parent.frames[i] === current) {
+            index = i;
+            break;
+          }
+        }
+        indices.unshift(index);
+        current = parent;
+      }
+    } catch (error) {
+      // Detached frame - keep what was found
+    }
+
+    return ['top', ...indices].join('/');
+  },
+
+  /**
+   * Document of the frame at a path, when it is same-origin with this one
+   * @param {string} framePath - Path from getFramePath
+   * @returns {Document|null} Document, null when cross-origin or gone
+   */
+  getFrameDocument(framePath) {
+    if (!framePath || framePath === 'top') {
+      return window.top === window ? document : null;
+    }
+
+    try {
+      let win = window.top;
+      framePath.split('/').slice(1).forEach(index => {
+        win = win.frames[Number(index)];
+      });
+      // Throws for cross-origin frames
+      return win?.document || null;
+    } catch (error) {
+      return null;
+    }
+  },
+
+  /**
+   * An element's shadow root: open ones, and closed ones where the extension can open
+   * them (chrome.dom.openOrClosedShadowRoot, content scripts only)
+   * @param {HTMLElement} element - Possible shadow host
+   * @returns {ShadowRoot|null} Shadow root
+   */
+  getShadowRoot(element) {
+    if (element.shadowRoot) return element.shadowRoot;
+
+    try {
+      if (typeof chrome !== 'undefined' && chrome.dom?.openOrClosedShadowRoot) {
+        return chrome.dom.openOrClosedShadowRoot(element) || null;
+      }
+    } catch (error) {
+      // Not an element that can host a shadow root
+    }
+    return null;
+  },
+
+  /**
+   * The document plus every shadow root and same-origin iframe document under it,
+   * each with its frame path
+   * @param {Document|ShadowRoot} root - Where to start
+   * @returns {Array} [{ root, framePath }]
+   */
+  getSearchRoots(root = document) {
+    const roots = [];
+
+    const visit = (node, framePath) => {
+      roots.push({ root: node, framePath });
+
+      node.querySelectorAll('*').forEach(element => {
+        const shadow = this.getShadowRoot(element);
+        if (shadow) visit(shadow, framePath);
+
+        if (element.tagName === 'IFRAME' || element.tagName === 'FRAME') {
+          try {
+            const frameDocument = element.contentDocument;
+            if (frameDocument?.documentElement) {
+              visit(frameDocument, this.getFramePath(element.contentWindow));
+            }
+          } catch (error) {
+            // Cross-origin frame
+          }
+        }
+      });
+    };
+
+    const ownerDocument = root.ownerDocument || root;
+    visit(root, this.getFramePath(ownerDocument.defaultView || window));
+    return roots;
+  },
+
+  /**
+   * Prefix a selector with the shadow hosts around the element, outermost first
+   * ('app-shell >>> checkout-form >>> button.pay')
+   * @param {HTMLElement} element - Element the selector is for
+   * @param {string} selector - Selector within the element's own root
+   * @param {Function} generate - Selector for a host; called through generateSelector-style
+   *   functions, each host prefixes its own hosts
+   * @returns {string} Selector
+   */
+  toDeepSelector(element, selector, generate = host => this.generateSelector(host)) {
+    const root = element?.getRootNode?.();
+    return root?.host ? `${generate(root.host)} >>> ${selector}` : selector;
+  },
+
+  /**
+   * Split a 'host >>> inner' selector into its parts; '>>>' inside quotes or
+   * brackets (attribute values) doesn't count
+   * @param {string} selector - Selector
+   * @returns {Array} Parts, trimmed
+   */
+  splitDeepSelector(selector) {
+    const parts = [];
+    let current = '';
+    let quote = null;
+    let depth = 0;
+
+    for (let i = 0; i < selector.length; i++) {
+      const char = selector[i];
+      if (quote) {
+        if (char === quote && selector[i - 1] !== '\\') quote = null;
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === '[' || char === '(') {
+        depth++;
+      } else if (char === ']' || char === ')') {
+        depth--;
+      } else if (depth === 0 && selector.startsWith('>>>', i)) {
+        parts.push(current.trim());
+        current = '';
+        i += 2;
+        continue;
+      }
+      current += char;
+    }
+    parts.push(current.trim());
+    return parts;
+  },
+
+  /**
+   * First element matching a selector in the document, else its shadow roots or same-origin
+   * iframes. 'host >>> inner' selectors are resolved part by part (see deepQuerySelectorAll).
+   * Invalid selectors throw, like querySelector.
+   * @param {string} selector - CSS or 'host >>> inner' selector
+   * @param {Document|ShadowRoot} root - Where to start
+   * @returns {HTMLElement|null} Element
+   */
+  deepQuerySelector(selector, root = document) {
+    if (this.splitDeepSelector(selector).length > 1) {
+      return this.deepQuerySelectorAll(selector, root)[0] || null;
+    }
+
+    // Collecting shadow roots walks every element; skip it when the root already matches
+    const element = root.querySelector(selector);
+    if (element) return element;
+
+    for (const { root: searchRoot } of this.getSearchRoots(root).slice(1)) {
+      const element = searchRoot.querySelector(selector);
+      if (element) return element;
+    }
+    return null;
+  },
+
+  /**
+   * All elements matching a selector across shadow roots and same-origin iframes.
+   * For 'host >>> inner', the first part is matched anywhere, each later part inside the
+   * shadow roots of the previous part's matches.
+   * @param {string} selector - CSS or 'host >>> inner' selector
+   * @param {Document|ShadowRoot} root - Where to start
+   * @returns {Array} Elements, in document order per root
+   */
+  deepQuerySelectorAll(selector, root = document) {
+    const [first, ...rest] = this.splitDeepSelector(selector);
+    let matches = this.getSearchRoots(root).flatMap(({ root: searchRoot }) => Array.from(searchRoot.querySelectorAll(first)));
+
+    rest.forEach(part => {
+      matches = matches.flatMap(host => {
+        const shadow = this.getShadowRoot(host);
+        return shadow ? Array.from(shadow.querySelectorAll(part)) : [];
+      });
+    });
+
+    return [...new Set(matches)];
+  },
+
+  /**
+   * Frame path of the document an element lives in
+   * @param {HTMLElement} element - Element
+   * @returns {string} Frame path
+   */
+  getElementFramePath(element) {
+    return this.getFramePath(element?.ownerDocument?.defaultView || window);
+  },
+
+  /**
+   * Element's bounding rect in this window's viewport, offset through the same-origin
+   * iframes between them, so overlays drawn in this document line up with it
+   * @param {HTMLElement} element - Element, possibly inside an iframe
+   * @returns {Object} { top, left, right, bottom, width, height }
+   */
+  getViewportRect(element) {
+    const rect = element.getBoundingClientRect();
+    let top = rect.top;
+    let left = rect.left;
+
+    try {
+      let view = element.ownerDocument.defaultView;
+      while (view && view !== window && view.frameElement) {
+        const frame = view.frameElement;
+        const frameRect = frame.getBoundingClientRect();
+        const style = frame.ownerDocument.defaultView.getComputedStyle(frame);
+        top += frameRect.top + frame.clientTop + parseFloat(style.paddingTop || 0);
+        left += frameRect.left + frame.clientLeft + parseFloat(style.paddingLeft || 0);
+        view = view.parent;
+      }
+    } catch (error) {
+      // Cross-origin ancestor - the rect is as good as it gets
+    }
+
+    return { top, left, right: left + rect.width, bottom: top + rect.height, width: rect.width, height: rect.height };
+  },
+
   // ============= PAGE CONTEXT =============
 
   /**
@@ -10,7 +10,7 @@ class VisualGuide {
     this.currentStep = 0;
     this.steps = [];
     this.overlayElement = null;
-    this.highlightElement = null;
+    this.highlightBox = null;
     this.messageElement = null;
     this.pointerElement = null;
     this.controlsElement = null;
@@ -182,6 +182,28 @@ class VisualGuide {
         box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
       }
 
+      .dark-voir-focus-badge {
+        position: absolute;
+        min-width: 20px;
+        height: 20px;
+        padding: 0 5px;
+        border-radius: 10px;
+        background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+        color: white;
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        font-size: 11px;
+        font-weight: 600;
+        line-height: 20px;
+        text-align: center;
+        z-index: 1000001;
+        cursor: pointer;
+        box-shadow: 0 2px 6px rgba(0, 0, 0, 0.3);
+      }
+
+      .dark-voir-focus-badge.problem {
+        background: linear-gradient(135deg, #F44336 0%, #d32f2f 100%);
+      }
+
       .dark-voir-controls {
         position: fixed;
         bottom: 20px;
@@ -353,10 +375,20 @@ class VisualGuide {
   findStepElement(step) {
     if (!step) return null;
 
-    // Try selector first
+    const roots = this.getSearchRoots(step);
+
+    // Try selector first, then its ranked alternatives ('host >>> inner' selectors pierce shadow roots)
     if (step.selector) {
       try {
-        const el = document.querySelector(step.selector);
+        let el;
+        if (typeof window.selectorEngine !== 'undefined') {
+          el = window.selectorEngine.resolve([step.selector, ...(step.alternatives || [])], this.getStepDocument(step));
+        } else {
+          const matches = typeof window.DarkVoirUtils !== 'undefined'
+            ? window.DarkVoirUtils.deepQuerySelectorAll(step.selector, this.getStepDocument(step))
+            : Array.from(document.querySelectorAll(step.selector));
+          el = matches.find(candidate => this.isElementVisible(candidate));
+        }
         if (el && this.isElementVisible(el)) {
           return el;
         }
@@ -368,32 +400,65 @@ class VisualGuide {
     // Try finding by text
     if (step.text) {
       const text = step.text.toLowerCase();
-      const elements = document.querySelectorAll('button, a, input, [role="button"], label');
 
-      for (let el of elements) {
-        if (el.textContent?.toLowerCase().includes(text) && this.isElementVisible(el)) {
-          return el;
+      for (const root of roots) {
+        for (let el of root.querySelectorAll('button, a, input, [role="button"], label')) {
+          if (el.textContent?.toLowerCase().includes(text) && this.isElementVisible(el)) {
+            return el;
+          }
         }
       }
     }
 
     // Try finding by aria-label
     if (step.ariaLabel) {
-      const el = document.querySelector(`[aria-label="${step.ariaLabel}"]`);
-      if (el && this.isElementVisible(el)) {
-        return el;
+      for (const root of roots) {
+        const el = root.querySelector(`[aria-label="${step.ariaLabel}"]`);
+        if (el && this.isElementVisible(el)) {
+          return el;
+        }
       }
     }
 
     return null;
   }
 
+  /**
+   * Where a step's element may be: its frame when the step names a reachable one,
+   * else the page - each with its shadow roots and same-origin iframes
+   * @private
+   */
+  getSearchRoots(step) {
+    if (typeof window.DarkVoirUtils === 'undefined') return [document];
+    return window.DarkVoirUtils.getSearchRoots(this.getStepDocument(step)).map(entry => entry.root);
+  }
+
+  /**
+   * The step's frame document when it names a reachable one, else this page
+   * @private
+   */
+  getStepDocument(step) {
+    const frameDocument = step.framePath && typeof window.DarkVoirUtils !== 'undefined'
+      ? window.DarkVoirUtils.getFrameDocument(step.framePath)
+      : null;
+    return frameDocument || document;
+  }
+
+  /**
+   * Element rect in this page's viewport, also for elements inside same-origin iframes
+   * @private
+   */
+  getElementRect(element) {
+    if (typeof window.DarkVoirUtils === 'undefined') return element.getBoundingClientRect();
+    return window.DarkVoirUtils.getViewportRect(element);
+  }
+
   isElementVisible(element) {
     if (!element) return false;
 
     try {
       const rect = element.getBoundingClientRect();
-      const style = window.getComputedStyle(element);
+      const style = element.ownerDocument.defaultView.getComputedStyle(element);
 
       return rect.width > 0 &&
              rect.height > 0 &&
@@ -409,20 +474,20 @@ class VisualGuide {
     if (!element) return;
 
     // Remove old highlight
-    if (this.highlightElement) {
-      this.highlightElement.remove();
+    if (this.highlightBox) {
+      this.highlightBox.remove();
     }
 
     // Create new highlight
-    const rect = element.getBoundingClientRect();
-    this.highlightElement = document.createElement('div');
-    this.highlightElement.className = 'dark-voir-highlight';
-    this.highlightElement.style.top = (rect.top + window.scrollY - 5) + 'px';
-    this.highlightElement.style.left = (rect.left + window.scrollX - 5) + 'px';
-    this.highlightElement.style.width = (rect.width + 10) + 'px';
-    this.highlightElement.style.height = (rect.height + 10) + 'px';
-
-    document.body.appendChild(this.highlightElement);
+    const rect = this.getElementRect(element);
+    this.highlightBox = document.createElement('div');
+    this.highlightBox.className = 'dark-voir-highlight';
+    this.highlightBox.style.top = (rect.top + window.scrollY - 5) + 'px';
+    this.highlightBox.style.left = (rect.left + window.scrollX - 5) + 'px';
+    this.highlightBox.style.width = (rect.width + 10) + 'px';
+    this.highlightBox.style.height = (rect.height + 10) + 'px';
+
+    document.body.appendChild(this.highlightBox);
   }
 
   showMessage(element, message, description) {
@@ -434,7 +499,7 @@ class VisualGuide {
     }
 
     // Create message
-    const rect = element.getBoundingClientRect();
+    const rect = this.getElementRect(element);
     this.messageElement = document.createElement('div');
     this.messageElement.className = 'dark-voir-message';
 
@@ -506,7 +571,7 @@ class VisualGuide {
     }
 
     // Create pointer
-    const rect = element.getBoundingClientRect();
+    const rect = this.getElementRect(element);
     this.pointerElement = document.createElement('div');
     this.pointerElement.className = 'dark-voir-pointer';
     this.pointerElement.textContent = '👆';
@@ -618,9 +683,9 @@ class VisualGuide {
       this.overlayElement = null;
     }
 
-    if (this.highlightElement) {
-      this.highlightElement.remove();
-      this.highlightElement = null;
+    if (this.highlightBox) {
+      this.highlightBox.remove();
+      this.highlightBox = null;
     }
 
     if (this.messageElement) {
@@ -0,0 +1,435 @@
+/**
+ * Dark Voir AI Troubleshooter - Web Vitals
+ * Core Web Vitals (LCP, INP, CLS) plus TTFB and FCP, with attribution and rating bands
+ */
+
+class WebVitals {
+  constructor() {
+    // [good, poor] boundaries: value <= good is "good", value > poor is "poor"
+    this.thresholds = {
+      LCP: [2500, 4000],
+      INP: [200, 500],
+      CLS: [0.1, 0.25],
+      TTFB: [800, 1800],
+      FCP: [1800, 3000]
+    };
+
+    this.metrics = {};
+    this.callback = null;
+    this.observers = [];
+    this.firstHiddenTime = document.visibilityState === 'hidden' ? 0 : Infinity;
+
+    // LCP
+    this.lcpEntry = null;
+    this.lcpFinal = false;
+
+    // INP: longest duration per interactionId, and the slowest interaction entries
+    this.interactions = new Map();
+    this.longestInteractions = [];
+    this.maxInteractions = 10;
+    this.animationFrames = [];
+    this.maxAnimationFrames = 50;
+
+    // CLS session windows
+    this.sessionValue = 0;
+    this.sessionEntries = [];
+    this.clsValue = 0;
+    this.clsEntries = [];
+  }
+
+  // ============= PUBLIC API =============
+
+  /**
+   * Start observing. The callback gets a metric every time one changes:
+   * { name, value, rating, delta, final, attribution, navigationType, timestamp }
+   * @param {Function} callback - Metric listener
+   */
+  start(callback) {
+    this.callback = callback;
+
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') {
+        this.firstHiddenTime = Math.min(this.firstHiddenTime, performance.now());
+        this.finalize();
+      }
+    }, true);
+
+    // LCP stops at the first user input
+    ['keydown', 'pointerdown'].forEach(type => {
+      addEventListener(type, () => this.finalizeLCP(), { once: true, capture: true });
+    });
+
+    this.observe('largest-contentful-paint', entries => this.handleLCP(entries));
+    this.observe('event', entries => this.handleInteractions(entries), { durationThreshold: 40 });
+    this.observe('first-input', entries => this.handleInteractions(entries));
+    this.observe('long-animation-frame', entries => this.handleAnimationFrames(entries));
+    this.observe('layout-shift', entries => this.handleLayoutShifts(entries));
+    this.observe('paint', entries => this.handlePaint(entries));
+
+    this.measureTTFB();
+  }
+
+  /**
+   * Latest value of every metric measured so far
+   */
+  getMetrics() {
+    return { ...this.metrics };
+  }
+
+  /**
+   * @param {string} name - LCP, INP, CLS, TTFB or FCP
+   * @param {number} value - Metric value
+   * @returns {string} good | needs-improvement | poor
+   */
+  rate(name, value) {
+    const [good, poor] = this.thresholds[name];
+    if (value <= good) return 'good';
+    if (value <= poor) return 'needs-improvement';
+    return 'poor';
+  }
+
+  /**
+   * Close LCP and mark CLS/INP final (page hidden or unloading)
+   */
+  finalize() {
+    this.finalizeLCP();
+    ['CLS', 'INP'].forEach(name => {
+      if (this.metrics[name] && !this.metrics[name].final) {
+        this.metrics[name].final = true;
+        this.emit(this.metrics[name]);
+      }
+    });
+  }
+
+  // ============= OBSERVATION =============
+
+  /**
+   * @private
+   */
+  observe(type, handler, options = {}) {
+    if (!PerformanceObserver.supportedEntryTypes?.includes(type)) return;
+
+    try {
+      const observer = new PerformanceObserver(list => handler(list.getEntries()));
+      observer.observe({ type, buffered: true, ...options });
+      this.observers.push(observer);
+    } catch (error) {
+      console.warn(`[Web Vitals] Cannot observe ${type}:`, error);
+    }
+  }
+
+  /**
+   * @private
+   */
+  report(name, value, attribution, final = false) {
+    const previous = this.metrics[name];
+    const rounded = name === 'CLS' ? Math.round(value * 10000) / 10000 : Math.round(value);
+    if (previous && previous.value === rounded && previous.final === final) return;
+
+    const metric = {
+      name: name,
+      value: rounded,
+      rating: this.rate(name, value),
+      delta: previous ? rounded - previous.value : rounded,
+      final: final,
+      attribution: attribution,
+      navigationType: this.getNavigationType(),
+      timestamp: Date.now()
+    };
+
+    this.metrics[name] = metric;
+    this.emit(metric);
+  }
+
+  /**
+   * @private
+   */
+  emit(metric) {
+    try {
+      if (this.callback) this.callback(metric);
+    } catch (error) {
+      console.error('[Web Vitals] Metric callback failed:', error);
+    }
+  }
+
+  // ============= LCP =============
+
+  /**
+   * @private
+   */
+  handleLCP(entries) {
+    if (this.lcpFinal) return;
+
+    entries.forEach(entry => {
+      // Background tabs render late; that isn't what users saw
+      if (entry.startTime < this.firstHiddenTime) {
+        this.lcpEntry = entry;
+      }
+    });
+
+    if (this.lcpEntry) {
+      this.report('LCP', this.getActivationRelative(this.lcpEntry.startTime), this.getLCPAttribution(this.lcpEntry));
+    }
+  }
+
+  /**
+   * @private
+   */
+  finalizeLCP() {
+    if (this.lcpFinal) return;
+    this.lcpFinal = true;
+
+    if (this.lcpEntry) {
+      this.report('LCP', this.getActivationRelative(this.lcpEntry.startTime), this.getLCPAttribution(this.lcpEntry), true);
+    }
+  }
+
+  /**
+   * Split LCP into TTFB, resource load delay, resource load duration and render delay
+   * @private
+   */
+  getLCPAttribution(entry) {
+    const navigation = this.getNavigationEntry();
+    const ttfb = navigation ? Math.max(0, navigation.responseStart - this.getActivationStart()) : 0;
+    const lcpTime = this.getActivationRelative(entry.startTime);
+    const resource = entry.url ? performance.getEntriesByName(entry.url, 'resource')[0] : null;
+
+    const loadStart = resource ? Math.max(ttfb, this.getActivationRelative(resource.requestStart || resource.startTime)) : ttfb;
+    const loadEnd = resource ? Math.min(lcpTime, Math.max(loadStart, this.getActivationRelative(resource.responseEnd))) : ttfb;
+
+    return {
+      element: this.describeNode(entry.element),
+      url: entry.url || null,
+      size: entry.size,
+      timeToFirstByte: Math.round(ttfb),
+      resourceLoadDelay: Math.round(loadStart - ttfb),
+      resourceLoadDuration: Math.round(loadEnd - loadStart),
+      elementRenderDelay: Math.round(Math.max(0, lcpTime - loadEnd))
+    };
+  }
+
+  // ============= INP =============
+
+  /**
+   * Keep the longest event per interaction; INP is the ~98th percentile of those
+   * @private
+   */
+  handleInteractions(entries) {
+    entries.forEach(entry => {
+      if (!entry.interactionId) return;
+
+      const existing = this.interactions.get(entry.interactionId);
+      if (existing !== undefined && existing >= entry.duration) return;
+      this.interactions.set(entry.interactionId, entry.duration);
+
+      this.longestInteractions = this.longestInteractions
+        .filter(candidate => candidate.interactionId !== entry.interactionId);
+      this.longestInteractions.push(entry);
+      this.longestInteractions.sort((a, b) => b.duration - a.duration);
+      this.longestInteractions.length = Math.min(this.longestInteractions.length, this.maxInteractions);
+    });
+
+    if (this.longestInteractions.length === 0) return;
+
+    // One outlier is ignored for every 50 interactions
+    const index = Math.min(this.longestInteractions.length - 1, Math.floor(this.interactions.size / 50));
+    const entry = this.longestInteractions[index];
+    this.report('INP', entry.duration, this.getINPAttribution(entry));
+  }
+
+  /**
+   * @private
+   */
+  handleAnimationFrames(entries) {
+    this.animationFrames.push(...entries);
+    if (this.animationFrames.length > this.maxAnimationFrames) {
+      this.animationFrames.splice(0, this.animationFrames.length - this.maxAnimationFrames);
+    }
+  }
+
+  /**
+   * Input delay, processing and presentation split, plus the slowest script
+   * from overlapping long animation frames where the browser supports them
+   * @private
+   */
+  getINPAttribution(entry) {
+    const end = entry.startTime + entry.duration;
+    const scripts = this.animationFrames
+      .filter(frame => frame.startTime < end && frame.startTime + frame.duration > entry.startTime)
+      .flatMap(frame => Array.from(frame.scripts || []));
+    const slowest = scripts.sort((a, b) => b.duration - a.duration)[0];
+
+    return {
+      eventType: entry.name,
+      target: this.describeNode(entry.target),
+      interactionTime: Math.round(entry.startTime),
+      inputDelay: Math.round(entry.processingStart - entry.startTime),
+      processingDuration: Math.round(entry.processingEnd - entry.processingStart),
+      presentationDelay: Math.round(Math.max(0, end - entry.processingEnd)),
+      script: slowest ? {
+        sourceURL: slowest.sourceURL || null,
+        sourceFunctionName: slowest.sourceFunctionName || null,
+        invoker: slowest.invoker || null,
+        duration: Math.round(slowest.duration)
+      } : null
+    };
+  }
+
+  // ============= CLS =============
+
+  /**
+   * Shifts less than 1s apart, within 5s, form a session window; CLS is the worst window
+   * @private
+   */
+  handleLayoutShifts(entries) {
+    let changed = false;
+
+    entries.forEach(entry => {
+      if (entry.hadRecentInput) return;
+
+      const first = this.sessionEntries[0];
+      const last = this.sessionEntries[this.sessionEntries.length - 1];
+
+      if (first && entry.startTime - last.startTime < 1000 && entry.startTime - first.startTime < 5000) {
+        this.sessionValue += entry.value;
+        this.sessionEntries.push(entry);
+      } else {
+        this.sessionValue = entry.value;
+        this.sessionEntries = [entry];
+      }
+
+      if (this.sessionValue > this.clsValue) {
+        this.clsValue = this.sessionValue;
+        this.clsEntries = [...this.sessionEntries];
+        changed = true;
+      }
+    });
+
+    if (changed || !this.metrics.CLS) {
+      this.report('CLS', this.clsValue, this.getCLSAttribution());
+    }
+  }
+
+  /**
+   * @private
+   */
+  getCLSAttribution() {
+    if (this.clsEntries.length === 0) return { largestShiftTarget: null };
+
+    const largest = this.clsEntries.reduce((a, b) => (b.value > a.value ? b : a));
+    const source = Array.from(largest.sources || [])
+      .filter(item => item.node)
+      .sort((a, b) => this.rectArea(b.currentRect) - this.rectArea(a.currentRect))[0];
+
+    return {
+      largestShiftTarget: source ? this.describeNode(source.node) : null,
+      largestShiftTime: Math.round(largest.startTime),
+      largestShiftValue: Math.round(largest.value * 10000) / 10000,
+      shiftCount: this.clsEntries.length
+    };
+  }
+
+  /**
+   * @private
+   */
+  rectArea(rect) {
+    return rect ? rect.width * rect.height : 0;
+  }
+
+  // ============= TTFB & FCP =============
+
+  /**
+   * @private
+   */
+  measureTTFB() {
+    const navigation = this.getNavigationEntry();
+    if (!navigation || navigation.responseStart <= 0) return;
+
+    const activationStart = this.getActivationStart();
+    const ttfb = Math.max(0, navigation.responseStart - activationStart);
+    const dnsStart = navigation.domainLookupStart || navigation.fetchStart;
+    const connectStart = navigation.connectStart || dnsStart;
+
+    this.report('TTFB', ttfb, {
+      waitingDuration: Math.round(Math.max(0, dnsStart - activationStart)),
+      dnsDuration: Math.round(navigation.domainLookupEnd - navigation.domainLookupStart),
+      connectionDuration: Math.round(navigation.connectEnd - connectStart),
+      requestDuration: Math.round(Math.max(0, navigation.responseStart - (navigation.requestStart || navigation.connectEnd))),
+      protocol: navigation.nextHopProtocol || null
+    }, true);
+  }
+
+  /**
+   * @private
+   */
+  handlePaint(entries) {
+    const fcp = entries.find(entry => entry.name === 'first-contentful-paint');
+    if (!fcp || fcp.startTime >= this.firstHiddenTime) return;
+
+    const value = this.getActivationRelative(fcp.startTime);
+    const ttfb = this.metrics.TTFB?.value || 0;
+
+    this.report('FCP', value, {
+      timeToFirstByte: ttfb,
+      firstByteToFCP: Math.round(Math.max(0, value - ttfb))
+    }, true);
+  }
+
+  // ============= HELPERS =============
+
+  /**
+   * @private
+   */
+  getNavigationEntry() {
+    return performance.getEntriesByType('navigation')[0] || null;
+  }
+
+  /**
+   * Prerendered pages count from activation, not from navigation start
+   * @private
+   */
+  getActivationStart() {
+    return this.getNavigationEntry()?.activationStart || 0;
+  }
+
+  /**
+   * @private
+   */
+  getActivationRelative(time) {
+    return Math.max(0, time - this.getActivationStart());
+  }
+
+  /**
+   * @private
+   */
+  getNavigationType() {
+    const navigation = this.getNavigationEntry();
+    if (!navigation) return 'navigate';
+    if (document.prerendering || navigation.activationStart > 0) return 'prerender';
+    return navigation.type || 'navigate';
+  }
+
+  /**
+   * @private
+   */
+  describeNode(node) {
+    if (!node || node.nodeType !== Node.ELEMENT_NODE) return null;
+    if (window.DarkVoirUtils) return window.DarkVoirUtils.generateSelector(node);
+    return node.tagName.toLowerCase();
+  }
+}
+
+// ============= INITIALIZATION =============
+
+const webVitals = new WebVitals();
+
+if (typeof window !== 'undefined') {
+  window.DarkVoirWebVitals = WebVitals;
+  window.webVitals = webVitals;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { WebVitals, webVitals };
+}
+
+console.log('[Web Vitals] Module loaded');